@@ -0,0 +1,10 @@
+#!/usr/bin/env node
+/**
+ * QSR command-line entry point. See lib/cli.js.
+ * @author Steve Ostopchuck
+ */
+const { run } = require('../lib/cli');
+
+run(process.argv.slice(2)).then(code => {
+    process.exitCode = code;
+});
@@ -0,0 +1,2044 @@
+/**
+ * QSR Enterprise API Type Declarations
+ * Declarations of the package's public surface, kept in step with the JSDoc of lib/.
+ * @author Steve Ostopchuck
+ */
+/// <reference types="node" />
+import { EventEmitter } from 'events';
+import { AxiosInstance, AxiosRequestConfig } from 'axios';
+
+/**
+ *  Class for interacting with the QSR Enterprize API
+ */
+declare class QSR {
+    /**
+     * Create a QSR instance.
+     * @param companyUID - Globally unique identifier for a company. This is provided by QSR.
+     * @param apiKeys - Optional. API Keys Object, a CredentialsProvider, or a function returning API keys. Defaults to the environment variables, read on every request.
+     * @param options - Optional. Client options.
+     */
+    constructor(companyUID: string, apiKeys?: QSR.ApiKeys, options?: QSR.QSROptions);
+
+    companyUID: string;
+    credentials: QSR.CredentialsProvider;
+    refreshOnAuthError: boolean;
+    siteLocalTimes: boolean;
+    retryPolicy: QSR.RetryPolicy;
+    rateLimiter: QSR.RateLimiter;
+    familyRateLimiters: Partial<Record<QSR.EndpointFamily, QSR.RateLimiter>>;
+    axios: AxiosInstance;
+    cache: QSR.ResponseCache | null;
+    /** Registry resolving SiteRefs (e.g. { customerSiteId: '0421' }) to SiteUIDs. */
+    sites: QSR.SiteRegistry;
+    /** True if every site argument, including strings, is resolved through the registry. */
+    strictSites: boolean;
+
+    /** Get the time zone of a site. The TimeZoneId is requested once per site and cached. */
+    getSiteTimeZone(siteUID: QSR.SiteInput): Promise<string>;
+    /** Get the rate limiter queue depth and counters. */
+    rateLimitStats(): QSR.RateLimitStats;
+    /** Cancel every request waiting in the rate limiter queues. Each one rejects with a QSRCancelledError. */
+    cancelQueued(): number;
+    /** Delete cached responses of this client's company. With no filter, all of them are deleted. */
+    invalidateCache(filter?: { siteUID?: string; method?: QSR.CacheableMethod | QSR.CacheableMethod[] }): Promise<number>;
+    /** Get a view of this client whose calls use the specified per-call options. */
+    withOptions(options?: QSR.CallOptions): QSR;
+    /** Create a resumable sync of visits, table events and team member events. */
+    createSync(options: QSR.SyncEngineOptions): QSR.SyncEngine;
+    /** Watch the visits of one or more sites for changes. */
+    watchVisits(siteUIDs: QSR.SiteInput | QSR.SiteInput[], options?: QSR.VisitWatcherOptions): QSR.VisitWatcher;
+    /** Get the waitlist of a site, which takes any party identifier and routes each call itself. */
+    waitlist(siteUID: QSR.SiteInput): QSR.Waitlist;
+    /** Get the reservation booking workflow: slot search, booking with a last availability check, and alternatives. */
+    booking(options?: QSR.ReservationBookingOptions): QSR.ReservationBooking;
+    /** Create a two-way sync between an external reservation platform and a site. */
+    createReservationSync(options: QSR.ReservationSyncOptions): QSR.ReservationSync;
+    /** Create a bridge posting a POS's check lifecycle as table events, in order, through a durable outbox. */
+    createPosBridge(options: QSR.PosBridgeOptions): QSR.PosBridge;
+    /** Create the guestbook dedupe tool: find duplicate guests, plan their merge, apply it, and undo it. */
+    createGuestbookDedupe(options?: QSR.GuestbookDedupeOptions): QSR.GuestbookDedupe;
+    /** Resolve a site argument to its SiteUID, the same way every method taking a siteUID does. */
+    resolveSiteUID(siteUID: QSR.SiteInput): Promise<string>;
+
+    /* Company */
+    getCompanySites(): Promise<QSR.Site[]>;
+    getSite(siteUID: QSR.SiteInput): Promise<QSR.Site>;
+    getBrands(): Promise<string[]>;
+    getCustomerSiteIdMap(onlyActiveSites?: boolean): Promise<QSR.CustomerSiteIdMapEntry[]>;
+    getOperatingInfo(siteUID: QSR.SiteInput): Promise<QSR.OperatingInfo>;
+
+    /* Team members */
+    getTeamMembers(siteUID: QSR.SiteInput, startTime?: QSR.RangeStart, endTime?: Date): Promise<QSR.TeamMember[]>;
+    getAllTeamMemberEvents(siteUID: QSR.SiteInput, startTime: QSR.RangeStart, endTime?: Date, numPages?: number): Promise<QSR.TeamMemberEvent[]>;
+    iterateTeamMemberEvents(siteUID: QSR.SiteInput, startTime: QSR.CursorStart, endTime?: Date | string, options?: QSR.IterateOptions): AsyncGenerator<QSR.Page<QSR.TeamMemberEvent>, void, undefined>;
+    getTeamMemberEvents(siteUID: QSR.SiteInput, startTime: QSR.RangeStart, endTime?: Date): Promise<QSR.TeamMemberEventPage>;
+    addTeamMember(siteUID: QSR.SiteInput, teamMember: Partial<QSR.TeamMember>): Promise<QSR.TeamMember[]>;
+    updateTeamMember(siteUID: QSR.SiteInput, teamMemberId: string, teamMemberUpdate: Partial<QSR.TeamMember>): Promise<QSR.TeamMember[]>;
+    removeTeamMember(siteUID: QSR.SiteInput, teamMemberId: string): Promise<boolean>;
+
+    /* Tables */
+    getTables(siteUID: QSR.SiteInput): Promise<QSR.Table[]>;
+    getTableStatus(siteUID: QSR.SiteInput, startTime: QSR.RangeStart, endTime?: Date): Promise<QSR.TableStatus[]>;
+    getAllTableHistory(siteUID: QSR.SiteInput, startTime: QSR.RangeStart, endTime?: Date, numPages?: number): Promise<QSR.TableHistory[]>;
+    iterateTableHistory(siteUID: QSR.SiteInput, startTime: QSR.CursorStart, endTime?: Date | string, options?: QSR.IterateOptions): AsyncGenerator<QSR.Page<QSR.TableHistory>, void, undefined>;
+    getTableHistory(siteUID: QSR.SiteInput, startTime: QSR.RangeStart, endTime?: Date): Promise<QSR.TableHistoryPage>;
+    getAllTableEvents(siteUID: QSR.SiteInput, startTime: QSR.RangeStart, endTime?: Date, numPages?: number): Promise<QSR.TableEvent[]>;
+    iterateTableEvents(siteUID: QSR.SiteInput, startTime: QSR.CursorStart, endTime?: Date | string, options?: QSR.IterateOptions): AsyncGenerator<QSR.Page<QSR.TableEvent>, void, undefined>;
+    getTableEvents(siteUID: QSR.SiteInput, startTime: QSR.RangeStart, endTime?: Date): Promise<QSR.TableEventPage>;
+    getTableTurnReport(siteUID: QSR.SiteInput, startTime: QSR.RangeStart, endTime?: Date): Promise<QSR.TableTurnReport>;
+    addTableEvent(siteUID: QSR.SiteInput, info: QSR.TableEventInfo): Promise<boolean>;
+
+    /* Reservations */
+    arriveReservation(siteUID: QSR.SiteInput, visitID: string): Promise<boolean>;
+    getReservationAvailability(siteUID: QSR.SiteInput, date: Date, partySize: number): Promise<QSR.ReservationAvailabilityDay[]>;
+    getReservationByConfirmation(siteUID: QSR.SiteInput, confimationNumber: string): Promise<QSR.Visit>;
+    addReservation(siteUID: QSR.SiteInput, info: QSR.ReservationInfo): Promise<QSR.Visit>;
+    updateReservation(siteUID: QSR.SiteInput, visitID: string, info: QSR.ReservationUpdateInfo): Promise<boolean>;
+    removeReservation(siteUID: QSR.SiteInput, visitUID: string): Promise<boolean>;
+    syncExternalReservation(siteUID: QSR.SiteInput, externalId: string, info: QSR.ExternalReservationInfo): Promise<boolean>;
+
+    /* Walk-ins and partner sites */
+    addWalkIn(siteUID: QSR.SiteInput, info: QSR.WalkInInfo): Promise<QSR.Visit>;
+    getAllPartnerSites(numSites?: number): Promise<QSR.PartnerSite[]>;
+    iteratePartnerSites(options?: QSR.PartnerSiteIterateOptions): AsyncGenerator<QSR.Page<QSR.PartnerSite>, void, undefined>;
+    getPartnerSites(numSites?: number): Promise<QSR.GetPartnerSites>;
+
+    /* WebAhead */
+    addWebAhead(siteUID: QSR.SiteInput, info: QSR.WebAheadInfo, returnWebAhead?: false): Promise<boolean>;
+    addWebAhead(siteUID: QSR.SiteInput, info: QSR.WebAheadInfo, returnWebAhead: true): Promise<QSR.WebAhead>;
+    getWaitListStatus(siteUID: QSR.SiteInput, partySize?: number): Promise<QSR.WaitListStatus>;
+    getWaitListStatusForPartySizes(siteUID: QSR.SiteInput, partySizes?: number[]): Promise<QSR.WaitListStatus>;
+    getWaitListStatusMultipleSites(siteUIDs?: QSR.SiteInput[], partySizes?: number[]): Promise<QSR.WaitListStatusForSites>;
+    getWebAhead(siteUID: QSR.SiteInput, visitID: string, expand?: 'guest', inclQuote?: boolean, all?: false): Promise<QSR.WebAhead>;
+    getWebAhead(siteUID: QSR.SiteInput, visitID: string, expand: 'guest' | undefined, inclQuote: boolean | undefined, all: true): Promise<QSR.WebAhead[]>;
+    getWebAheadByConfirmation(confirmationNumber: string, all?: false): Promise<QSR.WebAhead>;
+    getWebAheadByConfirmation(confirmationNumber: string, all: true): Promise<QSR.WebAhead[]>;
+    getWebAheadByConfirmationId(confirmationNumberId: number, all?: false): Promise<QSR.WebAhead>;
+    getWebAheadByConfirmationId(confirmationNumberId: number, all: true): Promise<QSR.WebAhead[]>;
+    updateWebAhead(siteUID: QSR.SiteInput, visitID: string, info?: QSR.WebAheadUpdateInfo): Promise<QSR.WebAhead>;
+    updateWebAheadByConfirmation(confirmationNumber: string, info?: QSR.WebAheadUpdateInfo): Promise<QSR.WebAhead>;
+    updateWebAheadByConfirmationId(confirmationNumberId: number, info?: QSR.WebAheadUpdateInfo): Promise<QSR.WebAhead>;
+    cancelWebAhead(siteUID: QSR.SiteInput, visitID: string, checkStatus?: boolean): Promise<boolean>;
+    cancelWebAheadByConfirmation(confirmationNumber: string, checkStatus?: boolean): Promise<boolean>;
+    cancelWebAheadByConfirmationId(confirmationNumberId: number, checkStatus?: boolean): Promise<boolean>;
+    arriveWebAhead(siteUID: QSR.SiteInput, visitID: string): Promise<boolean>;
+    arriveWebAheadByConfirmation(confirmationNumber: string): Promise<boolean>;
+    arriveWebAheadByConfirmationId(confirmationNumberId: number): Promise<boolean>;
+    enableWebAhead(siteUID: QSR.SiteInput): Promise<boolean>;
+    disableWebAhead(siteUID: QSR.SiteInput): Promise<boolean>;
+    getPrecalculatedQuotes(siteUID: QSR.SiteInput, partySize?: number): Promise<QSR.PrecalculatedQuotes>;
+
+    /* Guestbook */
+    addGuest(data: QSR.GuestInfo, syncSource?: string): Promise<QSR.Guest>;
+    updateGuest(guestId: string, data?: QSR.GuestUpdateInfo, syncSource?: string): Promise<boolean>;
+    removeGuest(guestId: string, syncSource?: string): Promise<boolean>;
+    searchGuestbook(info?: QSR.GuestSearch): Promise<QSR.Guest[]>;
+
+    /* Visits */
+    arriveVisit(siteUID: QSR.SiteInput, visitID: string): Promise<boolean>;
+    updateVisitProximity(siteUID: QSR.SiteInput, visitID: string, info?: QSR.ProximityInfo): Promise<boolean>;
+    getAllVisitUpdates(siteUID: QSR.SiteInput, startTime: QSR.CursorStart, stopTime?: Date | string, syncSource?: string): Promise<QSR.Visit[]>;
+    iterateVisitUpdates(siteUID: QSR.SiteInput, startTime: QSR.CursorStart, stopTime?: Date | string, syncSource?: string, options?: QSR.IterateOptions): AsyncGenerator<QSR.Page<QSR.Visit>, void, undefined>;
+    getVisitUpdates(siteUID: QSR.SiteInput, startTime: QSR.CursorStart, stopTime?: Date | string, syncSource?: string): Promise<QSR.VisitPollResponse>;
+    getQuoteAccuracyReport(siteUID: QSR.SiteInput, startTime: QSR.RangeStart, stopTime?: Date, options?: QSR.QuoteAccuracyOptions): Promise<QSR.QuoteAccuracyReport>;
+    exportRecords(type: QSR.ExportType, options: QSR.ExportRecordsOptions): Promise<QSR.ExportSummary>;
+    getVisitByExternalId(siteUID: QSR.SiteInput, externalUID: string): Promise<QSR.Visit>;
+    getVisit(siteUID: QSR.SiteInput, visitID: string): Promise<QSR.Visit>;
+    getVisitByLoyaltyCard(siteUID: QSR.SiteInput, loyaltyCardID: string, status?: 'open'): Promise<QSR.Visit>;
+    /** @deprecated Use getVisitByLoyaltyCard. */
+    getVisitByLoyalityCard(siteUID: QSR.SiteInput, loyalityCardID: string, status?: 'open'): Promise<QSR.Visit>;
+    getVisitByPhone(siteUID: QSR.SiteInput, phoneNumber: string, countryCode: string, status?: 'open'): Promise<QSR.Visit>;
+    getVisitByPager(siteUID: QSR.SiteInput, pagerID: string, status?: 'open'): Promise<QSR.Visit>;
+    updatePartyMix(siteUID: QSR.SiteInput, visitID: string, partyMix: QSR.PartyMixInfo[]): Promise<QSR.PartyMix>;
+}
+
+/** The QSR class, for the QSR.QSR export. */
+type QSRClass = typeof QSR;
+type QSRInstance = QSR;
+
+declare namespace QSR {
+    const QSR: QSRClass;
+    type QSR = QSRInstance;
+
+    /* Enumerations */
+
+    /** Status of a QSR visit record. */
+    type VisitStatus = 'NotYetArrived' | 'PartiallyArrived' | 'Waiting' | 'NoShow' | 'WalkAway' | 'Notified' | 'PartiallySeated'
+        | 'Seated' | 'AlmostFinished' | 'Payment' | 'Completed' | 'CheckStarted' | 'Canceled';
+    /** Type of a QSR visit record. */
+    type VisitType = 'WalkIn' | 'CallAhead' | 'Reservation' | 'Carryout';
+    type NotificationType = 'None' | 'Call' | 'SMS' | 'Pager';
+    /** Type of a TableEvent. */
+    type EventType = 'CheckPaid' | 'TableScanned' | 'CheckPartialPayment' | 'CourseComplete' | 'CheckPrinted' | 'ItemsOrdered'
+        | 'TableOpened' | 'TableCleared' | 'TableDirtied';
+    type PartyMixType = 'Adult' | 'Child' | 'Infant' | 'Senior';
+    type WebAheadStatus = 'Disabled' | 'NotAccepting' | 'Available';
+    type PhoneNumberType = 'Mobile' | 'Home' | 'Work' | 'Other';
+    type OperatingStatus = 'Open' | 'Closed' | 'Unknown';
+    type EndpointFamily = 'Visits' | 'Tables' | 'WebAhead' | 'GuestBook';
+    type Feed = 'visits' | 'tableEvents' | 'teamMemberEvents';
+    type ExportType = Feed | 'tableHistory' | 'guests';
+
+    /* Client options */
+
+    /** API keys, a CredentialsProvider (or any object with getCredentials), or a function returning API keys. */
+    type ApiKeys = Partial<Credentials> | CredentialsProvider | CredentialsSource | (() => Credentials | Promise<Credentials>);
+
+    interface QSROptions {
+        baseURL?: string;
+        timeout?: number;
+        axiosConfig?: AxiosRequestConfig;
+        retry?: Partial<RetryPolicy> | boolean;
+        rateLimit?: RateLimitOptions;
+        refreshOnAuthError?: boolean;
+        siteLocalTimes?: boolean;
+        /** true for the default TTLs, ResponseCache options, or a ResponseCache shared between clients. */
+        cache?: boolean | ResponseCacheOptions | ResponseCache;
+        /** true or SiteRegistry options to resolve every site argument, including strings, through the registry. */
+        siteRegistry?: boolean | SiteRegistryOptions;
+    }
+
+    interface RateLimiterOptions {
+        requestsPerSecond?: number;
+        burst?: number;
+        maxConcurrent?: number;
+    }
+
+    interface RateLimitOptions extends RateLimiterOptions {
+        /** Limits per endpoint family. */
+        families?: Partial<Record<EndpointFamily, RateLimiterOptions>>;
+    }
+
+    /** Per-call options of QSR#withOptions. */
+    interface CallOptions {
+        retry?: Partial<RetryPolicy> | boolean;
+        signal?: AbortSignal;
+        siteLocalTimes?: boolean;
+        /** If false, cached responses are not used. The fresh responses replace them. */
+        cache?: boolean;
+    }
+
+    interface RetryPolicy {
+        maxAttempts: number;
+        baseDelay: number;
+        maxDelay: number;
+        factor: number;
+        jitter: boolean;
+        maxRetryAfter: number;
+        statuses: number[];
+        errorCodes: string[];
+        methods: string[];
+    }
+
+    interface RateLimiterStats {
+        queued: number;
+        inFlight: number;
+        availableTokens: number;
+        completed: number;
+        cancelled: number;
+    }
+
+    interface RateLimitStats {
+        global: RateLimiterStats;
+        families: Partial<Record<EndpointFamily, RateLimiterStats>>;
+    }
+
+    /* Ranges and paging */
+
+    /** A range of local time at a site, resolved in the site's time zone. */
+    interface LocalRange {
+        /** YYYY-MM-DD, "today" or "yesterday" at the site. Defaults to today. */
+        businessDate?: string;
+        /** A time of day (HH:mm) on the business date, a local date-time (YYYY-MM-DDTHH:mm), or an instant. */
+        from?: string | Date;
+        /** End, in the same forms. Defaults to now when from is set. */
+        to?: string | Date;
+        /** Time of day the business day starts, e.g. "04:00". Defaults to "00:00". */
+        dayStart?: string;
+        /** Olson time zone to use instead of the site's. */
+        timeZone?: string;
+    }
+
+    /** Start of a range: an instant, or a LocalRange (the end argument is then ignored). */
+    type RangeStart = Date | LocalRange;
+    /** Start of a paged feed: an instant, a page cursor, or a LocalRange. */
+    type CursorStart = Date | string | LocalRange;
+
+    interface IterateOptions {
+        numPages?: number;
+    }
+
+    interface PartnerSiteIterateOptions extends IterateOptions {
+        /** Token of the page to start from. */
+        token?: string;
+    }
+
+    /** A page yielded by the iterate* methods. */
+    interface Page<T> {
+        items: T[];
+        /** Cursor of the page (TimestampCutoff, TimeStampCutoff or Token). Pass it back to resume after this page. */
+        cursor: string;
+        hasMore: boolean;
+        pageNumber: number;
+    }
+
+    /* Method options */
+
+    interface TableEventInfo {
+        eventType: EventType;
+        tableName: string;
+        timestampUtc: Date | string;
+        transactionNumber?: number | string;
+        checkAmount?: number;
+        id?: string;
+    }
+
+    interface ReservationInfo {
+        arrivalTime: Date | string;
+        partySize: number;
+        email?: string;
+        firstName?: string;
+        lastName?: string;
+        guestId?: string;
+        subedToSms?: boolean;
+        subedToEmail?: boolean;
+        subedToQsr?: boolean;
+        notes?: string;
+        pagerId?: string;
+        phoneNumber?: string;
+        phoneNumberString?: string;
+        seatingAreaUID?: string;
+        notificationType?: NotificationType;
+    }
+
+    interface ReservationUpdateInfo {
+        arrivalTime?: Date | string;
+        partySize?: number;
+        notes?: string;
+        pagerId?: string;
+        phoneNumber?: string;
+        notificationType?: NotificationType;
+        foodAllergies?: string;
+    }
+
+    interface ExternalReservationInfo {
+        arrivalTime?: Date | string;
+        partySize?: number;
+        guest?: Partial<Guest>;
+        size?: number;
+        canceledTime?: Date | string;
+        customValues?: VisitCustomValue[];
+        notes?: string;
+        partyMix?: VisitPartyMix;
+        syncSource?: string;
+    }
+
+    interface WalkInInfo {
+        partySize: number;
+        arrivalTime?: Date | string;
+        externalId?: string;
+        /** Guest record, or Guest.ID or Guest.Loyalty.LoyaltyCardID. */
+        guest?: Partial<Guest> | string;
+        notes?: string;
+    }
+
+    interface WebAheadUpdateInfo {
+        partySize?: number;
+        phoneNumberString?: string;
+        lastName?: string;
+        firstName?: string;
+        email?: string;
+        guestID?: string;
+        estimatedArrivalTime?: Date | string;
+        expandGuest?: boolean;
+        notes?: string;
+        notificationType?: NotificationType;
+        isSubedToSms?: boolean;
+        isSubedToEmail?: boolean;
+        isSubedToQsr?: boolean;
+    }
+
+    /** WebAhead options. lastName is optional if guestID is provided. */
+    type WebAheadInfo = WebAheadUpdateInfo & { partySize: number; phoneNumberString: string }
+        & ({ lastName: string } | { guestID: string });
+
+    interface GuestUpdateInfo {
+        lastName?: string;
+        firstName?: string;
+        email?: string;
+        notes?: string;
+        isAnon?: boolean;
+        isSubedToSms?: boolean;
+        isSubedToEmail?: boolean;
+        isSubedToQsr?: boolean;
+        loyalty?: GuestLoyalty;
+        phoneNumbers?: Partial<GuestPhoneNumber>[];
+        addresses?: Partial<GuestAddress>[];
+        customValues?: GuestCustomValue[];
+    }
+
+    interface GuestInfo extends GuestUpdateInfo {
+        lastName: string;
+    }
+
+    interface GuestSearch {
+        guestId?: string;
+        firstName?: string;
+        lastName?: string;
+        loyaltyCardID?: string;
+        email?: string;
+        city?: string;
+        state?: string;
+        postalCode?: string;
+        mobilePhoneNumber?: string;
+        guestsPerPage?: number | string;
+        pageNumber?: number | string;
+    }
+
+    interface ProximityInfo {
+        source?: string;
+        latitude?: number;
+        longitude?: number;
+        distance?: number;
+    }
+
+    interface PartyMixInfo {
+        type: PartyMixType;
+        count: number;
+    }
+
+    /* Visits */
+
+    /** QSR Visit record */
+    interface Visit {
+        ArrivalTime: string | null;
+        CanceledTime: string | null;
+        CompletedTime: string | null;
+        ConfirmationNumber: string;
+        CreationTime: string;
+        CustomValues: VisitCustomValue[];
+        EstimatedArrivalTime: string | null;
+        ExternalID: string | null;
+        Guest: Guest;
+        GuestID: string;
+        ID: string;
+        IID: number;
+        Notes: string;
+        NotificationType: NotificationType;
+        PagedTime: string | null;
+        PagerID: string | null;
+        PartyMix: VisitPartyMix;
+        PreassignedTables: VisitPreassignedTable[];
+        Quote: Quote;
+        SeatedTables: VisitSeatedTable[];
+        SeatedTime: string | null;
+        SeatingAreaID: string;
+        SeatingAreaName: string;
+        Size: number;
+        Status: VisitStatus;
+        Type: VisitType;
+        VisitSource: string;
+        LastUpdate?: string;
+        Version?: number;
+    }
+
+    interface VisitCustomValue {
+        Name: string;
+        Value: string;
+    }
+
+    interface VisitSeatedTable {
+        StartTime: string;
+        EndTime: string | null;
+        IsCurrent: boolean;
+        IsActive: boolean;
+        TableID: string;
+        TableName: string;
+    }
+
+    type VisitPreassignedTable = VisitSeatedTable;
+    type SeatedTables = VisitSeatedTable;
+    type CustomValues = VisitCustomValue;
+
+    interface VisitPartyMix {
+        Mixes: VisitPartyMixEntry[];
+    }
+
+    interface VisitPartyMixEntry {
+        Count: number;
+        Type: PartyMixType;
+    }
+
+    interface Quote {
+        ConsumerQuoteString: string;
+        QuoteHigh: number;
+        QuoteLow: number;
+        SiteQuoteString: string;
+    }
+
+    /** The party's most recently updated Quote. */
+    interface UpdatedQuote extends Quote {
+        GeneratedDateTime: string;
+    }
+
+    interface VisitPollResponse {
+        Visits: Visit[];
+        MoreData: boolean;
+        TimestampCutoff: string;
+    }
+
+    interface PartyMix extends Omit<Visit, 'Guest' | 'PartyMix'> {
+        LastUpdate: string;
+        ServerLastUpdate: string;
+        ConfirmationNumberId: number;
+        SeatingAreaId: string;
+        PartyMix: VisitPartyMix;
+        Mixes: VisitPartyMixEntry[];
+        Guest: Guest;
+    }
+
+    /* Tables */
+
+    interface Table {
+        ID: string;
+        Name: string;
+        SeatCount: number;
+        MinimumSeatCount: number;
+        MaximumSeatCount: number;
+        IsActive: boolean;
+        SeatingAreaId: string;
+        SeatingAreaName: string;
+        Station?: string;
+    }
+
+    interface TableStatus {
+        IsDirty: boolean;
+        OpenedTime: string | null;
+        ClosedTime: string | null;
+        DirtyTime: string | null;
+        CleanedTime: string | null;
+        LastSeatedTime: string | null;
+        LastCompletedTime: string | null;
+        LastAvailableTime: string | null;
+        Status: string;
+        ID: string;
+        LastUpdate: string;
+        Name: string;
+        SeatCount: number;
+        MinimumSeatCount: number;
+        MaximumSeatCount: number;
+        IsActive: boolean;
+        SeatingAreaId: string;
+        HasMoreData: boolean;
+        CutOffDate: string;
+    }
+
+    interface TableHistory {
+        CleanedTime: string | null;
+        CreatedTime: string;
+        DirtiedTime: string | null;
+        FloorPlanName: string;
+        ID: string;
+        IsActive: boolean;
+        MaximumSeatCount: number;
+        MiniumumSeatCount: number;
+        Name: string;
+        OperatingPeriodName: string;
+        SeatCount: number;
+        ShiftName: string;
+    }
+
+    interface TableHistoryPage {
+        History: TableHistory[];
+        HasMoreData: boolean;
+        TimeStampCutoff: string;
+    }
+
+    /** @deprecated Use TableHistoryPage. */
+    type TableHiTableHistoryPage = TableHistoryPage;
+
+    interface TableEvent {
+        Category: string;
+        Content: TableEventContent;
+        LastUpdate: string;
+        ServerLastUpdate: string;
+        SyncSource: string;
+        Type: EventType;
+        UID: string;
+        Version: number;
+    }
+
+    interface TableEventContent {
+        FloorPlan: FloorPlanSnapshot;
+        Shift: ShiftSnapshot;
+        Station: StationSnapshot;
+        Table: TableSnapshot;
+    }
+
+    interface TableEventPage {
+        Events: TableEvent[];
+        MoreData: boolean;
+        TimeStampCutoff: string;
+    }
+
+    interface FloorPlanSnapshot {
+        Name: string;
+        UID: string;
+    }
+
+    type ShiftSnapshot = FloorPlanSnapshot;
+    type StationSnapshot = FloorPlanSnapshot;
+
+    interface TableSnapshot {
+        EndSeats: boolean;
+        LastUpdate: string;
+        MaximumSeatCount: number;
+        MiniumumSeatCount: number;
+        Name: string;
+        QsrTableShapeID: number;
+        SeatCount: number;
+        Statistics: TableStatisticSnapshot;
+        UID: string;
+    }
+
+    interface TableStatisticSnapshot {
+        OpenedTime: string | null;
+        ClosedTime: string | null;
+    }
+
+    /* Reservations */
+
+    interface ReservationAvailabilityDay {
+        /** Site local business date. Never parse it as a DateTime. */
+        Date: string;
+        Sessions: ReservationAvailabilitySession[];
+    }
+
+    interface ReservationAvailabilitySession {
+        SessionName: string;
+        SeatingAreas: ReservationAvailabilitySeatingArea[];
+    }
+
+    interface ReservationAvailabilitySeatingArea {
+        GuestMessage: string;
+        SeatingAreaName: string;
+        SeatingAreaUID: string;
+        MinPartySize?: number;
+        MaxPartySize?: number;
+        Times: ReservationAvailabilityTimeSlot[];
+    }
+
+    interface ReservationAvailabilityTimeSlot {
+        IsAvailable: boolean;
+        Time: string;
+        OnlineSuspended: boolean;
+    }
+
+    /* Sites */
+
+    interface Site {
+        SiteUID: string;
+        CustomerSiteID: string;
+        IID: number;
+        CompanyUID: string;
+        CreationTime: string;
+        Name: string;
+        ContactNumber: string;
+        Hours: string;
+        Address: string;
+        City: string;
+        County: string;
+        State: string;
+        Postal: string;
+        Country: string;
+        TimeZoneId: string;
+        Latitude: number;
+        Longitude: number;
+        BrandUID: string;
+        DisplayName: string;
+        PrimaryCuisine: string;
+        Cuisines: string[];
+        LastUpdate: string;
+    }
+
+    interface CustomerSiteIdMapEntry {
+        SiteUID: string;
+        CustomerSiteID: string;
+        IsActive: boolean;
+    }
+
+    interface OperatingInfo {
+        Days: Days[];
+        Sessions: Sessions[];
+    }
+
+    interface Days {
+        ID: string;
+        Schedule: OperatingPeriod[];
+    }
+
+    interface OperatingPeriod {
+        Session: string;
+        StartTime: string;
+        Status: OperatingStatus;
+    }
+
+    interface Sessions {
+        Session: string;
+    }
+
+    interface PartnerSite {
+        pageData: string;
+        siteUID: string;
+        externalSiteID: string;
+    }
+
+    interface GetPartnerSites {
+        PageData: string;
+        SiteUID: string;
+        ExternalSiteID: string;
+        HasMore: boolean;
+        Token: string;
+    }
+
+    /* Team members */
+
+    interface TeamMember {
+        CardId: string;
+        CreatedTime: string;
+        Email: string;
+        ExternalId: string;
+        FirstName: string;
+        HomePhone: string;
+        IsActive: boolean;
+        LastName: string;
+        MobilePhone: string;
+        Notes: string;
+        ServerID: number;
+        UID: string;
+    }
+
+    interface TeamMemberEvent {
+        Category: string;
+        Content: TeamMemberEventContent;
+        LastUpdate: string;
+        ServerLastUpdate: string;
+        SyncSource: string;
+        Type: string;
+        UID: string;
+        Version: number;
+    }
+
+    interface TeamMemberEventContent {
+        FloorPlan: FloorPlanSnapshot;
+        Shift: ShiftSnapshot;
+        Station: StationSnapshot;
+        TeamMember: TeamMemberSnapshot;
+    }
+
+    interface TeamMemberSnapshot {
+        CardId: string;
+        CreatedTime: string;
+        Email: string;
+        ExternalId: string;
+        FirstName: string;
+        HomePhone: string;
+        Id: number;
+        ImageId: number;
+        LastName: string;
+        MobilePhone: string;
+        Notes: string;
+        SiteID: number;
+        UID: string;
+    }
+
+    interface TeamMemberEventPage {
+        Events: TeamMemberEvent[];
+        MoreData: boolean;
+        TimeStampCutoff: string;
+    }
+
+    /* Guests */
+
+    /** QSR guest record. */
+    interface Guest {
+        Addresses: GuestAddress[];
+        CustomValues: GuestCustomValue[];
+        Email: string;
+        FirstName: string;
+        ID: string;
+        IsAnonymous: boolean;
+        IsSubscribedToEmailMarketing: boolean;
+        IsSubscribedToQsrMarketing: boolean;
+        IsSubscribedToSmsMarketing: boolean;
+        LastName: string;
+        Loyalty: GuestLoyalty;
+        Notes: string;
+        PhoneNumbers: GuestPhoneNumber[];
+        NotificationType: NotificationType;
+        LastUpdate?: string;
+    }
+
+    interface GuestAddress {
+        Address: string;
+        Address2: string;
+        City: string;
+        County: string;
+        Postal: string;
+        State: string;
+        Country: string;
+        Sort: number;
+    }
+
+    interface GuestCustomValue {
+        Name: string;
+        Value: string;
+    }
+
+    interface GuestLoyalty {
+        LoyaltyCardID: string;
+    }
+
+    interface GuestPhoneNumber {
+        ID: string;
+        PhoneNumber: string;
+        PhoneNumberString: string;
+        Type: PhoneNumberType;
+        Sort: number;
+    }
+
+    /* WebAhead */
+
+    interface WebAhead {
+        ID: string;
+        SiteUID: string;
+        NotificationType: NotificationType;
+        PlaceInWaitList: number;
+        Type: VisitType;
+        Status: VisitStatus;
+        Size: number;
+        ConfirmationNumber: string;
+        ConfirmationNumberID: number;
+        Notes: string;
+        CreationTime: string;
+        EstimatedArrivalTime: string | null;
+        ArrivalTime: string | null;
+        PagedTime: string | null;
+        Quote: Quote;
+        UpdatedQuote?: UpdatedQuote;
+        PreassignedTables: VisitPreassignedTable[];
+        CustomValues: VisitCustomValue[];
+        Guest?: Guest;
+        GuestID: string;
+        SeatingAreaID: string;
+        SeatingAreaName: string;
+        SeatedTime: string | null;
+        CompletedTime: string | null;
+        SeatedTables: VisitSeatedTable[];
+    }
+
+    interface WaitListStatus {
+        SiteUID: string;
+        WebAheadStatus: WebAheadStatus;
+        NumberWaitingVisits: number;
+        Quote?: Quote;
+        Statuses?: Status[];
+    }
+
+    interface Status {
+        PartySize: number;
+        Quote: Quote[];
+        WebAheadStatus: WebAheadStatus;
+        WebAheadStatusText: string;
+    }
+
+    interface WaitListStatusForSites {
+        WaitListStatusList: WaitListStatus[];
+    }
+
+    interface PrecalculatedQuotes {
+        Quotes: PrecalculatedQuotePerPartySize[];
+    }
+
+    interface PrecalculatedQuotePerPartySize {
+        quote: PrecalculatedQuote[];
+        partySize: number;
+    }
+
+    interface PrecalculatedQuote {
+        quoteLow: number;
+        quoteHigh: number;
+        siteQuoteString: string;
+        consumerQuoteString: string;
+        exactQuote: number;
+        checkBackTime: number;
+        autoNoShowTime: number;
+        guestChitString: string;
+    }
+
+    /* Errors */
+
+    interface QSRErrorDetails {
+        status?: number;
+        endpoint?: string;
+        siteUID?: string;
+        requestId?: string;
+        responseBody?: unknown;
+        cause?: Error;
+    }
+
+    class QSRError extends Error {
+        constructor(message: string, details?: QSRErrorDetails);
+        status?: number;
+        endpoint?: string;
+        siteUID?: string;
+        requestId?: string;
+        responseBody?: unknown;
+        cause?: Error;
+    }
+
+    class QSRConfigError extends QSRError {}
+
+    interface ValidationProblem {
+        /** Option that failed validation, e.g. "partySize" or "mixes[1].type". */
+        path: string;
+        message: string;
+    }
+
+    class QSRValidationError extends QSRError {
+        constructor(message: string, details?: QSRErrorDetails & { problems?: ValidationProblem[] });
+        problems: ValidationProblem[];
+    }
+
+    class QSRRequestError extends QSRError {}
+    class QSRCancelledError extends QSRError {}
+    class QSRAuthError extends QSRError {}
+    class QSRNotFoundError extends QSRError {}
+    class QSRConflictError extends QSRError {}
+    class QSRGoneError extends QSRError {}
+    class QSRServerError extends QSRError {}
+
+    /* Rate limiting */
+
+    class RateLimiter {
+        constructor(options?: RateLimiterOptions);
+        requestsPerSecond: number;
+        burst: number;
+        maxConcurrent: number;
+        acquire(options?: { signal?: AbortSignal }): Promise<() => void>;
+        schedule<T>(fn: () => T | Promise<T>, options?: { signal?: AbortSignal }): Promise<T>;
+        cancelQueued(reason?: string): number;
+        stats(): RateLimiterStats;
+    }
+
+    /* Response cache */
+
+    type CacheableMethod = 'getCompanySites' | 'getSite' | 'getBrands' | 'getCustomerSiteIdMap' | 'getTables' | 'getOperatingInfo'
+        | 'getWaitListStatus' | 'getWaitListStatusForPartySizes' | 'getPrecalculatedQuotes';
+
+    interface ResponseCacheOptions {
+        store?: Store;
+        /** Time to live in milliseconds for every method, or per method. 0 disables caching of a method. */
+        ttl?: number | Partial<Record<CacheableMethod, number>>;
+        /** Milliseconds a stale entry is still returned while it is refreshed, for every method or per method. */
+        staleWhileRevalidate?: number | Partial<Record<CacheableMethod, number>>;
+        prefix?: string;
+    }
+
+    interface ResponseCacheStats {
+        hits: number;
+        staleHits: number;
+        misses: number;
+        revalidations: number;
+        invalidated: number;
+        revalidating: number;
+    }
+
+    interface ResponseCacheEvents {
+        revalidateError: (failure: { key: string; method: CacheableMethod; error: Error }) => void;
+        storeError: (failure: { key: string; error: Error }) => void;
+    }
+
+    class ResponseCache extends EventEmitter {
+        constructor(options?: ResponseCacheOptions);
+        store: Store;
+        ttls: Record<CacheableMethod, number>;
+        staleWhileRevalidate: Partial<Record<CacheableMethod, number>>;
+        prefix: string;
+        key(companyUID: string, siteUID: string | undefined, method: CacheableMethod, args?: unknown[]): string;
+        wrap<T>(key: string, method: CacheableMethod, fetch: () => Promise<T>, options?: { refresh?: boolean }): Promise<T>;
+        invalidate(filter?: { companyUID?: string; siteUID?: string; method?: CacheableMethod | CacheableMethod[] }): Promise<number>;
+        invalidateAfterWrite(companyUID: string, url: string): Promise<number>;
+        stats(): ResponseCacheStats;
+        on<K extends keyof ResponseCacheEvents>(event: K, listener: ResponseCacheEvents[K]): this;
+        once<K extends keyof ResponseCacheEvents>(event: K, listener: ResponseCacheEvents[K]): this;
+        off<K extends keyof ResponseCacheEvents>(event: K, listener: ResponseCacheEvents[K]): this;
+    }
+
+    /* Site registry */
+
+    /** A site, by one of its identifiers. */
+    type SiteRef = { siteUID: string } | { customerSiteId: string } | { name: string };
+
+    /** A SiteUID, or a SiteRef. With the siteRegistry option, strings may also be site names. */
+    type SiteInput = string | SiteRef;
+
+    interface SiteRegistryOptions {
+        /** Milliseconds between scheduled refreshes. 0 disables them. Defaults to 1 hour. */
+        refreshInterval?: number;
+        /** Minimum milliseconds between loads when a reference is not found. Defaults to 1 minute. */
+        minRefreshInterval?: number;
+        allowInactive?: boolean;
+    }
+
+    interface SiteEntry {
+        siteUID: string;
+        customerSiteId?: string;
+        name?: string;
+        displayName?: string;
+        timeZoneId?: string;
+        isActive: boolean;
+    }
+
+    interface SiteRegistryEvents {
+        refresh: (sites: SiteEntry[]) => void;
+        refreshError: (failure: { error: Error }) => void;
+    }
+
+    class SiteRegistry extends EventEmitter {
+        constructor(qsr: QSR, options?: SiteRegistryOptions);
+        qsr: QSR;
+        refreshInterval: number;
+        minRefreshInterval: number;
+        allowInactive: boolean;
+        refresh(): Promise<SiteEntry[]>;
+        ready(): Promise<SiteEntry[]>;
+        list(): SiteEntry[];
+        lookup(site: SiteInput): Promise<SiteEntry | undefined>;
+        resolve(site: SiteInput, options?: { allowInactive?: boolean }): Promise<string>;
+        stop(): void;
+        on<K extends keyof SiteRegistryEvents>(event: K, listener: SiteRegistryEvents[K]): this;
+        once<K extends keyof SiteRegistryEvents>(event: K, listener: SiteRegistryEvents[K]): this;
+        off<K extends keyof SiteRegistryEvents>(event: K, listener: SiteRegistryEvents[K]): this;
+        static isSiteRef(site: unknown): site is SiteRef;
+    }
+
+    /* Stores */
+
+    /** A key-value store of JSON serializable values, such as MemoryStore, LruStore and JsonFileStore. */
+    interface Store {
+        get(key: string): Promise<any>;
+        /** options.ttl is passed by ResponseCache, for stores that can expire keys (e.g. Redis). It may be ignored. */
+        set(key: string, value: any, options?: { ttl?: number }): Promise<void>;
+        delete(key: string): Promise<void>;
+        keys(prefix?: string): Promise<string[]>;
+    }
+
+    class MemoryStore implements Store {
+        get(key: string): Promise<any>;
+        set(key: string, value: any): Promise<void>;
+        delete(key: string): Promise<void>;
+        keys(prefix?: string): Promise<string[]>;
+    }
+
+    class LruStore implements Store {
+        constructor(options?: { maxEntries?: number });
+        maxEntries: number;
+        get(key: string): Promise<any>;
+        set(key: string, value: any): Promise<void>;
+        delete(key: string): Promise<void>;
+        keys(prefix?: string): Promise<string[]>;
+    }
+
+    class JsonFileStore implements Store {
+        constructor(filePath: string);
+        filePath: string;
+        get(key: string): Promise<any>;
+        set(key: string, value: any): Promise<void>;
+        delete(key: string): Promise<void>;
+        keys(prefix?: string): Promise<string[]>;
+    }
+
+    /* Sync */
+
+    interface SyncEngineOptions {
+        sites: SiteInput[];
+        feeds?: Feed[];
+        store?: Store;
+        since?: Date;
+        syncSource?: string;
+        onRecords?: (payload: SyncRecords) => void | Promise<void>;
+        dedupeWindow?: number;
+        concurrency?: number;
+    }
+
+    interface SyncRecords {
+        siteUID: string;
+        feed: Feed;
+        records: Array<Visit | TableEvent | TeamMemberEvent>;
+        cursor: string;
+    }
+
+    interface SyncSummary {
+        /** The site as given if it could not be resolved. */
+        siteUID: SiteInput;
+        feed: Feed;
+        records: number;
+        pages: number;
+        cursor: string | null;
+        error?: Error;
+    }
+
+    interface SyncEngineEvents {
+        records: (payload: SyncRecords) => void;
+        feedComplete: (summary: SyncSummary) => void;
+        /** siteUID is the site as given if it could not be resolved. */
+        feedError: (failure: { siteUID: SiteInput; feed: Feed; error: Error }) => void;
+    }
+
+    class SyncEngine extends EventEmitter {
+        constructor(qsr: QSR, options: SyncEngineOptions);
+        qsr: QSR;
+        sites: SiteInput[];
+        feeds: Feed[];
+        store: Store;
+        since: Date;
+        syncSource?: string;
+        dedupeWindow: number;
+        concurrency: number;
+        run(options?: { until?: Date }): Promise<SyncSummary[]>;
+        syncFeed(site: SiteInput, feed: Feed, until?: Date): Promise<SyncSummary>;
+        reset(site: SiteInput, feed: Feed): Promise<void>;
+        stateKey(siteUID: string, feed: Feed): string;
+        on<K extends keyof SyncEngineEvents>(event: K, listener: SyncEngineEvents[K]): this;
+        once<K extends keyof SyncEngineEvents>(event: K, listener: SyncEngineEvents[K]): this;
+        off<K extends keyof SyncEngineEvents>(event: K, listener: SyncEngineEvents[K]): this;
+    }
+
+    /* Visit watcher */
+
+    interface VisitWatcherOptions {
+        interval?: number;
+        syncSource?: string;
+        since?: Date;
+        emitInitial?: boolean;
+        maxBackoff?: number;
+        retention?: number;
+    }
+
+    type VisitChangeType = 'visit:created' | 'visit:statusChanged' | 'visit:seated' | 'visit:canceled' | 'visit:completed';
+
+    interface VisitChangeEvent {
+        type: VisitChangeType;
+        siteUID: string;
+        visit: Visit;
+        /** Status before the change. Undefined for new visits. */
+        previousStatus?: VisitStatus;
+        status: VisitStatus;
+    }
+
+    interface VisitWatcherEvents {
+        'visit:created': (event: VisitChangeEvent) => void;
+        'visit:statusChanged': (event: VisitChangeEvent) => void;
+        'visit:seated': (event: VisitChangeEvent) => void;
+        'visit:canceled': (event: VisitChangeEvent) => void;
+        'visit:completed': (event: VisitChangeEvent) => void;
+        event: (event: VisitChangeEvent) => void;
+        /** siteUID is the site as given if it could not be resolved. */
+        'poll:error': (failure: { siteUID: SiteInput; error: Error }) => void;
+        stop: () => void;
+    }
+
+    class VisitWatcher extends EventEmitter implements AsyncIterable<VisitChangeEvent> {
+        constructor(qsr: QSR, siteUIDs: SiteInput | SiteInput[], options?: VisitWatcherOptions);
+        qsr: QSR;
+        siteUIDs: SiteInput[];
+        interval: number;
+        syncSource?: string;
+        emitInitial: boolean;
+        maxBackoff: number;
+        retention: number;
+        /** Cursor of the last poll, per SiteUID. */
+        cursors: Record<string, string>;
+        stop(): void;
+        [Symbol.asyncIterator](): AsyncIterator<VisitChangeEvent>;
+        on<K extends keyof VisitWatcherEvents>(event: K, listener: VisitWatcherEvents[K]): this;
+        once<K extends keyof VisitWatcherEvents>(event: K, listener: VisitWatcherEvents[K]): this;
+        off<K extends keyof VisitWatcherEvents>(event: K, listener: VisitWatcherEvents[K]): this;
+    }
+
+    /* Waitlist */
+
+    /** A visit ID (GUID string), confirmation number (other strings) or confirmation number ID (numbers). */
+    type PartyId = string | number | { visitID: string } | { confirmationNumber: string } | { confirmationNumberId: number } | WaitlistEntry;
+
+    interface WaitlistQuote {
+        low: number;
+        high: number;
+        text: string;
+    }
+
+    interface WaitlistEntry {
+        siteUID: string | null;
+        visitID: string;
+        confirmationNumber: string | null;
+        confirmationNumberId: number | null;
+        type: VisitType | null;
+        status: VisitStatus;
+        active: boolean;
+        partySize: number;
+        placeInWaitList: number | null;
+        quote: WaitlistQuote | null;
+        updatedQuote: (WaitlistQuote & { generatedAt: string }) | null;
+        guestID: string | null;
+        guest: { firstName: string; lastName: string; phoneNumber: string | null; email: string | null } | null;
+        notificationType: NotificationType | null;
+        notes: string | null;
+        createdAt: string | null;
+        estimatedArrivalTime: string | null;
+        arrivalTime: string | null;
+        pagedTime: string | null;
+        record: WebAhead | Visit;
+    }
+
+    class Waitlist {
+        constructor(qsr: QSR, siteUID: SiteInput);
+        qsr: QSR;
+        siteUID: SiteInput;
+        join(info: WebAheadInfo): Promise<WaitlistEntry>;
+        walkIn(info: WalkInInfo): Promise<WaitlistEntry>;
+        get(party: PartyId, options?: { all?: boolean; expandGuest?: boolean; includeQuote?: boolean }): Promise<WaitlistEntry>;
+        update(party: PartyId, info: WebAheadUpdateInfo): Promise<WaitlistEntry>;
+        arrive(party: PartyId): Promise<WaitlistEntry>;
+        cancel(party: PartyId, options?: { onlyIfNotArrived?: boolean }): Promise<WaitlistEntry>;
+        status(partySize?: number): Promise<WaitListStatus>;
+        status(partySizes: number[]): Promise<WaitListStatus>;
+    }
+
+    function toWaitlistEntry(record: WebAhead | Visit, siteUID?: string): WaitlistEntry;
+
+    /* Reservation booking */
+
+    interface ReservationBookingOptions {
+        /** Most days a search may cover. Defaults to 31. */
+        maxDays?: number;
+        /** Number of other sites, nearest first, searched for alternatives. Defaults to 3. */
+        nearbySites?: number;
+        /** Furthest other site searched for alternatives, in kilometers. Defaults to 50. */
+        maxDistanceKm?: number;
+        /** Milliseconds before and after the requested time searched for alternatives. Defaults to 2 hours. */
+        alternativeWindow?: number;
+        /** Number of alternatives suggested. Defaults to 5. */
+        maxAlternatives?: number;
+    }
+
+    interface ReservationSearchOptions {
+        partySize: number;
+        start: Date;
+        /** Defaults to the end of start's day. */
+        end?: Date;
+        seatingAreaUID?: string;
+        sessionName?: string;
+    }
+
+    interface ReservationSlot {
+        siteUID: string;
+        /** Site local business date. Never parse it as a DateTime. */
+        date: string;
+        time: string;
+        partySize: number;
+        sessionName: string;
+        seatingAreaUID: string;
+        seatingAreaName: string;
+        guestMessage: string;
+        minPartySize: number | null;
+        maxPartySize: number | null;
+        isAvailable: boolean;
+        onlineSuspended: boolean;
+    }
+
+    interface ReservationAlternative extends ReservationSlot {
+        /** 0 for the requested site. */
+        distanceKm: number;
+        /** Negative if earlier than requested. */
+        minutesFromRequested: number;
+    }
+
+    type BookingConflictReason = 'taken' | 'unavailable' | 'suspended' | 'notFound';
+
+    interface BookingConflict {
+        reason: BookingConflictReason;
+        message: string;
+        alternatives: ReservationAlternative[];
+        error?: QSRError;
+        /** Sites that could not be searched for alternatives, if any. */
+        skippedSites?: Array<{ siteUID: string; error: Error }>;
+    }
+
+    type BookingResult =
+        | { status: 'booked'; slot: ReservationSlot; visit: Visit }
+        | { status: 'conflict'; slot: ReservationSlot; conflict: BookingConflict };
+
+    interface ReservationBookingEvents {
+        alternativesError: (event: { siteUID: string; error: Error }) => void;
+    }
+
+    class ReservationBooking extends EventEmitter {
+        constructor(qsr: QSR, options?: ReservationBookingOptions);
+        qsr: QSR;
+        maxDays: number;
+        nearbySites: number;
+        maxDistanceKm: number;
+        alternativeWindow: number;
+        maxAlternatives: number;
+        search(siteUID: SiteInput, options: ReservationSearchOptions): Promise<ReservationSlot[]>;
+        /** arrivalTime, partySize and seatingAreaUID are taken from the slot. */
+        book(slot: ReservationSlot, info?: Partial<ReservationInfo>, options?: { alternatives?: boolean }): Promise<BookingResult>;
+        alternatives(request: ReservationSlot | { siteUID: SiteInput; time: string | Date; partySize: number }): Promise<ReservationAlternative[]>;
+        on<K extends keyof ReservationBookingEvents>(event: K, listener: ReservationBookingEvents[K]): this;
+        once<K extends keyof ReservationBookingEvents>(event: K, listener: ReservationBookingEvents[K]): this;
+        off<K extends keyof ReservationBookingEvents>(event: K, listener: ReservationBookingEvents[K]): this;
+    }
+
+    function flattenAvailability(days: ReservationAvailabilityDay[], context: { siteUID: string; partySize: number }): ReservationSlot[];
+
+    /* Reservation sync */
+
+    interface ReservationStatusChange {
+        siteUID: string;
+        externalId: string;
+        visitID: string;
+        /** Status last seen, or null. */
+        previousStatus: VisitStatus | null;
+        status: VisitStatus;
+        visit: Visit;
+    }
+
+    /** Any object with fetch() can be a source. */
+    interface ReservationSourceLike {
+        fetch(): Promise<any[]>;
+        applyStatusChange?(change: ReservationStatusChange): Promise<void> | void;
+    }
+
+    class ReservationSource implements ReservationSourceLike {
+        fetch(): Promise<any[]>;
+    }
+
+    class JsonFeedSource extends ReservationSource {
+        constructor(location: string, options?: {
+            /** Dot path of the reservations array in the document. */
+            path?: string;
+            axiosConfig?: object;
+            applyStatusChange?: (change: ReservationStatusChange) => Promise<void> | void;
+        });
+        location: string;
+        path?: string;
+        axiosConfig: object;
+        applyStatusChange?(change: ReservationStatusChange): Promise<void> | void;
+    }
+
+    class CallbackReservationSource extends ReservationSource {
+        constructor(callback: () => any[] | Promise<any[]>, options?: {
+            applyStatusChange?: (change: ReservationStatusChange) => Promise<void> | void;
+        });
+        callback: () => any[] | Promise<any[]>;
+        applyStatusChange?(change: ReservationStatusChange): Promise<void> | void;
+    }
+
+    interface MappedReservation {
+        externalId: string;
+        /** Required for new reservations. */
+        arrivalTime?: Date | string;
+        /** Required for new reservations. */
+        partySize?: number;
+        /** Required for new reservations. */
+        guest?: Partial<Guest>;
+        notes?: string;
+        canceled?: boolean;
+        /** Implies canceled. */
+        canceledTime?: Date | string;
+        customValues?: VisitCustomValue[];
+        partyMix?: object;
+    }
+
+    type ReservationFieldMap = { [K in keyof MappedReservation]?: string | ((record: any) => any) };
+
+    interface ReservationSyncOptions {
+        siteUID: SiteInput;
+        /** A source, a function returning reservations, or a JSON feed URL or file path. */
+        source: ReservationSourceLike | (() => any[] | Promise<any[]>) | string;
+        /** Updates made with this SyncSource are not pulled back. */
+        syncSource: string;
+        /** Mapping function, or the source path of each field. Unmapped fields are read from the same name. */
+        map?: ((record: any) => MappedReservation) | ReservationFieldMap;
+        /** Defaults to a MemoryStore. */
+        store?: Store;
+        /** Cancel synced reservations missing from the source. Defaults to true. */
+        cancelMissing?: boolean;
+        /** Start time of the first pull. Defaults to 24 hours ago. */
+        since?: Date;
+    }
+
+    interface ReservationPushFailure {
+        externalId?: string;
+        record?: any;
+        error: Error;
+    }
+
+    interface ReservationPushSummary {
+        siteUID: string;
+        fetched: number;
+        created: number;
+        updated: number;
+        canceled: number;
+        unchanged: number;
+        failed: ReservationPushFailure[];
+        /** Error of the source, if it failed. */
+        error?: Error;
+    }
+
+    interface ReservationPullSummary {
+        siteUID: string;
+        visits: number;
+        changes: number;
+        cursor: string;
+        /** Error that stopped the pull, if any. */
+        error?: Error;
+    }
+
+    type ReconciliationMismatchType = 'missingInQSR' | 'missingInSource' | 'canceled' | 'arrivalTime' | 'partySize' | 'invalid';
+
+    interface ReconciliationMismatch {
+        externalId: string | null;
+        visitID: string | null;
+        type: ReconciliationMismatchType;
+        source: any;
+        qsr: any;
+        /** Why an invalid record could not be mapped. */
+        message?: string;
+    }
+
+    interface ReconciliationReport {
+        siteUID: string;
+        generatedAt: string;
+        checked: number;
+        matched: number;
+        mismatches: ReconciliationMismatch[];
+    }
+
+    interface ReservationSyncEvents {
+        pushed: (payload: { action: 'created' | 'updated' | 'canceled'; reservation: MappedReservation; missing: boolean }) => void;
+        pushError: (failure: ReservationPushFailure) => void;
+        statusChange: (change: ReservationStatusChange) => void;
+        pullError: (failure: { error: Error }) => void;
+    }
+
+    class ReservationSync extends EventEmitter {
+        constructor(qsr: QSR, options: ReservationSyncOptions);
+        qsr: QSR;
+        siteUID: SiteInput;
+        source: ReservationSourceLike;
+        syncSource: string;
+        map: (record: any) => MappedReservation;
+        store: Store;
+        cancelMissing: boolean;
+        since: Date;
+        run(options?: { until?: Date }): Promise<{ push: ReservationPushSummary; pull: ReservationPullSummary }>;
+        push(): Promise<ReservationPushSummary>;
+        pull(options?: { until?: Date }): Promise<ReservationPullSummary>;
+        reconcile(): Promise<ReconciliationReport>;
+        reset(): Promise<void>;
+        stateKey(siteUID: string, externalId: string): string;
+        cursorKey(siteUID: string): string;
+        on<K extends keyof ReservationSyncEvents>(event: K, listener: ReservationSyncEvents[K]): this;
+        once<K extends keyof ReservationSyncEvents>(event: K, listener: ReservationSyncEvents[K]): this;
+        off<K extends keyof ReservationSyncEvents>(event: K, listener: ReservationSyncEvents[K]): this;
+    }
+
+    /* POS bridge */
+
+    type PosEventType = 'checkOpened' | 'itemsOrdered' | 'courseFired' | 'courseComplete' | 'checkPrinted' | 'partialPayment'
+        | 'checkPaid' | 'checkClosed' | 'tableScanned' | 'tableCleared' | 'tableDirtied';
+
+    const POS_EVENT_TYPES: Readonly<Record<PosEventType, EventType>>;
+
+    interface PosEvent {
+        /** A POS event type, a type added by the eventTypes option, or a QSR event type. */
+        type: PosEventType | EventType | string;
+        table: string | number;
+        transactionNumber: string | number;
+        /** Defaults to the time it is recorded. */
+        time?: Date | string;
+        amount?: number;
+        /** Tells apart events of the same type on one check, e.g. the course number of courseFired. */
+        sequence?: string | number;
+    }
+
+    interface PosBridgeOptions {
+        siteUID: SiteInput;
+        /** Defaults to a MemoryStore. Use a durable store in production. */
+        store?: Store;
+        /** QSR table name of POS table names, used before matching. */
+        tableMap?: Record<string, string>;
+        /** Lowest similarity, from 0 to 1, of a fuzzy table match. Defaults to 0.75. */
+        matchThreshold?: number;
+        eventTypes?: Record<string, EventType>;
+        /** Defaults to 10 attempts, from 1 second to 5 minutes apart. */
+        retry?: { maxAttempts?: number; baseDelay?: number; maxDelay?: number };
+        /** Milliseconds a posted event is remembered for deduplication. Defaults to 7 days. */
+        dedupeWindow?: number;
+        /** Defaults to 5 minutes. */
+        minRefreshInterval?: number;
+        /** If false, events are only posted by flush(). Defaults to true. */
+        autoFlush?: boolean;
+    }
+
+    interface TableSuggestion {
+        tableName: string;
+        score: number;
+    }
+
+    interface TableMatch {
+        posTable: string;
+        tableName: string | null;
+        score: number;
+        source: 'map' | 'exact' | 'fuzzy' | null;
+        suggestions: TableSuggestion[];
+    }
+
+    interface PosOutboxEntry {
+        seq: number;
+        /** transactionNumber/eventType[/sequence] */
+        dedupeKey: string;
+        /** TableEvent ID posted to QSR. */
+        id: string;
+        eventType: EventType;
+        posTable: string;
+        posEvent: PosEvent;
+        status: 'pending' | 'unmapped' | 'dead' | 'sent';
+        attempts: number;
+        queuedAt: string;
+        nextAttemptAt?: string;
+        lastError?: { message: string; status?: number };
+        tableName?: string;
+        suggestions?: TableSuggestion[];
+    }
+
+    interface UnmappedTable {
+        posTable: string;
+        events: number;
+        firstSeen: string;
+        lastSeen: string;
+        suggestions: TableSuggestion[];
+    }
+
+    interface PosFlushSummary {
+        sent: number;
+        unmapped: number;
+        dead: number;
+        pending: number;
+        nextAttemptAt: string | null;
+    }
+
+    interface PosBridgeReport {
+        siteUID: string;
+        pending: number;
+        unmapped: number;
+        dead: number;
+        unmappedTables: UnmappedTable[];
+        nextAttemptAt: string | null;
+        generatedAt: string;
+    }
+
+    interface PosBridgeEvents {
+        sent: (entry: PosOutboxEntry) => void;
+        retry: (payload: { entry: PosOutboxEntry; error: Error; delay: number }) => void;
+        deadLetter: (payload: { entry: PosOutboxEntry; error: Error }) => void;
+        unmappedTable: (payload: { posTable: string; suggestions: TableSuggestion[] }) => void;
+        tableMapped: (payload: { posTable: string; tableName: string; score: number }) => void;
+        error: (error: Error) => void;
+    }
+
+    class PosBridge extends EventEmitter {
+        constructor(qsr: QSR, options: PosBridgeOptions);
+        qsr: QSR;
+        siteUID: SiteInput;
+        store: Store;
+        tableMap: Record<string, string>;
+        matchThreshold: number;
+        eventTypes: Record<string, EventType>;
+        retry: { maxAttempts: number; baseDelay: number; maxDelay: number };
+        dedupeWindow: number;
+        minRefreshInterval: number;
+        autoFlush: boolean;
+        record(event: PosEvent): Promise<{ status: 'queued' | 'duplicate'; entry: PosOutboxEntry | Pick<PosOutboxEntry, 'seq' | 'dedupeKey' | 'eventType'> }>;
+        flush(): Promise<PosFlushSummary>;
+        mapTable(posTable: string, tableName: string): Promise<number>;
+        matchTable(posTable: string): Promise<TableMatch>;
+        unmappedTables(): Promise<UnmappedTable[]>;
+        deadLetters(): Promise<PosOutboxEntry[]>;
+        requeueDeadLetters(): Promise<number>;
+        report(): Promise<PosBridgeReport>;
+        stop(): void;
+        on<K extends keyof PosBridgeEvents>(event: K, listener: PosBridgeEvents[K]): this;
+        once<K extends keyof PosBridgeEvents>(event: K, listener: PosBridgeEvents[K]): this;
+        off<K extends keyof PosBridgeEvents>(event: K, listener: PosBridgeEvents[K]): this;
+    }
+
+    function matchTableName(posTable: string, tableNames: string[], threshold?: number): TableMatch;
+
+    /* Guestbook dedupe */
+
+    interface GuestbookDedupeOptions {
+        /** searchGuestbook criteria of the guests to scan. Defaults to the whole guestbook. */
+        search?: Omit<GuestSearch, 'guestsPerPage' | 'pageNumber'>;
+        /** Defaults to 100. */
+        guestsPerPage?: number;
+        /** Lowest Jaro-Winkler similarity, from 0 to 1, of matching first and last names. Defaults to 0.88. */
+        nameThreshold?: number;
+        /** Most guests sharing a phone number or email for it to be used. Defaults to 20. */
+        maxGroupSize?: number;
+        /** Defaults to the guest with a loyalty card, then the most recently updated. */
+        chooseSurvivor?: (guests: Guest[]) => Guest;
+        /** Store for the undo log. Defaults to a MemoryStore. Use a durable store in production. */
+        undoStore?: Store;
+        syncSource?: string;
+    }
+
+    type DuplicateSignal = 'loyalty' | 'phone' | 'email' | 'name';
+
+    interface MergeConflict {
+        /** firstName, lastName, email, loyalty, or customValues.{Name}. */
+        field: string;
+        kept: any;
+        dropped: any;
+        guestId: string;
+    }
+
+    interface MergeCluster {
+        survivorId: string;
+        duplicateIds: string[];
+        signals: DuplicateSignal[];
+        /** updateGuest data applied to the survivor. Empty if nothing changes. */
+        update: GuestUpdateInfo;
+        conflicts: MergeConflict[];
+        /** The guests as scanned, survivor first. */
+        guests: Guest[];
+    }
+
+    interface MergePlan {
+        companyUID: string;
+        generatedAt: string;
+        scanned: number;
+        clusters: MergeCluster[];
+        /** Phone numbers and emails shared by more than maxGroupSize guests. */
+        skippedKeys: { type: 'phone' | 'email' | 'loyalty'; value: string; guests: number }[];
+    }
+
+    interface GuestChange {
+        type: 'update' | 'remove' | 'add';
+        guestId: string;
+        data?: GuestUpdateInfo;
+    }
+
+    interface MergeResult {
+        runId: string;
+        dryRun: boolean;
+        merged: number;
+        removed: number;
+        skipped: { survivorId: string; reason: 'missing' | 'changed'; guestIds: string[] }[];
+        failed: { survivorId: string; error: Error }[];
+        actions: GuestChange[];
+    }
+
+    interface UndoResult {
+        runId: string;
+        dryRun: boolean;
+        reverted: number;
+        /** Re-added guests get new IDs. */
+        restored: { guestId: string; newGuestId: string }[];
+        failed: { guestId: string; type: 'update' | 'remove'; error: Error }[];
+        actions: GuestChange[];
+    }
+
+    class GuestbookDedupe {
+        constructor(qsr: QSR, options?: GuestbookDedupeOptions);
+        qsr: QSR;
+        search: object;
+        guestsPerPage: number;
+        nameThreshold: number;
+        maxGroupSize: number;
+        chooseSurvivor: (guests: Guest[]) => Guest;
+        undoStore: Store;
+        syncSource?: string;
+        scan(): Promise<Guest[]>;
+        findDuplicates(guests: Guest[]): { groups: Guest[][]; signals: Map<string, Set<DuplicateSignal>>; skippedKeys: MergePlan['skippedKeys'] };
+        plan(options?: { guests?: Guest[]; file?: string }): Promise<MergePlan>;
+        /** plan may be a MergePlan or the path of its JSON file. */
+        apply(plan: MergePlan | string, options?: { dryRun?: boolean; force?: boolean; runId?: string }): Promise<MergeResult>;
+        undo(runId: string, options?: { dryRun?: boolean }): Promise<UndoResult>;
+        runs(): Promise<string[]>;
+    }
+
+    function mergeGuests(survivor: Guest, duplicates: Guest[]): { update: GuestUpdateInfo; conflicts: MergeConflict[] };
+
+    /* Analytics */
+
+    interface AnalyticsData {
+        tableEvents?: TableEvent[];
+        tableHistory?: TableHistory[];
+        visits?: Visit[];
+    }
+
+    interface AnalyticsRange {
+        start: Date;
+        end: Date;
+    }
+
+    interface TableTimeline {
+        name: string;
+        seatCount: number;
+        station: string;
+        segments: TableSegment[];
+    }
+
+    interface TableSegment {
+        state: 'occupied' | 'dirty' | 'available';
+        start: Date;
+        end: Date;
+        startedInRange: boolean;
+        shift?: string;
+        station?: string;
+        partySize?: number;
+    }
+
+    interface TableTurnMetrics {
+        turns: number;
+        avgTurnMinutes: number | null;
+        avgDirtyToCleanMinutes: number | null;
+        occupiedMinutes: number;
+        dirtyMinutes: number;
+        idleMinutes: number;
+        covers: number;
+        seatUtilization: number | null;
+    }
+
+    interface TableTurnReport {
+        start: string;
+        end: string;
+        totals: TableTurnMetrics;
+        tables: Array<TableTurnMetrics & { table: string; seatCount: number; station: string }>;
+        stations: Array<TableTurnMetrics & { station: string; tables: number }>;
+        shifts: Array<TableTurnMetrics & { shift: string; tables: number }>;
+        timelines: TableTimeline[];
+    }
+
+    interface QuoteAccuracyOptions {
+        waitFrom?: 'creation' | 'arrival';
+        tolerance?: number;
+        bucketSize?: number;
+        timeZone?: string;
+    }
+
+    interface QuoteAccuracyMetrics {
+        visits: number;
+        seated: number;
+        overQuoteRate: number | null;
+        underQuoteRate: number | null;
+        withinQuoteRate: number | null;
+        meanAbsoluteError: number | null;
+        meanError: number | null;
+        meanQuotedWait: number | null;
+        meanActualWait: number | null;
+        walkAwayRate: number | null;
+        noShowRate: number | null;
+        cancelRate: number | null;
+    }
+
+    interface QuoteAccuracyReport {
+        totals: QuoteAccuracyMetrics;
+        byPartySize: Array<QuoteAccuracyMetrics & { key: number | string }>;
+        byHour: Array<QuoteAccuracyMetrics & { key: number }>;
+        byType: Array<QuoteAccuracyMetrics & { key: string }>;
+        bySeatingArea: Array<QuoteAccuracyMetrics & { key: string }>;
+        byQuoteBucket: Array<QuoteAccuracyMetrics & { key: string }>;
+    }
+
+    function buildTableTimelines(data: AnalyticsData, range: AnalyticsRange): TableTimeline[];
+    function tableTurnReport(data: AnalyticsData, range: AnalyticsRange): TableTurnReport;
+    function quoteAccuracyReport(visits: Visit[], options?: QuoteAccuracyOptions): QuoteAccuracyReport;
+
+    /* Export */
+
+    interface ExportColumn {
+        /** Dot path of the value. "[]" maps over an array, e.g. "SeatedTables[].TableName". */
+        path: string;
+        name?: string;
+        value?: (value: any, record: any) => unknown;
+        separator?: string;
+    }
+
+    interface FlattenerOptions {
+        type?: ExportType;
+        columns?: Array<string | ExportColumn>;
+        explode?: string;
+        separator?: string;
+    }
+
+    interface Flattener {
+        columns: string[];
+        rows(record: object): unknown[][];
+    }
+
+    interface WriteRecordsOptions extends FlattenerOptions {
+        /** File path, or a writable stream (left open). */
+        output: string | NodeJS.WritableStream;
+        format?: 'csv' | 'ndjson';
+        header?: boolean;
+        flatten?: boolean;
+    }
+
+    interface ExportRecordsOptions extends Omit<WriteRecordsOptions, 'type' | 'header' | 'flatten'> {
+        siteUID?: SiteInput;
+        start?: RangeStart;
+        end?: Date;
+        syncSource?: string;
+        search?: GuestSearch;
+    }
+
+    interface ExportSummary {
+        records: number;
+        rows: number;
+        columns: string[];
+    }
+
+    function createFlattener(options?: FlattenerOptions): Flattener;
+    function writeRecords(records: AsyncIterable<object> | Iterable<object>, options: WriteRecordsOptions): Promise<ExportSummary>;
+
+    /* Credentials */
+
+    interface Credentials {
+        accessKey: string;
+        secretKey: string;
+        expiration?: Date | string;
+        companyUID?: string;
+        baseURL?: string;
+    }
+
+    /** Any object that can be used in place of a CredentialsProvider. */
+    interface CredentialsSource {
+        getCredentials(options?: { forceRefresh?: boolean }): Promise<Credentials>;
+    }
+
+    class CredentialsProvider {
+        constructor(options?: { ttl?: number });
+        ttl: number;
+        getCredentials(options?: { forceRefresh?: boolean }): Promise<Credentials>;
+        refresh(): Promise<Credentials>;
+        load(): Promise<Credentials>;
+    }
+
+    class StaticCredentialsProvider extends CredentialsProvider {
+        constructor(credentials: Credentials);
+        credentials: Credentials;
+    }
+
+    class EnvCredentialsProvider extends CredentialsProvider {
+        constructor(options?: { accessKeyVariable?: string; secretKeyVariable?: string; env?: Record<string, string | undefined>; ttl?: number });
+        accessKeyVariable: string;
+        secretKeyVariable: string;
+        env: Record<string, string | undefined>;
+        read(): Partial<Credentials>;
+    }
+
+    class FileCredentialsProvider extends CredentialsProvider {
+        constructor(options?: { filePath?: string; profile?: string; ttl?: number });
+        filePath: string;
+        profile: string;
+    }
+
+    class CallbackCredentialsProvider extends CredentialsProvider {
+        constructor(callback: () => Credentials | Promise<Credentials>, options?: { ttl?: number });
+        callback: () => Credentials | Promise<Credentials>;
+    }
+
+    /* Signing */
+
+    type QueryParams = Record<string, unknown> | URLSearchParams | string;
+
+    interface SignRequest {
+        method?: string;
+        url: string;
+        params?: QueryParams;
+        body?: unknown;
+        contentType?: string;
+        timestamp?: Date | string;
+        accessKey: string;
+        secretKey: string;
+    }
+
+    interface SignatureHeaders {
+        Authorization: string;
+        'x-dinetime-timestamp': string;
+        'x-dinetime-signature-version': string;
+    }
+
+    interface VerifySignatureOptions {
+        secretKey?: string;
+        accessKey?: string;
+        getSecret?: (accessKey: string) => string | undefined | Promise<string | undefined>;
+        clockSkew?: number;
+        now?: Date | number;
+    }
+
+    interface SignatureVerification {
+        valid: boolean;
+        accessKey?: string;
+        timestamp?: string;
+        reason?: string;
+    }
+
+    function sign(request: SignRequest): SignatureHeaders;
+    function verifySignature(
+        req: { method: string; url: string; headers: Record<string, string | string[] | undefined>; body?: string | Buffer | object; rawBody?: string | Buffer },
+        options?: VerifySignatureOptions
+    ): Promise<SignatureVerification>;
+    function serializeBody(data: unknown, contentType?: string): { body: string | Buffer; contentType?: string };
+
+    /* Mock server */
+
+    interface MockData {
+        companyUID: string;
+        brands: Array<{ BrandUID: string; Name: string }>;
+        sites: Array<Site & { IsActive?: boolean }>;
+        siteData: Record<string, MockSiteData>;
+        guests: Guest[];
+        partnerSites: object[];
+        nextConfirmationId: number;
+    }
+
+    interface MockSiteData {
+        tables: Table[];
+        teamMembers: TeamMember[];
+        teamMemberEvents: TeamMemberEvent[];
+        visits: Visit[];
+        tableEvents: TableEvent[];
+        tableHistory: TableHistory[];
+        webAheadEnabled: boolean;
+    }
+
+    interface SeedOptions {
+        companyUID?: string;
+        seed?: number;
+        now?: Date;
+        visitsPerSite?: number;
+    }
+
+    interface MockServerOptions extends SeedOptions {
+        accessKey?: string;
+        secretKey?: string;
+        validateSignature?: boolean;
+        clockSkew?: number;
+        strictBodies?: boolean;
+        inclusiveCursor?: boolean;
+        clock?: () => number;
+        data?: MockData;
+    }
+
+    interface MockFault {
+        path?: string | RegExp;
+        method?: string;
+        status?: number;
+        body?: unknown;
+        headers?: Record<string, string>;
+        delay?: number;
+        reset?: boolean;
+        times?: number;
+    }
+
+    interface MockRequest {
+        method: string;
+        path: string;
+        query: Record<string, string>;
+        body: unknown;
+    }
+
+    class MockServer {
+        constructor(options?: MockServerOptions);
+        companyUID: string;
+        apiKeys: { accessKey: string; secretKey: string };
+        validateSignature: boolean;
+        clockSkew: number;
+        strictBodies: boolean;
+        inclusiveCursor: boolean;
+        clock: () => number;
+        data: MockData;
+        /** Requests received, in order. */
+        requests: MockRequest[];
+        /** Start listening. Resolves with the base URL, for the QSR baseURL option. */
+        start(port?: number): Promise<string>;
+        stop(): Promise<void>;
+        injectFault(fault: MockFault): MockFault & { hits: number };
+        clearFaults(): void;
+        site(siteUID: string): MockSiteData;
+    }
+
+    function createSeedData(options?: SeedOptions): MockData;
+
+    /* Time zones */
+
+    interface WallClock {
+        year: number;
+        month: number;
+        day: number;
+        hour?: number;
+        minute?: number;
+        second?: number;
+        millisecond?: number;
+    }
+
+    function resolveRange(range: LocalRange, timeZone: string, now?: Date): AnalyticsRange;
+    function zonedTimeToUtc(wallClock: WallClock, timeZone: string): Date;
+    function toZonedISOString(date: Date | number | string, timeZone: string): string;
+    function timeZoneOffset(date: Date | number, timeZone: string): number;
+
+    /* Schemas */
+
+    type FieldType = 'string' | 'integer' | 'number' | 'boolean' | 'date' | 'phone' | 'email' | 'object' | 'array';
+
+    interface FieldSpec {
+        key?: string;
+        type?: FieldType | FieldType[];
+        required?: boolean;
+        values?: unknown[];
+        min?: number;
+        max?: number;
+        fields?: Record<string, FieldSpec>;
+        items?: FieldSpec;
+    }
+
+    interface Schema {
+        readonly name: string;
+        readonly fields: Record<string, FieldSpec>;
+        readonly requireOne: string[][];
+    }
+
+    const SCHEMAS: {
+        readonly tableEvent: Schema;
+        readonly reservation: Schema;
+        readonly reservationUpdate: Schema;
+        readonly externalReservation: Schema;
+        readonly walkIn: Schema;
+        readonly webAhead: Schema;
+        readonly webAheadUpdate: Schema;
+        readonly guest: Schema;
+        readonly guestUpdate: Schema;
+        readonly proximity: Schema;
+        readonly partyMix: Schema;
+    };
+
+    function validate(schema: Schema, input?: object): ValidationProblem[];
+    function buildPayload(schema: Schema, input?: object): Record<string, unknown>;
+}
+
+export = QSR;
@@ -4,4 +4,81 @@
  * @author Steve Ostopchuck
  */
 
-module.exports = require('./lib/QSR');
\ No newline at end of file
+const QSR = require('./lib/QSR');
+const errors = require('./lib/errors');
+const RateLimiter = require('./lib/RateLimiter');
+const ResponseCache = require('./lib/ResponseCache');
+const SiteRegistry = require('./lib/SiteRegistry');
+const SyncEngine = require('./lib/SyncEngine');
+const VisitWatcher = require('./lib/VisitWatcher');
+const Waitlist = require('./lib/Waitlist');
+const ReservationBooking = require('./lib/ReservationBooking');
+const ReservationSync = require('./lib/ReservationSync');
+const reservationSources = require('./lib/reservationSources');
+const PosBridge = require('./lib/PosBridge');
+const GuestbookDedupe = require('./lib/GuestbookDedupe');
+const TableAnalytics = require('./lib/TableAnalytics');
+const { quoteAccuracyReport } = require('./lib/QuoteAnalytics');
+const { createFlattener, writeRecords } = require('./lib/export');
+const { MemoryStore, LruStore, JsonFileStore } = require('./lib/stores');
+const { MockServer, createSeedData } = require('./lib/mock/MockServer');
+const signer = require('./lib/signer');
+const credentials = require('./lib/credentials');
+const timezone = require('./lib/timezone');
+const schemas = require('./lib/schemas');
+
+module.exports = QSR;
+module.exports.QSR = QSR;
+module.exports.QSRError = errors.QSRError;
+module.exports.QSRConfigError = errors.QSRConfigError;
+module.exports.QSRValidationError = errors.QSRValidationError;
+module.exports.QSRRequestError = errors.QSRRequestError;
+module.exports.QSRCancelledError = errors.QSRCancelledError;
+module.exports.QSRAuthError = errors.QSRAuthError;
+module.exports.QSRNotFoundError = errors.QSRNotFoundError;
+module.exports.QSRConflictError = errors.QSRConflictError;
+module.exports.QSRGoneError = errors.QSRGoneError;
+module.exports.QSRServerError = errors.QSRServerError;
+module.exports.RateLimiter = RateLimiter;
+module.exports.ResponseCache = ResponseCache;
+module.exports.SiteRegistry = SiteRegistry;
+module.exports.SyncEngine = SyncEngine;
+module.exports.VisitWatcher = VisitWatcher;
+module.exports.Waitlist = Waitlist;
+module.exports.toWaitlistEntry = Waitlist.toWaitlistEntry;
+module.exports.ReservationBooking = ReservationBooking;
+module.exports.flattenAvailability = ReservationBooking.flattenAvailability;
+module.exports.ReservationSync = ReservationSync;
+module.exports.ReservationSource = reservationSources.ReservationSource;
+module.exports.JsonFeedSource = reservationSources.JsonFeedSource;
+module.exports.CallbackReservationSource = reservationSources.CallbackReservationSource;
+module.exports.PosBridge = PosBridge;
+module.exports.POS_EVENT_TYPES = PosBridge.POS_EVENT_TYPES;
+module.exports.matchTableName = PosBridge.matchTableName;
+module.exports.GuestbookDedupe = GuestbookDedupe;
+module.exports.mergeGuests = GuestbookDedupe.mergeGuests;
+module.exports.buildTableTimelines = TableAnalytics.buildTableTimelines;
+module.exports.tableTurnReport = TableAnalytics.tableTurnReport;
+module.exports.quoteAccuracyReport = quoteAccuracyReport;
+module.exports.createFlattener = createFlattener;
+module.exports.writeRecords = writeRecords;
+module.exports.MemoryStore = MemoryStore;
+module.exports.LruStore = LruStore;
+module.exports.JsonFileStore = JsonFileStore;
+module.exports.CredentialsProvider = credentials.CredentialsProvider;
+module.exports.StaticCredentialsProvider = credentials.StaticCredentialsProvider;
+module.exports.EnvCredentialsProvider = credentials.EnvCredentialsProvider;
+module.exports.FileCredentialsProvider = credentials.FileCredentialsProvider;
+module.exports.CallbackCredentialsProvider = credentials.CallbackCredentialsProvider;
+module.exports.sign = signer.sign;
+module.exports.verifySignature = signer.verifySignature;
+module.exports.serializeBody = signer.serializeBody;
+module.exports.MockServer = MockServer;
+module.exports.createSeedData = createSeedData;
+module.exports.resolveRange = timezone.resolveRange;
+module.exports.zonedTimeToUtc = timezone.zonedTimeToUtc;
+module.exports.toZonedISOString = timezone.toZonedISOString;
+module.exports.timeZoneOffset = timezone.timeZoneOffset;
+module.exports.SCHEMAS = schemas.SCHEMAS;
+module.exports.validate = schemas.validate;
+module.exports.buildPayload = schemas.buildPayload;
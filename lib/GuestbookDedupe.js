@@ -0,0 +1,565 @@
+/**
+ * QSR Guestbook Dedupe Class File
+ * @author Steve Ostopchuck
+ */
+const fs = require('fs');
+const { MemoryStore } = require('./stores');
+const { QSRConfigError } = require('./errors');
+const { SCHEMAS } = require('./schemas');
+const { guestPages } = require('./export');
+
+/** Guest fields merged into the survivor, with the record key read for each. */
+const GUEST_KEYS = Object.fromEntries(Object.entries(SCHEMAS.guestUpdate.fields).map(([field, spec]) => [field, spec.key]));
+
+/** Record keys also read for a field. Guest records spell the SMS flag IsSubscribedtoSmsMarketing. */
+const ALTERNATE_KEYS = { isSubedToSms: 'IsSubscribedtoSmsMarketing' };
+
+const MARKETING_FIELDS = ['isSubedToSms', 'isSubedToEmail', 'isSubedToQsr'];
+
+/**
+ *  Finds duplicate guest profiles in the company guestbook and merges each group into one survivor.
+ *  Two guests are duplicates if they have the same loyalty card, or the same phone number or email and similar names.
+ *  Guests with different loyalty cards are never merged. A phone number or email shared by more than maxGroupSize
+ *  guests (e.g. the store's own number, typed in for walk-ins) is ignored and listed in the plan.
+ *  plan() scans the guestbook and returns a merge plan to review. apply() merges each group with updateGuest, keeping
+ *  the union of phone numbers, addresses, custom values and marketing opt-ins, then deletes the other guests with
+ *  removeGuest. Each change is written to the undo log before it is made, and undo() reverts a run.
+ */
+class GuestbookDedupe {
+    'use strict'
+
+    /**
+     * Create a GuestbookDedupe.
+     * @param {QSR} qsr - QSR instance.
+     * @param {Object} [options] - Optional.
+     * @param {Object} [options.search] - Optional. searchGuestbook criteria of the guests to scan. Defaults to the whole guestbook.
+     * @param {number} [options.guestsPerPage] - Optional. Guests per searchGuestbook page. Defaults to 100.
+     * @param {number} [options.nameThreshold] - Optional. Lowest Jaro-Winkler similarity, from 0 to 1, of matching first and last names. Defaults to 0.88.
+     * @param {number} [options.maxGroupSize] - Optional. Most guests sharing a phone number or email for it to be used. Defaults to 20.
+     * @param {Function} [options.chooseSurvivor] - Optional. Function returning the guest to keep from a group of Guest records. Defaults to the guest with a loyalty card, then the most recently updated.
+     * @param {Object} [options.undoStore] - Optional. Store for the undo log, see MemoryStore and JsonFileStore. Use a durable store in production. Defaults to a MemoryStore.
+     * @param {string} [options.syncSource] - Optional. QSR-defined string representing a source of records, passed to updateGuest, removeGuest and addGuest.
+     */
+    constructor(qsr, options = {}) {
+        this.qsr = qsr;
+        this.search = options.search || {};
+        this.guestsPerPage = options.guestsPerPage || 100;
+        this.nameThreshold = options.nameThreshold ?? 0.88;
+        this.maxGroupSize = options.maxGroupSize ?? 20;
+        this.chooseSurvivor = options.chooseSurvivor || defaultSurvivor;
+        this.undoStore = options.undoStore || new MemoryStore();
+        this.syncSource = options.syncSource;
+    }
+
+    /**
+     * Read the guests to scan.
+     * @returns {Promise<Guest[]>} - Guest records.
+     */
+    async scan() {
+        const guests = [];
+        for await (const page of guestPages(this.qsr, this.search, this.guestsPerPage)) guests.push(...page.items);
+        return guests;
+    }
+
+    /**
+     * Group likely duplicate guests.
+     * Guests with different loyalty cards never end up in the same group, even through a guest without a card
+     * that matches both: the first match joins the groups, and the card of that group then keeps the other out.
+     * @param {Guest[]} guests - Guest records, e.g. from scan().
+     * @returns {Object} - { groups: Guest[][] with two or more guests each, signals: Map of guest ID to matching signals, skippedKeys }.
+     */
+    findDuplicates(guests) {
+        const buckets = new Map();
+        for (const guest of guests) {
+            for (const key of matchKeys(guest)) {
+                if (!buckets.has(key)) buckets.set(key, []);
+                buckets.get(key).push(guest);
+            }
+        }
+        const parent = new Map(guests.map(guest => [guest.ID, guest.ID]));
+        // Loyalty card of each group, by root ID
+        const cards = new Map(guests.filter(guest => guest.Loyalty?.LoyaltyCardID)
+            .map(guest => [guest.ID, normalizeText(guest.Loyalty.LoyaltyCardID)]));
+        const root = id => {
+            while (parent.get(id) !== id) {
+                parent.set(id, parent.get(parent.get(id)));
+                id = parent.get(id);
+            }
+            return id;
+        };
+        const signals = new Map();
+        const addSignals = (id, types) => signals.set(id, new Set([...(signals.get(id) || []), ...types]));
+        const skippedKeys = [];
+        for (const [key, members] of buckets) {
+            if (members.length < 2) continue;
+            const [type, value] = splitKey(key);
+            if (members.length > this.maxGroupSize) {
+                skippedKeys.push({ type, value, guests: members.length });
+                continue;
+            }
+            for (let i = 0; i < members.length; i++) {
+                for (let j = i + 1; j < members.length; j++) {
+                    const [a, b] = [members[i], members[j]];
+                    if (!this.#isDuplicate(type, a, b)) continue;
+                    const [rootA, rootB] = [root(a.ID), root(b.ID)];
+                    if (rootA !== rootB) {
+                        const [cardA, cardB] = [cards.get(rootA), cards.get(rootB)];
+                        if (cardA && cardB && cardA !== cardB) continue;
+                        parent.set(rootA, rootB);
+                        if (cardA) cards.set(rootB, cardA);
+                    }
+                    for (const guest of [a, b]) addSignals(guest.ID, type === 'loyalty' ? [type] : [type, 'name']);
+                }
+            }
+        }
+        const groups = new Map();
+        for (const guest of guests) {
+            const id = root(guest.ID);
+            if (!groups.has(id)) groups.set(id, []);
+            groups.get(id).push(guest);
+        }
+        return {
+            groups: [...groups.values()].filter(group => group.length > 1),
+            signals,
+            skippedKeys
+        };
+    }
+
+    /**
+     * Scan the guestbook and build the merge plan. Nothing is changed.
+     * @param {Object} [options] - Optional.
+     * @param {Guest[]} [options.guests] - Optional. Guest records to use instead of scanning.
+     * @param {string} [options.file] - Optional. Path of a JSON file the plan is written to, for review.
+     * @returns {Promise<MergePlan>} - MergePlan.
+     */
+    async plan(options = {}) {
+        const guests = options.guests || await this.scan();
+        const { groups, signals, skippedKeys } = this.findDuplicates(guests);
+        const plan = {
+            companyUID: this.qsr.companyUID,
+            generatedAt: new Date().toISOString(),
+            scanned: guests.length,
+            clusters: groups.map(group => {
+                const survivor = this.chooseSurvivor(group) || group[0];
+                const duplicates = group.filter(guest => guest.ID !== survivor.ID);
+                const { update, conflicts } = mergeGuests(survivor, duplicates);
+                return {
+                    survivorId: survivor.ID,
+                    duplicateIds: duplicates.map(guest => guest.ID),
+                    signals: [...new Set(group.flatMap(guest => [...(signals.get(guest.ID) || [])]))].sort(),
+                    update,
+                    conflicts,
+                    guests: [survivor, ...duplicates]
+                };
+            }),
+            skippedKeys
+        };
+        if (options.file) await fs.promises.writeFile(options.file, JSON.stringify(plan, null, 2));
+        return plan;
+    }
+
+    /**
+     * Apply a merge plan. Each group is checked again first, and skipped if any of its guests was deleted or updated
+     * since the plan was made. Each change is written to the undo log before it is made.
+     * @param {MergePlan|string} plan - MergePlan, or the path of its JSON file.
+     * @param {Object} [options] - Optional.
+     * @param {boolean} [options.dryRun] - Optional. If true, the groups are checked and the changes listed, but nothing is changed or logged.
+     * @param {boolean} [options.force] - Optional. If true, groups with guests updated since the plan are merged anyway.
+     * @param {string} [options.runId] - Optional. Identifier of the run in the undo log. Defaults to the current time.
+     * @returns {Promise<MergeResult>} - MergeResult.
+     * @throws {QSRConfigError} - If the plan is for another company.
+     */
+    async apply(plan, options = {}) {
+        if (typeof plan === 'string') plan = JSON.parse(await fs.promises.readFile(plan, 'utf8'));
+        if (plan.companyUID !== this.qsr.companyUID) {
+            throw new QSRConfigError(`QSR Error: The merge plan is for company ${plan.companyUID}, not ${this.qsr.companyUID}.`);
+        }
+        const dryRun = Boolean(options.dryRun);
+        const runId = options.runId || new Date().toISOString();
+        const result = { runId, dryRun, merged: 0, removed: 0, skipped: [], failed: [], actions: [] };
+        let seq = (await this.undoStore.keys(this.#undoPrefix(runId))).length;
+        for (const cluster of plan.clusters) {
+            const current = await Promise.all(cluster.guests.map(guest => this.#current(guest.ID)));
+            const missing = cluster.guests.filter((guest, i) => !current[i]);
+            const changed = cluster.guests.filter((guest, i) => current[i] && current[i].LastUpdate !== guest.LastUpdate);
+            if (missing.length || (changed.length && !options.force)) {
+                const reason = missing.length ? 'missing' : 'changed';
+                result.skipped.push({ survivorId: cluster.survivorId, reason, guestIds: (missing.length ? missing : changed).map(guest => guest.ID) });
+                continue;
+            }
+            const actions = [];
+            if (Object.keys(cluster.update).length) actions.push({ type: 'update', guestId: cluster.survivorId, data: cluster.update });
+            for (const guestId of cluster.duplicateIds) actions.push({ type: 'remove', guestId });
+            result.actions.push(...actions);
+            if (dryRun) {
+                result.merged++;
+                result.removed += cluster.duplicateIds.length;
+                continue;
+            }
+            try {
+                for (const action of actions) {
+                    const guest = current[cluster.guests.findIndex(candidate => candidate.ID === action.guestId)];
+                    const key = `${this.#undoPrefix(runId)}${String(++seq).padStart(6, '0')}`;
+                    const entry = action.type === 'update'
+                        ? { ...action, before: pickFields(guestData(guest), Object.keys(action.data)), applied: false }
+                        : { ...action, guest, applied: false };
+                    await this.undoStore.set(key, { ...entry, survivorId: cluster.survivorId, loggedAt: new Date().toISOString() });
+                    if (action.type === 'update') await this.qsr.updateGuest(action.guestId, action.data, this.syncSource);
+                    else await this.qsr.removeGuest(action.guestId, this.syncSource);
+                    await this.undoStore.set(key, { ...entry, survivorId: cluster.survivorId, loggedAt: new Date().toISOString(), applied: true });
+                    if (action.type === 'remove') result.removed++;
+                }
+                result.merged++;
+            } catch (error) {
+                result.failed.push({ survivorId: cluster.survivorId, error });
+            }
+        }
+        return result;
+    }
+
+    /**
+     * Revert a run of apply(), newest change first: survivors get their previous values back and removed guests are
+     * added again. Re-added guests get new IDs, listed in the result. Values that were empty before a merge are left filled.
+     * @param {string} runId - Identifier of the run, from MergeResult.runId.
+     * @param {Object} [options] - Optional.
+     * @param {boolean} [options.dryRun] - Optional. If true, the changes are listed, but nothing is changed.
+     * @returns {Promise<UndoResult>} - UndoResult.
+     */
+    async undo(runId, options = {}) {
+        const dryRun = Boolean(options.dryRun);
+        const result = { runId, dryRun, reverted: 0, restored: [], failed: [], actions: [] };
+        const keys = (await this.undoStore.keys(this.#undoPrefix(runId))).sort().reverse();
+        for (const key of keys) {
+            const entry = await this.undoStore.get(key);
+            if (!entry?.applied || entry.undoneAt) continue;
+            const action = entry.type === 'update'
+                ? { type: 'update', guestId: entry.guestId, data: entry.before }
+                : { type: 'add', guestId: entry.guestId, data: guestData(entry.guest) };
+            result.actions.push(action);
+            if (dryRun) continue;
+            try {
+                if (action.type === 'update') {
+                    if (Object.keys(action.data).length) await this.qsr.updateGuest(action.guestId, action.data, this.syncSource);
+                    result.reverted++;
+                    await this.undoStore.set(key, { ...entry, undoneAt: new Date().toISOString() });
+                } else {
+                    const guest = await this.qsr.addGuest(action.data, this.syncSource);
+                    result.restored.push({ guestId: entry.guestId, newGuestId: guest?.ID });
+                    await this.undoStore.set(key, { ...entry, undoneAt: new Date().toISOString(), restoredAs: guest?.ID });
+                }
+            } catch (error) {
+                result.failed.push({ guestId: entry.guestId, type: entry.type, error });
+            }
+        }
+        return result;
+    }
+
+    /**
+     * List the runs in the undo log.
+     * @returns {Promise<string[]>} - Run identifiers, oldest first.
+     */
+    async runs() {
+        const prefix = `guestbook-dedupe/${this.qsr.companyUID}/undo/`;
+        const keys = await this.undoStore.keys(prefix);
+        return [...new Set(keys.map(key => decodeURIComponent(key.slice(prefix.length).split('/')[0])))].sort();
+    }
+
+    /**
+     * Internal function to decide whether two guests sharing a match key are duplicates.
+     * @param {string} type - Type of the shared key: loyalty, phone or email.
+     * @param {Guest} a - Guest.
+     * @param {Guest} b - Guest.
+     * @returns {boolean} - True if they are duplicates.
+     */
+    #isDuplicate(type, a, b) {
+        const cardA = a.Loyalty?.LoyaltyCardID;
+        const cardB = b.Loyalty?.LoyaltyCardID;
+        if (cardA && cardB && normalizeText(cardA) !== normalizeText(cardB)) return false;
+        if (type === 'loyalty') return true;
+        return namesMatch(a, b, this.nameThreshold);
+    }
+
+    /**
+     * Internal function to get the current record of a guest.
+     * @param {string} guestId - A globally unique identifier for a QSR guest record.
+     * @returns {Promise<Guest|null>} - The guest, or null if it no longer exists.
+     */
+    async #current(guestId) {
+        const guests = await this.qsr.searchGuestbook({ guestId });
+        return (guests || []).find(guest => guest.ID === guestId) || null;
+    }
+
+    /**
+     * Internal function to get the undo log key prefix of a run.
+     * @param {string} runId - Identifier of the run.
+     * @returns {string} - Store key prefix.
+     */
+    #undoPrefix(runId) {
+        return `guestbook-dedupe/${this.qsr.companyUID}/undo/${encodeURIComponent(runId)}/`;
+    }
+}
+
+/**
+ * Get the keys a guest can be matched on: normalized loyalty card, phone numbers and email.
+ * @param {Guest} guest - Guest.
+ * @returns {string[]} - Keys, e.g. "phone:7045551000".
+ */
+function matchKeys(guest) {
+    const keys = new Set();
+    if (guest.Loyalty?.LoyaltyCardID) keys.add(`loyalty:${normalizeText(guest.Loyalty.LoyaltyCardID)}`);
+    for (const phone of guest.PhoneNumbers || []) {
+        const number = normalizePhone(phone.PhoneNumber || phone.PhoneNumberString);
+        if (number) keys.add(`phone:${number}`);
+    }
+    const email = normalizeEmail(guest.Email);
+    if (email) keys.add(`email:${email}`);
+    return [...keys];
+}
+
+/**
+ * Split a match key into its type and value.
+ * @param {string} key - Match key.
+ * @returns {string[]} - [type, value].
+ */
+function splitKey(key) {
+    const index = key.indexOf(':');
+    return [key.slice(0, index), key.slice(index + 1)];
+}
+
+/**
+ * Normalize a phone number to its last 10 digits.
+ * @param {string} phone - Phone number in any format.
+ * @returns {string|null} - Digits, or null if too short or a placeholder such as 0000000000.
+ */
+function normalizePhone(phone) {
+    const digits = String(phone || '').replace(/\D/g, '').slice(-10);
+    if (digits.length < 7 || /^(\d)\1+$/.test(digits)) return null;
+    return digits;
+}
+
+/**
+ * Normalize an email address.
+ * @param {string} email - Email.
+ * @returns {string|null} - Trimmed lower case email, or null if it is not one.
+ */
+function normalizeEmail(email) {
+    const value = String(email || '').trim().toLowerCase();
+    return value.includes('@') ? value : null;
+}
+
+/**
+ * Normalize text for comparison: lower case letters and digits, without accents.
+ * @param {string} value - Text.
+ * @returns {string} - Normalized text.
+ */
+function normalizeText(value) {
+    return String(value || '').normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+/**
+ * Determine whether two guests have matching names: similar last names, and similar first names, one first name
+ * being the other's initial, or a first name missing.
+ * @param {Guest} a - Guest.
+ * @param {Guest} b - Guest.
+ * @param {number} threshold - Lowest Jaro-Winkler similarity of matching names.
+ * @returns {boolean} - True if the names match.
+ */
+function namesMatch(a, b, threshold) {
+    const [lastA, lastB] = [normalizeText(a.LastName), normalizeText(b.LastName)];
+    if (!lastA || !lastB || jaroWinkler(lastA, lastB) < threshold) return false;
+    const [firstA, firstB] = [normalizeText(a.FirstName), normalizeText(b.FirstName)];
+    if (!firstA || !firstB) return true;
+    if (firstA.length === 1 || firstB.length === 1) return firstA[0] === firstB[0];
+    return jaroWinkler(firstA, firstB) >= threshold;
+}
+
+/**
+ * Jaro-Winkler similarity of two strings.
+ * @param {string} a - String.
+ * @param {string} b - String.
+ * @returns {number} - Similarity from 0 to 1.
+ */
+function jaroWinkler(a, b) {
+    if (a === b) return 1;
+    const window = Math.max(0, Math.floor(Math.max(a.length, b.length) / 2) - 1);
+    const matchedA = new Array(a.length).fill(false);
+    const matchedB = new Array(b.length).fill(false);
+    let matches = 0;
+    for (let i = 0; i < a.length; i++) {
+        for (let j = Math.max(0, i - window); j < Math.min(b.length, i + window + 1); j++) {
+            if (matchedB[j] || a[i] !== b[j]) continue;
+            matchedA[i] = matchedB[j] = true;
+            matches++;
+            break;
+        }
+    }
+    if (!matches) return 0;
+    let transpositions = 0;
+    for (let i = 0, j = 0; i < a.length; i++) {
+        if (!matchedA[i]) continue;
+        while (!matchedB[j]) j++;
+        if (a[i] !== b[j++]) transpositions++;
+    }
+    const jaro = (matches / a.length + matches / b.length + (matches - transpositions / 2) / matches) / 3;
+    let prefix = 0;
+    while (prefix < Math.min(4, a.length, b.length) && a[prefix] === b[prefix]) prefix++;
+    return jaro + prefix * 0.1 * (1 - jaro);
+}
+
+/**
+ * Default survivor of a group: the guest with a loyalty card, then the most recently updated.
+ * @param {Guest[]} guests - Group of duplicate guests.
+ * @returns {Guest} - Guest to keep.
+ */
+function defaultSurvivor(guests) {
+    return [...guests].sort((a, b) => Boolean(b.Loyalty?.LoyaltyCardID) - Boolean(a.Loyalty?.LoyaltyCardID)
+        || String(b.LastUpdate || '').localeCompare(String(a.LastUpdate || ''))
+        || a.ID.localeCompare(b.ID))[0];
+}
+
+/**
+ * Read the updatable fields of a guest record.
+ * @param {Guest} guest - Guest record.
+ * @returns {Object} - updateGuest data, without empty fields.
+ */
+function guestData(guest) {
+    const data = {};
+    for (const [field, key] of Object.entries(GUEST_KEYS)) {
+        const value = guest[key] ?? guest[ALTERNATE_KEYS[field]];
+        if (value !== undefined && value !== null) data[field] = value;
+    }
+    return data;
+}
+
+/**
+ * Pick fields of an object.
+ * @param {Object} data - Object.
+ * @param {string[]} fields - Fields.
+ * @returns {Object} - The fields of data that are set.
+ */
+function pickFields(data, fields) {
+    return Object.fromEntries(fields.filter(field => data[field] !== undefined).map(field => [field, data[field]]));
+}
+
+/**
+ * Merge duplicate guests into the survivor.
+ * Empty names, email and loyalty card are filled from the duplicates, notes are joined, marketing opt-ins are kept if
+ * any guest opted in, and phone numbers, addresses and custom values are the union of all guests'.
+ * @param {Guest} survivor - Guest to keep.
+ * @param {Guest[]} duplicates - Guests merged into it.
+ * @returns {Object} - { update: updateGuest data of the changed fields, conflicts: values of the duplicates that were not kept }.
+ */
+function mergeGuests(survivor, duplicates) {
+    const kept = guestData(survivor);
+    const others = duplicates.map(guestData);
+    const update = {};
+    const conflicts = [];
+    for (const field of ['firstName', 'lastName', 'email', 'loyalty']) {
+        const text = data => (field === 'loyalty' ? data.loyalty?.LoyaltyCardID : data[field]);
+        let value = text(kept);
+        for (const [i, other] of others.entries()) {
+            const otherValue = text(other);
+            if (!otherValue) continue;
+            if (!value) {
+                update[field] = other[field];
+                value = otherValue;
+            } else if (normalizeText(otherValue) !== normalizeText(value)) {
+                conflicts.push({ field, kept: value, dropped: otherValue, guestId: duplicates[i].ID });
+            }
+        }
+    }
+    const notes = [...new Set([kept, ...others].map(data => String(data.notes || '').trim()).filter(Boolean))];
+    if (notes.join('\n') !== String(kept.notes || '').trim()) update.notes = notes.join('\n');
+    for (const field of MARKETING_FIELDS) {
+        if (!kept[field] && others.some(other => other[field] === true)) update[field] = true;
+    }
+    const phones = union(kept.phoneNumbers, others.map(other => other.phoneNumbers),
+        phone => normalizePhone(phone.PhoneNumber || phone.PhoneNumberString) || String(phone.PhoneNumber));
+    if (phones) update.phoneNumbers = phones;
+    const addresses = union(kept.addresses, others.map(other => other.addresses),
+        address => normalizeText([address.Address, address.Address2, address.City, address.Postal].join('|')));
+    if (addresses) update.addresses = addresses;
+    const names = new Map((kept.customValues || []).map(value => [normalizeText(value.Name), value]));
+    const added = [];
+    for (const [i, other] of others.entries()) {
+        for (const value of other.customValues || []) {
+            const existing = names.get(normalizeText(value.Name));
+            if (!existing) {
+                names.set(normalizeText(value.Name), value);
+                added.push(value);
+            } else if (existing.Value !== value.Value) {
+                conflicts.push({ field: `customValues.${existing.Name}`, kept: existing.Value, dropped: value.Value, guestId: duplicates[i].ID });
+            }
+        }
+    }
+    if (added.length) update.customValues = [...(kept.customValues || []), ...added];
+    return { update, conflicts };
+}
+
+/**
+ * Union of the survivor's list and the duplicates' lists. Added items lose their ID and are sorted after the survivor's.
+ * @param {Object[]} [list] - Optional. Survivor's list.
+ * @param {Object[][]} others - Duplicates' lists.
+ * @param {Function} key - Identity of an item.
+ * @returns {Object[]|null} - The union, or null if nothing was added.
+ */
+function union(list = [], others, key) {
+    const keys = new Set(list.map(key));
+    const added = [];
+    for (const item of others.flat()) {
+        if (!item || keys.has(key(item))) continue;
+        keys.add(key(item));
+        const { ID, ...copy } = item;
+        added.push(copy);
+    }
+    if (!added.length) return null;
+    return [...list, ...added.map((item, i) => ('Sort' in item ? { ...item, Sort: list.length + i } : item))];
+}
+
+module.exports = GuestbookDedupe;
+module.exports.GuestbookDedupe = GuestbookDedupe;
+module.exports.mergeGuests = mergeGuests;
+module.exports.normalizePhone = normalizePhone;
+module.exports.jaroWinkler = jaroWinkler;
+
+/** Type Definitions */
+
+/**
+ * @typedef {Object} MergePlan
+ * @property {string} companyUID - Globally unique identifier for the company.
+ * @property {string} generatedAt - Time of the plan in ISO 8601 format.
+ * @property {number} scanned - Guests scanned.
+ * @property {MergeCluster[]} clusters - Groups of duplicates.
+ * @property {Object[]} skippedKeys - { type, value, guests } of each phone number or email shared by more than maxGroupSize guests.
+ */
+
+/**
+ * @typedef {Object} MergeCluster
+ * @property {string} survivorId - ID of the guest kept.
+ * @property {string[]} duplicateIds - IDs of the guests merged into it and removed.
+ * @property {string[]} signals - What matched: loyalty, phone, email and name.
+ * @property {Object} update - updateGuest data applied to the survivor. Empty if nothing changes.
+ * @property {Object[]} conflicts - { field, kept, dropped, guestId } of each value of a duplicate that was not kept.
+ * @property {Guest[]} guests - The guests as scanned, survivor first.
+ */
+
+/**
+ * @typedef {Object} MergeResult
+ * @property {string} runId - Identifier of the run in the undo log.
+ * @property {boolean} dryRun - True if nothing was changed.
+ * @property {number} merged - Groups merged.
+ * @property {number} removed - Guests removed.
+ * @property {Object[]} skipped - { survivorId, reason, guestIds } of each group skipped. reason is missing or changed.
+ * @property {Object[]} failed - { survivorId, error } of each group that failed part way. Its finished changes are in the undo log.
+ * @property {Object[]} actions - { type, guestId, data } of each change, made or, in a dry run, planned.
+ */
+
+/**
+ * @typedef {Object} UndoResult
+ * @property {string} runId - Identifier of the run.
+ * @property {boolean} dryRun - True if nothing was changed.
+ * @property {number} reverted - Survivors given their previous values back.
+ * @property {Object[]} restored - { guestId, newGuestId } of each removed guest added again.
+ * @property {Object[]} failed - { guestId, type, error } of each change that could not be reverted.
+ * @property {Object[]} actions - { type, guestId, data } of each change, made or, in a dry run, planned.
+ */
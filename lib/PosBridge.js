@@ -0,0 +1,663 @@
+/**
+ * QSR POS Bridge Class File
+ * @author Steve Ostopchuck
+ */
+const crypto = require('crypto');
+const EventEmitter = require('events');
+const { MemoryStore } = require('./stores');
+const { QSRConfigError, QSRRequestError, QSRServerError } = require('./errors');
+const { TABLE_EVENT_TYPES, defineSchema, buildPayload } = require('./schemas');
+
+const MINUTE = 60 * 1000;
+const DAY = 24 * 60 * MINUTE;
+
+/** QSR table event type of each POS check lifecycle event. */
+const POS_EVENT_TYPES = Object.freeze({
+    checkOpened: 'TableOpened',
+    itemsOrdered: 'ItemsOrdered',
+    courseFired: 'ItemsOrdered',
+    courseComplete: 'CourseComplete',
+    checkPrinted: 'CheckPrinted',
+    partialPayment: 'CheckPartialPayment',
+    checkPaid: 'CheckPaid',
+    checkClosed: 'CheckPaid',
+    tableScanned: 'TableScanned',
+    tableCleared: 'TableCleared',
+    tableDirtied: 'TableDirtied'
+});
+
+/** Schema of the POS events passed to record. */
+const POS_EVENT = defineSchema('POS event', {
+    type: { key: 'type', type: 'string', required: true },
+    table: { key: 'table', type: ['string', 'number'], required: true },
+    transactionNumber: { key: 'transactionNumber', type: ['string', 'number'], required: true },
+    time: { key: 'time', type: 'date' },
+    amount: { key: 'amount', type: 'number', min: 0 },
+    sequence: { key: 'sequence', type: ['string', 'number'] }
+});
+
+/** Statuses of QSR errors worth another attempt. Network errors have no status and are retried too. */
+const TRANSIENT_STATUSES = [408, 429];
+
+/**
+ *  Bridge from a POS's check lifecycle to QSR table events.
+ *  Each POS event is mapped to a QSR event type, queued in a durable outbox (one store key per event), and posted
+ *  with addTableEvent in the order it was recorded. Events are deduplicated by transaction number, event type and
+ *  sequence, so a POS that sends the same event twice, or a restart that replays its log, posts it once.
+ *  An event that fails with a network, timeout, 429 or server error stops the outbox and is retried with backoff,
+ *  keeping the order. One rejected by QSR for any other reason is moved to the dead letters and the outbox goes on.
+ *  POS table names are matched to the names of getTables: first the manual tableMap, then an exact match ignoring case,
+ *  punctuation, "Table" prefixes and leading zeros, then the closest fuzzy match. Events of tables that do not match
+ *  are parked in the outbox, listed by unmappedTables(), and posted once mapTable() maps the table.
+ *
+ *  Events:
+ *   - "sent" (PosOutboxEntry) - An event was posted to QSR.
+ *   - "retry" ({ entry, error, delay }) - Posting an event failed and will be retried in delay milliseconds.
+ *   - "deadLetter" ({ entry, error }) - An event was rejected, or failed maxAttempts times, and will not be retried.
+ *   - "unmappedTable" ({ posTable, suggestions }) - A POS table matched no QSR table. Emitted once per table name.
+ *   - "tableMapped" ({ posTable, tableName, score }) - A POS table was matched to a QSR table by fuzzy matching.
+ *   - "error" (Error) - Flushing the outbox failed, e.g. the store is unavailable. Emitted only if listened to.
+ */
+class PosBridge extends EventEmitter {
+    'use strict'
+    #siteUID = null;
+    #tables = null;
+    #tablesLoadedAt = 0;
+    #matches = new Map();
+    #reported = new Set();
+    #queue = Promise.resolve();
+    #flushing = null;
+    #flushAgain = false;
+    #timer = null;
+    #prunedAt = 0;
+
+    /**
+     * Create a PosBridge.
+     * @param {QSR} qsr - QSR instance.
+     * @param {Object} options - Bridge options.
+     * @param {string|SiteRef} options.siteUID - Globally unique identifier for the site of the POS, or a SiteRef.
+     * @param {Object} [options.store] - Optional. Store for the outbox, see MemoryStore and JsonFileStore. Use a durable store in production. Defaults to a MemoryStore.
+     * @param {Object<string, string>} [options.tableMap] - Optional. QSR table name of POS table names, used before matching, e.g. { 'BAR 01': 'B9' }.
+     * @param {number} [options.matchThreshold] - Optional. Lowest similarity, from 0 to 1, of a fuzzy table match. Defaults to 0.75.
+     * @param {Object<string, string>} [options.eventTypes] - Optional. QSR event types of POS event types, added to or replacing POS_EVENT_TYPES.
+     * @param {Object} [options.retry] - Optional. { maxAttempts, baseDelay, maxDelay } of failed events. Defaults to 10 attempts, from 1 second to 5 minutes apart.
+     * @param {number} [options.dedupeWindow] - Optional. Milliseconds a posted event is remembered for deduplication. Defaults to 7 days.
+     * @param {number} [options.minRefreshInterval] - Optional. Minimum milliseconds between loads of the QSR tables when a POS table does not match. Defaults to 5 minutes.
+     * @param {boolean} [options.autoFlush] - Optional. If false, events are only posted by flush(). Defaults to true.
+     */
+    constructor(qsr, options = {}) {
+        super();
+        if (!options.siteUID) throw new QSRConfigError('QSR Error: PosBridge requires a siteUID.');
+        this.qsr = qsr;
+        this.siteUID = options.siteUID;
+        this.store = options.store || new MemoryStore();
+        this.tableMap = { ...options.tableMap };
+        this.matchThreshold = options.matchThreshold ?? 0.75;
+        this.eventTypes = { ...POS_EVENT_TYPES, ...options.eventTypes };
+        for (const [posType, eventType] of Object.entries(this.eventTypes)) {
+            if (!TABLE_EVENT_TYPES.includes(eventType)) {
+                throw new QSRConfigError(`QSR Error: POS event type ${posType} maps to ${eventType}, which is not one of ${TABLE_EVENT_TYPES.join(', ')}.`);
+            }
+        }
+        this.retry = { maxAttempts: 10, baseDelay: 1000, maxDelay: 5 * MINUTE, ...options.retry };
+        this.dedupeWindow = options.dedupeWindow ?? 7 * DAY;
+        this.minRefreshInterval = options.minRefreshInterval ?? 5 * MINUTE;
+        this.autoFlush = options.autoFlush ?? true;
+    }
+
+    /**
+     * Record a POS event. It is queued in the outbox, then posted by the next flush.
+     * @example
+     * await bridge.record({ type: 'checkPaid', table: 'Table 12', transactionNumber: 40213, amount: 86.5 });
+     * @param {PosEvent} event - PosEvent.
+     * @returns {Promise<Object>} - { status: 'queued', entry } or, if the event was already recorded, { status: 'duplicate', entry }.
+     * @throws {QSRValidationError} - If the event is invalid.
+     * @throws {QSRConfigError} - If the event type is unknown.
+     */
+    async record(event) {
+        const posEvent = buildPayload(POS_EVENT, event);
+        const eventType = this.eventTypes[posEvent.type] || (TABLE_EVENT_TYPES.includes(posEvent.type) ? posEvent.type : null);
+        if (!eventType) {
+            throw new QSRConfigError(`QSR Error: Unknown POS event type ${posEvent.type}. Known types are ${Object.keys(this.eventTypes).join(', ')}, or a QSR event type.`);
+        }
+        posEvent.table = String(posEvent.table);
+        posEvent.time = posEvent.time || new Date().toISOString();
+        const dedupeKey = [posEvent.transactionNumber, eventType, posEvent.sequence].filter(part => part !== undefined).join('/');
+        const result = await this.#serial(async prefix => {
+            const marker = await this.store.get(`${prefix}/dedupe/${encodeURIComponent(dedupeKey)}`);
+            if (marker) return { status: 'duplicate', entry: marker.entry };
+            const seq = (await this.store.get(`${prefix}/seq`) || 0) + 1;
+            const entry = {
+                seq,
+                dedupeKey,
+                id: eventId(prefix, dedupeKey),
+                eventType,
+                posTable: posEvent.table,
+                posEvent,
+                status: 'pending',
+                attempts: 0,
+                queuedAt: new Date().toISOString()
+            };
+            await this.store.set(`${prefix}/seq`, seq);
+            await this.store.set(this.#entryKey(prefix, seq), entry);
+            await this.store.set(`${prefix}/dedupe/${encodeURIComponent(dedupeKey)}`, { entry: { seq, dedupeKey, eventType }, queuedAt: entry.queuedAt });
+            return { status: 'queued', entry };
+        });
+        if (result.status === 'queued' && this.autoFlush) this.#flushInBackground();
+        return result;
+    }
+
+    /**
+     * Post the due events of the outbox in order. Concurrent calls share one flush, which is followed by another.
+     * Stops at the first event that must be retried, and schedules the retry if autoFlush is on.
+     * @returns {Promise<PosFlushSummary>} - PosFlushSummary.
+     */
+    async flush() {
+        if (this.#flushing) {
+            // Events recorded during a flush may be missing from its snapshot, so flush once more after it
+            this.#flushAgain = true;
+            return this.#flushing;
+        }
+        this.#flushing = this.#flush().finally(() => {
+            this.#flushing = null;
+            if (this.#flushAgain) {
+                this.#flushAgain = false;
+                this.#flushInBackground();
+            }
+        });
+        return this.#flushing;
+    }
+
+    /**
+     * Map a POS table to a QSR table, overriding matching, and release the events parked for it.
+     * @param {string} posTable - POS table name.
+     * @param {string} tableName - QSR table name.
+     * @returns {Promise<number>} - Number of parked events released.
+     */
+    async mapTable(posTable, tableName) {
+        this.tableMap[posTable] = tableName;
+        this.#matches.delete(posTable);
+        this.#reported.delete(posTable);
+        const released = await this.#serial(async prefix => {
+            let count = 0;
+            for (const entry of await this.#entries(prefix)) {
+                if (entry.status !== 'unmapped' || entry.posTable !== posTable) continue;
+                await this.store.set(this.#entryKey(prefix, entry.seq), { ...entry, status: 'pending', tableName: undefined });
+                count++;
+            }
+            return count;
+        });
+        if (released && this.autoFlush) this.#flushInBackground();
+        return released;
+    }
+
+    /**
+     * Find the QSR table of a POS table name: the tableMap, then an exact match, then the closest fuzzy match.
+     * @param {string} posTable - POS table name.
+     * @returns {Promise<TableMatch>} - TableMatch. tableName is null if no QSR table matches.
+     */
+    async matchTable(posTable) {
+        posTable = String(posTable);
+        if (this.tableMap[posTable]) return { posTable, tableName: this.tableMap[posTable], score: 1, source: 'map', suggestions: [] };
+        if (this.#matches.has(posTable)) return this.#matches.get(posTable);
+        let match = matchTableName(posTable, await this.#loadTables(), this.matchThreshold);
+        if (!match.tableName && Date.now() - this.#tablesLoadedAt >= this.minRefreshInterval) {
+            match = matchTableName(posTable, await this.#loadTables(true), this.matchThreshold);
+        }
+        if (match.tableName) {
+            this.#matches.set(posTable, match);
+            if (match.source === 'fuzzy') this.emit('tableMapped', { posTable, tableName: match.tableName, score: match.score });
+        }
+        return match;
+    }
+
+    /**
+     * List the POS tables with events parked because they match no QSR table.
+     * @returns {Promise<UnmappedTable[]>} - UnmappedTable list, most events first.
+     */
+    async unmappedTables() {
+        const prefix = await this.#prefix();
+        const tables = new Map();
+        for (const entry of await this.#entries(prefix)) {
+            if (entry.status !== 'unmapped') continue;
+            const table = tables.get(entry.posTable) || { posTable: entry.posTable, events: 0, firstSeen: entry.queuedAt, lastSeen: entry.queuedAt, suggestions: entry.suggestions || [] };
+            table.events++;
+            table.lastSeen = entry.queuedAt;
+            tables.set(entry.posTable, table);
+        }
+        return [...tables.values()].sort((a, b) => b.events - a.events);
+    }
+
+    /**
+     * Get the events that will not be retried.
+     * @returns {Promise<PosOutboxEntry[]>} - Dead letters, oldest first.
+     */
+    async deadLetters() {
+        return (await this.#entries(await this.#prefix())).filter(entry => entry.status === 'dead');
+    }
+
+    /**
+     * Queue the dead letters again, e.g. after fixing the table setup in QSR.
+     * @returns {Promise<number>} - Number of events queued again.
+     */
+    async requeueDeadLetters() {
+        const count = await this.#serial(async prefix => {
+            let requeued = 0;
+            for (const entry of await this.#entries(prefix)) {
+                if (entry.status !== 'dead') continue;
+                await this.store.set(this.#entryKey(prefix, entry.seq), { ...entry, status: 'pending', attempts: 0, nextAttemptAt: undefined, lastError: undefined });
+                requeued++;
+            }
+            return requeued;
+        });
+        if (count && this.autoFlush) this.#flushInBackground();
+        return count;
+    }
+
+    /**
+     * Report the state of the outbox.
+     * @returns {Promise<PosBridgeReport>} - PosBridgeReport.
+     */
+    async report() {
+        const entries = await this.#entries(await this.#prefix());
+        const count = status => entries.filter(entry => entry.status === status).length;
+        return {
+            siteUID: this.#siteUID,
+            pending: count('pending'),
+            unmapped: count('unmapped'),
+            dead: count('dead'),
+            unmappedTables: await this.unmappedTables(),
+            nextAttemptAt: entries.find(entry => entry.status === 'pending')?.nextAttemptAt || null,
+            generatedAt: new Date().toISOString()
+        };
+    }
+
+    /**
+     * Cancel the scheduled retry. Queued events stay in the store, and are posted by the next flush.
+     */
+    stop() {
+        clearTimeout(this.#timer);
+        this.#timer = null;
+    }
+
+    /**
+     * Internal function to post the due events of the outbox.
+     * @returns {Promise<PosFlushSummary>} - PosFlushSummary.
+     */
+    async #flush() {
+        const prefix = await this.#prefix();
+        const summary = { sent: 0, unmapped: 0, dead: 0, pending: 0, nextAttemptAt: null };
+        this.stop();
+        const entries = (await this.#entries(prefix)).filter(entry => entry.status === 'pending');
+        for (const [index, entry] of entries.entries()) {
+            if (entry.nextAttemptAt && Date.parse(entry.nextAttemptAt) > Date.now()) {
+                summary.pending = entries.length - index;
+                summary.nextAttemptAt = entry.nextAttemptAt;
+                break;
+            }
+            const outcome = await this.#post(prefix, entry);
+            summary[outcome]++;
+            if (outcome === 'pending') {
+                summary.pending = entries.length - index;
+                summary.nextAttemptAt = (await this.store.get(this.#entryKey(prefix, entry.seq)))?.nextAttemptAt || null;
+                break;
+            }
+        }
+        if (summary.nextAttemptAt && this.autoFlush) {
+            this.#timer = setTimeout(() => this.#flushInBackground(), Math.max(0, Date.parse(summary.nextAttemptAt) - Date.now()));
+            this.#timer.unref?.();
+        }
+        await this.#prune(prefix);
+        return summary;
+    }
+
+    /**
+     * Internal function to post one event of the outbox.
+     * @param {string} prefix - Store key prefix of the site.
+     * @param {PosOutboxEntry} entry - Entry.
+     * @returns {Promise<string>} - Outcome: sent, unmapped, dead, or pending if it will be retried.
+     */
+    async #post(prefix, entry) {
+        let match;
+        try {
+            match = await this.matchTable(entry.posTable);
+        } catch (error) {
+            return this.#failed(entry, error);
+        }
+        if (!match.tableName) {
+            // mapTable may have mapped the table since it was matched, then it must not be parked
+            const parked = await this.#update(entry.seq, current => this.tableMap[current.posTable] ? undefined : { ...current, status: 'unmapped', suggestions: match.suggestions });
+            if (!parked) return this.tableMap[entry.posTable] ? this.#post(prefix, entry) : 'pending';
+            if (!this.#reported.has(entry.posTable)) {
+                this.#reported.add(entry.posTable);
+                this.emit('unmappedTable', { posTable: entry.posTable, suggestions: match.suggestions });
+            }
+            return 'unmapped';
+        }
+        try {
+            await this.qsr.addTableEvent(this.#siteUID, {
+                eventType: entry.eventType,
+                tableName: match.tableName,
+                timestampUtc: entry.posEvent.time,
+                transactionNumber: entry.posEvent.transactionNumber,
+                checkAmount: entry.posEvent.amount,
+                id: entry.id
+            });
+        } catch (error) {
+            return this.#failed({ ...entry, tableName: match.tableName }, error);
+        }
+        const sent = { ...entry, status: 'sent', tableName: match.tableName, attempts: entry.attempts + 1, sentAt: new Date().toISOString() };
+        await this.#serial(async () => {
+            await this.store.set(`${prefix}/dedupe/${encodeURIComponent(entry.dedupeKey)}`, {
+                entry: { seq: entry.seq, dedupeKey: entry.dedupeKey, eventType: entry.eventType },
+                queuedAt: entry.queuedAt,
+                sentAt: sent.sentAt
+            });
+            await this.store.delete(this.#entryKey(prefix, entry.seq));
+        });
+        this.emit('sent', sent);
+        return 'sent';
+    }
+
+    /**
+     * Internal function to schedule the retry of a failed event, or move it to the dead letters.
+     * @param {PosOutboxEntry} entry - Entry, with the tableName of the attempt if it was matched.
+     * @param {Error} error - Error of the attempt.
+     * @returns {Promise<string>} - Outcome: dead, or pending if it will be retried.
+     */
+    async #failed(entry, error) {
+        const lastError = { message: error.message, status: error.status };
+        let delay = 0;
+        const failed = await this.#update(entry.seq, current => {
+            if (current.status !== 'pending') return undefined;
+            const attempts = current.attempts + 1;
+            if (isTransient(error) && attempts < this.retry.maxAttempts) {
+                delay = Math.min(this.retry.maxDelay, this.retry.baseDelay * 2 ** (attempts - 1));
+                return { ...current, tableName: entry.tableName, attempts, lastError, nextAttemptAt: new Date(Date.now() + delay).toISOString() };
+            }
+            return { ...current, tableName: entry.tableName, status: 'dead', attempts, lastError, nextAttemptAt: undefined };
+        });
+        if (failed?.status === 'dead') {
+            this.emit('deadLetter', { entry: failed, error });
+            return 'dead';
+        }
+        if (failed) this.emit('retry', { entry: failed, error, delay });
+        return 'pending';
+    }
+
+    /**
+     * Internal function to change an outbox entry through #serial. The entry is read again first, so changes made
+     * since the flush read it, e.g. by mapTable or requeueDeadLetters, are not overwritten.
+     * @param {number} seq - Sequence number of the entry.
+     * @param {Function} change - Function called with the current entry, returning the new entry, or undefined to leave it as it is.
+     * @returns {Promise<PosOutboxEntry|null>} - The new entry, or null if the entry is gone or was left as it is.
+     */
+    #update(seq, change) {
+        return this.#serial(async prefix => {
+            const key = this.#entryKey(prefix, seq);
+            const current = await this.store.get(key);
+            const updated = current ? change(current) : undefined;
+            if (!updated) return null;
+            await this.store.set(key, updated);
+            return updated;
+        });
+    }
+
+    /**
+     * Internal function to forget posted events older than dedupeWindow. Runs at most once an hour.
+     * @param {string} prefix - Store key prefix of the site.
+     */
+    async #prune(prefix) {
+        if (Date.now() - this.#prunedAt < 60 * MINUTE) return;
+        this.#prunedAt = Date.now();
+        const cutoff = Date.now() - this.dedupeWindow;
+        for (const key of await this.store.keys(`${prefix}/dedupe/`)) {
+            const marker = await this.store.get(key);
+            if (marker?.sentAt && Date.parse(marker.sentAt) < cutoff) await this.store.delete(key);
+        }
+    }
+
+    /**
+     * Internal function to flush without waiting, reporting failures as "error" events.
+     */
+    #flushInBackground() {
+        this.flush().catch(error => {
+            if (this.listenerCount('error')) this.emit('error', error);
+        });
+    }
+
+    /**
+     * Internal function to run outbox changes one at a time, so sequence numbers and statuses are not overwritten.
+     * @param {Function} task - Async function called with the store key prefix of the site.
+     * @returns {Promise<*>} - Result of task.
+     */
+    #serial(task) {
+        const run = this.#queue.then(async () => task(await this.#prefix()));
+        this.#queue = run.catch(() => {});
+        return run;
+    }
+
+    /**
+     * Internal function to get the store key prefix of the site, resolving the site once.
+     * @returns {Promise<string>} - Store key prefix.
+     */
+    async #prefix() {
+        if (!this.#siteUID) this.#siteUID = await this.qsr.resolveSiteUID(this.siteUID);
+        return `pos-bridge/${this.qsr.companyUID}/${this.#siteUID}`;
+    }
+
+    /**
+     * Internal function to get the store key of an outbox entry. Sequence numbers are zero padded so keys sort in order.
+     * @param {string} prefix - Store key prefix of the site.
+     * @param {number} seq - Sequence number of the entry.
+     * @returns {string} - Store key.
+     */
+    #entryKey(prefix, seq) {
+        return `${prefix}/outbox/${String(seq).padStart(12, '0')}`;
+    }
+
+    /**
+     * Internal function to get the entries of the outbox in order.
+     * @param {string} prefix - Store key prefix of the site.
+     * @returns {Promise<PosOutboxEntry[]>} - Entries.
+     */
+    async #entries(prefix) {
+        const keys = (await this.store.keys(`${prefix}/outbox/`)).sort();
+        const entries = await Promise.all(keys.map(key => this.store.get(key)));
+        return entries.filter(Boolean);
+    }
+
+    /**
+     * Internal function to load the table names of the site.
+     * @param {boolean} [force] - Optional. If true, loads them even if already loaded.
+     * @returns {Promise<string[]>} - QSR table names.
+     */
+    async #loadTables(force = false) {
+        if (!this.#tables || force) {
+            await this.#prefix();
+            const tables = await this.qsr.withOptions({ cache: false }).getTables(this.#siteUID);
+            this.#tables = (tables || []).map(table => table.Name).filter(Boolean);
+            this.#tablesLoadedAt = Date.now();
+        }
+        return this.#tables;
+    }
+}
+
+/**
+ * Match a POS table name to one of the QSR table names.
+ * Names are compared ignoring case, punctuation, a "Table"/"Tbl"/"Tab" prefix and leading zeros, so "t-03" matches T3
+ * exactly, and "Table 07" matches T7 if no other table is numbered 7. Otherwise the most similar name is used if its
+ * similarity reaches the threshold and no other name is as similar.
+ * @param {string} posTable - POS table name.
+ * @param {string[]} tableNames - QSR table names.
+ * @param {number} [threshold] - Optional. Lowest similarity, from 0 to 1, of a fuzzy match. Defaults to 0.75.
+ * @returns {TableMatch} - TableMatch. tableName is null if no name matches.
+ */
+function matchTableName(posTable, tableNames, threshold = 0.75) {
+    const key = normalizeTableName(posTable);
+    const scored = tableNames.map(tableName => ({ tableName, score: tableScore(key, normalizeTableName(tableName)) }))
+        .sort((a, b) => b.score - a.score || a.tableName.localeCompare(b.tableName));
+    const suggestions = scored.slice(0, 3).filter(candidate => candidate.score > 0).map(candidate => ({ ...candidate, score: round(candidate.score) }));
+    const [best, second] = scored;
+    if (best && best.score >= threshold && !(second && second.score === best.score)) {
+        return { posTable, tableName: best.tableName, score: round(best.score), source: best.score === 1 ? 'exact' : 'fuzzy', suggestions };
+    }
+    return { posTable, tableName: null, score: 0, source: null, suggestions };
+}
+
+/**
+ * Normalize a table name for matching: lower case, letters and digits only, no "table" prefix, no leading zeros.
+ * @param {string} name - Table name.
+ * @returns {string} - Normalized name.
+ */
+function normalizeTableName(name) {
+    return String(name).toLowerCase()
+        .replace(/[^a-z0-9]+/g, ' ')
+        .trim()
+        .replace(/^(table|tbl|tab)\s*(?=\d)/, '')
+        .replace(/\b0+(?=\d)/g, '')
+        .replace(/(\D)0+(?=\d)/g, '$1')
+        .replace(/\s+/g, '');
+}
+
+/**
+ * Score the similarity of two normalized table names, from 0 to 1.
+ * A bare number scores 0.9 against a name with the same number and a prefix, e.g. "12" and "t12", and names with the
+ * same number and initial score 0.85, e.g. "bar10" and "b10".
+ * @param {string} a - Normalized name.
+ * @param {string} b - Normalized name.
+ * @returns {number} - Similarity.
+ */
+function tableScore(a, b) {
+    if (a === b) return 1;
+    if (!a || !b) return 0;
+    const numberA = a.match(/\d+$/)?.[0];
+    const numberB = b.match(/\d+$/)?.[0];
+    if (numberA && numberB && numberA !== numberB) return 0;
+    if (numberA && numberA === numberB) {
+        if (a === numberA || b === numberB) return 0.9;
+        if (a[0] === b[0]) return 0.85;
+    }
+    return 1 - editDistance(a, b) / Math.max(a.length, b.length);
+}
+
+/**
+ * Levenshtein distance of two strings.
+ * @param {string} a - String.
+ * @param {string} b - String.
+ * @returns {number} - Number of single character insertions, deletions and substitutions turning a into b.
+ */
+function editDistance(a, b) {
+    let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        for (let j = 1; j <= b.length; j++) {
+            current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+        }
+        previous = current;
+    }
+    return previous[b.length];
+}
+
+/**
+ * Determine whether a failed post may succeed later.
+ * @param {Error} error - Error of addTableEvent or getTables.
+ * @returns {boolean} - True for server errors, network errors, timeouts and 429.
+ */
+function isTransient(error) {
+    if (error instanceof QSRServerError) return true;
+    return error instanceof QSRRequestError && (!error.status || TRANSIENT_STATUSES.includes(error.status));
+}
+
+/**
+ * Derive a stable GUID for an event, so a post retried after an ambiguous failure carries the same TableEvent ID.
+ * @param {string} prefix - Store key prefix of the site.
+ * @param {string} dedupeKey - Deduplication key of the event.
+ * @returns {string} - GUID.
+ */
+function eventId(prefix, dedupeKey) {
+    const hex = crypto.createHash('SHA1').update(`${prefix}/${dedupeKey}`).digest('hex');
+    return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-5${hex.slice(13, 16)}-${((parseInt(hex[16], 16) & 0x3) | 0x8).toString(16)}${hex.slice(17, 20)}-${hex.slice(20, 32)}`;
+}
+
+/**
+ * Round a score to 2 decimals.
+ * @param {number} value - Score.
+ * @returns {number} - Rounded score.
+ */
+function round(value) {
+    return Math.round(value * 100) / 100;
+}
+
+module.exports = PosBridge;
+module.exports.PosBridge = PosBridge;
+module.exports.POS_EVENT_TYPES = POS_EVENT_TYPES;
+module.exports.matchTableName = matchTableName;
+
+/** Type Definitions */
+
+/**
+ * A check lifecycle event of the POS.
+ * @typedef {Object} PosEvent
+ * @property {string} type - checkOpened, itemsOrdered, courseFired, courseComplete, checkPrinted, partialPayment, checkPaid, checkClosed, tableScanned, tableCleared, tableDirtied, or a QSR event type.
+ * @property {string|number} table - POS table name.
+ * @property {string|number} transactionNumber - Transaction (check) number.
+ * @property {Date|string} [time] - Time of the event. Defaults to the time it is recorded.
+ * @property {number} [amount] - Check amount.
+ * @property {string|number} [sequence] - Number telling apart events of the same type on one check, e.g. the course number of courseFired or the payment number of partialPayment.
+ */
+
+/**
+ * @typedef {Object} PosOutboxEntry
+ * @property {number} seq - Sequence number. Events are posted in this order.
+ * @property {string} dedupeKey - transactionNumber/eventType[/sequence].
+ * @property {string} id - TableEvent ID posted to QSR.
+ * @property {string} eventType - QSR event type.
+ * @property {string} posTable - POS table name.
+ * @property {PosEvent} posEvent - The event as recorded.
+ * @property {string} status - pending, unmapped, dead, or sent.
+ * @property {number} attempts - Attempts so far.
+ * @property {string} queuedAt - Time the event was recorded.
+ * @property {string} [nextAttemptAt] - Time of the next attempt of a failed event.
+ * @property {Object} [lastError] - { message, status } of the last failed attempt.
+ * @property {string} [tableName] - QSR table name the event was posted to.
+ * @property {Object[]} [suggestions] - Closest QSR tables of an unmapped event.
+ */
+
+/**
+ * @typedef {Object} TableMatch
+ * @property {string} posTable - POS table name.
+ * @property {string} tableName - Matched QSR table name, or null.
+ * @property {number} score - Similarity, 1 for the tableMap and exact matches.
+ * @property {string} source - map, exact or fuzzy, or null if not matched.
+ * @property {Object[]} suggestions - { tableName, score } of the closest QSR tables.
+ */
+
+/**
+ * @typedef {Object} UnmappedTable
+ * @property {string} posTable - POS table name.
+ * @property {number} events - Events parked for it.
+ * @property {string} firstSeen - Time of the first parked event.
+ * @property {string} lastSeen - Time of the last parked event.
+ * @property {Object[]} suggestions - { tableName, score } of the closest QSR tables.
+ */
+
+/**
+ * @typedef {Object} PosFlushSummary
+ * @property {number} sent - Events posted.
+ * @property {number} unmapped - Events parked because their table matched no QSR table.
+ * @property {number} dead - Events moved to the dead letters.
+ * @property {number} pending - Events left waiting for a retry.
+ * @property {string} nextAttemptAt - Time of the next retry, or null.
+ */
+
+/**
+ * @typedef {Object} PosBridgeReport
+ * @property {string} siteUID - Globally unique identifier for the site.
+ * @property {number} pending - Events waiting to be posted.
+ * @property {number} unmapped - Events parked because their table matched no QSR table.
+ * @property {number} dead - Dead letters.
+ * @property {UnmappedTable[]} unmappedTables - The POS tables of the parked events.
+ * @property {string} nextAttemptAt - Time of the next retry, or null.
+ * @property {string} generatedAt - Time of the report in ISO 8601 format.
+ */
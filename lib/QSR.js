@@ -2,91 +2,476 @@
  * QSR Class File
  * @author Steve Ostopchuck
  */
-const crypto = require('crypto');
+const axios = require('axios');
+const { AsyncLocalStorage } = require('async_hooks');
+const { QSRConfigError, fromAxiosError, siteUIDFromUrl } = require('./errors');
+const { normalizeRetryPolicy, isRetryable, retryDelay, sleep } = require('./retry');
+const RateLimiter = require('./RateLimiter');
+const ResponseCache = require('./ResponseCache');
+const SiteRegistry = require('./SiteRegistry');
+const { isSiteRef } = SiteRegistry;
+const { ENDPOINT_FAMILIES, endpointFamily } = RateLimiter;
+const SyncEngine = require('./SyncEngine');
+const VisitWatcher = require('./VisitWatcher');
+const Waitlist = require('./Waitlist');
+const ReservationBooking = require('./ReservationBooking');
+const ReservationSync = require('./ReservationSync');
+const PosBridge = require('./PosBridge');
+const GuestbookDedupe = require('./GuestbookDedupe');
+const { tableTurnReport } = require('./TableAnalytics');
+const { quoteAccuracyReport } = require('./QuoteAnalytics');
+const { sign, serializeBody } = require('./signer');
+const { toCredentialsProvider } = require('./credentials');
+const { writeRecords, recordSource } = require('./export');
+const { isLocalRange, resolveRange, convertTimestamps } = require('./timezone');
+const { SCHEMAS, buildPayload } = require('./schemas');
+
+/**
+ * Convert a Date to an ISO 8601 string. Strings, such as page cursors, are passed through unchanged.
+ * @param {Date|string} date - Date or ISO 8601 string.
+ * @returns {string} - ISO 8601 string.
+ */
+function toISOString(date) {
+    return typeof date === 'string' ? date : date.toISOString();
+}
+
+/** Page cursors, which must be sent back exactly as the API returned them. */
+const CURSOR_FIELDS = ['TimestampCutoff', 'TimeStampCutoff'];
+
+/** Per-call options set by QSR#withOptions, visible to every request made inside the call. */
+const requestContext = new AsyncLocalStorage();
+
+/**
+ * Bind an async iterator to per-call options. The body of an async generator runs on each next(),
+ * after the call that created it has returned, so the options must be entered again on every step.
+ * @param {AsyncIterator} iterator - Async iterator, e.g. returned by an iterate* method.
+ * @param {Object} store - Per-call options.
+ * @returns {AsyncIterableIterator} - Iterator running each step with the options.
+ */
+function bindIterator(iterator, store) {
+    const step = method => (...args) => requestContext.run(store, () => iterator[method](...args));
+    return {
+        next: step('next'),
+        return: step('return'),
+        throw: step('throw'),
+        [Symbol.asyncIterator]() { return this; }
+    };
+}
 
 /**
  *  Class for interacting with the QSR Enterprize API 
  */
 class QSR {
     'use strict'
+    #timeZones = new Map();
+
     /**
      * Create a QSR instance.
+     * Each instance owns its own axios instance, so multiple QSR objects (one per company, say) never share
+     * a base URL, credentials or interceptors with each other or with the host application's axios.
      * @param {string} companyUID - Globally unique identifier for a company. This is provided by QSR.
-     * @param {Object} [apiKeys] - Optional. API Keys Object.
+     * @param {Object|CredentialsProvider|Function} [apiKeys] - Optional. API Keys Object, a CredentialsProvider, or a function returning API keys. Defaults to the environment variables, read on every request.
      * @param {string} [apiKeys.accessKey] - Optional. Access Key provided by QSR. Defaults to environment variable QSR_ACCESSKEY.
      * @param {string} [apiKeys.secretKey] - Optional. Secret Key provided by QSR. Defaults to environment variable QSR_SECRETKEY.
+     * @param {Object} [options] - Optional. Client options.
+     * @param {string} [options.baseURL] - Optional. API base URL. Defaults to https://api.dinetime.com.
+     * @param {number} [options.timeout] - Optional. Request timeout in milliseconds. Defaults to no timeout.
+     * @param {Object} [options.axiosConfig] - Optional. Additional axios config used when creating this instance's HTTP client.
+     * @param {RetryPolicy|boolean} [options.retry] - Optional. Retry policy overrides, or false to disable retries. By default idempotent requests are attempted up to 3 times.
+     * @param {Object} [options.rateLimit] - Optional. Client-side rate limits. Unlimited by default.
+     * @param {number} [options.rateLimit.requestsPerSecond] - Optional. Sustained request rate across all endpoints.
+     * @param {number} [options.rateLimit.burst] - Optional. Requests that may start at once after an idle period.
+     * @param {number} [options.rateLimit.maxConcurrent] - Optional. Maximum number of requests in flight across all endpoints.
+     * @param {Object} [options.rateLimit.families] - Optional. Limits per endpoint family, keyed by Visits, Tables, WebAhead or GuestBook. Each takes requestsPerSecond, burst and maxConcurrent.
+     * @param {boolean} [options.refreshOnAuthError] - Optional. If true, a 401 response refreshes the credentials and retries the request once. Defaults to false.
+     * @param {boolean} [options.siteLocalTimes] - Optional. If true, UTC timestamps in site responses are returned in the site's time zone, with its offset (e.g. 2026-10-18T17:00:00.000-04:00). Defaults to false.
+     * @param {boolean|Object|ResponseCache} [options.cache] - Optional. Cache of rarely changing responses (sites, brands, tables, operating info, waitlist status): true for the defaults, ResponseCache options, or a ResponseCache shared between clients. Disabled by default.
+     * @param {boolean|Object} [options.siteRegistry] - Optional. true or SiteRegistry options to resolve every site argument through the registry, so plain strings may also be site names and unknown or inactive sites are rejected before any request is sent. By default only SiteRef objects (e.g. { customerSiteId: '0421' }) are resolved, and strings are sent as SiteUIDs.
      */
-    constructor(companyUID, apiKeys = {
-        accessKey: process.env.QSR_ACCESSKEY,
-        secretKey: process.env.QSR_SECRETKEY
-    }) {
-        if (!companyUID) throw "QSR Error: Cannot instantiate object, companyUID missing.";
-        if (!apiKeys.accessKey) throw "QSR Error: Cannot instantiate object, apiKeys.accessKey missing.";
-        if (!apiKeys.secretKey) throw "QSR Error: Cannot instantiate object, apiKeys.secretKey missing.";
+    constructor(companyUID, apiKeys, options = {}) {
+        if (!companyUID) throw new QSRConfigError('QSR Error: Cannot instantiate object, companyUID missing.');
+        this.credentials = toCredentialsProvider(apiKeys);
         
         this.companyUID = companyUID;
-        this.accessKey = apiKeys.accessKey;
-        this.secretKey = apiKeys.secretKey;
-        this.axios = require('axios');
-        this.axios.defaults.baseURL = 'https://api.dinetime.com'
-
-        this.axios.interceptors.request.use(config => {
-            // Step 1: Create a Canonical Request
-            const requestMethod = config.method.toUpperCase() || 'GET';
-            const canonicalUrl = encodeURIComponent(config.url);
-            const params = new URLSearchParams(config.params);
-            params.sort();
-            const body = (new URLSearchParams(config.data ? config.data : '')).toString();
-            const bodyHexHash = crypto.createHash('SHA256').update(body).digest('hex');
-            const canonicalRequeast = `${requestMethod}&${canonicalUrl}&${params.toString()}&${bodyHexHash}`;
-
-            // Step 2: Create a String to Sign
-            const algorithm = 'HMAC-SHA1';
-            const isoDate = (new Date()).toISOString();
-            const crHexHash = crypto.createHash('SHA256').update(canonicalRequeast).digest('hex');
-            const stringToSign = `${algorithm}&${isoDate}&${this.accessKey}&${crHexHash}`;
-
-            // Step 3: Create the Signature
-            const signature = crypto.createHmac('SHA1', this.secretKey).update(stringToSign).digest('hex');
-
-            // Step 4: Add Sigining Inforation to the Request
-            const sigVersion = 'dinetime-sv2-hmac-sha1'
-            config.headers.Authorization = `${sigVersion} Algorithm=SHA256&Credentials=${this.accessKey}&Signature=${signature}`
-            
-            // Add other required headers
-            config.headers['x-dinetime-timestamp'] = isoDate;
-            config.headers['x-dinetime-signature-version'] = sigVersion;
-
+        this.refreshOnAuthError = Boolean(options.refreshOnAuthError);
+        this.siteLocalTimes = Boolean(options.siteLocalTimes);
+        this.retryPolicy = normalizeRetryPolicy(options.retry);
+        this.cache = options.cache instanceof ResponseCache ? options.cache
+            : options.cache ? new ResponseCache(options.cache === true ? {} : options.cache) : null;
+        this.strictSites = Boolean(options.siteRegistry);
+        this.sites = new SiteRegistry(this, typeof options.siteRegistry === 'object' ? options.siteRegistry : {});
+        const rateLimit = options.rateLimit || {};
+        this.rateLimiter = new RateLimiter(rateLimit);
+        this.familyRateLimiters = {};
+        for (const family of ENDPOINT_FAMILIES) {
+            if (rateLimit.families?.[family]) this.familyRateLimiters[family] = new RateLimiter(rateLimit.families[family]);
+        }
+        this.axios = axios.create({
+            ...options.axiosConfig,
+            baseURL: options.baseURL || 'https://api.dinetime.com',
+            timeout: options.timeout ?? options.axiosConfig?.timeout
+        });
+
+        this.axios.interceptors.request.use(async config => {
+            // Credentials are fetched per request, so rotated keys are used as soon as the provider returns them
+            const { accessKey, secretKey } = await this.credentials.getCredentials();
+            // Send the body exactly as it was signed, instead of letting axios serialize it afterwards
+            const contentType = config.headers['Content-Type'] || config.headers['content-type'];
+            const { body, contentType: bodyContentType } = serializeBody(config.data, contentType);
+            if (body) {
+                config.data = body;
+                if (bodyContentType) config.headers['Content-Type'] = bodyContentType;
+            }
+            Object.assign(config.headers, sign({
+                method: config.method,
+                url: config.url,
+                params: config.params,
+                body,
+                accessKey,
+                secretKey
+            }));
             return config;
         }, err => { return Promise.reject(err) });
     }
 
     /**
-     * Internal error handling function
+     * Internal error handling function. Converts the axios error into a typed QSRError and throws it.
      * @param {Object} err - The error thrown by axios
+     * @throws {QSRError}
+     */
+    #errorHandler(err, config) {
+        throw fromAxiosError(err, config);
+    }
+
+    /**
+     * Internal request function. All API calls go through here.
+     * Each attempt waits for a slot from the rate limiters, and failed requests are retried
+     * according to the retry policy and any per-call options.
+     * @param {Object} config - axios request config.
+     * @param {Object} [options] - Optional.
+     * @param {boolean} [options.localize] - Optional. If false, timestamps are never converted to site-local time. Defaults to true.
+     * @returns {Object} - The axios response.
+     */
+    async #request(config, options = {}) {
+        const callOptions = requestContext.getStore() || {};
+        if (callOptions.signal) config.signal = callOptions.signal;
+        const policy = typeof callOptions.retry === 'object'
+            ? normalizeRetryPolicy({ ...this.retryPolicy, ...callOptions.retry })
+            : callOptions.retry === false ? normalizeRetryPolicy(false) : this.retryPolicy;
+        const allowAnyMethod = callOptions.retry === true;
+        let refreshed = false;
+        let response;
+        for (let attempt = 1; !response; attempt++) {
+            try {
+                response = await this.#limit(config.url, callOptions.signal, () => this.axios.request(config));
+            } catch (err) {
+                if (this.refreshOnAuthError && !refreshed && err.response?.status === 401) {
+                    // The keys may have been rotated, reload them and try once more without using up an attempt
+                    refreshed = true;
+                    attempt--;
+                    await this.credentials.getCredentials({ forceRefresh: true });
+                    continue;
+                }
+                const delay = attempt < policy.maxAttempts && isRetryable(policy, err, config.method, allowAnyMethod)
+                    ? retryDelay(policy, attempt, err)
+                    : -1;
+                if (delay < 0) this.#errorHandler(err, config);
+                await sleep(delay, callOptions.signal);
+            }
+        }
+        if (this.cache && config.method.toUpperCase() !== 'GET') await this.cache.invalidateAfterWrite(this.companyUID, config.url);
+        const siteUID = siteUIDFromUrl(config.url) || response.data?.SiteUID;
+        if (options.localize !== false && (callOptions.siteLocalTimes ?? this.siteLocalTimes) && siteUID) {
+            const timeZone = await this.getSiteTimeZone(siteUID);
+            response.data = convertTimestamps(response.data, timeZone, CURSOR_FIELDS);
+        }
+        return response;
+    }
+
+    /**
+     * Internal request function for cacheable methods. Without a cache it is the same as #request.
+     * Responses converted to site-local time are cached apart from UTC ones.
+     * @param {string} method - Method name, for its TTL.
+     * @param {string} [siteUID] - Optional. Globally unique identifier for the site of the response, if any.
+     * @param {Object} config - axios request config.
+     * @returns {*} - The response data.
+     */
+    async #cachedRequest(method, siteUID, config) {
+        if (!this.cache) return (await this.#request(config)).data;
+        const callOptions = requestContext.getStore() || {};
+        const localTimes = Boolean(callOptions.siteLocalTimes ?? this.siteLocalTimes);
+        const key = this.cache.key(this.companyUID, siteUID, method, [config.url, config.params || {}, localTimes]);
+        return this.cache.wrap(key, method, async () => (await this.#request(config)).data, { refresh: callOptions.cache === false });
+    }
+
+    /**
+     * Delete cached responses of this client's company. With no filter, all of them are deleted.
+     * Writes through this client invalidate the responses they make stale on their own, e.g. enableWebAhead
+     * deletes the site's cached waitlist status.
+     * @param {Object} [filter] - Optional.
+     * @param {string} [filter.siteUID] - Optional. Only responses of this site.
+     * @param {string|string[]} [filter.method] - Optional. Only responses of these methods, e.g. "getTables".
+     * @returns {number} - Number of entries deleted. 0 if the client has no cache.
+     */
+    async invalidateCache(filter = {}) {
+        if (!this.cache) return 0;
+        return this.cache.invalidate({ ...filter, companyUID: this.companyUID });
+    }
+
+    /**
+     * Internal function to resolve the start and end of a date-range method.
+     * A LocalRange passed as startTime is resolved in the site's time zone, and endTime is ignored.
+     * Otherwise Dates are converted to ISO 8601 and strings are passed through unchanged.
+     * @param {string} siteUID - Globally unique identifier for a site.
+     * @param {Date|string|LocalRange} startTime - Start time, or a LocalRange.
+     * @param {Date|string} [endTime] - Optional. End time.
+     * @returns {Object} - { start, end } as ISO 8601 strings, undefined when not set.
      */
-    #errorHandler(err) {
-        switch (err.response?.status) {
-            case 401:
-            case 403:
-                console.error('QSR Error: Not Authorized')
-                break;
-            case 404:
-                console.error('QSR Error: The visit was not found.');
-                break;
-            case 405:
-                console.error('QSR Error: The visit has already arrived or been seated.');
-                break;
-            case 410:
-                console.error('QSR Error: The WebAhead is no longer considered Active.');
-                break;
-            case 500:
-                console.error('QSR Error: API server error')
-                break;
-            default:
-                break;
+    async #range(siteUID, startTime, endTime) {
+        if (!isLocalRange(startTime)) {
+            return {
+                start: startTime ? toISOString(startTime) : undefined,
+                end: endTime ? toISOString(endTime) : undefined
+            };
         }
-        throw err;
+        const timeZone = startTime.timeZone || await this.getSiteTimeZone(siteUID);
+        const { start, end } = resolveRange(startTime, timeZone);
+        return { start: start.toISOString(), end: end.toISOString() };
+    }
+
+    /**
+     * Internal function to resolve a site argument to its SiteUID through the site registry.
+     * SiteRef objects are always resolved. Strings are only resolved with the siteRegistry option, and are
+     * otherwise sent unchanged, so clients that only use SiteUIDs never load the registry.
+     * @param {string|SiteRef} site - SiteUID or site name, or a SiteRef.
+     * @returns {string} - SiteUID.
+     * @throws {QSRNotFoundError} - If the site is unknown or inactive.
+     */
+    async #siteUID(site) {
+        if (isSiteRef(site) || (this.strictSites && typeof site === 'string')) return this.sites.resolve(site);
+        return site;
+    }
+
+    /**
+     * Resolve a site argument to its SiteUID, the same way every method taking a siteUID does.
+     * @param {string|SiteRef} siteUID - Globally unique identifier for a site, or a SiteRef.
+     * @returns {string} - SiteUID.
+     * @throws {QSRNotFoundError} - If the site is unknown or inactive.
+     */
+    async resolveSiteUID(siteUID) {
+        return this.#siteUID(siteUID);
+    }
+
+    /**
+     * Get the time zone of a site. The TimeZoneId is requested once per site and cached,
+     * and is also cached from the results of getSite and getCompanySites.
+     * @param {string|SiteRef} siteUID - Globally unique identifier for a site, or a SiteRef.
+     * @returns {string} - Olson time zone, e.g. America/New_York.
+     * @throws {QSRConfigError} - If the site has no TimeZoneId.
+     */
+    async getSiteTimeZone(siteUID) {
+        siteUID = await this.#siteUID(siteUID);
+        if (!this.#timeZones.has(siteUID)) {
+            const lookup = this.#request({ url: `/Site/${siteUID}`, method: 'GET' }, { localize: false }).then(response => {
+                if (!response.data?.TimeZoneId) throw new QSRConfigError(`QSR Error: Site ${siteUID} has no TimeZoneId.`);
+                return response.data.TimeZoneId;
+            });
+            // Failed lookups are not cached, so the next call tries again
+            lookup.catch(() => this.#timeZones.delete(siteUID));
+            this.#timeZones.set(siteUID, lookup);
+        }
+        return this.#timeZones.get(siteUID);
+    }
+
+    /**
+     * Internal function to cache the TimeZoneId of sites returned by the API.
+     * @param {Site[]} sites - Sites.
+     */
+    #cacheTimeZones(sites) {
+        for (const site of sites) {
+            if (site?.SiteUID && site.TimeZoneId) this.#timeZones.set(site.SiteUID, Promise.resolve(site.TimeZoneId));
+        }
+    }
+
+    /**
+     * Internal function to run a request inside the endpoint family limiter, then the global limiter.
+     * @param {string} url - Request path.
+     * @param {AbortSignal} [signal] - Optional. Removes the request from the queues when aborted.
+     * @param {Function} send - Function sending the request.
+     * @returns {Object} - The axios response.
+     */
+    async #limit(url, signal, send) {
+        const familyLimiter = this.familyRateLimiters[endpointFamily(url)];
+        const releaseFamily = familyLimiter ? await familyLimiter.acquire({ signal }) : () => {};
+        try {
+            return await this.rateLimiter.schedule(send, { signal });
+        } finally {
+            releaseFamily();
+        }
+    }
+
+    /**
+     * Get the rate limiter queue depth and counters.
+     * @returns {Object} - RateLimiterStats for the global limiter ("global") and each configured endpoint family ("families").
+     */
+    rateLimitStats() {
+        const families = {};
+        for (const [family, limiter] of Object.entries(this.familyRateLimiters)) families[family] = limiter.stats();
+        return { global: this.rateLimiter.stats(), families };
+    }
+
+    /**
+     * Cancel every request waiting in the rate limiter queues. Each one rejects with a QSRCancelledError.
+     * @returns {number} - Number of requests cancelled.
+     */
+    cancelQueued() {
+        let count = this.rateLimiter.cancelQueued();
+        for (const limiter of Object.values(this.familyRateLimiters)) count += limiter.cancelQueued();
+        return count;
+    }
+
+    /**
+     * Internal paging function. Requests pages until the server reports no more data or numPages is reached.
+     * @param {Object} config - axios request config of the first page.
+     * @param {number} [numPages] - Optional. Limit number of pages. 0 or undefined for all.
+     * @param {Object} reader - Functions reading a page response and preparing the next request.
+     * @param {Function} reader.items - Returns the records of a page.
+     * @param {Function} reader.cursor - Returns the cursor of a page.
+     * @param {Function} reader.hasMore - Returns true if more pages are available.
+     * @param {Function} reader.advance - Updates config to request the page after the given cursor.
+     * @yields {Page} - Page.
+     */
+    async *#paginate(config, numPages = 0, reader) {
+        let pageNumber = 0;
+        let hasMore;
+        do {
+            const response = await this.#request(config);
+            const cursor = reader.cursor(response.data);
+            hasMore = Boolean(reader.hasMore(response.data));
+            pageNumber++;
+            yield { items: reader.items(response.data) || [], cursor, hasMore, pageNumber };
+            if (hasMore) reader.advance(cursor);
+        } while (hasMore && pageNumber !== numPages);
+    }
+
+    /**
+     * Get a view of this client whose calls use the specified per-call options.
+     * The view shares this instance's HTTP client, credentials and state. Iterators returned by the view use the options for every page.
+     * @example
+     * // POSTs are not retried by default, opt in for this call only
+     * await qsr.withOptions({ retry: true }).addWalkIn(siteUID, info);
+     * @param {Object} options - Per-call options.
+     * @param {RetryPolicy|boolean} [options.retry] - Optional. true retries any method (including POST and PATCH) using the client's policy, false disables retries, an object overrides the policy.
+     * @param {AbortSignal} [options.signal] - Optional. Aborting cancels the call's requests, whether queued by the rate limiter, in flight or waiting to be retried.
+     * @param {boolean} [options.siteLocalTimes] - Optional. Overrides the client's siteLocalTimes option.
+     * @param {boolean} [options.cache] - Optional. If false, cached responses are not used. The fresh responses replace them.
+     * @returns {QSR} - A view of this client.
+     */
+    withOptions(options = {}) {
+        const parent = requestContext.getStore();
+        const store = { ...parent, ...options };
+        return new Proxy(this, {
+            get: (target, prop) => {
+                const value = target[prop];
+                if (typeof value !== 'function' || prop === 'constructor') return value;
+                return (...args) => requestContext.run(store, () => {
+                    const result = value.apply(target, args);
+                    const isIterator = result && typeof result.next === 'function' && typeof result[Symbol.asyncIterator] === 'function';
+                    return isIterator ? bindIterator(result, store) : result;
+                });
+            }
+        });
+    }
+
+    /**
+     * Create a resumable sync of visits, table events and team member events. See SyncEngine.
+     * @example
+     * const sync = qsr.createSync({ sites: [siteUID], store: new JsonFileStore('./qsr-sync.json') });
+     * sync.on('records', ({ siteUID, feed, records }) => warehouse.insert(feed, records));
+     * await sync.run();
+     * @param {Object} options - SyncEngine options.
+     * @returns {SyncEngine} - SyncEngine.
+     */
+    createSync(options) {
+        return new SyncEngine(this, options);
+    }
+
+    /**
+     * Watch the visits of one or more sites for changes. See VisitWatcher.
+     * @example
+     * const watcher = qsr.watchVisits([siteA, siteB], { interval: 10000 });
+     * watcher.on('visit:statusChanged', ({ visit, previousStatus, status }) => console.log(visit.ID, previousStatus, '->', status));
+     * @param {string|SiteRef|Array<string|SiteRef>} siteUIDs - Globally unique identifier(s) for the site(s) to watch, or SiteRefs.
+     * @param {Object} [options] - VisitWatcher options, e.g. interval and syncSource.
+     * @returns {VisitWatcher} - A started VisitWatcher. Call stop() when done.
+     */
+    watchVisits(siteUIDs, options) {
+        return new VisitWatcher(this, siteUIDs, options);
+    }
+
+    /**
+     * Get the waitlist of a site, which takes any party identifier and routes each call itself. See Waitlist.
+     * @example
+     * const waitlist = qsr.waitlist({ customerSiteId: '0421' });
+     * const party = await waitlist.join({ partySize: 4, lastName: 'Smith', phoneNumberString: '7045550100' });
+     * await waitlist.arrive(party.confirmationNumber);
+     * @param {string|SiteRef} siteUID - Globally unique identifier for a site, or a SiteRef.
+     * @returns {Waitlist} - Waitlist.
+     */
+    waitlist(siteUID) {
+        return new Waitlist(this, siteUID);
+    }
+
+    /**
+     * Get the reservation booking workflow: slot search, booking with a last availability check, and alternatives
+     * at nearby sites. See ReservationBooking.
+     * @example
+     * const booking = qsr.booking();
+     * const [slot] = await booking.search(siteUID, { start, end, partySize: 4 });
+     * const result = await booking.book(slot, { lastName: 'Smith', phoneNumberString: '7045550100' });
+     * @param {Object} [options] - Optional. ReservationBooking options, e.g. nearbySites and maxDistanceKm.
+     * @returns {ReservationBooking} - ReservationBooking.
+     */
+    booking(options) {
+        return new ReservationBooking(this, options);
+    }
+
+    /**
+     * Create a two-way sync between an external reservation platform and a site. See ReservationSync.
+     * @example
+     * const sync = qsr.createReservationSync({ siteUID, source: 'https://book.example.com/feed.json', syncSource: 'ExampleBook', map: { externalId: 'id' } });
+     * sync.on('statusChange', ({ externalId, status }) => console.log(externalId, status));
+     * await sync.run();
+     * @param {Object} options - ReservationSync options, e.g. siteUID, source, syncSource and map.
+     * @returns {ReservationSync} - ReservationSync.
+     */
+    createReservationSync(options) {
+        return new ReservationSync(this, options);
+    }
+
+    /**
+     * Create a bridge posting a POS's check lifecycle as table events, in order, through a durable outbox. See PosBridge.
+     * @example
+     * const bridge = qsr.createPosBridge({ siteUID, store: new JsonFileStore('./pos-outbox.json'), tableMap: { 'BAR 01': 'B9' } });
+     * await bridge.record({ type: 'checkPaid', table: 'Table 12', transactionNumber: 40213, amount: 86.5 });
+     * @param {Object} options - PosBridge options, e.g. siteUID, store and tableMap.
+     * @returns {PosBridge} - PosBridge.
+     */
+    createPosBridge(options) {
+        return new PosBridge(this, options);
+    }
+
+    /**
+     * Create the guestbook dedupe tool: find duplicate guests, plan their merge, apply it, and undo it. See GuestbookDedupe.
+     * @example
+     * const dedupe = qsr.createGuestbookDedupe({ undoStore: new JsonFileStore('./guest-undo.json') });
+     * const plan = await dedupe.plan({ file: './merge-plan.json' });
+     * const result = await dedupe.apply(plan, { dryRun: true });
+     * @param {Object} [options] - Optional. GuestbookDedupe options, e.g. undoStore and nameThreshold.
+     * @returns {GuestbookDedupe} - GuestbookDedupe.
+     */
+    createGuestbookDedupe(options) {
+        return new GuestbookDedupe(this, options);
     }
 
     /**
@@ -98,22 +483,25 @@ class QSR {
             url: `/Company/${this.companyUID}/Sites`,
             method: 'GET',
         };
-        const response = await this.axios.request(config).catch(this.#errorHandler);
-        return response.data;
+        const data = await this.#cachedRequest('getCompanySites', undefined, config);
+        if (Array.isArray(data)) this.#cacheTimeZones(data);
+        return data;
     }
 
     /**
      * Get information for a site by SiteUID.
-     * @param {string} siteUID - Globally unique identifier for a site.
+     * @param {string|SiteRef} siteUID - Globally unique identifier for a site, or a SiteRef.
      * @returns {Site} - Site object
      */
     async getSite(siteUID) {
+        siteUID = await this.#siteUID(siteUID);
         const config = {
             url: `/Site/${siteUID}`,
             method: 'GET',
         };
-        const response = await this.axios.request(config).catch(this.#errorHandler);
-        return response.data;
+        const data = await this.#cachedRequest('getSite', siteUID, config);
+        this.#cacheTimeZones([data]);
+        return data;
     }
 
     /**
@@ -125,14 +513,13 @@ class QSR {
             url: `/Companies/${this.companyUID}/Brands`,
             method: 'GET',
         };
-        const response = await this.axios.request(config).catch(this.#errorHandler);
-        return response.data;
+        return this.#cachedRequest('getBrands', undefined, config);
     }
 
     /**
      * Get SiteUID and CustomerSiteID for all sites within a Company.
-     * @param {boolean} onlyActiveSites If true, only records for active sites returned.
-     * @returns {string} - CustomerSiteID - Customizable site identifier
+     * @param {boolean} [onlyActiveSites] - Optional. If true, only records for active sites are returned.
+     * @returns {CustomerSiteIdMapEntry[]} - SiteUID, CustomerSiteID and IsActive of each site.
      */
     async getCustomerSiteIdMap(onlyActiveSites) {
         const config = {
@@ -140,332 +527,412 @@ class QSR {
             method: 'GET',
             params: {}
         };
-        if (onlyActiveSites) config.params[getOnlyActiveSites] = true ;
-        const response = await this.axios.request(config).catch(this.#errorHandler);
-        return response.data;
+        if (onlyActiveSites) config.params.getOnlyActiveSites = true;
+        return this.#cachedRequest('getCustomerSiteIdMap', undefined, config);
     }
 
     /**
      * Get the list of operating information.
-     * @param {string} siteUID - Globally unique identifier for a site.
+     * @param {string|SiteRef} siteUID - Globally unique identifier for a site, or a SiteRef.
      * @returns {OperatingInfo[]} - Collection of operating information.
      */
     async getOperatingInfo(siteUID) {
+        siteUID = await this.#siteUID(siteUID);
         const config = {
             url: `/Site/${siteUID}/operatingInfo`,
             method: 'GET',
         };
-        const response = await this.axios.request(config).catch(this.#errorHandler);
-        return response.data;
+        return this.#cachedRequest('getOperatingInfo', siteUID, config);
     }
 
     /**
      * Gets the list of team members for the specified site.
-     * @param {string} siteUID - Globally unique identifier for a site.
-     * @param {Date} startTime - Start time of updates.
-     * @param {Date} endTime - End time of updates.
+     * @param {string|SiteRef} siteUID - Globally unique identifier for a site, or a SiteRef.
+     * @param {Date|LocalRange} [startTime] - Optional. Start time of updates, or a LocalRange in the site's time zone.
+     * @param {Date} [endTime] - Optional. End time of updates.
      * @returns {TeamMember[]} - Collection of TeamMember.
      */
     async getTeamMembers(siteUID, startTime, endTime) {
+        siteUID = await this.#siteUID(siteUID);
         const config = {
             url: `/Site/${siteUID}/TeamMembers`,
             method: 'GET',
             params: {}
         };
-        if (startTime) config.params['startTime'] = startTime.toISOString();
-        if (endTime) config.params['endTime'] = endTime.toISOString();
-        const response = await this.axios.request(config).catch(this.#errorHandler);
+        const { start, end } = await this.#range(siteUID, startTime, endTime);
+        if (start) config.params['startTime'] = start;
+        if (end) config.params['endTime'] = end;
+        const response = await this.#request(config);
         return response.data;
     }
 
     /**
      * Get the list of all team member events for the specified site within a specified time range. 
      * This is ordered by last server update timestamp of the records.
-     * @param {string} siteUID - Globally unique identifier for a site.
-     * @param {Date} startTime - Start time of updates.
-     * @param {Date} endTime - End time of updates.
+     * @param {string|SiteRef} siteUID - Globally unique identifier for a site, or a SiteRef.
+     * @param {Date|LocalRange} startTime - Start time of updates, or a LocalRange in the site's time zone.
+     * @param {Date} [endTime] - End time of updates. Ignored when startTime is a LocalRange.
      * @param {number} [numPages] - Optional. Limit number of pages (100 records) to return.
      * @returns {TeamMemberEvent[]} - Collection of TeamMemberEvent.
      */
     async getAllTeamMemberEvents(siteUID, startTime, endTime, numPages = 0) {
+        siteUID = await this.#siteUID(siteUID);
+        const data = [];
+        for await (const page of this.iterateTeamMemberEvents(siteUID, startTime, endTime, { numPages })) data.push(...page.items);
+        return data;
+    }
+
+    /**
+     * Iterate the pages of team member events for the specified site within a specified time range, as they arrive.
+     * To resume later, pass the cursor of the last processed page as startTime.
+     * @example
+     * for await (const page of qsr.iterateTeamMemberEvents(siteUID, start, end)) {
+     *     await save(page.items);
+     * }
+     * @param {string|SiteRef} siteUID - Globally unique identifier for a site, or a SiteRef.
+     * @param {Date|string|LocalRange} startTime - Start time of updates, a page cursor, or a LocalRange in the site's time zone.
+     * @param {Date|string} [endTime] - End time of updates. Ignored when startTime is a LocalRange.
+     * @param {Object} [options] - Optional.
+     * @param {number} [options.numPages] - Optional. Limit number of pages (100 records) to return.
+     * @yields {Page} - Page of TeamMemberEvent records.
+     */
+    async *iterateTeamMemberEvents(siteUID, startTime, endTime, options = {}) {
+        siteUID = await this.#siteUID(siteUID);
+        const { start, end } = await this.#range(siteUID, startTime, endTime);
         const config = {
             url: `/Site/${siteUID}/TeamMembers/Events`,
             method: 'GET',
             params: {
-                startTime: startTime.toISOString(),
-                endTime: endTime.toISOString()
+                startTime: start,
+                endTime: end
             }
         };
-        const data = [];
-        let response;
-        do {
-            response = await this.axios.request(config).catch(this.#errorHandler);
-            data.push(...response.data.Events)
-            config.params.startTime = response.data.TimeStampCutoff;
-            numPages--;
-        } while (response.data.MoreData && numPages !== 0);
-        return data;
+        yield* this.#paginate(config, options.numPages, {
+            items: data => data.Events,
+            cursor: data => data.TimeStampCutoff,
+            hasMore: data => data.MoreData,
+            advance: cursor => { config.params.startTime = cursor; }
+        });
     }
 
     /**
      * Get the paged list of team member events for the specified site within a specified time range. 
      * This is ordered by last server update timestamp of the records.  Page size is 100.
-     * @param {string} siteUID - Globally unique identifier for a site.
-     * @param {Date} startTime - Start time of updates.
-     * @param {Date} endTime - End time of updates.
+     * @param {string|SiteRef} siteUID - Globally unique identifier for a site, or a SiteRef.
+     * @param {Date|LocalRange} startTime - Start time of updates, or a LocalRange in the site's time zone.
+     * @param {Date} [endTime] - End time of updates. Ignored when startTime is a LocalRange.
      * @returns {TeamMemberEventPage} - TeamMemberEventPage.
      */
      async getTeamMemberEvents(siteUID, startTime, endTime) {
+        siteUID = await this.#siteUID(siteUID);
+        const { start, end } = await this.#range(siteUID, startTime, endTime);
         const config = {
             url: `/Site/${siteUID}/TeamMembers/Events`,
             method: 'GET',
             params: {
-                startTime: startTime.toISOString(),
-                endTime: endTime.toISOString()
+                startTime: start,
+                endTime: end
             }
         };
         const data = [];
-        const response = await this.axios.request(config).catch(this.#errorHandler);
+        const response = await this.#request(config);
         return response.data;
     }
 
     /**
      * Add team members to the specified site.
-     * @param {string} siteUID - Globally unique identifier for a site.
+     * @param {string|SiteRef} siteUID - Globally unique identifier for a site, or a SiteRef.
      * @param {TeamMember} teamMember - TeamMember object to add
      * @returns {TeamMember[]} - Collection of TeamMember.
      */
     async addTeamMember(siteUID, teamMember) {
+        siteUID = await this.#siteUID(siteUID);
         const config = {
             url: `/Site/${siteUID}/TeamMembers`,
             method: 'POST',
             data: teamMember
         };
-        const response = await this.axios.request(config).catch(this.#errorHandler);
+        const response = await this.#request(config);
         return response.data;
     }
 
     /**
      * Update team members for the specified site.
-     * @param {string} siteUID - Globally unique identifier for a site.
+     * @param {string|SiteRef} siteUID - Globally unique identifier for a site, or a SiteRef.
      * @param {string} teamMemberId - Globally unique identifier of the TeamMember record.
      * @param {TeamMemeber} teamMemberUpdate - TeamMember object to update from.
      * @returns {TeamMemeber[]} - Collection of TeamMember.
      */
     async updateTeamMember(siteUID, teamMemberId, teamMemberUpdate) {
+        siteUID = await this.#siteUID(siteUID);
         const config = {
             url: `/Site/${siteUID}/TeamMembers/${teamMemberId}`,
             method: 'PATCH',
             data: teamMemberUpdate
         };
-        const response = await this.axios.request(config).catch(this.#errorHandler);
+        const response = await this.#request(config);
         return response.data;
     }
 
     /**
      * Delete team members for the specified site.
-     * @param {string} siteUID - Globally unique identifier for a site.
+     * @param {string|SiteRef} siteUID - Globally unique identifier for a site, or a SiteRef.
      * @param {string} teamMemberId - Globally unique identifier of the TeamMember record.
      * @returns {boolean} - Returns true if successful.
      */
     async removeTeamMember(siteUID, teamMemberId, teamMemberUpdate) {
+        siteUID = await this.#siteUID(siteUID);
         const config = {
             url: `/Site/${siteUID}/TeamMembers/${teamMemberId}`,
             method: 'DELETE',
             data: teamMemberUpdate
         };
-        const response = await this.axios.request(config).catch(this.#errorHandler);
+        const response = await this.#request(config);
         return response.status === 200;
     }
 
     /**
      * Gets the list of tables for the specified site.
-     * @param {string} siteUID - Globally unique identifier for a site.
+     * @param {string|SiteRef} siteUID - Globally unique identifier for a site, or a SiteRef.
      * @returns {Object[]} - Collection of Table objects.
      */
     async getTables(siteUID) {
+        siteUID = await this.#siteUID(siteUID);
         const config = {
             url: `/Site/${siteUID}/Tables`,
             method: 'GET'
         };
-        const response = await this.axios.request(config).catch(this.#errorHandler);
-        return response.data;
+        return this.#cachedRequest('getTables', siteUID, config);
     } 
 
     /**
      * Gets the list of table statuses for the specified site.
-     * @param {string} siteUID - Globally unique identifier for a site.
-     * @param {Date} startTime - Start time in ISO 8601 format.
-     * @param {Date} endTime - End time in ISO 8601 format.
+     * @param {string|SiteRef} siteUID - Globally unique identifier for a site, or a SiteRef.
+     * @param {Date|LocalRange} startTime - Start time, or a LocalRange in the site's time zone.
+     * @param {Date} [endTime] - End time. Ignored when startTime is a LocalRange.
      * @returns {TableStatus[]} - Collection of Table statuses.
      */
     async getTableStatus(siteUID, startTime, endTime) {
+        siteUID = await this.#siteUID(siteUID);
+        const { start, end } = await this.#range(siteUID, startTime, endTime);
         const config = {
             url: `/Site/${siteUID}/Tables/Status`,
             method: 'GET',
             params: {
-                startTime: startTime.toISOString(),
-                endTime: endTime.toISOString()
+                startTime: start,
+                endTime: end
             }
         };
-        const response = await this.axios.request(config).catch(this.#errorHandler);
+        const response = await this.#request(config);
         return response.data;
     }
 
     /**
      * Get the list of all table history updates for a specified site within a specified time range. 
      * This is ordered by last server update timestamp of the records.
-     * @param {string} siteUID - Globally unique identifier for a site.
-     * @param {Date} startTime - Start time of updates.
-     * @param {Date} endTime - End time of updates.
+     * @param {string|SiteRef} siteUID - Globally unique identifier for a site, or a SiteRef.
+     * @param {Date|LocalRange} startTime - Start time of updates, or a LocalRange in the site's time zone.
+     * @param {Date} [endTime] - End time of updates. Ignored when startTime is a LocalRange.
      * @param {number} [numPages] - Optional. Limit number of pages (100 records) to return.
      * @returns {TableHistory[]} - Collection of TableHistory.
      */
     async getAllTableHistory(siteUID, startTime, endTime, numPages = 0) {
+        siteUID = await this.#siteUID(siteUID);
+        const data = [];
+        for await (const page of this.iterateTableHistory(siteUID, startTime, endTime, { numPages })) data.push(...page.items);
+        return data;
+    }
+
+    /**
+     * Iterate the pages of table history updates for a specified site within a specified time range, as they arrive.
+     * To resume later, pass the cursor of the last processed page as startTime.
+     * @param {string|SiteRef} siteUID - Globally unique identifier for a site, or a SiteRef.
+     * @param {Date|string|LocalRange} startTime - Start time of updates, a page cursor, or a LocalRange in the site's time zone.
+     * @param {Date|string} [endTime] - End time of updates. Ignored when startTime is a LocalRange.
+     * @param {Object} [options] - Optional.
+     * @param {number} [options.numPages] - Optional. Limit number of pages (100 records) to return.
+     * @yields {Page} - Page of TableHistory records.
+     */
+    async *iterateTableHistory(siteUID, startTime, endTime, options = {}) {
+        siteUID = await this.#siteUID(siteUID);
+        const { start, end } = await this.#range(siteUID, startTime, endTime);
         const config = {
             url: `/Site/${siteUID}/Tables/History`,
             method: 'GET',
             params: {
-                startTime: startTime.toISOString(),
-                endTime: endTime.toISOString()
+                startTime: start,
+                endTime: end
             }
         };
-        const data = [];
-        let response;
-        do {
-            response = await this.axios.request(config).catch(this.#errorHandler);
-            data.push(...response.data.History)
-            config.params.startTime = response.data.TimeStampCutoff;
-            numPages--;
-        } while (response.data.HasMoreData && numPages !== 0);
-        return data;
+        yield* this.#paginate(config, options.numPages, {
+            items: data => data.History,
+            cursor: data => data.TimeStampCutoff,
+            hasMore: data => data.HasMoreData,
+            advance: cursor => { config.params.startTime = cursor; }
+        });
     }
 
     /**
      * Get the paged list of table history updates for a specified site within a specified time range. 
      * This is ordered by last server update timestamp of the records. Page size is 100.
-     * @param {string} siteUID - Globally unique identifier for a site.
-     * @param {Date} startTime - Start time of updates.
-     * @param {Date} endTime - End time of updates.
+     * @param {string|SiteRef} siteUID - Globally unique identifier for a site, or a SiteRef.
+     * @param {Date|LocalRange} startTime - Start time of updates, or a LocalRange in the site's time zone.
+     * @param {Date} [endTime] - End time of updates. Ignored when startTime is a LocalRange.
      * @returns {TableHiTableHistoryPage} - TableHiTableHistoryPage.
      */
      async getTableHistory(siteUID, startTime, endTime) {
+        siteUID = await this.#siteUID(siteUID);
+        const { start, end } = await this.#range(siteUID, startTime, endTime);
         const config = {
             url: `/Site/${siteUID}/Tables/History`,
             method: 'GET',
             params: {
-                startTime: startTime.toISOString(),
-                endTime: endTime.toISOString()
+                startTime: start,
+                endTime: end
             }
         };
         const data = [];
-        const response = await this.axios.request(config).catch(this.#errorHandler);
+        const response = await this.#request(config);
         return response.data;
     }
 
     /**
      * Get the list of all table events updates for a specified site within a specified time range. 
      * This is ordered by last server update timestamp of the records. 
-     * @param {string} siteUID - Globally unique identifier for a site.
-     * @param {Date} startTime - Start time of updates.
-     * @param {Date} endTime - End time of updates.
+     * @param {string|SiteRef} siteUID - Globally unique identifier for a site, or a SiteRef.
+     * @param {Date|LocalRange} startTime - Start time of updates, or a LocalRange in the site's time zone.
+     * @param {Date} [endTime] - End time of updates. Ignored when startTime is a LocalRange.
      * @param {number} [numPages] - Optional. Number of pages (100 records) to return.
      * @returns {TableEvent[]} - Collection of TableEvent.
      */
     async getAllTableEvents(siteUID, startTime, endTime, numPages = 0) {
+        siteUID = await this.#siteUID(siteUID);
+        const data = [];
+        for await (const page of this.iterateTableEvents(siteUID, startTime, endTime, { numPages })) data.push(...page.items);
+        return data;
+    }
+
+    /**
+     * Iterate the pages of table events for a specified site within a specified time range, as they arrive.
+     * To resume later, pass the cursor of the last processed page as startTime.
+     * @param {string|SiteRef} siteUID - Globally unique identifier for a site, or a SiteRef.
+     * @param {Date|string|LocalRange} startTime - Start time of updates, a page cursor, or a LocalRange in the site's time zone.
+     * @param {Date|string} [endTime] - End time of updates. Ignored when startTime is a LocalRange.
+     * @param {Object} [options] - Optional.
+     * @param {number} [options.numPages] - Optional. Limit number of pages (100 records) to return.
+     * @yields {Page} - Page of TableEvent records.
+     */
+    async *iterateTableEvents(siteUID, startTime, endTime, options = {}) {
+        siteUID = await this.#siteUID(siteUID);
+        const { start, end } = await this.#range(siteUID, startTime, endTime);
         const config = {
             url: `/Site/${siteUID}/Tables/Events`,
             method: 'GET',
             params: {
-                startTime: startTime.toISOString(),
-                endTime: endTime.toISOString()
+                startTime: start,
+                endTime: end
             }
         };
-        const data = [];
-        let response;
-        do {
-            response = await this.axios.request(config).catch(this.#errorHandler);
-            data.push(...response.data.Events)
-            config.params.startTime = response.data.TimeStampCutoff;
-            numPages--;
-        } while (response.data.MoreData && numPages !== 0);
-        return data;
+        yield* this.#paginate(config, options.numPages, {
+            items: data => data.Events,
+            cursor: data => data.TimeStampCutoff,
+            hasMore: data => data.MoreData,
+            advance: cursor => { config.params.startTime = cursor; }
+        });
     }
 
     /**
      * Get the paged list of table events updates for a specified site within a specified time range. 
      * This is ordered by last server update timestamp of the records. Page size is 100.
-     * @param {string} siteUID - Globally unique identifier for a site.
-     * @param {Date} startTime - Start time of updates.
-     * @param {Date} endTime - End time of updates.
+     * @param {string|SiteRef} siteUID - Globally unique identifier for a site, or a SiteRef.
+     * @param {Date|LocalRange} startTime - Start time of updates, or a LocalRange in the site's time zone.
+     * @param {Date} [endTime] - End time of updates. Ignored when startTime is a LocalRange.
      * @returns {TableEventPage} - TableEventPage.
      */
      async getTableEvents(siteUID, startTime, endTime) {
+        siteUID = await this.#siteUID(siteUID);
+        const { start, end } = await this.#range(siteUID, startTime, endTime);
         const config = {
             url: `/Site/${siteUID}/Tables/Events`,
             method: 'GET',
             params: {
-                startTime: startTime.toISOString(),
-                endTime: endTime.toISOString()
+                startTime: start,
+                endTime: end
             }
         };
-        const response = await this.axios.request(config).catch(this.#errorHandler);
+        const response = await this.#request(config);
         return response.data;
     }
 
+    /**
+     * Report table turn and occupancy metrics (turns, turn time, dirty-to-clean time, idle time and seat utilization)
+     * per table, per station and per shift. Fetches table events, table history and visits for the range.
+     * @param {string|SiteRef} siteUID - Globally unique identifier for a site, or a SiteRef.
+     * @param {Date|LocalRange} startTime - Start of the range, or a LocalRange in the site's time zone.
+     * @param {Date} [endTime] - Optional. End of the range. Defaults to now. Ignored when startTime is a LocalRange.
+     * @returns {TableTurnReport} - TableTurnReport.
+     */
+    async getTableTurnReport(siteUID, startTime, endTime = new Date()) {
+        siteUID = await this.#siteUID(siteUID);
+        const { start, end } = await this.#range(siteUID, startTime, endTime);
+        const [tableEvents, tableHistory, visits] = await Promise.all([
+            this.getAllTableEvents(siteUID, start, end),
+            this.getAllTableHistory(siteUID, start, end),
+            this.getAllVisitUpdates(siteUID, start, end)
+        ]);
+        return tableTurnReport({ tableEvents, tableHistory, visits }, { start: new Date(start), end: new Date(end) });
+    }
+
     /**
      * Raise a table event for the specified table at the specified site.
-     * @param {string} siteUID - Globally unique identifier for a site.
+     * @param {string|SiteRef} siteUID - Globally unique identifier for a site, or a SiteRef.
      * @param {Object} info - The table event to post.
      * @param {string} info.eventType - Type of TableEvent. The following are considered acceptable values: CheckPaid, TableScanned, CheckPartialPayment, CourseComplete, CheckPrinted, ItemsOrdered, TableOpened, TableCleared, TableDirtied.
      * @param {string} info.tableName - Name of the specified table.
-     * @param {string} info.timestampUtc - Time stamp of the TableEvent in UTC (in ISO8601 format).
-     * @param {number} [info.transactionNumber] - Time stamp of the TableEvent in UTC (in ISO8601 format).
-     * @param {number} [info.checkAmount] - Time stamp of the TableEvent in UTC (in ISO8601 format).
-     * @param {string} [info.id] - Time stamp of the TableEvent in UTC (in ISO8601 format).
+     * @param {Date|string} info.timestampUtc - Time stamp of the TableEvent in UTC (in ISO8601 format).
+     * @param {number|string} [info.transactionNumber] - Optional. Transaction number of the check.
+     * @param {number} [info.checkAmount] - Optional. Amount of the check.
+     * @param {string} [info.id] - Optional. Unique identifier of the TableEvent.
      * @returns {boolean} - True if is successful.
+     * @throws {QSRValidationError} - If info is invalid.
      */
     async addTableEvent(siteUID, info = {}) {
+        siteUID = await this.#siteUID(siteUID);
         const config = {
             url: `/Site/${siteUID}/Visit/TableEvent`,
             method: 'POST',
-            data: {
-                EventType: info.eventType,
-                TableName: info.tableName,
-                TimstampUtc: info.timestampUtc
-            }
+            data: buildPayload(SCHEMAS.tableEvent, info)
         };
-        if (info.transactionNumber) config.data.TransactionNumber = info.transactionNumber;
-        if (info.checkAmount) config.data.CheckAmount = info.checkAmount;
-        if (info.id) config.data.ID = info.id;
-        const response = await this.axios.request(config).catch(this.#errorHandler);   
+        const response = await this.#request(config);
         return response.status === 200;
     }
 
 
     /**
      * Arrive a Visit.
-     * @param {string} siteUID - Globally unique identifier for a site.
+     * @param {string|SiteRef} siteUID - Globally unique identifier for a site, or a SiteRef.
      * @param {string} visitID - Globally unique identifier for a QSR visit record (WebAhead, reservation, or walk-in).
      * @returns {boolean} - Returns true is successful.
      */
     async arriveReservation(siteUID, visitID) {
+        siteUID = await this.#siteUID(siteUID);
         const config = {
             url: `/Site/${siteUID}/reservations/${visitID}/Arrive`,
             method: 'POST'
         };
-        const response = await this.axios.request(config).catch(this.#errorHandler);
+        const response = await this.#request(config);
         return response.status === 200;
     }
 
     /**
      * Gets the reservation availability for the specified site, the target business date, and target party size.
-     * @param {string} siteUID - Globally unique identifier for a site.
+     * @param {string|SiteRef} siteUID - Globally unique identifier for a site, or a SiteRef.
      * @param {Date} date - Target date.
      * @param {number} partySize - Size of the party.
      * @returns {ReservationAvailabilityDay[]} - Collection of ReservationAvailabilityDay, each representing availability for a calendar date. 
      */
     async getReservationAvailability(siteUID, date, partySize) {
+        siteUID = await this.#siteUID(siteUID);
         const config = {
             url: `/Site/${siteUID}/reservations/availability`,
             method: 'GET',
@@ -474,17 +941,18 @@ class QSR {
                 partySize: Math.floor(partySize)
             }
         };
-        const response = await this.axios.request(config).catch(this.#errorHandler);
+        const response = await this.#request(config);
         return response.data;
     }
 
     /**
      * Gets the reservation visit for the specified site and the specified confirmation number.
-     * @param {string} siteUID - Globally unique identifier for a site.
+     * @param {string|SiteRef} siteUID - Globally unique identifier for a site, or a SiteRef.
      * @param {string} confimationNumber - Confirmation number of the reservation.
      * @returns {Visit} - QSR visit record.
      */
     async getReservationByConfirmation(siteUID, confimationNumber) {
+        siteUID = await this.#siteUID(siteUID);
         const config = {
             url: `/site/${siteUID}/reservations`,
             method: 'GET',
@@ -492,13 +960,13 @@ class QSR {
                 conf: confimationNumber
             }
         };
-        const response = await this.axios.request(config).catch(this.#errorHandler);
+        const response = await this.#request(config);
         return response.data;
     }
 
     /**
      * Adds a reservation to the site for the specified date and time.
-     * @param {string} siteUID - Globally unique identifier for a site.
+     * @param {string|SiteRef} siteUID - Globally unique identifier for a site, or a SiteRef.
      * @param {Object} info - Information for the reservation.
      * @param {Date} info.arrivalTime - Reservation time.
      * @param {number} info.partySize - Party size of the reservation.
@@ -516,82 +984,65 @@ class QSR {
      * @param {string} [info.seatingAreaUID] - Optional. Unique identifier of the expected seating area for the reservation.
      * @param {string} [info.notificationType] - Optional. Set Notification Type to None, Call, SMS, or Pager.
      * @returns {Visit} - QSR visit record.
+     * @throws {QSRValidationError} - If info is invalid.
      */
      async addReservation(siteUID, info) {
+        siteUID = await this.#siteUID(siteUID);
         const config = {
             url: `/site/${siteUID}/reservations`,
-            method: 'GET',
-            params: {
-                EstimatedArrivalTime: arrivalTime.toISOString(),
-                PartySize: Math.floor(info.partSize)
-            }
+            method: 'POST',
+            data: buildPayload(SCHEMAS.reservation, info)
         };
-        if (info.email) params.Email = info.email;
-        if (info.firstName) params.FirstName = info.firstName;
-        if (info.lastName) params.LastName = info.lastName;
-        if (info.guestId) params.GuestId = info.guestId;
-        if (info.subedToSms) params.IsSubscribedToSmsMarketing = info.subedToSms;
-        if (info.subedToEmail) params.IsSubscribedToEmailMarketing = info.subedToEmail;
-        if (info.subedToQsr) params.IsSubscribedToQsrMarketing = info.subedToQsr;
-        if (info.notes) params.Notes = info.notes;
-        if (info.pagerId) params.PagerId = info.pagerId;
-        if (info.phoneNumber) params.PhoneNumber = info.phoneNumber;
-        if (info.phoneNumberString) params.PhoneNumberString = info.phoneNumberString;
-        if (info.seatingAreaUID) params.SeatingAreaUID = info.seatingAreaUID;
-        if (info.notificationType) params.NotificationType = info.notificationType;
-        const response = await this.axios.request(config).catch(this.#errorHandler);
+        const response = await this.#request(config);
         return response.data;
     }
 
     /**
-     * Adds a reservation to the site for the specified date and time.
-     * @param {string} siteUID - Globally unique identifier for a site.
-     * @param {string} visitUID - Globally unique identifier for a site.
+     * Updates the specified reservation visit.
+     * @param {string|SiteRef} siteUID - Globally unique identifier for a site, or a SiteRef.
+     * @param {string} visitID - Globally unique identifier for the reservation visit.
      * @param {Object} info - Information for the reservation.
-     * @param {Date} info.arrivalTime - Reservation time.
-     * @param {number} info.partySize - Party size of the reservation.
+     * @param {Date} [info.arrivalTime] - Optional. Reservation time.
+     * @param {number} [info.partySize] - Optional. Party size of the reservation.
      * @param {string} [info.notes] - Optional. Notes of the reservation. 
      * @param {string} [info.pagerId] - Optional. ID number of associated pager. 
      * @param {string} [info.phoneNumber] - Optional. Phone number of the guest, numeric only. 
      * @param {string} [info.notificationType] - Optional. Set Notification Type to None, Call, SMS, or Pager.
      * @param {string} [info.foodAllergies] - Optional. The guest's food allergies.
      * @returns {boolean} - True if successful.
+     * @throws {QSRValidationError} - If info is invalid.
      */
      async updateReservation(siteUID, visitID, info) {
+        siteUID = await this.#siteUID(siteUID);
         const config = {
             url: `/site/${siteUID}/reservations/${visitID}`,
-            method: 'PATCH'
+            method: 'PATCH',
+            data: buildPayload(SCHEMAS.reservationUpdate, info)
         };
-        if (info.arrivalTime) params.EstimatedArrivalTime = info.arrivalTime;
-        if (info.partySize) params.PartySize = Math.floor(info.partySize);
-        if (info.notes) params.Notes = info.notes;
-        if (info.pagerId) params.PagerId = info.pagerId;
-        if (info.phoneNumber) params.PhoneNumber = info.phoneNumber;
-        if (info.notificationType) params.NotificationType = info.notificationType;
-        if (info.foodAllergies) params.FoodAllergies = info.foodAllergies;
-        const response = await this.axios.request(config).catch(this.#errorHandler);
+        const response = await this.#request(config);
         return response.status === 200;
     }
 
     /**
      * Cancel the specified reservation visit for the specified site.
      * Note: Sync bypasses thea vailability check.
-     * @param {string} siteUID - Globally unique identifier for a site.
-     * @param {string} visitUID - Globally unique identifier for a site.
+     * @param {string|SiteRef} siteUID - Globally unique identifier for a site, or a SiteRef.
+     * @param {string} visitUID - Globally unique identifier for the reservation visit.
      * @returns {boolean} - True if successful.
      */
     async removeReservation(siteUID, visitUID) {
+        siteUID = await this.#siteUID(siteUID);
         const config = {
-            url: `/site/${siteUID}/reservations/${visitID}`,
+            url: `/site/${siteUID}/reservations/${visitUID}`,
             method: 'DELETE'
         };
-        const response = await this.axios.request(config).catch(this.#errorHandler);
+        const response = await this.#request(config);
         return response.status === 200;
     }
 
     /**
      * Sync a reservation record to DineTime Enterprise.
-     * @param {string} siteUID - Globally unique identifier for a site.
+     * @param {string|SiteRef} siteUID - Globally unique identifier for a site, or a SiteRef.
      * @param {*} externalId - External identifier of the reservation.
      * @param {Object} info - External reservation information.
      * @param {string} info.arrivalTime - Required for new reservation, Optional for exiting.  Reservation Time.
@@ -604,48 +1055,40 @@ class QSR {
      * @param {Object} [info.partyMix] - Optional. Visit party mix data.
      * @param {string} [info.syncSource] - Optional. String representing source of the reservation record.
      * @returns {boolean} - True if successful.
+     * @throws {QSRValidationError} - If info is invalid.
      */
     async syncExternalReservation(siteUID, externalId, info) {
+        siteUID = await this.#siteUID(siteUID);
         const config = {
             url: `/site/${siteUID}/externalreservations/${externalId}`,
-            method: 'PUT'
+            method: 'PUT',
+            data: buildPayload(SCHEMAS.externalReservation, info)
         };
-        if (info.arrivalTime) params.EstimatedArrivalTime = info.arrivalTime;
-        if (info.partySize) params.PartySize = Math.floor(info.partySize);
-        if (info.guest) params.Guest = info.guest;
-        if (info.size) params.Size = Math.floor(info.size);
-        if (info.canceledTime) params.CanceledTime = info.canceledTime;
-        if (info.customValues) params.CustomValues = info.customValues;
-        if (info.notes) params.Notes = info.notes;
-        if (info.partyMix) params.PartyMix = info.partyMix;
-        if (info.syncSource) params.SyncSource = info.syncSource;
-        const response = await this.axios.request(config).catch(this.#errorHandler);
+        const response = await this.#request(config);
         return response.status === 200;
     }
 
     /**
      * Adds an arrived WalkIn visit. 
      * Providing Guest.ID or Guest.Loyalty.LoyaltyCardID indicates an existing QSR guest record.
-     * @param {string} siteUID - Globally unique identifier for a site.
-     * @param {*} info - WalkIn information.
+     * @param {string|SiteRef} siteUID - Globally unique identifier for a site, or a SiteRef.
+     * @param {Object} info - WalkIn information.
      * @param {number} info.partySize - Party size of the reservation.
      * @param {string} [info.arrivalTime] - Optional. Arrival Time.
      * @param {string} [info.externalId] - Optional. External identifier of the visit.
      * @param {Guest|string} [info.guest] - Optional. Guest record of the reservation | Guest.ID or Guest.Loyalty.LoyaltyCardID
-     * @param {string} [info.notes] - Optional. Notes of the reservation cancellation timestamp.
+     * @param {string} [info.notes] - Optional. Notes of the walk-in.
      * @returns {Visit} - QSR visit record. 
+     * @throws {QSRValidationError} - If info is invalid.
      */
     async addWalkIn(siteUID, info) {
+        siteUID = await this.#siteUID(siteUID);
         const config = {
             url: `/Site/${siteUID}/WalkIn`,
-            method: 'POST'
+            method: 'POST',
+            data: buildPayload(SCHEMAS.walkIn, info)
         };
-        if (info.partySize) params.PartySize = Math.floor(info.partySize);
-        if (info.arrivalTime) params.ArrivalTime = info.arrivalTime;
-        if (info.externalId) params.ExternalID = info.externalId;
-        if (info.guest) params.Guest = info.guest;
-        if (info.notes) params.Notes = info.notes;
-        const response = await this.axios.request(config).catch(this.#errorHandler);
+        const response = await this.#request(config);
         return response.data;
     }
 
@@ -655,23 +1098,35 @@ class QSR {
      * @returns {Object[]} - Associated sites.
      */
     async getAllPartnerSites(numSites = 0) {
+        const data = [];
+        for await (const page of this.iteratePartnerSites({ numPages: numSites })) data.push(...page.items);
+        return data;
+    }
+
+    /**
+     * Iterate the pages of sites associated with the partner on the API key, as they arrive.
+     * To resume later, pass the cursor (Token) of the last processed page as options.token.
+     * @param {Object} [options] - Optional.
+     * @param {number} [options.numPages] - Optional. Limit number of pages to return.
+     * @param {string} [options.token] - Optional. Token of the page to start from.
+     * @yields {Page} - Page of associated sites.
+     */
+    async *iteratePartnerSites(options = {}) {
         const config = {
             url: `/Site/Sites`,
             method: 'GET'
         };
-        const data = [];
-        let response;
-        do {
-            response = await this.axios.request(config).catch(this.#errorHandler);
-            data.push({
-                pageData: response.data.pageData,
-                siteUID: response.data.SiteUID,
-                externalSiteID: response.data.ExternalSiteID
-            });
-            config.params = { Token: response.data.Token };
-            numSites--;
-        } while (response.data.HasMore && numSites !== 0);
-        return data;
+        if (options.token) config.params = { Token: options.token };
+        yield* this.#paginate(config, options.numPages, {
+            items: data => [{
+                pageData: data.pageData,
+                siteUID: data.SiteUID,
+                externalSiteID: data.ExternalSiteID
+            }],
+            cursor: data => data.Token,
+            hasMore: data => data.HasMore,
+            advance: cursor => { config.params = { Token: cursor }; }
+        });
     }
 
     /**
@@ -684,13 +1139,13 @@ class QSR {
             url: `/Site/Sites`,
             method: 'GET'
         };
-        const response = await this.axios.request(config).catch(this.#errorHandler);
+        const response = await this.#request(config);
         return response.data;
     }
 
     /**
      * Adds a WebAhead, therefore adding the specified party to the Waitlist.
-     * @param {string} siteUID - Globally unique identifier for a site.
+     * @param {string|SiteRef} siteUID - Globally unique identifier for a site, or a SiteRef.
      * @param {Object} info - Information object for WebAhead.
      * @param {number} info.partySize - Party Size
      * @param {string} info.phoneNumberString - Formatted phone number string.
@@ -705,39 +1160,29 @@ class QSR {
      * @param {boolean} [info.isSubedToSms] - Flag to indicate whether guest subscribes to SMS marketing.
      * @param {boolean} [info.isSubedToEmail] - Flag to indicate whether guest subscribes to email marketing.
      * @param {boolean} [info.isSubedToQsr] - Flag to indicate whether guest subscribes to QSR's marketing.
-     * @returns {boolean} - True if post is successful.
+     * @param {boolean} [returnWebAhead] - Optional. If true, the created WebAhead is returned instead of true.
+     * @returns {boolean|WebAhead} - True if post is successful, or the created WebAhead.
+     * @throws {QSRValidationError} - If info is invalid.
      */
-    async addWalkIn(siteUID, info) {
+    async addWebAhead(siteUID, info, returnWebAhead) {
+        siteUID = await this.#siteUID(siteUID);
         const config = {
             url: `/Site/${siteUID}/WebAhead`,
             method: 'POST',
-            data: {
-                PartySize: Math.floor(info.partSize),
-                PhoneNumberString: info.phoneNumberString
-            }
+            data: buildPayload(SCHEMAS.webAhead, info)
         };
-        if (info.lastName) params.LastName = info.lastName;
-        if (info.email) params.Email = info.email;
-        if (info.estimatedArrivalTime) params.EstimatedArrivalTime = info.estimatedArrivalTime;
-        if (info.expandGuest) params.ExpandGuest = info.expandGuest;
-        if (info.firstName) params.FirstName = info.firstName;
-        if (info.guestID) params.GuestID = info.guestID;
-        if (info.notes) params.Notes = info.notes;
-        if (info.notificationType) params.NotificationType = info.notificationType;
-        if (info.isSubedToSms) params.IsSubscribedToSmsMarketing = info.isSubedToSms;
-        if (info.isSubedToEmail) params.IsSubscribedToEmailMarketing = info.isSubedToEmail;
-        if (info.isSubedToQsr) params.IsSubscribedToQsrMarketing = info.isSubedToQsr;
-        const response = await this.axios.request(config).catch(this.#errorHandler);
-        return response.status === 200;
+        const response = await this.#request(config);
+        return returnWebAhead ? response.data : response.status === 200;
     }
 
     /**
      * Get wait list status and quote for web ahead based on party size.
-     * @param {string} siteUID - Globally unique identifier for a site.
+     * @param {string|SiteRef} siteUID - Globally unique identifier for a site, or a SiteRef.
      * @param {number} partySize - Party size.
      * @returns {WaitListStatus} - WaitListStatus.
      */
     async getWaitListStatus(siteUID, partySize) {
+        siteUID = await this.#siteUID(siteUID);
         const config = {
             url: `/Site/${siteUID}/WebAhead/Status`,
             method: 'GET',
@@ -745,30 +1190,29 @@ class QSR {
                 PartySize: Math.floor(partySize)
             }
         };
-        const response = await this.axios.request(config).catch(this.#errorHandler);
-        return response.data;
+        return this.#cachedRequest('getWaitListStatus', siteUID, config);
     }
 
     /**
      * Get wait list status and quote for web ahead for multiple party sizes.
-     * @param {string} siteUID - Globally unique identifier for a site.
+     * @param {string|SiteRef} siteUID - Globally unique identifier for a site, or a SiteRef.
      * @param {number[]} partySizes - Array of party sizes.
      * @returns {WaitListStatus} - WaitListStatus with quotes.
      */
-    async getWaitListStatus(siteUID, partySizes = []) {
+    async getWaitListStatusForPartySizes(siteUID, partySizes = []) {
+        siteUID = await this.#siteUID(siteUID);
         const config = {
             url: `/Site/${siteUID}/WebAhead/StatusforPartySize`,
             method: 'GET',
             params: {}
         };
-        for (let i = 0; i < partySizes.length; i++) params[`PartySize${i+1}`] = Math.floor(partySizes[i]);   
-        const response = await this.axios.request(config).catch(this.#errorHandler);
-        return response.data;
+        for (let i = 0; i < partySizes.length; i++) config.params[`PartySize${i+1}`] = Math.floor(partySizes[i]);
+        return this.#cachedRequest('getWaitListStatusForPartySizes', siteUID, config);
     }
 
     /**
      * Get wait list status and quote for web ahead based on party size, for multiple sites.
-     * @param {string[]} siteUID - Globally unique identifier for a site.
+     * @param {Array<string|SiteRef>} siteUIDs - Globally unique identifiers for the sites, or SiteRefs.
      * @param {number[]} partySizes - Array of party sizes.
      * @returns {WaitListStatusForSites} - WaitListStatusForSites.
      */
@@ -778,16 +1222,17 @@ class QSR {
             method: 'GET',
             params: {}
         };
-        for (let i = 0; i < siteUIDs.length; i++) params[`SiteUID${i+1}`] = siteUIDs[i];   
-        for (let i = 0; i < partySizes.length; i++) params[`PartySize${i+1}`] = Math.floor(partySizes[i]);   
-        const response = await this.axios.request(config).catch(this.#errorHandler);
+        siteUIDs = await Promise.all(siteUIDs.map(siteUID => this.#siteUID(siteUID)));
+        for (let i = 0; i < siteUIDs.length; i++) config.params[`SiteUID${i+1}`] = siteUIDs[i];
+        for (let i = 0; i < partySizes.length; i++) config.params[`PartySize${i+1}`] = Math.floor(partySizes[i]);
+        const response = await this.#request(config);
         return response.data;
     }
 
     /**
      * Get a WebAhead. By default, only active WebAheads will be returned. 
      * A WebAhead is considered Active if in one of the following states: NotYetArrived, Waiting, Partially Arrived or Notified. 
-     * @param {string} siteUID - Globally unique identifier for a site.
+     * @param {string|SiteRef} siteUID - Globally unique identifier for a site, or a SiteRef.
      * @param {string} visitID - A globally unique identifier for a QSR visit record.
      * @param {string} [expand] - Optional. ‘guest’ is currently the only acceptable value. If this parameter is passed, the guest record should be included in the returned WebAhead data.
      * @param {boolean} [inclQuote] - Optional. If True, this will return an additional object named "UpdatedQuote" which contains the most recent updated quote for the party, if it exists.
@@ -795,14 +1240,16 @@ class QSR {
      * @returns {WebAhead|WebAhead[]} - The requested WebHead(s)
      */
     async getWebAhead(siteUID, visitID, expand, inclQuote, all) {
+        siteUID = await this.#siteUID(siteUID);
         const config = {
             url: `/Site/${siteUID}/WebAhead/${visitID}`,
-            method: 'GET'
+            method: 'GET',
+            params: {}
         };
-        if (expand) params.expand = expand;
-        if (inclQuote) params.ignoreStatusForCurrentBusinessDay = inclQuote;
-        if (all) params.includeUpdatedQuote = all;
-        const response = await this.axios.request(config).catch(this.#errorHandler);
+        if (expand) config.params.expand = expand;
+        if (inclQuote) config.params.includeUpdatedQuote = inclQuote;
+        if (all) config.params.ignoreStatusForCurrentBusinessDay = all;
+        const response = await this.#request(config);
         return response.data;
     }
 
@@ -818,8 +1265,8 @@ class QSR {
             url: `/WebAhead/${confirmationNumber}`,
             method: 'GET'
         };
-        if (all) params.ignoreStatusForCurrentBusinessDay = all;
-        const response = await this.axios.request(config).catch(this.#errorHandler);
+        if (all) config.params = { ignoreStatusForCurrentBusinessDay: all };
+        const response = await this.#request(config);
         return response.data;
     }
 
@@ -838,15 +1285,15 @@ class QSR {
                 ConfirmationNumberId: confirmationNumberId
             }
         };
-        if (all) params.ignoreStatusForCurrentBusinessDay = all;
-        const response = await this.axios.request(config).catch(this.#errorHandler);
+        if (all) config.params.ignoreStatusForCurrentBusinessDay = all;
+        const response = await this.#request(config);
         return response.data;
     }
 
     /**
      * Update a WebAhead. Call will only succeed if the target WebAhead is Active. 
      * A WebAhead is considered Active if in one of the following states: NotYetArrived, Waiting, PartiallyArrived or Notified.
-     * @param {string} siteUID - Globally unique identifier for a site.
+     * @param {string|SiteRef} siteUID - Globally unique identifier for a site, or a SiteRef.
      * @param {string} visitID - A globally unique identifier for a QSR visit record.
      * @param {Object} [info] - Information object for WebAhead.
      * @param {number} [info.partySize] - Party Size
@@ -859,28 +1306,19 @@ class QSR {
      * @param {string} [info.notes] - Notes
      * @param {boolean} [info.isSubedToSms] - Flag to indicate whether guest subscribes to SMS marketing.
      * @param {boolean} [info.isSubedToEmail] - Flag to indicate whether guest subscribes to email marketing.
+     * @param {string} [info.notificationType] - Set Notification Type to None, Call, SMS, or Pager.
      * @param {boolean} [info.isSubedToQsr] - Flag to indicate whether guest subscribes to QSR's marketing.
      * @returns {WebAhead} - The updated WebHead.
+     * @throws {QSRValidationError} - If info is invalid.
      */
     async updateWebAhead(siteUID, visitID, info) {
+        siteUID = await this.#siteUID(siteUID);
         const config = {
             url: `/Site/${siteUID}/WebAhead/${visitID}`,
-            method: 'PATCH'
+            method: 'PATCH',
+            data: buildPayload(SCHEMAS.webAheadUpdate, info)
         };
-        if (info.partySize) data.PartySize = info.partySize;
-        if (info.phoneNumberString) data.PhoneNumberString = info.phoneNumberString;
-        if (info.lastName) data.LastName = info.lastName;
-        if (info.email) data.Email = info.email;
-        if (info.estimatedArrivalTime) data.EstimatedArrivalTime = info.estimatedArrivalTime;
-        if (info.expandGuest) data.ExpandGuest = info.expandGuest;
-        if (info.firstName) data.FirstName = info.firstName;
-        if (info.guestID) data.GuestID = info.guestID;
-        if (info.notes) data.Notes = info.notes;
-        if (info.notificationType) data.NotificationType = info.notificationType;
-        if (info.isSubedToSms) data.IsSubscribedToSmsMarketing = info.isSubedToSms;
-        if (info.isSubedToEmail) data.IsSubscribedToEmailMarketing = info.isSubedToEmail;
-        if (info.isSubedToQsr) data.IsSubscribedToQsrMarketing = info.isSubedToQsr;
-        const response = await this.axios.request(config).catch(this.#errorHandler);
+        const response = await this.#request(config);
         return response.data;
     }
 
@@ -899,28 +1337,18 @@ class QSR {
      * @param {string} [info.notes] - Notes
      * @param {boolean} [info.isSubedToSms] - Flag to indicate whether guest subscribes to SMS marketing.
      * @param {boolean} [info.isSubedToEmail] - Flag to indicate whether guest subscribes to email marketing.
+     * @param {string} [info.notificationType] - Set Notification Type to None, Call, SMS, or Pager.
      * @param {boolean} [info.isSubedToQsr] - Flag to indicate whether guest subscribes to QSR's marketing.
      * @returns {WebAhead} - The updated WebHead.
+     * @throws {QSRValidationError} - If info is invalid.
      */
     async updateWebAheadByConfirmation(confirmationNumber, info) {
         const config = {
             url: `/WebAhead/${confirmationNumber}`,
-            method: 'PATCH'
+            method: 'PATCH',
+            data: buildPayload(SCHEMAS.webAheadUpdate, info)
         };
-        if (info.partySize) data.PartySize = info.partySize;
-        if (info.phoneNumberString) data.PhoneNumberString = info.phoneNumberString;
-        if (info.lastName) data.LastName = info.lastName;
-        if (info.email) data.Email = info.email;
-        if (info.estimatedArrivalTime) data.EstimatedArrivalTime = info.estimatedArrivalTime;
-        if (info.expandGuest) data.ExpandGuest = info.expandGuest;
-        if (info.firstName) data.FirstName = info.firstName;
-        if (info.guestID) data.GuestID = info.guestID;
-        if (info.notes) data.Notes = info.notes;
-        if (info.notificationType) data.NotificationType = info.notificationType;
-        if (info.isSubedToSms) data.IsSubscribedToSmsMarketing = info.isSubedToSms;
-        if (info.isSubedToEmail) data.IsSubscribedToEmailMarketing = info.isSubedToEmail;
-        if (info.isSubedToQsr) data.IsSubscribedToQsrMarketing = info.isSubedToQsr;
-        const response = await this.axios.request(config).catch(this.#errorHandler);
+        const response = await this.#request(config);
         return response.data;
     }
 
@@ -939,8 +1367,10 @@ class QSR {
      * @param {string} [info.notes] - Notes
      * @param {boolean} [info.isSubedToSms] - Flag to indicate whether guest subscribes to SMS marketing.
      * @param {boolean} [info.isSubedToEmail] - Flag to indicate whether guest subscribes to email marketing.
+     * @param {string} [info.notificationType] - Set Notification Type to None, Call, SMS, or Pager.
      * @param {boolean} [info.isSubedToQsr] - Flag to indicate whether guest subscribes to QSR's marketing.
      * @returns {WebAhead} - The updated WebHead.
+     * @throws {QSRValidationError} - If info is invalid.
      */
     async updateWebAheadByConfirmationId(confirmationNumberId, info) {
         const config = {
@@ -948,40 +1378,29 @@ class QSR {
             method: 'PATCH',
             params: {
                 ConfirmationNumberID: confirmationNumberId
-            }
+            },
+            data: buildPayload(SCHEMAS.webAheadUpdate, info)
         };
-        if (info.partySize) data.PartySize = info.partySize;
-        if (info.phoneNumberString) data.PhoneNumberString = info.phoneNumberString;
-        if (info.lastName) data.LastName = info.lastName;
-        if (info.email) data.Email = info.email;
-        if (info.estimatedArrivalTime) data.EstimatedArrivalTime = info.estimatedArrivalTime;
-        if (info.expandGuest) data.ExpandGuest = info.expandGuest;
-        if (info.firstName) data.FirstName = info.firstName;
-        if (info.guestID) data.GuestID = info.guestID;
-        if (info.notes) data.Notes = info.notes;
-        if (info.notificationType) data.NotificationType = info.notificationType;
-        if (info.isSubedToSms) data.IsSubscribedToSmsMarketing = info.isSubedToSms;
-        if (info.isSubedToEmail) data.IsSubscribedToEmailMarketing = info.isSubedToEmail;
-        if (info.isSubedToQsr) data.IsSubscribedToQsrMarketing = info.isSubedToQsr;
-        const response = await this.axios.request(config).catch(this.#errorHandler);
+        const response = await this.#request(config);
         return response.data;
     }
 
     /**
      * Cancel a WebAhead. This call will only succeed if the target WebAhead is Active. 
      * A WebAhead is considered Active if in one of the following states: NotYetArrived, Waiting, Partially Arrived or Notified.
-     * @param {string} siteUID - Globally unique identifier for a site.
+     * @param {string|SiteRef} siteUID - Globally unique identifier for a site, or a SiteRef.
      * @param {string} visitID - A globally unique identifier for a QSR visit record.
      * @param {boolean} [checkStatus] - Optional. If true, only a WebAhead not yet arrived will successfully cancel.
      * @returns {boolean} - True if is successful.
      */
     async cancelWebAhead(siteUID, visitID, checkStatus) {
+        siteUID = await this.#siteUID(siteUID);
         const config = {
             url: `/Site/${siteUID}/WebAhead/${visitID}/cancel`,
             method: 'POST'
         };
         if (checkStatus) config.params = { checkVisitArrivalStatus: checkStatus };
-        const response = await this.axios.request(config).catch(this.#errorHandler);
+        const response = await this.#request(config);
         return response.status === 200;
     }
 
@@ -998,7 +1417,7 @@ class QSR {
             method: 'POST'
         };
         if (checkStatus) config.params = { checkVisitArrivalStatus: checkStatus };
-        const response = await this.axios.request(config).catch(this.#errorHandler);
+        const response = await this.#request(config);
         return response.status === 200;
     }
 
@@ -1018,23 +1437,24 @@ class QSR {
             }
         };
         if (checkStatus) config.params.checkVisitArrivalStatus = checkStatus ;
-        const response = await this.axios.request(config).catch(this.#errorHandler);
+        const response = await this.#request(config);
         return response.status === 200;
     }
 
     /**
      * Arrive a WebAhead. Call will only succeed if the target WebAhead is Active. 
      * A WebAhead is considered Active if in one of the following states: NotYetArrived, Waiting, Partially Arrived or Notified.
-     * @param {string} siteUID - Globally unique identifier for a site.
+     * @param {string|SiteRef} siteUID - Globally unique identifier for a site, or a SiteRef.
      * @param {string} visitID - A globally unique identifier for a QSR visit record.
      * @returns {boolean} - True if successful.
      */
     async arriveWebAhead(siteUID, visitID) {
+        siteUID = await this.#siteUID(siteUID);
         const config = {
             url: `/Site/${siteUID}/WebAhead/${visitID}/arrive`,
             method: 'POST'
         };
-        const response = await this.axios.request(config).catch(this.#errorHandler);
+        const response = await this.#request(config);
         return response.status === 200;
     }
 
@@ -1049,7 +1469,7 @@ class QSR {
             url: `/WebAhead/${confirmationNumber}/arrive`,
             method: 'POST'
         };
-        const response = await this.axios.request(config).catch(this.#errorHandler);
+        const response = await this.#request(config);
         return response.status === 200;
     }
 
@@ -1067,52 +1487,54 @@ class QSR {
                 confirmationNumberId: confirmationNumberId
             }
         };
-        const response = await this.axios.request(config).catch(this.#errorHandler);
+        const response = await this.#request(config);
         return response.status === 200;
     }
 
     /**
      * Enable WebAhead for the specified site.
-     * @param {string} siteUID - Globally unique identifier for a site.
+     * @param {string|SiteRef} siteUID - Globally unique identifier for a site, or a SiteRef.
      * @returns {boolean} - True if successful.
      */
     async enableWebAhead(siteUID) {
+        siteUID = await this.#siteUID(siteUID);
         const config = {
             url: `/Site/${siteUID}/WebAhead/enable`,
             method: 'POST'
         };
-        const response = await this.axios.request(config).catch(this.#errorHandler);
+        const response = await this.#request(config);
         return response.status === 200;
     }
 
     /**
      * Disable WebAhead for the specified site.
-     * @param {string} siteUID - Globally unique identifier for a site.
+     * @param {string|SiteRef} siteUID - Globally unique identifier for a site, or a SiteRef.
      * @returns {boolean} - True if successful.
      */
     async disableWebAhead(siteUID) {
+        siteUID = await this.#siteUID(siteUID);
         const config = {
             url: `/Site/${siteUID}/WebAhead/disable`,
             method: 'POST'
         };
-        const response = await this.axios.request(config).catch(this.#errorHandler);
+        const response = await this.#request(config);
         return response.status === 200;
     }
 
     /**
      * Retrieve the current quote times at a site for a specific party size or all party sizes.
-     * @param {string} siteUID - Globally unique identifier for a site.
+     * @param {string|SiteRef} siteUID - Globally unique identifier for a site, or a SiteRef.
      * @param {number} [partySize] - The Party Size for which quote time is being requested. Quote times for all party sizes 1-12 will be returned if not specified.
      * @returns {PrecalculatedQuotes|PrecalculatedQuotes[]} - PrecalculatedQuotes for a single party size or all party sizes.
      */
     async getPrecalculatedQuotes(siteUID, partySize) {
+        siteUID = await this.#siteUID(siteUID);
         const config = {
             url: `/Site/${siteUID}/PrecalculatedQuotes`,
             method: 'GET'
         };
-        if (partySize) params = { PartySize: partySize };
-        const response = await this.axios.request(config).catch(this.#errorHandler);
-        return response.data;
+        if (partySize) config.params = { PartySize: partySize };
+        return this.#cachedRequest('getPrecalculatedQuotes', siteUID, config);
     }
 
     /**
@@ -1132,28 +1554,16 @@ class QSR {
      * @param {GuestCustomValue[]} [data.customValues] - Optional. Collection of GuestCustomValue objects
      * @param {string} [syncSource] - Optional. QSR-defined string representing a source of records.
      * @returns {Guest} - Guest.
+     * @throws {QSRValidationError} - If data is invalid.
      */
     async addGuest(data = {}, syncSource) {
         const config = {
             url: `/company/${this.companyUID}/GuestBook`,
             method: 'POST',
-            data: {
-                LastName: data.lastName
-            }
+            data: buildPayload(SCHEMAS.guest, data)
         };
-        if (syncSource) params = { SyncSource: syncSource };
-        if (data.firstName) config.data.FirstName = data.firstName;
-        if (data.email) config.data.Email = data.email;
-        if (data.notes) config.data.Notes = data.notes;
-        if (data.isAnon) config.data.IsAnonymous = data.isAnon;
-        if (data.isSubedToSms) config.data.IsSubscribedToSmsMarketing = data.isSubedToSms;
-        if (data.isSubedToEmail) config.data.IsSubscribedToEmailMarketing = data.isSubedToEmail;
-        if (data.isSubedToQsr) config.data.IsSubscribedToQsrMarketing = data.isSubedToQsr;
-        if (data.loyalty) config.data.Loyalty = data.loyalty;
-        if (data.phoneNumbers) config.data.PhoneNumbers = data.phoneNumbers;
-        if (data.addresses) config.data.Addresses = data.addresses;
-        if (data.customValues) config.data.CustomValues = data.customValues;
-        const response = await this.axios.request(config).catch(this.#errorHandler);
+        if (syncSource) config.params = { SyncSource: syncSource };
+        const response = await this.#request(config);
         return response.data;
     }
 
@@ -1170,30 +1580,21 @@ class QSR {
      * @param {boolean} [data.isSubedToEmail] - Optional. Flag to indicate whether guest subscribes to email marketing.
      * @param {boolean} [data.isSubedToQsr] - Optional. Flag to indicate whether guest subscribes to QSR's marketing.
      * @param {GuestLoyalty} [data.loyalty] - Optional. Guest loyalty info.
-     * @param {GuestPhoneNumber[]} [data.phoneNumbers] - COptional. ollection of GuestPhoneNumber objects
+     * @param {GuestPhoneNumber[]} [data.phoneNumbers] - Optional. Collection of GuestPhoneNumber objects
      * @param {GuestAddress[]} [data.addresses] - Optional. Collection of GuestAddress objects
      * @param {GuestCustomValue[]} [data.customValues] - Optional. Collection of GuestCustomValue objects
      * @param {string} [syncSource] - Optional. Optional. QSR-defined string representing a source of records.
      * @returns {boolean} - True if successful.
+     * @throws {QSRValidationError} - If data is invalid.
      */
     async updateGuest(guestId, data = {}, syncSource) {
         const config = {
             url: `/company/${this.companyUID}/GuestBook/${guestId}`,
-            method: 'PATCH'
+            method: 'PATCH',
+            data: buildPayload(SCHEMAS.guestUpdate, data)
         };
-        if (syncSource) params = { SyncSource: syncSource };
-        if (data.firstName) config.data.FirstName = data.firstName;
-        if (data.email) config.data.Email = data.email;
-        if (data.notes) config.data.Notes = data.notes;
-        if (data.isAnon) config.data.IsAnonymous = data.isAnon;
-        if (data.isSubedToSms) config.data.IsSubscribedToSmsMarketing = data.isSubedToSms;
-        if (data.isSubedToEmail) config.data.IsSubscribedToEmailMarketing = data.isSubedToEmail;
-        if (data.isSubedToQsr) config.data.IsSubscribedToQsrMarketing = data.isSubedToQsr;
-        if (data.loyalty) config.data.Loyalty = data.loyalty;
-        if (data.phoneNumbers) config.data.PhoneNumbers = data.phoneNumbers;
-        if (data.addresses) config.data.Addresses = data.addresses;
-        if (data.customValues) config.data.CustomValues = data.customValues;
-        const response = await this.axios.request(config).catch(this.#errorHandler);
+        if (syncSource) config.params = { SyncSource: syncSource };
+        const response = await this.#request(config);
         return response.status === 200;
     }
 
@@ -1208,8 +1609,8 @@ class QSR {
             url: `/company/${this.companyUID}/GuestBook/${guestId}`,
             method: 'DELETE'
         };
-        if (syncSource) params = { SyncSource: syncSource };
-        const response = await this.axios.request(config).catch(this.#errorHandler);
+        if (syncSource) config.params = { SyncSource: syncSource };
+        const response = await this.#request(config);
         return response.status === 200;
     }
 
@@ -1249,17 +1650,18 @@ class QSR {
         if (info.guestsPerPage) config.params.GuestsPerPage = info.guestsPerPage;
         if (info.pageNumber) config.params.PageNumber = info.pageNumber;
 
-        const response = await this.axios.request(config).catch(this.#errorHandler);
+        const response = await this.#request(config);
         return response.data.Guests;
     }
 
     /**
      * Arrive a Visit.
-     * @param {string} siteUID - Globally unique identifier for a site.
+     * @param {string|SiteRef} siteUID - Globally unique identifier for a site, or a SiteRef.
      * @param {string} visitID - A globally unique identifier for a QSR visit record.
      * @returns {boolean} - True if successful.
      */
     async arriveVisit(siteUID, visitID) {
+        siteUID = await this.#siteUID(siteUID);
         const config = {
             url: `/Site/${siteUID}/Visit/${visitID}/Arrive`,
             method: 'POST',
@@ -1268,14 +1670,14 @@ class QSR {
                 VisitID: visitID
             }
         };
-        const response = await this.axios.request(config).catch(this.#errorHandler);
+        const response = await this.#request(config);
         return response.status === 200;
     }
 
     /**
      * This endpoint is for third party apps or services to update the distance and position that a prospective visit is from a site. 
      * The data is stored in the SiteEventQueue.
-     * @param {string} siteUID - Globally unique identifier for a site.
+     * @param {string|SiteRef} siteUID - Globally unique identifier for a site, or a SiteRef.
      * @param {string} visitID - A globally unique identifier for a QSR visit record.
      * @param {Object} info - Proximiy info.
      * @param {string} [info.source] - Optional. The source of the guest proximity data.
@@ -1283,22 +1685,21 @@ class QSR {
      * @param {number} [info.longitude] - Optional. Any decimal 0 to 180. West longitudes will be negative.
      * @param {number} [info.distance] - Optional. Can be any decimal.
      * @returns {boolean} - True if successful.
+     * @throws {QSRValidationError} - If info is invalid.
      */
-    async updateVisitProximity(siteUID, visitID) {
+    async updateVisitProximity(siteUID, visitID, info = {}) {
+        siteUID = await this.#siteUID(siteUID);
         const config = {
             url: `/Site/${siteUID}/Visit/${visitID}/Proximity`,
             method: 'PATCH',
             data: {
                 SiteUID: siteUID,
                 VisitID: visitID,
-                Timestamp: (new Date()).toISOString()
+                Timestamp: (new Date()).toISOString(),
+                ...buildPayload(SCHEMAS.proximity, info)
             }
         };
-        if (info.source) config.data.Source = info.source;
-        if (info.latitude) config.data.Latitude = info.latitude;
-        if (info.longitude) config.data.Longitude = info.longitude;
-        if (info.distance) config.data.Distance = info.distance;
-        const response = await this.axios.request(config).catch(this.#errorHandler);
+        const response = await this.#request(config);
         return response.status === 200;
     }
 
@@ -1306,31 +1707,98 @@ class QSR {
      * Get all visit updates for a specified site within a specified time range, 
      * excluding updates made by the specified 'syncSource'. 
      * This is ordered by last update timestamp of the visit records.
-     * @param {string} siteUID - Globally unique identifier for a site.
-     * @param {string} startTime - Start time of updates.
-     * @param {string} stopTime - End time of updates.
+     * @param {string|SiteRef} siteUID - Globally unique identifier for a site, or a SiteRef.
+     * @param {Date|string|LocalRange} startTime - Start time of updates, or a LocalRange in the site's time zone.
+     * @param {Date|string} [stopTime] - End time of updates. Ignored when startTime is a LocalRange.
      * @param {string} [syncSource] - Exclude results made by specified 'syncSource'
      * @returns {Visit[]} - Collection of Visit.
      */
     async getAllVisitUpdates(siteUID, startTime, stopTime, syncSource) {
+        siteUID = await this.#siteUID(siteUID);
+        const data = [];
+        for await (const page of this.iterateVisitUpdates(siteUID, startTime, stopTime, syncSource)) data.push(...page.items);
+        return data;
+    }
+
+    /**
+     * Iterate the pages of visit updates for a specified site within a specified time range, as they arrive,
+     * excluding updates made by the specified 'syncSource'. Page size is 30.
+     * To resume later, pass the cursor (TimestampCutoff) of the last processed page as startTime.
+     * @example
+     * let cursor = start;
+     * for await (const page of qsr.iterateVisitUpdates(siteUID, start, stop)) {
+     *     await save(page.items);
+     *     cursor = page.cursor;
+     * }
+     * @param {string|SiteRef} siteUID - Globally unique identifier for a site, or a SiteRef.
+     * @param {Date|string|LocalRange} startTime - Start time of updates, a page cursor, or a LocalRange in the site's time zone.
+     * @param {Date|string} [stopTime] - End time of updates. Ignored when startTime is a LocalRange.
+     * @param {string} [syncSource] - Exclude results made by specified 'syncSource'
+     * @param {Object} [options] - Optional.
+     * @param {number} [options.numPages] - Optional. Limit number of pages (30 records) to return.
+     * @yields {Page} - Page of Visit records.
+     */
+    async *iterateVisitUpdates(siteUID, startTime, stopTime, syncSource, options = {}) {
+        siteUID = await this.#siteUID(siteUID);
+        const { start, end } = await this.#range(siteUID, startTime, stopTime);
         const config = {
             url: `/Site/${siteUID}/Visits`,
             method: 'GET',
             params: {
                 SiteUID: siteUID,
-                start: startTime.toISOString(),
-                stop: stopTime.toISOString()
+                start,
+                stop: end
             }
         };
         if (syncSource) config.params.SyncSource = syncSource;
-        const data = [];
-        let response;
-        do {
-            response = await this.axios.request(config).catch(this.#errorHandler);
-            data.push(...response.data.Visits)
-            config.params.start = (new Date(response.data.TimestampCutoff)).toISOString();
-        } while (response.data.MoreData);
-        return data;
+        yield* this.#paginate(config, options.numPages, {
+            items: data => data.Visits,
+            cursor: data => data.TimestampCutoff,
+            hasMore: data => data.MoreData,
+            advance: cursor => { config.params.start = (new Date(cursor)).toISOString(); }
+        });
+    }
+
+    /**
+     * Report the accuracy of quoted wait times for visits updated within a time range, broken down by party size,
+     * hour of day, visit Type, seating area and quote bucket. See quoteAccuracyReport.
+     * @param {string|SiteRef} siteUID - Globally unique identifier for a site, or a SiteRef.
+     * @param {Date|LocalRange} startTime - Start time of updates, or a LocalRange in the site's time zone.
+     * @param {Date} [stopTime] - End time of updates. Ignored when startTime is a LocalRange.
+     * @param {Object} [options] - Optional. quoteAccuracyReport options, e.g. tolerance and timeZone. timeZone defaults to the site's.
+     * @returns {QuoteAccuracyReport} - QuoteAccuracyReport.
+     */
+    async getQuoteAccuracyReport(siteUID, startTime, stopTime, options = {}) {
+        siteUID = await this.#siteUID(siteUID);
+        const visits = await this.getAllVisitUpdates(siteUID, startTime, stopTime);
+        const timeZone = options.timeZone || await this.getSiteTimeZone(siteUID);
+        return quoteAccuracyReport(visits, { ...options, timeZone });
+    }
+
+    /**
+     * Export records to a CSV or NDJSON file (or stream), one page at a time. Nested values are flattened into
+     * columns, see createFlattener for column and array options.
+     * @example
+     * await qsr.exportRecords('visits', { siteUID, start, end, output: 'visits.csv' });
+     * await qsr.exportRecords('visits', { siteUID, start, end, output: 'tables.ndjson', format: 'ndjson',
+     *     explode: 'SeatedTables', columns: ['ID', 'Size', 'SeatedTables[].TableName', 'SeatedTables[].StartTime'] });
+     * @param {string} type - visits, tableEvents, tableHistory, teamMemberEvents or guests.
+     * @param {Object} options - Export options.
+     * @param {string|Object} options.output - File path, or a writable stream.
+     * @param {string|SiteRef} [options.siteUID] - Optional. Globally unique identifier for a site, or a SiteRef. Required except for guests.
+     * @param {Date} [options.start] - Optional. Start time of updates. Required except for guests.
+     * @param {Date} [options.end] - Optional. End time of updates. Required except for guests.
+     * @param {string} [options.syncSource] - Optional. For visits, exclude updates made by this syncSource.
+     * @param {Object} [options.search] - Optional. For guests, searchGuestbook criteria. Defaults to the whole guestbook.
+     * @param {string} [options.format] - Optional. csv or ndjson. Defaults to csv.
+     * @param {Array<string|ExportColumn>} [options.columns] - Optional. Columns in output order. Defaults to the type's columns.
+     * @param {string} [options.explode] - Optional. Path of an array to explode into one row per element.
+     * @param {string} [options.separator] - Optional. Separator for joined array values. Defaults to "|".
+     * @returns {ExportSummary} - ExportSummary.
+     */
+    async exportRecords(type, options = {}) {
+        if (options.siteUID !== undefined) options = { ...options, siteUID: await this.#siteUID(options.siteUID) };
+        return writeRecords(recordSource(this, type, options), { type, ...options });
     }
 
     /**
@@ -1341,89 +1809,107 @@ class QSR {
      *   - The first 30 records are returned.
      *   - 'MoreData' is "True"
      *   - 'TimeStampCutoff' is the last update timestamp of the last record returned.
-     * @param {string} siteUID - Globally unique identifier for a site.
-     * @param {string} startTime - Start time of updates.
-     * @param {string} stopTime - End time of updates.
+     * @param {string|SiteRef} siteUID - Globally unique identifier for a site, or a SiteRef.
+     * @param {Date|string|LocalRange} startTime - Start time of updates, or a LocalRange in the site's time zone.
+     * @param {Date|string} [stopTime] - End time of updates. Ignored when startTime is a LocalRange.
      * @param {string} [syncSource] - Exclude results made by specified 'syncSource'
      * @returns {VisitPollResponse} - Paged results for Visits.
      */
      async getVisitUpdates(siteUID, startTime, stopTime, syncSource) {
+        siteUID = await this.#siteUID(siteUID);
+        const { start, end } = await this.#range(siteUID, startTime, stopTime);
         const config = {
             url: `/Site/${siteUID}/Visits`,
             method: 'GET',
             params: {
                 SiteUID: siteUID,
-                start: startTime.toISOString(),
-                stop: stopTime.toISOString()
+                start,
+                stop: end
             }
         };
         if (syncSource) config.params.SyncSource = syncSource;
         const data = [];
-        const response = await this.axios.request(config).catch(this.#errorHandler);
+        const response = await this.#request(config);
         return response.data;
     }
 
     /**
      * Get a visit by its external ID.
-     * @param {string} siteUID - Globally unique identifier for a site.
+     * @param {string|SiteRef} siteUID - Globally unique identifier for a site, or a SiteRef.
      * @param {string} externalUID - External ID of the target QSR visit record.
      * @returns {Visit} - Visit.
      */
     async getVisitByExternalId(siteUID, externalUID) {
+        siteUID = await this.#siteUID(siteUID);
         const config = {
             url: `/Site/${siteUID}/Visit/ExternalID/${externalUID}`,
             method: 'GET'
         };
-        const response = await this.axios.request(config).catch(this.#errorHandler);
+        const response = await this.#request(config);
         return response.data;
     }
 
     /**
      * Get a visit by ID.
-     * @param {string} siteUID - Globally unique identifier for a site.
+     * @param {string|SiteRef} siteUID - Globally unique identifier for a site, or a SiteRef.
      * @param {string} visitID - Unique identifier of the target QSR visit record.
      * @returns {Visit} - Visit.
      */
     async getVisit(siteUID, visitID) {
+        siteUID = await this.#siteUID(siteUID);
         const config = {
             url: `/Site/${siteUID}/Visit/${visitID}`,
             method: 'GET'
         };
-        const response = await this.axios.request(config).catch(this.#errorHandler);
+        const response = await this.#request(config);
         return response.data;
     }
 
     /**
      * Get an "open" visit by guest’s Loyalty Card ID 
      * An "open" visit is a visit that is not completed and not canceled.
-     * @param {string} siteUID - Globally unique identifier for a site.
-     * @param {string} loyalityCardID - Loyalty card ID of the guest for the target visits.
+     * @param {string|SiteRef} siteUID - Globally unique identifier for a site, or a SiteRef.
+     * @param {string} loyaltyCardID - Loyalty card ID of the guest for the target visits.
      * @param {string} [status] - Only "open" is currently accepted.
      * @returns {Visit} - Visit.
      */
-    async getVisitByLoyalityCard(siteUID, loyalityCardID, status) {
+    async getVisitByLoyaltyCard(siteUID, loyaltyCardID, status) {
+        siteUID = await this.#siteUID(siteUID);
         const config = {
             url: `/Site/${siteUID}/Visit`,
             method: 'GET',
             params: {
-                LoyaltyCard: loyalityCardID
+                LoyaltyCard: loyaltyCardID
             }
         };
-        if (status) params.status = status;
-        const response = await this.axios.request(config).catch(this.#errorHandler);
+        if (status) config.params.status = status;
+        const response = await this.#request(config);
         return response.data;
     }
 
+    /**
+     * Get an "open" visit by guest’s Loyalty Card ID.
+     * @deprecated Use getVisitByLoyaltyCard.
+     * @param {string|SiteRef} siteUID - Globally unique identifier for a site, or a SiteRef.
+     * @param {string} loyalityCardID - Loyalty card ID of the guest for the target visits.
+     * @param {string} [status] - Only "open" is currently accepted.
+     * @returns {Visit} - Visit.
+     */
+    async getVisitByLoyalityCard(siteUID, loyalityCardID, status) {
+        return this.getVisitByLoyaltyCard(siteUID, loyalityCardID, status);
+    }
+
     /**
      * Get an "open" visit by guest’s phone number.
      * An "open" visit is a visit that is not completed and not canceled.
-     * @param {string} siteUID - Globally unique identifier for a site.
+     * @param {string|SiteRef} siteUID - Globally unique identifier for a site, or a SiteRef.
      * @param {string} phoneNumber - Phone number of the guest for the target visits. Only US numbers can be used. Accepted formats include: E.164 format, national format. Example: ‘+12223334444’, ‘(222) 333-4444’, ‘2223334444’.
-     * @param {sring} countryCode - Country code of the phone number of the guest for the target visits. Accepted values include ISO 3166-1 alpha-2. Example: US for the United States, and GB for the United Kingdom.
+     * @param {string} countryCode - Country code of the phone number of the guest for the target visits. Accepted values include ISO 3166-1 alpha-2. Example: US for the United States, and GB for the United Kingdom.
      * @param {string} [status] - Only "open" is currently accepted.
      * @returns {Visit} - Visit.
      */
-    async getVisitByLoyalityCard(siteUID, phoneNumber, countryCode, status) {
+    async getVisitByPhone(siteUID, phoneNumber, countryCode, status) {
+        siteUID = await this.#siteUID(siteUID);
         const config = {
             url: `/Site/${siteUID}/Visit`,
             method: 'GET',
@@ -1432,20 +1918,21 @@ class QSR {
                 CountryCode: countryCode
             }
         };
-        if (status) params.status = status;
-        const response = await this.axios.request(config).catch(this.#errorHandler);
+        if (status) config.params.status = status;
+        const response = await this.#request(config);
         return response.data;
     }
 
     /**
      * Get an "open" visit by guest’s pager number.
      * An "open" visit is a visit that is not completed and not canceled.
-     * @param {string} siteUID - Globally unique identifier for a site.
+     * @param {string|SiteRef} siteUID - Globally unique identifier for a site, or a SiteRef.
      * @param {string} pagerID - The pager number associated with the visit.
      * @param {string} [status] - Only "open" is currently accepted.
      * @returns {Visit} - Visit.
      */
-    async getVisitByLoyalityCard(siteUID, pagerID, status) {
+    async getVisitByPager(siteUID, pagerID, status) {
+        siteUID = await this.#siteUID(siteUID);
         const config = {
             url: `/Site/${siteUID}/Visit`,
             method: 'GET',
@@ -1453,28 +1940,30 @@ class QSR {
                 PagerID: pagerID
             }
         };
-        if (status) params.status = status;
-        const response = await this.axios.request(config).catch(this.#errorHandler);
+        if (status) config.params.status = status;
+        const response = await this.#request(config);
         return response.data;
     }
 
     /**
      * Update visit Party Mix.
      * Note: The total guest count of all party mix values must equal the party size of the visit.
-     * @param {string} siteUID - Globally unique identifier for a site.
+     * @param {string|SiteRef} siteUID - Globally unique identifier for a site, or a SiteRef.
      * @param {string} visitID - Unique identifier of the target QSR visit record.
-     * @param {string} partyMix - Type and count of the party mixes.
+     * @param {Object[]} partyMix - Type and count of the party mixes, e.g. [{ type: 'Adult', count: 2 }, { type: 'Child', count: 1 }].
+     * @param {string} partyMix[].type - Type of the party mix: Adult, Child, Infant or Senior.
+     * @param {number} partyMix[].count - Count of the party mix type.
      * @returns {PartyMix} - Party Mix.
+     * @throws {QSRValidationError} - If partyMix is invalid.
      */
     async updatePartyMix(siteUID, visitID, partyMix) {
+        siteUID = await this.#siteUID(siteUID);
         const config = {
             url: `/Site/${siteUID}/Visit/${visitID}/PartyMix`,
             method: 'POST',
-            params: {
-                partyMix: partyMix
-            }
+            data: buildPayload(SCHEMAS.partyMix, { mixes: partyMix })
         };
-        const response = await this.axios.request(config).catch(this.#errorHandler);
+        const response = await this.#request(config);
         return response.data;
     }
 }
@@ -1646,6 +2135,8 @@ module.exports = QSR;
  * @property {string} GuestMessage - Message shown to guests when guests book a reservation with the seating area and the session.
  * @property {string} SeatingAreaName - Name of the seating area.
  * @property {string} SeatingAreaUID - Unique identifier of the seating area.
+ * @property {number} [MinPartySize] - Smallest party the seating area takes, if reported.
+ * @property {number} [MaxPartySize] - Largest party the seating area takes, if reported.
  * @property {ReservationAvailabilityTimeSlot[]} Times - Collection of ReservationAvailabilityTimeSlot, each representing availability for a calendar date. 
  */
 
@@ -1682,6 +2173,13 @@ module.exports = QSR;
  * @property {string} LastUpdate - The timestamp of the last update in ISO 8601 format.
  */
 
+/**
+ * @typedef {Object} CustomerSiteIdMapEntry
+ * @property {string} SiteUID - A globally unique identifier for a site that will be provided by QSR.
+ * @property {string} CustomerSiteID - Customizable site identifier.
+ * @property {boolean} IsActive - False if the site is inactive.
+ */
+
 /**
  * @typedef {Object} OperatingInfo
  * @property {Days[]} Days - Collection of operating days data.
@@ -1990,6 +2488,15 @@ module.exports = QSR;
  * @property {string} DownloadCutoff - The last update timestamp of the last record in the returned result set, in ISO 8601 format.
  */
 
+/**
+ * A page yielded by the iterate* methods.
+ * @typedef {Object} Page
+ * @property {Object[]} items - Records of the page.
+ * @property {string} cursor - Cursor of the page (TimestampCutoff, TimeStampCutoff or Token). Pass it back to resume after this page.
+ * @property {boolean} hasMore - True if more pages follow.
+ * @property {number} pageNumber - 1-based number of the page within this iteration.
+ */
+
 /**
  * @typedef {Object} GetPartnerSites
  * @property {string} PageData - Content of the page.
@@ -0,0 +1,176 @@
+/**
+ * QSR Quote Analytics
+ * Compares quoted wait times (Visit.Quote.QuoteLow/QuoteHigh) with actual waits.
+ * @author Steve Ostopchuck
+ */
+
+/** Outcome of a quoted visit by Status. Visits with any other Status are still open and are skipped. */
+const OUTCOMES = {
+    Seated: 'seated',
+    PartiallySeated: 'seated',
+    AlmostFinished: 'seated',
+    CheckStarted: 'seated',
+    Payment: 'seated',
+    Completed: 'seated',
+    WalkAway: 'walkAway',
+    NoShow: 'noShow',
+    Canceled: 'canceled'
+};
+
+/**
+ * Classify a visit for the report.
+ * @param {Visit} visit - Visit.
+ * @param {Object} options - Report options.
+ * @returns {Object|null} - Classified visit, or null if it has no quote or is still open.
+ */
+function classify(visit, options) {
+    const low = visit.Quote?.QuoteLow;
+    const high = visit.Quote?.QuoteHigh;
+    const outcome = OUTCOMES[visit.Status] || (visit.SeatedTime ? 'seated' : undefined);
+    if (typeof low !== 'number' || typeof high !== 'number' || !outcome) return null;
+    const from = Date.parse(options.waitFrom === 'arrival' ? (visit.ArrivalTime || visit.CreationTime) : visit.CreationTime);
+    const entry = {
+        visit,
+        low,
+        high,
+        outcome,
+        created: Date.parse(visit.CreationTime)
+    };
+    if (outcome === 'seated') {
+        const seated = Date.parse(visit.SeatedTime);
+        if (Number.isNaN(seated) || Number.isNaN(from)) return null;
+        entry.actual = (seated - from) / 60000;
+        entry.error = entry.actual - (low + high) / 2;
+        entry.accuracy = entry.actual < low - options.tolerance ? 'over'
+            : entry.actual > high + options.tolerance ? 'under'
+                : 'within';
+    }
+    return entry;
+}
+
+/**
+ * Compute accuracy metrics for a group of classified visits.
+ * @param {Object[]} entries - Classified visits.
+ * @returns {QuoteAccuracyMetrics} - QuoteAccuracyMetrics.
+ */
+function metrics(entries) {
+    const seated = entries.filter(entry => entry.outcome === 'seated');
+    const rate = (list, fn) => list.length ? round(list.filter(fn).length / list.length, 3) : null;
+    const mean = (list, fn) => list.length ? round(list.reduce((total, entry) => total + fn(entry), 0) / list.length) : null;
+    return {
+        visits: entries.length,
+        seated: seated.length,
+        overQuoteRate: rate(seated, entry => entry.accuracy === 'over'),
+        underQuoteRate: rate(seated, entry => entry.accuracy === 'under'),
+        withinQuoteRate: rate(seated, entry => entry.accuracy === 'within'),
+        meanAbsoluteError: mean(seated, entry => Math.abs(entry.error)),
+        meanError: mean(seated, entry => entry.error),
+        meanQuotedWait: mean(seated, entry => (entry.low + entry.high) / 2),
+        meanActualWait: mean(seated, entry => entry.actual),
+        walkAwayRate: rate(entries, entry => entry.outcome === 'walkAway'),
+        noShowRate: rate(entries, entry => entry.outcome === 'noShow'),
+        cancelRate: rate(entries, entry => entry.outcome === 'canceled')
+    };
+}
+
+/**
+ * Round a number.
+ * @param {number} value - Value.
+ * @param {number} [digits] - Optional. Decimal places. Defaults to 1.
+ * @returns {number} - Rounded value.
+ */
+function round(value, digits = 1) {
+    const factor = Math.pow(10, digits);
+    return Math.round(value * factor) / factor;
+}
+
+/**
+ * Group classified visits and compute metrics per group.
+ * @param {Object[]} entries - Classified visits.
+ * @param {Function} keyOf - Returns the group key of a classified visit.
+ * @param {Function} [sortKey] - Optional. Returns the value groups are sorted by. Defaults to the key.
+ * @returns {Object[]} - QuoteAccuracyMetrics per group, with the group key as "key".
+ */
+function groupBy(entries, keyOf, sortKey = key => key) {
+    const groups = new Map();
+    for (const entry of entries) {
+        const key = keyOf(entry) ?? 'Unknown';
+        if (!groups.has(key)) groups.set(key, []);
+        groups.get(key).push(entry);
+    }
+    return [...groups.entries()]
+        .sort(([a], [b]) => {
+            const x = sortKey(a);
+            const y = sortKey(b);
+            return typeof x === 'number' && typeof y === 'number' ? x - y : String(x).localeCompare(String(y));
+        })
+        .map(([key, list]) => ({ key, ...metrics(list) }));
+}
+
+/**
+ * Report the accuracy of quoted wait times.
+ * A seated visit is over-quoted when the actual wait was shorter than QuoteLow, and under-quoted when it was
+ * longer than QuoteHigh. Errors are measured against the middle of the quote range, in minutes (positive means
+ * the guest waited longer than quoted). Walk-away, no-show and cancel rates include every closed quoted visit.
+ * Visits without a quote, and visits still waiting, are skipped.
+ * @param {Visit[]} visits - Visits, e.g. from getAllVisitUpdates.
+ * @param {Object} [options] - Optional.
+ * @param {string} [options.waitFrom] - Optional. "creation" (default) measures waits from CreationTime, "arrival" from ArrivalTime when set.
+ * @param {number} [options.tolerance] - Optional. Minutes outside the quote range still counted as within. Defaults to 0.
+ * @param {number} [options.bucketSize] - Optional. Width of the quote buckets in minutes, by QuoteHigh. Defaults to 15.
+ * @param {string} [options.timeZone] - Optional. Olson time zone used for the hour of day. Defaults to the process time zone.
+ * @returns {QuoteAccuracyReport} - QuoteAccuracyReport.
+ */
+function quoteAccuracyReport(visits, options = {}) {
+    const settings = {
+        waitFrom: options.waitFrom || 'creation',
+        tolerance: options.tolerance || 0,
+        bucketSize: options.bucketSize || 15
+    };
+    const hourFormat = new Intl.DateTimeFormat('en-US', { hour: 'numeric', hourCycle: 'h23', timeZone: options.timeZone });
+    const entries = visits.map(visit => classify(visit, settings)).filter(Boolean);
+    const bucketOf = entry => {
+        const from = Math.max(0, Math.ceil(entry.high / settings.bucketSize) - 1) * settings.bucketSize;
+        return `${from}-${from + settings.bucketSize}`;
+    };
+    return {
+        totals: metrics(entries),
+        byPartySize: groupBy(entries, entry => entry.visit.Size),
+        byHour: groupBy(entries, entry => Number.isNaN(entry.created) ? undefined : Number(hourFormat.format(entry.created))),
+        byType: groupBy(entries, entry => entry.visit.Type),
+        bySeatingArea: groupBy(entries, entry => entry.visit.SeatingAreaName),
+        byQuoteBucket: groupBy(entries, bucketOf, key => typeof key === 'string' ? Number(key.split('-')[0]) : Infinity)
+    };
+}
+
+module.exports = {
+    quoteAccuracyReport
+};
+
+/** Type Definitions */
+
+/**
+ * @typedef {Object} QuoteAccuracyMetrics
+ * @property {number} visits - Number of closed visits with a quote.
+ * @property {number} seated - Number of those visits that were seated.
+ * @property {number|null} overQuoteRate - Share of seated visits that waited less than QuoteLow.
+ * @property {number|null} underQuoteRate - Share of seated visits that waited more than QuoteHigh.
+ * @property {number|null} withinQuoteRate - Share of seated visits seated within the quote range.
+ * @property {number|null} meanAbsoluteError - Mean absolute difference between actual wait and the middle of the quote, in minutes.
+ * @property {number|null} meanError - Mean signed difference (positive means longer than quoted), in minutes.
+ * @property {number|null} meanQuotedWait - Mean middle of the quote range of seated visits, in minutes.
+ * @property {number|null} meanActualWait - Mean actual wait of seated visits, in minutes.
+ * @property {number|null} walkAwayRate - Share of visits that walked away.
+ * @property {number|null} noShowRate - Share of visits that were no-shows.
+ * @property {number|null} cancelRate - Share of visits that were canceled.
+ */
+
+/**
+ * @typedef {Object} QuoteAccuracyReport
+ * @property {QuoteAccuracyMetrics} totals - Metrics for all visits.
+ * @property {Object[]} byPartySize - Metrics per party Size ("key").
+ * @property {Object[]} byHour - Metrics per hour of day (0-23) of CreationTime ("key").
+ * @property {Object[]} byType - Metrics per visit Type ("key").
+ * @property {Object[]} bySeatingArea - Metrics per SeatingAreaName ("key").
+ * @property {Object[]} byQuoteBucket - Metrics per QuoteHigh bucket, e.g. "15-30" ("key").
+ */
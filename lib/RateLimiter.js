@@ -0,0 +1,174 @@
+/**
+ * QSR Rate Limiter Class File
+ * @author Steve Ostopchuck
+ */
+const { QSRCancelledError } = require('./errors');
+
+/**
+ *  Token bucket rate limiter with a cap on the number of requests in flight.
+ *  Requests that cannot start yet wait in a FIFO queue.
+ */
+class RateLimiter {
+    'use strict'
+    #queue = [];
+    #inFlight = 0;
+    #tokens;
+    #lastRefill = Date.now();
+    #timer = null;
+    #completed = 0;
+    #cancelled = 0;
+
+    /**
+     * Create a RateLimiter. Omitted limits are unlimited.
+     * @param {Object} [options] - Optional. Limits.
+     * @param {number} [options.requestsPerSecond] - Optional. Sustained request rate (token refill rate).
+     * @param {number} [options.burst] - Optional. Bucket size, i.e. requests that may start at once after an idle period. Defaults to requestsPerSecond rounded up.
+     * @param {number} [options.maxConcurrent] - Optional. Maximum number of requests in flight.
+     */
+    constructor(options = {}) {
+        this.requestsPerSecond = options.requestsPerSecond || Infinity;
+        this.burst = options.burst || (this.requestsPerSecond === Infinity ? Infinity : Math.max(1, Math.ceil(this.requestsPerSecond)));
+        this.maxConcurrent = options.maxConcurrent || Infinity;
+        this.#tokens = this.burst;
+    }
+
+    /**
+     * Wait for a slot. The returned function must be called once the request is done.
+     * @param {Object} [options] - Optional.
+     * @param {AbortSignal} [options.signal] - Optional. Aborting the signal removes the request from the queue.
+     * @returns {Promise<Function>} - Resolves with the release function.
+     */
+    acquire(options = {}) {
+        const { signal } = options;
+        return new Promise((resolve, reject) => {
+            if (signal?.aborted) {
+                this.#cancelled++;
+                return reject(new QSRCancelledError('QSR Error: Request cancelled before it was sent.'));
+            }
+            const entry = { resolve, reject, signal };
+            if (signal) {
+                entry.onAbort = () => this.#remove(entry, new QSRCancelledError('QSR Error: Request cancelled before it was sent.'));
+                signal.addEventListener('abort', entry.onAbort, { once: true });
+            }
+            this.#queue.push(entry);
+            this.#drain();
+        });
+    }
+
+    /**
+     * Run a function once a slot is available, releasing the slot when it settles.
+     * @param {Function} fn - Async function to run.
+     * @param {Object} [options] - Optional. See RateLimiter#acquire.
+     * @returns {Promise<*>} - The result of fn.
+     */
+    async schedule(fn, options) {
+        const release = await this.acquire(options);
+        try {
+            return await fn();
+        } finally {
+            release();
+        }
+    }
+
+    /**
+     * Reject every queued request with a QSRCancelledError. Requests already in flight are not affected.
+     * @param {string} [reason] - Optional. Cancellation message.
+     * @returns {number} - Number of requests cancelled.
+     */
+    cancelQueued(reason = 'QSR Error: Queued request cancelled.') {
+        const entries = [...this.#queue];
+        entries.forEach(entry => this.#remove(entry, new QSRCancelledError(reason)));
+        return entries.length;
+    }
+
+    /**
+     * Get the current state of the limiter.
+     * @returns {RateLimiterStats} - RateLimiterStats.
+     */
+    stats() {
+        this.#refill();
+        return {
+            queued: this.#queue.length,
+            inFlight: this.#inFlight,
+            availableTokens: this.#tokens === Infinity ? Infinity : Math.floor(this.#tokens),
+            completed: this.#completed,
+            cancelled: this.#cancelled
+        };
+    }
+
+    #remove(entry, err) {
+        const index = this.#queue.indexOf(entry);
+        if (index === -1) return;
+        this.#queue.splice(index, 1);
+        entry.signal?.removeEventListener('abort', entry.onAbort);
+        this.#cancelled++;
+        entry.reject(err);
+    }
+
+    #refill() {
+        const now = Date.now();
+        if (this.requestsPerSecond === Infinity) {
+            this.#tokens = this.burst;
+        } else {
+            this.#tokens = Math.min(this.burst, this.#tokens + (now - this.#lastRefill) / 1000 * this.requestsPerSecond);
+        }
+        this.#lastRefill = now;
+    }
+
+    #drain() {
+        this.#refill();
+        while (this.#queue.length && this.#inFlight < this.maxConcurrent && this.#tokens >= 1) {
+            const entry = this.#queue.shift();
+            entry.signal?.removeEventListener('abort', entry.onAbort);
+            this.#tokens--;
+            this.#inFlight++;
+            let released = false;
+            entry.resolve(() => {
+                if (released) return;
+                released = true;
+                this.#inFlight--;
+                this.#completed++;
+                this.#drain();
+            });
+        }
+        if (this.#queue.length && this.#inFlight < this.maxConcurrent && !this.#timer) {
+            const wait = Math.ceil((1 - this.#tokens) / this.requestsPerSecond * 1000);
+            this.#timer = setTimeout(() => {
+                this.#timer = null;
+                this.#drain();
+            }, wait);
+        }
+    }
+}
+
+/** Endpoint families that can be limited separately. */
+const ENDPOINT_FAMILIES = ['Visits', 'Tables', 'WebAhead', 'GuestBook'];
+
+/**
+ * Get the endpoint family of a request path.
+ * @param {string} url - Request path, e.g. "/Site/ABC/Visits".
+ * @returns {string|undefined} - Visits, Tables, WebAhead, GuestBook, or undefined for anything else.
+ */
+function endpointFamily(url = '') {
+    if (/webahead/i.test(url)) return 'WebAhead';
+    if (/guestbook/i.test(url)) return 'GuestBook';
+    if (/\/(tables|tableevent)(\/|$)/i.test(url)) return 'Tables';
+    if (/\/(visits?|reservations|externalreservations|walkin)(\/|$)/i.test(url)) return 'Visits';
+    return undefined;
+}
+
+module.exports = RateLimiter;
+module.exports.RateLimiter = RateLimiter;
+module.exports.ENDPOINT_FAMILIES = ENDPOINT_FAMILIES;
+module.exports.endpointFamily = endpointFamily;
+
+/** Type Definitions */
+
+/**
+ * @typedef {Object} RateLimiterStats
+ * @property {number} queued - Number of requests waiting for a slot.
+ * @property {number} inFlight - Number of requests currently running.
+ * @property {number} availableTokens - Requests that may start right now, ignoring maxConcurrent.
+ * @property {number} completed - Number of requests that have released their slot.
+ * @property {number} cancelled - Number of queued requests that were cancelled.
+ */
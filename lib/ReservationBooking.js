@@ -0,0 +1,403 @@
+/**
+ * QSR Reservation Booking Class File
+ * @author Steve Ostopchuck
+ */
+const EventEmitter = require('events');
+const { QSRConfigError, QSRError } = require('./errors');
+
+const DAY = 24 * 60 * 60 * 1000;
+const MINUTE = 60 * 1000;
+
+/**
+ *  Reservation booking over getReservationAvailability and addReservation.
+ *  Availability is flattened from Days, Sessions, SeatingAreas and Times into bookable ReservationSlots.
+ *  Slots that are unavailable, suspended for online booking, or in a seating area too small (or too large) for the
+ *  party are left out. A slot is checked again right before it is booked, and a slot taken in the meantime is
+ *  returned as a conflict with the nearest alternatives, at the same site or at nearby sites.
+ *
+ *  Events:
+ *   - "alternativesError" ({ siteUID, error }) - Searching a site for alternatives failed. The site is skipped.
+ */
+class ReservationBooking extends EventEmitter {
+    'use strict'
+
+    /**
+     * Create a ReservationBooking.
+     * @param {QSR} qsr - QSR instance.
+     * @param {Object} [options] - Optional.
+     * @param {number} [options.maxDays] - Optional. Most days a search may cover. Defaults to 31.
+     * @param {number} [options.nearbySites] - Optional. Number of other sites, nearest first, searched for alternatives. Defaults to 3.
+     * @param {number} [options.maxDistanceKm] - Optional. Furthest other site searched for alternatives, in kilometers. Defaults to 50.
+     * @param {number} [options.alternativeWindow] - Optional. Milliseconds before and after the requested time searched for alternatives. Defaults to 2 hours.
+     * @param {number} [options.maxAlternatives] - Optional. Number of alternatives suggested. Defaults to 5.
+     */
+    constructor(qsr, options = {}) {
+        super();
+        this.qsr = qsr;
+        this.maxDays = options.maxDays ?? 31;
+        this.nearbySites = options.nearbySites ?? 3;
+        this.maxDistanceKm = options.maxDistanceKm ?? 50;
+        this.alternativeWindow = options.alternativeWindow ?? 2 * 60 * MINUTE;
+        this.maxAlternatives = options.maxAlternatives ?? 5;
+    }
+
+    /**
+     * Search the bookable slots of a site for a party.
+     * @example
+     * const slots = await qsr.booking().search({ customerSiteId: '0421' }, { start, end, partySize: 4 });
+     * @param {string|SiteRef} siteUID - Globally unique identifier for a site, or a SiteRef.
+     * @param {Object} options - Search options.
+     * @param {number} options.partySize - Party size.
+     * @param {Date} options.start - Earliest reservation time.
+     * @param {Date} [options.end] - Optional. Latest reservation time. Defaults to the end of start's day.
+     * @param {string} [options.seatingAreaUID] - Optional. Only slots of this seating area.
+     * @param {string} [options.sessionName] - Optional. Only slots of this session, e.g. "Dinner".
+     * @returns {Promise<ReservationSlot[]>} - Bookable slots, earliest first.
+     * @throws {QSRConfigError} - If the options are invalid.
+     */
+    async search(siteUID, options = {}) {
+        const { start, end } = this.#window(options);
+        siteUID = await this.qsr.resolveSiteUID(siteUID);
+        const days = new Map();
+        // Each call may return several days, so the next call starts after the last day returned
+        for (let date = startOfDay(start); date <= end;) {
+            const result = await this.qsr.getReservationAvailability(siteUID, date, options.partySize);
+            let next = date.getTime() + DAY;
+            for (const day of result || []) {
+                if (!days.has(day.Date)) days.set(day.Date, day);
+                next = Math.max(next, Date.parse(`${day.Date}T00:00:00.000Z`) + DAY);
+            }
+            date = new Date(next);
+        }
+        return flattenAvailability([...days.values()], { siteUID, partySize: options.partySize })
+            .filter(slot => isBookable(slot, options.partySize))
+            .filter(slot => (!options.seatingAreaUID || slot.seatingAreaUID === options.seatingAreaUID)
+                && (!options.sessionName || slot.sessionName.toLowerCase() === options.sessionName.toLowerCase()))
+            .filter(slot => {
+                const time = Date.parse(slot.time);
+                return time >= start.getTime() && time <= end.getTime();
+            })
+            .sort(bySlotTime);
+    }
+
+    /**
+     * Book a slot. Its availability is checked again first, and a slot that is no longer bookable, or that is
+     * taken between the check and the booking, is returned as a conflict instead of throwing.
+     * The API does not document the status of a booking rejected because the slot was just taken, so when the
+     * booking fails with any response, the slot is checked once more: if it is no longer bookable, the result is a
+     * "taken" conflict, otherwise the error is thrown.
+     * @example
+     * const result = await booking.book(slots[0], { lastName: 'Smith', phoneNumberString: '7045550100' });
+     * if (result.status === 'conflict') console.log(result.conflict.reason, result.conflict.alternatives);
+     * @param {ReservationSlot} slot - Slot returned by search or alternatives.
+     * @param {Object} [info] - Optional. Reservation information, see QSR#addReservation. arrivalTime, partySize and seatingAreaUID are taken from the slot.
+     * @param {Object} [options] - Optional.
+     * @param {boolean} [options.alternatives] - Optional. If false, no alternatives are searched on conflict. Defaults to true.
+     * @returns {Promise<BookingResult>} - BookingResult.
+     * @throws {QSRValidationError} - If info is invalid.
+     * @throws {QSRError} - If the booking failed and the slot is still bookable.
+     */
+    async book(slot, info = {}, options = {}) {
+        if (!slot?.siteUID || !slot.time || !slot.partySize) throw new QSRConfigError('QSR Error: Cannot book, slot must come from search or alternatives.');
+        const current = await this.#current(slot);
+        const reason = !current ? 'notFound' : current.onlineSuspended ? 'suspended' : !isBookable(current, slot.partySize) ? 'unavailable' : null;
+        if (reason) return this.#conflict(slot, reason, options);
+        try {
+            const visit = await this.qsr.addReservation(slot.siteUID, {
+                ...info,
+                arrivalTime: slot.time,
+                partySize: slot.partySize,
+                seatingAreaUID: slot.seatingAreaUID
+            });
+            return { status: 'booked', slot, visit };
+        } catch (err) {
+            if (err instanceof QSRError && err.status && await this.#isTaken(slot)) return this.#conflict(slot, 'taken', options, err);
+            throw err;
+        }
+    }
+
+    /**
+     * Suggest the bookable slots nearest to a requested time, at its site and at the nearest other sites of the
+     * company (by the Latitude and Longitude of getCompanySites). Slots are ranked by time difference, then distance.
+     * A site whose availability cannot be read is skipped, and an "alternativesError" event is emitted for it.
+     * @param {ReservationSlot|Object} request - A slot, or { siteUID, time, partySize }.
+     * @returns {Promise<ReservationAlternative[]>} - Alternatives, best first.
+     */
+    async alternatives(request) {
+        return (await this.#searchAlternatives(request)).alternatives;
+    }
+
+    /**
+     * Internal function to search the alternatives of a request, skipping the sites that fail.
+     * @param {ReservationSlot|Object} request - A slot, or { siteUID, time, partySize }.
+     * @returns {Promise<Object>} - { alternatives, skippedSites }. skippedSites lists the { siteUID, error } of each failed site.
+     */
+    async #searchAlternatives(request) {
+        const siteUID = await this.qsr.resolveSiteUID(request.siteUID);
+        const time = new Date(request.time).getTime();
+        const sites = await this.#nearbySites(siteUID);
+        const window = { start: new Date(time - this.alternativeWindow), end: new Date(time + this.alternativeWindow), partySize: request.partySize };
+        const alternatives = [];
+        const skippedSites = [];
+        for (const { site, distanceKm } of sites) {
+            let slots;
+            try {
+                slots = await this.search(site, window);
+            } catch (error) {
+                skippedSites.push({ siteUID: site, error });
+                this.emit('alternativesError', { siteUID: site, error });
+                continue;
+            }
+            for (const slot of slots) {
+                if (isSameSlot(slot, { ...request, siteUID })) continue;
+                alternatives.push({ ...slot, distanceKm, minutesFromRequested: Math.round((Date.parse(slot.time) - time) / MINUTE) });
+            }
+        }
+        alternatives.sort((a, b) => Math.abs(a.minutesFromRequested) - Math.abs(b.minutesFromRequested) || a.distanceKm - b.distanceKm || bySlotTime(a, b));
+        return { alternatives: alternatives.slice(0, this.maxAlternatives), skippedSites };
+    }
+
+    /**
+     * Internal function to read the current availability of a slot.
+     * @param {ReservationSlot} slot - Slot.
+     * @returns {Promise<ReservationSlot|undefined>} - The slot as currently offered, or undefined if it no longer is.
+     */
+    async #current(slot) {
+        // The business date of the slot is requested, so slots after midnight UTC are found on their own day
+        const days = await this.qsr.getReservationAvailability(slot.siteUID, new Date(`${slot.date}T00:00:00.000Z`), slot.partySize);
+        return flattenAvailability(days || [], slot).find(candidate => isSameSlot(candidate, slot));
+    }
+
+    /**
+     * Internal function to check a slot again after its booking failed.
+     * @param {ReservationSlot} slot - Slot.
+     * @returns {Promise<boolean>} - True if the slot is no longer bookable. False if it still is, or if the check failed too.
+     */
+    async #isTaken(slot) {
+        try {
+            const current = await this.#current(slot);
+            return !current || !isBookable(current, slot.partySize);
+        } catch (err) {
+            return false;
+        }
+    }
+
+    /**
+     * Internal function to build a conflict result.
+     * @param {ReservationSlot} slot - Requested slot.
+     * @param {string} reason - taken, unavailable, suspended or notFound.
+     * @param {Object} options - book options.
+     * @param {QSRError} [error] - Optional. Error of the booking request.
+     * @returns {Promise<BookingResult>} - BookingResult.
+     */
+    async #conflict(slot, reason, options, error) {
+        const conflict = { reason, message: CONFLICT_MESSAGES[reason], alternatives: [] };
+        if (error) conflict.error = error;
+        if (options.alternatives !== false) {
+            const { alternatives, skippedSites } = await this.#searchAlternatives(slot);
+            conflict.alternatives = alternatives;
+            if (skippedSites.length) conflict.skippedSites = skippedSites;
+        }
+        return { status: 'conflict', slot, conflict };
+    }
+
+    /**
+     * Internal function to list a site and the nearest other sites of the company.
+     * @param {string} siteUID - Globally unique identifier for a site.
+     * @returns {Promise<Object[]>} - { site, distanceKm } of each site, the requested site first.
+     */
+    async #nearbySites(siteUID) {
+        const result = [{ site: siteUID, distanceKm: 0 }];
+        if (!this.nearbySites) return result;
+        const sites = await this.qsr.getCompanySites() || [];
+        const origin = sites.find(site => site.SiteUID?.toLowerCase() === siteUID.toLowerCase());
+        if (!hasLocation(origin)) return result;
+        const nearby = sites
+            .filter(site => site !== origin && hasLocation(site))
+            .map(site => ({ site: site.SiteUID, distanceKm: round(distanceKm(origin, site)) }))
+            .filter(candidate => candidate.distanceKm <= this.maxDistanceKm)
+            .sort((a, b) => a.distanceKm - b.distanceKm)
+            .slice(0, this.nearbySites);
+        return result.concat(nearby);
+    }
+
+    /**
+     * Internal function to validate search options.
+     * @param {Object} options - search options.
+     * @returns {Object} - { start, end } as Dates.
+     * @throws {QSRConfigError} - If the options are invalid.
+     */
+    #window(options) {
+        if (!Number.isInteger(options.partySize) || options.partySize < 1) throw new QSRConfigError('QSR Error: Search partySize must be a positive integer.');
+        const start = new Date(options.start);
+        if (Number.isNaN(start.getTime())) throw new QSRConfigError('QSR Error: Search start must be a Date.');
+        const end = options.end ? new Date(options.end) : new Date(startOfDay(start).getTime() + DAY - 1);
+        if (Number.isNaN(end.getTime()) || end < start) throw new QSRConfigError('QSR Error: Search end must be a Date after start.');
+        if (end - startOfDay(start) > this.maxDays * DAY) throw new QSRConfigError(`QSR Error: Search cannot cover more than ${this.maxDays} days.`);
+        return { start, end };
+    }
+}
+
+const CONFLICT_MESSAGES = {
+    taken: 'The slot was booked by someone else.',
+    unavailable: 'The slot is no longer available.',
+    suspended: 'Online reservations are suspended for the slot.',
+    notFound: 'The slot is no longer offered.'
+};
+
+/**
+ * Flatten availability days into slots. Every time is returned, bookable or not.
+ * @param {ReservationAvailabilityDay[]} days - Availability days.
+ * @param {Object} context - Context of the request.
+ * @param {string} context.siteUID - Globally unique identifier for the site.
+ * @param {number} context.partySize - Party size.
+ * @returns {ReservationSlot[]} - Slots.
+ */
+function flattenAvailability(days, context) {
+    const slots = [];
+    for (const day of days) {
+        for (const session of day.Sessions || []) {
+            for (const area of session.SeatingAreas || []) {
+                for (const slot of area.Times || []) {
+                    slots.push({
+                        siteUID: context.siteUID,
+                        date: day.Date,
+                        time: slot.Time,
+                        partySize: context.partySize,
+                        sessionName: session.SessionName,
+                        seatingAreaUID: area.SeatingAreaUID,
+                        seatingAreaName: area.SeatingAreaName,
+                        guestMessage: area.GuestMessage || '',
+                        minPartySize: area.MinPartySize ?? null,
+                        maxPartySize: area.MaxPartySize ?? null,
+                        isAvailable: Boolean(slot.IsAvailable),
+                        onlineSuspended: Boolean(slot.OnlineSuspended)
+                    });
+                }
+            }
+        }
+    }
+    return slots;
+}
+
+/**
+ * Check if a slot can be booked online by a party.
+ * @param {ReservationSlot} slot - Slot.
+ * @param {number} partySize - Party size.
+ * @returns {boolean} - True if the slot is available, not suspended and its seating area fits the party.
+ */
+function isBookable(slot, partySize) {
+    return slot.isAvailable && !slot.onlineSuspended
+        && (slot.minPartySize === null || partySize >= slot.minPartySize)
+        && (slot.maxPartySize === null || partySize <= slot.maxPartySize);
+}
+
+/**
+ * Check if two slots are the same site, time and seating area.
+ * @param {ReservationSlot} a - Slot.
+ * @param {ReservationSlot} b - Slot.
+ * @returns {boolean} - True if they are the same.
+ */
+function isSameSlot(a, b) {
+    return a.siteUID?.toLowerCase() === b.siteUID?.toLowerCase() && Date.parse(a.time) === Date.parse(b.time)
+        && (!b.seatingAreaUID || a.seatingAreaUID === b.seatingAreaUID);
+}
+
+/**
+ * Sort slots by time, then seating area name.
+ * @param {ReservationSlot} a - Slot.
+ * @param {ReservationSlot} b - Slot.
+ * @returns {number} - Sort order.
+ */
+function bySlotTime(a, b) {
+    return Date.parse(a.time) - Date.parse(b.time) || String(a.seatingAreaName).localeCompare(String(b.seatingAreaName));
+}
+
+/**
+ * Get midnight UTC of a date's day.
+ * @param {Date} date - Date.
+ * @returns {Date} - Start of the day.
+ */
+function startOfDay(date) {
+    return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+}
+
+/**
+ * Check if a site has coordinates.
+ * @param {Site} [site] - Optional. Site.
+ * @returns {boolean} - True if Latitude and Longitude are numbers.
+ */
+function hasLocation(site) {
+    return Number.isFinite(site?.Latitude) && Number.isFinite(site?.Longitude);
+}
+
+/**
+ * Great-circle distance between two sites.
+ * @param {Site} a - Site.
+ * @param {Site} b - Site.
+ * @returns {number} - Distance in kilometers.
+ */
+function distanceKm(a, b) {
+    const rad = degrees => degrees * Math.PI / 180;
+    const dLat = rad(b.Latitude - a.Latitude);
+    const dLon = rad(b.Longitude - a.Longitude);
+    const h = Math.sin(dLat / 2) ** 2 + Math.cos(rad(a.Latitude)) * Math.cos(rad(b.Latitude)) * Math.sin(dLon / 2) ** 2;
+    return 2 * 6371 * Math.asin(Math.sqrt(h));
+}
+
+/**
+ * Round to one decimal.
+ * @param {number} value - Value.
+ * @returns {number} - Rounded value.
+ */
+function round(value) {
+    return Math.round(value * 10) / 10;
+}
+
+module.exports = ReservationBooking;
+module.exports.ReservationBooking = ReservationBooking;
+module.exports.flattenAvailability = flattenAvailability;
+
+/** Type Definitions */
+
+/**
+ * A reservation time of a seating area, as returned by getReservationAvailability.
+ * @typedef {Object} ReservationSlot
+ * @property {string} siteUID - Globally unique identifier for the site.
+ * @property {string} date - Site local business date, e.g. 2026-10-19. Never parse it as a DateTime.
+ * @property {string} time - Reservation time in ISO 8601 format.
+ * @property {number} partySize - Party size the availability was requested for.
+ * @property {string} sessionName - Session name, e.g. Dinner.
+ * @property {string} seatingAreaUID - Unique identifier of the seating area.
+ * @property {string} seatingAreaName - Seating area name.
+ * @property {string} guestMessage - Message shown to guests booking the seating area.
+ * @property {number} minPartySize - Smallest party the seating area takes, or null if not reported.
+ * @property {number} maxPartySize - Largest party the seating area takes, or null if not reported.
+ * @property {boolean} isAvailable - True if the time is available.
+ * @property {boolean} onlineSuspended - True if online reservations are suspended for the time.
+ */
+
+/**
+ * A slot suggested in place of another.
+ * @typedef {Object} ReservationAlternative
+ * @property {number} distanceKm - Distance from the requested site, in kilometers. 0 for the same site.
+ * @property {number} minutesFromRequested - Minutes from the requested time, negative if earlier.
+ * Plus every ReservationSlot property.
+ */
+
+/**
+ * @typedef {Object} BookingResult
+ * @property {string} status - booked or conflict.
+ * @property {ReservationSlot} slot - The requested slot.
+ * @property {Visit} [visit] - The reservation visit, if booked.
+ * @property {BookingConflict} [conflict] - Why the slot could not be booked, if not.
+ */
+
+/**
+ * @typedef {Object} BookingConflict
+ * @property {string} reason - taken (booked in the meantime), unavailable, suspended (online reservations suspended) or notFound.
+ * @property {string} message - Description of the reason.
+ * @property {ReservationAlternative[]} alternatives - Nearest bookable slots, best first.
+ * @property {QSRError} [error] - The error of the booking request, if it failed.
+ * @property {Object[]} [skippedSites] - { siteUID, error } of each site that could not be searched for alternatives, if any.
+ */
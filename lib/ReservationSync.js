@@ -0,0 +1,440 @@
+/**
+ * QSR Reservation Sync Class File
+ * @author Steve Ostopchuck
+ */
+const crypto = require('crypto');
+const EventEmitter = require('events');
+const { MemoryStore } = require('./stores');
+const { QSRConfigError, QSRNotFoundError } = require('./errors');
+const { getPath } = require('./export');
+const { toReservationSource } = require('./reservationSources');
+
+/** Fields of a MappedReservation. A field map names the source path of each, which defaults to the same name. */
+const MAPPED_FIELDS = ['externalId', 'arrivalTime', 'partySize', 'guest', 'notes', 'canceled', 'canceledTime', 'customValues', 'partyMix'];
+
+/**
+ *  Two-way sync between an external reservation platform and a QSR site.
+ *  Push: reservations are read from a source adapter, mapped, and upserted through syncExternalReservation.
+ *  Each one is hashed and kept in a store, so only new and changed reservations are sent, and reservations that
+ *  are canceled in (or, with cancelMissing, removed from) the source are canceled in QSR. Reservations that come
+ *  back, or are reinstated at the source, are sent again in full as new reservations.
+ *  Pull: visit updates of the site are read through getVisitUpdates, excluding the sync's own syncSource so
+ *  its pushes never come back as changes, and status changes of synced reservations are passed to the source.
+ *
+ *  Events:
+ *   - "pushed" ({ action, reservation }) - A reservation was created, updated or canceled in QSR.
+ *   - "pushError" ({ externalId, record, error }) - A reservation could not be mapped or sent, or the source failed. Others continue.
+ *   - "statusChange" (ReservationStatusChange) - The status of a synced reservation changed in QSR.
+ *   - "pullError" ({ error }) - Reading visit updates failed.
+ */
+class ReservationSync extends EventEmitter {
+    'use strict'
+
+    /**
+     * Create a ReservationSync.
+     * @param {QSR} qsr - QSR instance.
+     * @param {Object} options - Sync options.
+     * @param {string|SiteRef} options.siteUID - Globally unique identifier for the site of the reservations, or a SiteRef.
+     * @param {ReservationSource|Function|string} options.source - Source adapter, a function returning reservations, or a JSON feed URL or file path.
+     * @param {string} options.syncSource - QSR-defined string representing the platform. Updates made with it are not pulled back.
+     * @param {Function|Object<string, string|Function>} [options.map] - Optional. Function mapping a source record to a MappedReservation, or the source dot path (or function) of each MappedReservation field, e.g. { externalId: 'id', partySize: 'covers' }.
+     * @param {Object} [options.store] - Optional. Store for reservation state and the pull cursor, see MemoryStore and JsonFileStore. Defaults to a MemoryStore.
+     * @param {boolean} [options.cancelMissing] - Optional. If true, synced reservations missing from the source are canceled. Set to false for sources returning only recent changes. Defaults to true.
+     * @param {Date} [options.since] - Optional. Start time of the first pull. Defaults to 24 hours ago.
+     */
+    constructor(qsr, options = {}) {
+        super();
+        if (!options.siteUID) throw new QSRConfigError('QSR Error: ReservationSync requires a siteUID.');
+        if (!options.syncSource) throw new QSRConfigError('QSR Error: ReservationSync requires a syncSource, to tell its own updates apart.');
+        this.qsr = qsr;
+        this.siteUID = options.siteUID;
+        this.source = toReservationSource(options.source);
+        this.syncSource = options.syncSource;
+        this.map = toMapper(options.map);
+        this.store = options.store || new MemoryStore();
+        this.cancelMissing = options.cancelMissing ?? true;
+        this.since = options.since || new Date(Date.now() - 24 * 60 * 60 * 1000);
+    }
+
+    /**
+     * Push the source's reservations to QSR, then pull QSR's status changes back.
+     * @param {Object} [options] - Optional.
+     * @param {Date} [options.until] - Optional. End time of the pull. Defaults to now.
+     * @returns {Promise<Object>} - { push: ReservationPushSummary, pull: ReservationPullSummary }.
+     */
+    async run(options = {}) {
+        const push = await this.push();
+        const pull = await this.pull(options);
+        return { push, pull };
+    }
+
+    /**
+     * Send new, changed and canceled reservations of the source to QSR.
+     * @returns {Promise<ReservationPushSummary>} - ReservationPushSummary.
+     */
+    async push() {
+        const siteUID = await this.qsr.resolveSiteUID(this.siteUID);
+        const summary = { siteUID, fetched: 0, created: 0, updated: 0, canceled: 0, unchanged: 0, failed: [] };
+        let records;
+        try {
+            records = await this.source.fetch();
+            summary.fetched = records.length;
+        } catch (error) {
+            summary.error = error;
+            this.emit('pushError', { error });
+            return summary;
+        }
+        const seen = new Set();
+        for (const record of records) {
+            let reservation;
+            try {
+                reservation = this.#mapRecord(record);
+                if (seen.has(reservation.externalId)) throw new QSRConfigError(`QSR Error: Reservation ${reservation.externalId} appears more than once in the source.`);
+            } catch (error) {
+                this.#failed(summary, { externalId: reservation?.externalId, record, error });
+                continue;
+            }
+            seen.add(reservation.externalId);
+            const key = this.stateKey(siteUID, reservation.externalId);
+            const state = await this.store.get(key);
+            const reservationHash = hash(reservation);
+            if (state?.hash === reservationHash || (!state && reservation.canceled)) {
+                // Reservations canceled before they were ever synced are remembered, not created
+                if (!state) await this.store.set(key, { externalId: reservation.externalId, hash: reservationHash, canceled: true });
+                summary.unchanged++;
+                continue;
+            }
+            // A reservation reinstated at the source is created again, as its QSR visit stays canceled otherwise
+            const action = !state || (state.canceled && !reservation.canceled) ? 'created' : reservation.canceled && !state.canceled ? 'canceled' : 'updated';
+            await this.#send(siteUID, summary, { action, reservation, record, state, hash: reservationHash });
+        }
+        if (this.cancelMissing) {
+            for (const key of await this.store.keys(this.stateKey(siteUID, ''))) {
+                const state = await this.store.get(key);
+                if (!state || state.canceled || seen.has(state.externalId)) continue;
+                const reservation = { ...state.reservation, canceled: true, canceledTime: new Date().toISOString() };
+                await this.#send(siteUID, summary, { action: 'canceled', reservation, state, hash: hash(reservation), missing: true });
+            }
+        }
+        return summary;
+    }
+
+    /**
+     * Pull the status changes of synced reservations from QSR, and pass each to the source's applyStatusChange.
+     * @param {Object} [options] - Optional.
+     * @param {Date} [options.until] - Optional. End time of the pull. Defaults to now.
+     * @returns {Promise<ReservationPullSummary>} - ReservationPullSummary.
+     */
+    async pull(options = {}) {
+        const siteUID = await this.qsr.resolveSiteUID(this.siteUID);
+        const cursorKey = this.cursorKey(siteUID);
+        const cursorState = await this.store.get(cursorKey) || { cursor: this.since.toISOString() };
+        const summary = { siteUID, visits: 0, changes: 0, cursor: cursorState.cursor };
+        try {
+            const pages = this.qsr.iterateVisitUpdates(siteUID, cursorState.cursor, options.until || new Date(), this.syncSource);
+            for await (const page of pages) {
+                for (const visit of page.items) {
+                    if (!visit.ExternalID) continue;
+                    const key = this.stateKey(siteUID, visit.ExternalID);
+                    const state = await this.store.get(key);
+                    if (!state) continue;
+                    summary.visits++;
+                    if (state.qsrStatus !== visit.Status) {
+                        const change = {
+                            siteUID,
+                            externalId: visit.ExternalID,
+                            visitID: visit.ID,
+                            previousStatus: state.qsrStatus ?? null,
+                            status: visit.Status,
+                            visit
+                        };
+                        if (typeof this.source.applyStatusChange === 'function') await this.source.applyStatusChange(change);
+                        this.emit('statusChange', change);
+                        summary.changes++;
+                    }
+                    await this.store.set(key, { ...state, visitID: visit.ID, qsrStatus: visit.Status, pulledAt: new Date().toISOString() });
+                }
+                cursorState.cursor = page.cursor || cursorState.cursor;
+                await this.store.set(cursorKey, cursorState);
+                summary.cursor = cursorState.cursor;
+            }
+        } catch (error) {
+            summary.error = error;
+            this.emit('pullError', { error });
+        }
+        return summary;
+    }
+
+    /**
+     * Compare the source's reservations with their QSR visits, one getVisitByExternalId per reservation,
+     * and list every mismatch. Nothing is changed on either side.
+     * @returns {Promise<ReconciliationReport>} - ReconciliationReport.
+     */
+    async reconcile() {
+        const siteUID = await this.qsr.resolveSiteUID(this.siteUID);
+        const report = { siteUID, generatedAt: new Date().toISOString(), checked: 0, matched: 0, mismatches: [] };
+        const seen = new Set();
+        for (const record of await this.source.fetch()) {
+            let reservation;
+            try {
+                reservation = this.#mapRecord(record);
+            } catch (error) {
+                report.mismatches.push({ externalId: null, visitID: null, type: 'invalid', source: record, qsr: null, message: error.message });
+                continue;
+            }
+            if (seen.has(reservation.externalId)) continue;
+            seen.add(reservation.externalId);
+            const visit = await this.#visit(siteUID, reservation.externalId);
+            this.#compare(report, reservation, visit);
+        }
+        for (const key of await this.store.keys(this.stateKey(siteUID, ''))) {
+            const state = await this.store.get(key);
+            if (!state || seen.has(state.externalId)) continue;
+            const visit = await this.#visit(siteUID, state.externalId);
+            report.checked++;
+            if (visit && visit.Status !== 'Canceled') {
+                report.mismatches.push({ externalId: state.externalId, visitID: visit.ID, type: 'missingInSource', source: null, qsr: visit.Status });
+            } else {
+                report.matched++;
+            }
+        }
+        return report;
+    }
+
+    /**
+     * Forget the state of every reservation and the pull cursor of the site, so the next push sends everything again.
+     */
+    async reset() {
+        const siteUID = await this.qsr.resolveSiteUID(this.siteUID);
+        for (const key of await this.store.keys(this.stateKey(siteUID, ''))) await this.store.delete(key);
+        await this.store.delete(this.cursorKey(siteUID));
+    }
+
+    /**
+     * Get the store key of a reservation's state.
+     * @param {string} siteUID - Globally unique identifier for a site.
+     * @param {string} externalId - External identifier of the reservation. Empty for the prefix of every reservation.
+     * @returns {string} - Store key.
+     */
+    stateKey(siteUID, externalId) {
+        return `reservation-sync/${this.qsr.companyUID}/${siteUID}/reservations/${externalId === '' ? '' : encodeURIComponent(externalId)}`;
+    }
+
+    /**
+     * Get the store key of the pull cursor.
+     * @param {string} siteUID - Globally unique identifier for a site.
+     * @returns {string} - Store key.
+     */
+    cursorKey(siteUID) {
+        return `reservation-sync/${this.qsr.companyUID}/${siteUID}/cursor`;
+    }
+
+    /**
+     * Internal function to map and check a source record.
+     * @param {Object} record - Source record.
+     * @returns {MappedReservation} - MappedReservation.
+     * @throws {QSRConfigError} - If the record has no externalId or an invalid arrivalTime.
+     */
+    #mapRecord(record) {
+        const mapped = this.map(record) || {};
+        if (mapped.externalId === undefined || mapped.externalId === null || mapped.externalId === '') {
+            throw new QSRConfigError('QSR Error: Reservation has no externalId.');
+        }
+        const reservation = {};
+        for (const field of MAPPED_FIELDS) if (mapped[field] !== undefined && mapped[field] !== null) reservation[field] = mapped[field];
+        reservation.externalId = String(mapped.externalId);
+        for (const field of ['arrivalTime', 'canceledTime']) {
+            if (reservation[field] === undefined) continue;
+            const time = new Date(reservation[field]);
+            if (Number.isNaN(time.getTime())) throw new QSRConfigError(`QSR Error: Reservation ${reservation.externalId} has an invalid ${field}.`);
+            reservation[field] = time.toISOString();
+        }
+        reservation.canceled = Boolean(reservation.canceled || reservation.canceledTime);
+        return reservation;
+    }
+
+    /**
+     * Internal function to send a reservation and record its new state.
+     * @param {string} siteUID - Globally unique identifier for a site.
+     * @param {ReservationPushSummary} summary - Summary, updated.
+     * @param {Object} change - { action, reservation, record, state, hash, missing }.
+     */
+    async #send(siteUID, summary, change) {
+        const { action, reservation, record, state } = change;
+        const info = {
+            arrivalTime: reservation.arrivalTime,
+            partySize: reservation.partySize,
+            size: reservation.partySize,
+            guest: reservation.guest,
+            notes: reservation.notes,
+            customValues: reservation.customValues,
+            partyMix: reservation.partyMix,
+            syncSource: this.syncSource
+        };
+        if (reservation.canceled) info.canceledTime = reservation.canceledTime || new Date().toISOString();
+        try {
+            await this.qsr.syncExternalReservation(siteUID, reservation.externalId, info);
+        } catch (error) {
+            this.#failed(summary, { externalId: reservation.externalId, record, error });
+            return;
+        }
+        await this.store.set(this.stateKey(siteUID, reservation.externalId), {
+            ...state,
+            externalId: reservation.externalId,
+            hash: change.hash,
+            canceled: reservation.canceled,
+            reservation,
+            qsrStatus: reservation.canceled ? 'Canceled' : action === 'created' ? 'NotYetArrived' : state.qsrStatus,
+            pushedAt: new Date().toISOString()
+        });
+        summary[action]++;
+        this.emit('pushed', { action, reservation, missing: Boolean(change.missing) });
+    }
+
+    /**
+     * Internal function to record a reservation that could not be pushed.
+     * @param {ReservationPushSummary} summary - Summary, updated.
+     * @param {Object} failure - { externalId, record, error }.
+     */
+    #failed(summary, failure) {
+        summary.failed.push(failure);
+        this.emit('pushError', failure);
+    }
+
+    /**
+     * Internal function to get the visit of an external reservation.
+     * @param {string} siteUID - Globally unique identifier for a site.
+     * @param {string} externalId - External identifier of the reservation.
+     * @returns {Promise<Visit|null>} - The visit, or null if QSR has none.
+     */
+    async #visit(siteUID, externalId) {
+        try {
+            return await this.qsr.getVisitByExternalId(siteUID, externalId) || null;
+        } catch (error) {
+            if (error instanceof QSRNotFoundError) return null;
+            throw error;
+        }
+    }
+
+    /**
+     * Internal function to compare a source reservation with its QSR visit.
+     * @param {ReconciliationReport} report - Report, updated.
+     * @param {MappedReservation} reservation - Source reservation.
+     * @param {Visit|null} visit - QSR visit.
+     */
+    #compare(report, reservation, visit) {
+        report.checked++;
+        const mismatch = (type, source, qsr) => ({ externalId: reservation.externalId, visitID: visit?.ID ?? null, type, source, qsr });
+        const found = [];
+        if (!visit) {
+            if (!reservation.canceled) found.push(mismatch('missingInQSR', reservation, null));
+        } else if (reservation.canceled !== (visit.Status === 'Canceled')) {
+            found.push(mismatch('canceled', reservation.canceled ? 'Canceled' : 'Active', visit.Status));
+        } else if (!reservation.canceled) {
+            if (reservation.arrivalTime && Date.parse(reservation.arrivalTime) !== Date.parse(visit.EstimatedArrivalTime)) {
+                found.push(mismatch('arrivalTime', reservation.arrivalTime, visit.EstimatedArrivalTime));
+            }
+            if (reservation.partySize !== undefined && reservation.partySize !== visit.Size) {
+                found.push(mismatch('partySize', reservation.partySize, visit.Size));
+            }
+        }
+        if (found.length) report.mismatches.push(...found);
+        else report.matched++;
+    }
+}
+
+/**
+ * Build the mapping function of the map option.
+ * @param {Function|Object<string, string|Function>} [map] - Optional. Mapping function, or field map.
+ * @returns {Function} - Function mapping a source record to a MappedReservation.
+ * @throws {QSRConfigError} - If a field map names an unknown field.
+ */
+function toMapper(map) {
+    if (typeof map === 'function') return map;
+    const fields = Object.fromEntries(MAPPED_FIELDS.map(field => [field, field]));
+    for (const [field, from] of Object.entries(map || {})) {
+        if (!MAPPED_FIELDS.includes(field)) throw new QSRConfigError(`QSR Error: Unknown reservation field "${field}". Fields are ${MAPPED_FIELDS.join(', ')}.`);
+        fields[field] = from;
+    }
+    return record => Object.fromEntries(Object.entries(fields)
+        .map(([field, from]) => [field, typeof from === 'function' ? from(record) : getPath(record, from)]));
+}
+
+/**
+ * Hash a mapped reservation to detect changes.
+ * @param {MappedReservation} reservation - MappedReservation.
+ * @returns {string} - SHA1 hex digest of the reservation JSON.
+ */
+function hash(reservation) {
+    return crypto.createHash('SHA1').update(JSON.stringify(MAPPED_FIELDS.map(field => reservation[field] ?? null))).digest('hex');
+}
+
+module.exports = ReservationSync;
+module.exports.ReservationSync = ReservationSync;
+module.exports.MAPPED_FIELDS = MAPPED_FIELDS;
+
+/** Type Definitions */
+
+/**
+ * A source reservation in the fields sent to syncExternalReservation.
+ * @typedef {Object} MappedReservation
+ * @property {string} externalId - External identifier of the reservation.
+ * @property {Date|string} [arrivalTime] - Reservation time. Required for new reservations.
+ * @property {number} [partySize] - Party size. Required for new reservations.
+ * @property {Guest} [guest] - Guest record of the reservation. Required for new reservations.
+ * @property {string} [notes] - Notes.
+ * @property {boolean} [canceled] - True if the reservation is canceled.
+ * @property {Date|string} [canceledTime] - Cancellation time. Implies canceled.
+ * @property {VisitCustomValue[]} [customValues] - Visit custom values.
+ * @property {Object} [partyMix] - Visit party mix data.
+ */
+
+/**
+ * @typedef {Object} ReservationStatusChange
+ * @property {string} siteUID - Globally unique identifier for the site.
+ * @property {string} externalId - External identifier of the reservation.
+ * @property {string} visitID - Globally unique identifier for the QSR visit record.
+ * @property {string} previousStatus - Status last seen, or null.
+ * @property {string} status - New visit status, e.g. Waiting, Seated or Canceled.
+ * @property {Visit} visit - The visit.
+ */
+
+/**
+ * @typedef {Object} ReservationPushSummary
+ * @property {string} siteUID - Globally unique identifier for the site.
+ * @property {number} fetched - Records returned by the source.
+ * @property {number} created - Reservations created in QSR.
+ * @property {number} updated - Reservations updated in QSR.
+ * @property {number} canceled - Reservations canceled in QSR, including ones missing from the source.
+ * @property {number} unchanged - Reservations already in step.
+ * @property {Object[]} failed - { externalId, record, error } of each reservation that could not be mapped or sent.
+ * @property {Error} [error] - Error of the source, if it failed.
+ */
+
+/**
+ * @typedef {Object} ReservationPullSummary
+ * @property {string} siteUID - Globally unique identifier for the site.
+ * @property {number} visits - Updated visits of synced reservations.
+ * @property {number} changes - Status changes passed to the source.
+ * @property {string} cursor - Stored cursor after the pull.
+ * @property {Error} [error] - Error that stopped the pull, if any.
+ */
+
+/**
+ * @typedef {Object} ReconciliationReport
+ * @property {string} siteUID - Globally unique identifier for the site.
+ * @property {string} generatedAt - Time of the report in ISO 8601 format.
+ * @property {number} checked - Reservations compared.
+ * @property {number} matched - Reservations in step.
+ * @property {ReconciliationMismatch[]} mismatches - Every mismatch found.
+ */
+
+/**
+ * @typedef {Object} ReconciliationMismatch
+ * @property {string} externalId - External identifier of the reservation.
+ * @property {string} visitID - Globally unique identifier for the QSR visit record, or null.
+ * @property {string} type - missingInQSR, missingInSource, canceled, arrivalTime, partySize or invalid.
+ * @property {*} source - Value in the source.
+ * @property {*} qsr - Value in QSR.
+ * @property {string} [message] - Why an invalid record could not be mapped.
+ */
@@ -0,0 +1,240 @@
+/**
+ * QSR Response Cache Class File
+ * @author Steve Ostopchuck
+ */
+const EventEmitter = require('events');
+const { LruStore } = require('./stores');
+const { QSRConfigError, siteUIDFromUrl } = require('./errors');
+
+const MINUTE = 60 * 1000;
+
+/** Methods that can be cached, with their default time to live in milliseconds. */
+const DEFAULT_TTLS = Object.freeze({
+    getCompanySites: 15 * MINUTE,
+    getSite: 15 * MINUTE,
+    getBrands: 60 * MINUTE,
+    getCustomerSiteIdMap: 15 * MINUTE,
+    getTables: 15 * MINUTE,
+    getOperatingInfo: 15 * MINUTE,
+    getWaitListStatus: 30 * 1000,
+    getWaitListStatusForPartySizes: 30 * 1000,
+    getPrecalculatedQuotes: 30 * 1000
+});
+
+/** Methods reporting the waitlist of a site, which any change to its waits makes stale. */
+const WAITLIST_METHODS = ['getWaitListStatus', 'getWaitListStatusForPartySizes', 'getPrecalculatedQuotes'];
+
+/**
+ * Writes that make cached responses stale, by request path. The entries of the write's site are invalidated,
+ * or of every site for paths without a SiteUID (e.g. WebAhead by confirmation number).
+ */
+const INVALIDATIONS = [
+    { pattern: /\/(webahead|walkin)(\/|$)/i, methods: WAITLIST_METHODS },
+    { pattern: /\/(visit|reservations)\/[^/]+\/(arrive|partymix)$/i, methods: WAITLIST_METHODS }
+];
+
+/**
+ *  Cache of QSR responses with a time to live per method, kept in a pluggable store.
+ *  Each entry is fresh for its method's TTL, then stale for the staleWhileRevalidate window: a stale entry is
+ *  returned at once while a single background request refreshes it. After that it is fetched again.
+ *
+ *  Events:
+ *   - "revalidateError" ({ key, method, error }) - A background refresh failed. The stale entry is kept.
+ *   - "storeError" ({ key, error }) - The store failed. The request is made without the cache.
+ */
+class ResponseCache extends EventEmitter {
+    'use strict'
+    #revalidating = new Map();
+    #generation = 0;
+    #stats = { hits: 0, staleHits: 0, misses: 0, revalidations: 0, invalidated: 0 };
+
+    /**
+     * Create a ResponseCache.
+     * @param {Object} [options] - Optional.
+     * @param {Object} [options.store] - Optional. Store for entries, see LruStore. Any object with async get, set, delete and keys methods can be used, e.g. a Redis adapter. Defaults to an LruStore of 1000 entries.
+     * @param {number|Object<string, number>} [options.ttl] - Optional. Time to live in milliseconds for every method, or per method name (e.g. { getSite: 3600000 }) over the defaults. 0 disables caching of a method.
+     * @param {number|Object<string, number>} [options.staleWhileRevalidate] - Optional. Milliseconds a stale entry is still returned while it is refreshed, for every method or per method name. Defaults to 0.
+     * @param {string} [options.prefix] - Optional. Prefix of the store keys. Defaults to "qsr-cache:".
+     */
+    constructor(options = {}) {
+        super();
+        this.store = options.store || new LruStore();
+        this.ttls = { ...DEFAULT_TTLS, ...perMethod(options.ttl) };
+        this.staleWhileRevalidate = perMethod(options.staleWhileRevalidate);
+        this.prefix = options.prefix ?? 'qsr-cache:';
+    }
+
+    /**
+     * Build the store key of a response.
+     * @param {string} companyUID - Globally unique identifier for a company.
+     * @param {string} [siteUID] - Optional. Globally unique identifier for the site of the response, if any.
+     * @param {string} method - Method name.
+     * @param {Array} [args] - Optional. Arguments distinguishing responses of the method.
+     * @returns {string} - Store key.
+     */
+    key(companyUID, siteUID, method, args = []) {
+        return `${this.#scope(companyUID, siteUID)}${method}/${JSON.stringify(args)}`;
+    }
+
+    /**
+     * Get a response from the cache, or fetch and cache it.
+     * @param {string} key - Store key, see ResponseCache#key.
+     * @param {string} method - Method name, for its TTL.
+     * @param {Function} fetch - Async function returning the response.
+     * @param {Object} [options] - Optional.
+     * @param {boolean} [options.refresh] - Optional. If true, the cached entry is ignored and replaced. Defaults to false.
+     * @returns {Promise<*>} - The response.
+     */
+    async wrap(key, method, fetch, options = {}) {
+        if (!this.ttls[method]) return fetch();
+        let entry;
+        if (!options.refresh) {
+            try {
+                entry = await this.store.get(key);
+            } catch (error) {
+                this.emit('storeError', { key, error });
+                return fetch();
+            }
+        }
+        const now = Date.now();
+        if (entry && now < entry.expiresAt) {
+            this.#stats.hits++;
+            return entry.value;
+        }
+        if (entry && now < entry.staleUntil) {
+            this.#stats.staleHits++;
+            this.#revalidate(key, method, fetch);
+            return entry.value;
+        }
+        this.#stats.misses++;
+        return this.#load(key, method, fetch);
+    }
+
+    /**
+     * Delete cached responses. With no filter, the whole cache is cleared.
+     * @param {Object} [filter] - Optional.
+     * @param {string} [filter.companyUID] - Optional. Only responses of this company.
+     * @param {string} [filter.siteUID] - Optional. Only responses of this site.
+     * @param {string|string[]} [filter.method] - Optional. Only responses of these methods.
+     * @returns {Promise<number>} - Number of entries deleted.
+     */
+    async invalidate(filter = {}) {
+        // Responses already being fetched must not be stored over the invalidation
+        this.#generation++;
+        const methods = filter.method ? [].concat(filter.method) : null;
+        const prefix = filter.companyUID ? encodeURIComponent(filter.companyUID) + '/' : '';
+        const keys = (await this.store.keys(this.prefix + prefix)).filter(key => {
+            const [, siteUID, method] = key.slice(this.prefix.length).split('/');
+            if (filter.siteUID && siteUID !== encodeURIComponent(filter.siteUID)) return false;
+            return !methods || methods.includes(method);
+        });
+        for (const key of keys) await this.store.delete(key);
+        this.#stats.invalidated += keys.length;
+        return keys.length;
+    }
+
+    /**
+     * Delete the cached responses made stale by a successful write.
+     * @param {string} companyUID - Globally unique identifier for a company.
+     * @param {string} url - Request path of the write, e.g. /Site/ABC/WebAhead/enable.
+     * @returns {Promise<number>} - Number of entries deleted.
+     */
+    async invalidateAfterWrite(companyUID, url) {
+        const methods = [...new Set(INVALIDATIONS.filter(rule => rule.pattern.test(url)).flatMap(rule => rule.methods))];
+        if (!methods.length) return 0;
+        try {
+            return await this.invalidate({ companyUID, siteUID: siteUIDFromUrl(url), method: methods });
+        } catch (error) {
+            this.emit('storeError', { key: url, error });
+            return 0;
+        }
+    }
+
+    /**
+     * Get the cache counters.
+     * @returns {ResponseCacheStats} - ResponseCacheStats.
+     */
+    stats() {
+        return { ...this.#stats, revalidating: this.#revalidating.size };
+    }
+
+    /**
+     * Internal function to build the key prefix of a company, or of a site of the company.
+     * @param {string} companyUID - Globally unique identifier for a company.
+     * @param {string} [siteUID] - Optional. Globally unique identifier for a site.
+     * @returns {string} - Key prefix.
+     */
+    #scope(companyUID, siteUID) {
+        return `${this.prefix}${encodeURIComponent(companyUID)}/${siteUID ? encodeURIComponent(siteUID) : ''}/`;
+    }
+
+    /**
+     * Internal function to fetch a response and store it, unless the cache was invalidated in the meantime.
+     * @param {string} key - Store key.
+     * @param {string} method - Method name.
+     * @param {Function} fetch - Async function returning the response.
+     * @returns {Promise<*>} - The response.
+     */
+    async #load(key, method, fetch) {
+        const generation = this.#generation;
+        const value = await fetch();
+        if (generation === this.#generation && value !== undefined) {
+            const ttl = this.ttls[method];
+            const now = Date.now();
+            const entry = { value, expiresAt: now + ttl, staleUntil: now + ttl + (this.staleWhileRevalidate[method] || 0) };
+            try {
+                await this.store.set(key, entry, { ttl: entry.staleUntil - now });
+            } catch (error) {
+                this.emit('storeError', { key, error });
+            }
+        }
+        return value;
+    }
+
+    /**
+     * Internal function to refresh a stale entry in the background. Only one refresh per key runs at a time.
+     * @param {string} key - Store key.
+     * @param {string} method - Method name.
+     * @param {Function} fetch - Async function returning the response.
+     */
+    #revalidate(key, method, fetch) {
+        if (this.#revalidating.has(key)) return;
+        this.#stats.revalidations++;
+        const refresh = this.#load(key, method, fetch)
+            .catch(error => this.emit('revalidateError', { key, method, error }))
+            .finally(() => this.#revalidating.delete(key));
+        this.#revalidating.set(key, refresh);
+    }
+}
+
+/**
+ * Expand a setting given for every method or per method name.
+ * @param {number|Object<string, number>} [setting] - Optional. Value for every cacheable method, or values by method name.
+ * @returns {Object<string, number>} - Values by method name.
+ * @throws {QSRConfigError} - If a method name is not cacheable.
+ */
+function perMethod(setting) {
+    if (setting === undefined || setting === null) return {};
+    if (typeof setting === 'number') return Object.fromEntries(Object.keys(DEFAULT_TTLS).map(method => [method, setting]));
+    for (const method of Object.keys(setting)) {
+        if (!(method in DEFAULT_TTLS)) throw new QSRConfigError(`QSR Error: ${method} cannot be cached. Cacheable methods are ${Object.keys(DEFAULT_TTLS).join(', ')}.`);
+    }
+    return { ...setting };
+}
+
+module.exports = ResponseCache;
+module.exports.ResponseCache = ResponseCache;
+module.exports.DEFAULT_TTLS = DEFAULT_TTLS;
+module.exports.WAITLIST_METHODS = WAITLIST_METHODS;
+
+/** Type Definitions */
+
+/**
+ * @typedef {Object} ResponseCacheStats
+ * @property {number} hits - Responses returned fresh from the cache.
+ * @property {number} staleHits - Stale responses returned while they were refreshed.
+ * @property {number} misses - Responses fetched because they were not cached or had expired.
+ * @property {number} revalidations - Background refreshes started.
+ * @property {number} invalidated - Entries deleted by invalidations.
+ * @property {number} revalidating - Background refreshes in progress.
+ */
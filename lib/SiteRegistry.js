@@ -0,0 +1,280 @@
+/**
+ * QSR Site Registry Class File
+ * @author Steve Ostopchuck
+ */
+const EventEmitter = require('events');
+const { QSRConfigError, QSRNotFoundError } = require('./errors');
+
+const MINUTE = 60 * 1000;
+
+/**
+ *  Directory of a company's sites, loaded from getCustomerSiteIdMap and getCompanySites, that resolves a site
+ *  reference to its SiteUID. A site can be referenced by its SiteUID, its name or display name (case-insensitive),
+ *  or its CustomerSiteID (store number), e.g. { customerSiteId: '0421' }.
+ *  The registry is loaded on first use and refreshed every refreshInterval. A reference that is not found
+ *  triggers one early refresh, so newly opened sites are found without waiting for the schedule.
+ *
+ *  Events:
+ *   - "refresh" (SiteEntry[]) - The registry was loaded.
+ *   - "refreshError" ({ error }) - A scheduled refresh failed. The previous sites are kept.
+ */
+class SiteRegistry extends EventEmitter {
+    'use strict'
+    #sites = [];
+    #bySiteUID = new Map();
+    #byCustomerSiteId = new Map();
+    #byName = new Map();
+    #loadedAt = 0;
+    #loading = null;
+    #timer = null;
+
+    /**
+     * Create a SiteRegistry.
+     * @param {QSR} qsr - QSR instance.
+     * @param {Object} [options] - Optional.
+     * @param {number} [options.refreshInterval] - Optional. Milliseconds between scheduled refreshes. 0 disables them. Defaults to 1 hour.
+     * @param {number} [options.minRefreshInterval] - Optional. Minimum milliseconds between loads when a reference is not found. Defaults to 1 minute.
+     * @param {boolean} [options.allowInactive] - Optional. If true, inactive sites are resolved instead of rejected. Defaults to false.
+     */
+    constructor(qsr, options = {}) {
+        super();
+        this.qsr = qsr;
+        this.refreshInterval = options.refreshInterval ?? 60 * MINUTE;
+        this.minRefreshInterval = options.minRefreshInterval ?? MINUTE;
+        this.allowInactive = Boolean(options.allowInactive);
+    }
+
+    /**
+     * Load the sites now, replacing the previous ones. Concurrent calls share one load.
+     * @returns {Promise<SiteEntry[]>} - Sites of the company.
+     */
+    async refresh() {
+        if (!this.#loading) {
+            this.#loading = this.#load().finally(() => { this.#loading = null; });
+        }
+        return this.#loading;
+    }
+
+    /**
+     * Load the sites if they have never been loaded.
+     * @returns {Promise<SiteEntry[]>} - Sites of the company.
+     */
+    async ready() {
+        return this.#loadedAt ? this.#sites : this.refresh();
+    }
+
+    /**
+     * Get the known sites.
+     * @returns {SiteEntry[]} - Sites of the company, as of the last load.
+     */
+    list() {
+        return this.#sites.map(entry => ({ ...entry }));
+    }
+
+    /**
+     * Find a site, loading the registry if needed.
+     * @param {string|SiteRef} site - SiteUID or site name, or a SiteRef.
+     * @returns {Promise<SiteEntry|undefined>} - The site, or undefined if it is not found.
+     * @throws {QSRConfigError} - If the reference is malformed or a name matches more than one site.
+     */
+    async lookup(site) {
+        await this.ready();
+        let entry = this.#find(site);
+        if (!entry && Date.now() - this.#loadedAt >= this.minRefreshInterval) {
+            await this.refresh();
+            entry = this.#find(site);
+        }
+        return entry && { ...entry };
+    }
+
+    /**
+     * Resolve a site reference to its SiteUID.
+     * @example
+     * const siteUID = await qsr.sites.resolve({ customerSiteId: '0421' });
+     * @param {string|SiteRef} site - SiteUID or site name, or a SiteRef.
+     * @param {Object} [options] - Optional.
+     * @param {boolean} [options.allowInactive] - Optional. Overrides the registry's allowInactive option.
+     * @returns {Promise<string>} - SiteUID.
+     * @throws {QSRNotFoundError} - If the site is unknown or inactive.
+     * @throws {QSRConfigError} - If the reference is malformed or a name matches more than one site.
+     */
+    async resolve(site, options = {}) {
+        const entry = await this.lookup(site);
+        if (!entry) throw new QSRNotFoundError(`QSR Error: Unknown site ${describe(site)} in company ${this.qsr.companyUID}.`);
+        if (!entry.isActive && !(options.allowInactive ?? this.allowInactive)) {
+            throw new QSRNotFoundError(`QSR Error: Site ${describe(site)} (${entry.siteUID}) is inactive.`, { siteUID: entry.siteUID });
+        }
+        return entry.siteUID;
+    }
+
+    /**
+     * Stop the scheduled refreshes. The loaded sites can still be used, and are loaded again by refresh().
+     */
+    stop() {
+        clearTimeout(this.#timer);
+        this.#timer = null;
+    }
+
+    /**
+     * Internal function to load the sites and schedule the next refresh.
+     * CustomerSiteIdMap lists every site. getCompanySites adds names and time zones, and only lists active sites.
+     * @returns {Promise<SiteEntry[]>} - Sites of the company.
+     */
+    async #load() {
+        this.stop();
+        try {
+            // Bypass the response cache, the registry has its own schedule
+            const qsr = this.qsr.withOptions({ cache: false });
+            const [map, companySites] = await Promise.all([qsr.getCustomerSiteIdMap(), qsr.getCompanySites()]);
+            const details = new Map((companySites || []).map(site => [key(site.SiteUID), site]));
+            const sites = (map || []).map(row => {
+                const site = details.get(key(row.SiteUID)) || {};
+                return {
+                    siteUID: row.SiteUID,
+                    customerSiteId: row.CustomerSiteID ?? site.CustomerSiteID,
+                    name: site.Name,
+                    displayName: site.DisplayName,
+                    timeZoneId: site.TimeZoneId,
+                    isActive: row.IsActive ?? details.has(key(row.SiteUID))
+                };
+            });
+            // Active sites missing from the map are still known by their SiteUID and name
+            const mapped = new Set(sites.map(entry => key(entry.siteUID)));
+            for (const site of companySites || []) {
+                if (mapped.has(key(site.SiteUID))) continue;
+                sites.push({
+                    siteUID: site.SiteUID,
+                    customerSiteId: site.CustomerSiteID,
+                    name: site.Name,
+                    displayName: site.DisplayName,
+                    timeZoneId: site.TimeZoneId,
+                    isActive: true
+                });
+            }
+            this.#index(sites);
+            this.emit('refresh', this.list());
+            return this.list();
+        } finally {
+            this.#schedule();
+        }
+    }
+
+    /**
+     * Internal function to rebuild the lookup maps.
+     * @param {SiteEntry[]} sites - Sites of the company.
+     */
+    #index(sites) {
+        this.#sites = sites;
+        this.#bySiteUID = new Map();
+        this.#byCustomerSiteId = new Map();
+        this.#byName = new Map();
+        for (const entry of sites) {
+            this.#bySiteUID.set(key(entry.siteUID), entry);
+            if (entry.customerSiteId !== undefined && entry.customerSiteId !== null) {
+                this.#byCustomerSiteId.set(key(entry.customerSiteId), entry);
+            }
+            for (const name of new Set([entry.name, entry.displayName].filter(Boolean).map(key))) {
+                this.#byName.set(name, [...(this.#byName.get(name) || []), entry]);
+            }
+        }
+        this.#loadedAt = Date.now();
+    }
+
+    /**
+     * Internal function to find a site in the loaded registry.
+     * @param {string|SiteRef} site - SiteUID or site name, or a SiteRef.
+     * @returns {SiteEntry|undefined} - The site, or undefined if it is not found.
+     * @throws {QSRConfigError} - If the reference is malformed or a name matches more than one site.
+     */
+    #find(site) {
+        if (typeof site === 'string') return this.#bySiteUID.get(key(site)) || this.#findName(site);
+        if (site && typeof site === 'object') {
+            if (site.siteUID !== undefined) return this.#bySiteUID.get(key(site.siteUID));
+            if (site.customerSiteId !== undefined) return this.#byCustomerSiteId.get(key(site.customerSiteId));
+            if (site.name !== undefined) return this.#findName(site.name);
+        }
+        throw new QSRConfigError(`QSR Error: Invalid site ${describe(site)}, expected a SiteUID, a site name, or { siteUID }, { customerSiteId } or { name }.`);
+    }
+
+    /**
+     * Internal function to find a site by name or display name.
+     * @param {string} name - Site name or display name.
+     * @returns {SiteEntry|undefined} - The site, or undefined if it is not found.
+     * @throws {QSRConfigError} - If the name matches more than one site.
+     */
+    #findName(name) {
+        const matches = this.#byName.get(key(name)) || [];
+        if (matches.length > 1) {
+            throw new QSRConfigError(`QSR Error: Site name "${name}" matches ${matches.length} sites (${matches.map(entry => entry.customerSiteId ?? entry.siteUID).join(', ')}), use { customerSiteId } or { siteUID }.`);
+        }
+        return matches[0];
+    }
+
+    /**
+     * Internal function to schedule the next refresh. The timer does not keep the process running.
+     */
+    #schedule() {
+        if (!this.refreshInterval) return;
+        this.#timer = setTimeout(() => {
+            this.refresh().catch(error => this.emit('refreshError', { error }));
+        }, this.refreshInterval);
+        this.#timer.unref?.();
+    }
+}
+
+/**
+ * Normalize a SiteUID, CustomerSiteID or name for lookups.
+ * @param {*} value - Value.
+ * @returns {string} - Lower case, trimmed string.
+ */
+function key(value) {
+    return String(value).trim().toLowerCase();
+}
+
+/**
+ * Describe a site reference for error messages.
+ * @param {*} site - Site reference.
+ * @returns {string} - Description.
+ */
+function describe(site) {
+    if (typeof site === 'string') return `"${site}"`;
+    try {
+        return JSON.stringify(site) ?? String(site);
+    } catch (err) {
+        return String(site);
+    }
+}
+
+/**
+ * Check if a value is a SiteRef object, as opposed to a SiteUID string.
+ * @param {*} site - Value.
+ * @returns {boolean} - True for { siteUID }, { customerSiteId } or { name } objects.
+ */
+function isSiteRef(site) {
+    return Boolean(site) && typeof site === 'object' && !Array.isArray(site)
+        && ('siteUID' in site || 'customerSiteId' in site || 'name' in site);
+}
+
+module.exports = SiteRegistry;
+module.exports.SiteRegistry = SiteRegistry;
+module.exports.isSiteRef = isSiteRef;
+
+/** Type Definitions */
+
+/**
+ * A site, by one of its identifiers.
+ * @typedef {Object} SiteRef
+ * @property {string} [siteUID] - Globally unique identifier for a site.
+ * @property {string} [customerSiteId] - Customizable site identifier, e.g. a store number.
+ * @property {string} [name] - Site name or display name, case-insensitive.
+ */
+
+/**
+ * @typedef {Object} SiteEntry
+ * @property {string} siteUID - Globally unique identifier for a site.
+ * @property {string} [customerSiteId] - Customizable site identifier, e.g. a store number.
+ * @property {string} [name] - Site name. Only known for active sites.
+ * @property {string} [displayName] - Site display name. Only known for active sites.
+ * @property {string} [timeZoneId] - Olson time zone. Only known for active sites.
+ * @property {boolean} isActive - False if the site is inactive.
+ */
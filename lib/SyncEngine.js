@@ -0,0 +1,188 @@
+/**
+ * QSR Sync Engine Class File
+ * @author Steve Ostopchuck
+ */
+const crypto = require('crypto');
+const EventEmitter = require('events');
+const { MemoryStore } = require('./stores');
+const { QSRConfigError } = require('./errors');
+
+/**
+ * Feeds the engine can sync. Each reads pages from a QSR iterate* method and identifies records
+ * by ID/UID plus Version (or a hash of the record when it has no version).
+ */
+const FEEDS = {
+    visits: {
+        pages: (qsr, siteUID, cursor, until, options) => qsr.iterateVisitUpdates(siteUID, cursor, until, options.syncSource),
+        key: record => `${record.ID}:${record.Version ?? record.LastUpdate ?? hash(record)}`
+    },
+    tableEvents: {
+        pages: (qsr, siteUID, cursor, until) => qsr.iterateTableEvents(siteUID, cursor, until),
+        key: record => `${record.UID}:${record.Version ?? hash(record)}`
+    },
+    teamMemberEvents: {
+        pages: (qsr, siteUID, cursor, until) => qsr.iterateTeamMemberEvents(siteUID, cursor, until),
+        key: record => `${record.UID}:${record.Version ?? hash(record)}`
+    }
+};
+
+/**
+ * Hash a record for deduplication.
+ * @param {Object} record - Record.
+ * @returns {string} - SHA1 hex digest of the record JSON.
+ */
+function hash(record) {
+    return crypto.createHash('SHA1').update(JSON.stringify(record)).digest('hex');
+}
+
+/**
+ *  Resumable sync of visits, table events and team member events.
+ *  A cursor per site and feed is kept in a store, so each run only fetches what changed since the last one.
+ *  Pages are committed to the store after they have been handled, so a run that crashes part way through
+ *  resumes from the last handled page. Records are delivered at least once; records whose ID/UID and Version
+ *  were already delivered (e.g. ones sharing the cursor timestamp) are dropped.
+ *
+ *  Events:
+ *   - "records" ({ siteUID, feed, records, cursor }) - New records of a page.
+ *   - "feedComplete" ({ siteUID, feed, records, pages, cursor }) - A feed of a site is up to date.
+ *   - "feedError" ({ siteUID, feed, error }) - A feed of a site failed. Other feeds and sites continue.
+ */
+class SyncEngine extends EventEmitter {
+    'use strict'
+    /**
+     * Create a SyncEngine.
+     * @param {QSR} qsr - QSR instance.
+     * @param {Object} options - Sync options.
+     * @param {Array<string|SiteRef>} options.sites - SiteUIDs or SiteRefs of the sites to sync.
+     * @param {string[]} [options.feeds] - Optional. Feeds to sync: visits, tableEvents and/or teamMemberEvents. Defaults to all three.
+     * @param {Object} [options.store] - Optional. Store for cursors, see MemoryStore and JsonFileStore. Defaults to a MemoryStore.
+     * @param {Date} [options.since] - Optional. Start time for feeds without a stored cursor. Defaults to 24 hours ago.
+     * @param {string} [options.syncSource] - Optional. Exclude visit updates made by this syncSource.
+     * @param {Function} [options.onRecords] - Optional. Async function called with each "records" payload. The page is committed once it resolves.
+     * @param {number} [options.dedupeWindow] - Optional. Number of recent record keys remembered per feed. Defaults to 1000.
+     * @param {number} [options.concurrency] - Optional. Number of sites synced at once. Defaults to 1.
+     */
+    constructor(qsr, options = {}) {
+        super();
+        if (!options.sites?.length) throw new QSRConfigError('QSR Error: SyncEngine requires at least one site.');
+        const feeds = options.feeds || Object.keys(FEEDS);
+        const unknown = feeds.filter(feed => !FEEDS[feed]);
+        if (unknown.length) throw new QSRConfigError(`QSR Error: Unknown sync feed(s): ${unknown.join(', ')}.`);
+
+        this.qsr = qsr;
+        this.sites = options.sites;
+        this.feeds = feeds;
+        this.store = options.store || new MemoryStore();
+        this.since = options.since || new Date(Date.now() - 24 * 60 * 60 * 1000);
+        this.syncSource = options.syncSource;
+        this.onRecords = options.onRecords;
+        this.dedupeWindow = options.dedupeWindow || 1000;
+        this.concurrency = options.concurrency || 1;
+    }
+
+    /**
+     * Sync every configured site and feed up to now.
+     * @param {Object} [options] - Optional.
+     * @param {Date} [options.until] - Optional. End time of the sync. Defaults to now.
+     * @returns {Promise<SyncSummary[]>} - One SyncSummary per site and feed.
+     */
+    async run(options = {}) {
+        const until = options.until || new Date();
+        const jobs = this.sites.flatMap(site => this.feeds.map(feed => ({ site, feed })));
+        const results = [];
+        const worker = async () => {
+            while (jobs.length) {
+                const { site, feed } = jobs.shift();
+                results.push(await this.syncFeed(site, feed, until));
+            }
+        };
+        await Promise.all(Array.from({ length: Math.min(this.concurrency, jobs.length) }, worker));
+        return results;
+    }
+
+    /**
+     * Sync one feed of one site up to the specified time.
+     * @param {string|SiteRef} site - Globally unique identifier for a site, or a SiteRef.
+     * @param {string} feed - visits, tableEvents or teamMemberEvents.
+     * @param {Date} [until] - Optional. End time of the sync. Defaults to now.
+     * @returns {Promise<SyncSummary>} - SyncSummary.
+     */
+    async syncFeed(site, feed, until = new Date()) {
+        let siteUID;
+        try {
+            // Cursors are stored and records delivered by SiteUID, never by a SiteRef
+            siteUID = await this.qsr.resolveSiteUID(site);
+        } catch (error) {
+            this.emit('feedError', { siteUID: site, feed, error });
+            return { siteUID: site, feed, records: 0, pages: 0, cursor: null, error };
+        }
+        const key = this.stateKey(siteUID, feed);
+        const state = await this.store.get(key) || { cursor: this.since.toISOString(), recent: [] };
+        const summary = { siteUID, feed, records: 0, pages: 0, cursor: state.cursor };
+        try {
+            const pages = FEEDS[feed].pages(this.qsr, siteUID, state.cursor, until, { syncSource: this.syncSource });
+            for await (const page of pages) {
+                const recent = new Set(state.recent);
+                const records = page.items.filter(record => {
+                    const recordKey = FEEDS[feed].key(record);
+                    if (recent.has(recordKey)) return false;
+                    recent.add(recordKey);
+                    return true;
+                });
+                if (records.length) {
+                    const payload = { siteUID, feed, records, cursor: page.cursor };
+                    if (this.onRecords) await this.onRecords(payload);
+                    this.emit('records', payload);
+                }
+                state.cursor = page.cursor || state.cursor;
+                state.recent = [...recent].slice(-this.dedupeWindow);
+                state.updatedAt = new Date().toISOString();
+                await this.store.set(key, state);
+                summary.records += records.length;
+                summary.pages++;
+                summary.cursor = state.cursor;
+            }
+            this.emit('feedComplete', summary);
+        } catch (error) {
+            summary.error = error;
+            this.emit('feedError', { siteUID, feed, error });
+        }
+        return summary;
+    }
+
+    /**
+     * Forget the stored cursor of a feed, so the next run starts from options.since again.
+     * @param {string|SiteRef} site - Globally unique identifier for a site, or a SiteRef.
+     * @param {string} feed - visits, tableEvents or teamMemberEvents.
+     */
+    async reset(site, feed) {
+        const siteUID = await this.qsr.resolveSiteUID(site);
+        await this.store.delete(this.stateKey(siteUID, feed));
+    }
+
+    /**
+     * Get the store key of a feed.
+     * @param {string} siteUID - Globally unique identifier for a site.
+     * @param {string} feed - Feed name.
+     * @returns {string} - Store key.
+     */
+    stateKey(siteUID, feed) {
+        return `sync/${this.qsr.companyUID}/${siteUID}/${feed}`;
+    }
+}
+
+module.exports = SyncEngine;
+module.exports.SyncEngine = SyncEngine;
+module.exports.FEEDS = FEEDS;
+
+/** Type Definitions */
+
+/**
+ * @typedef {Object} SyncSummary
+ * @property {string|SiteRef} siteUID - Globally unique identifier for a site, or the site as given if it could not be resolved.
+ * @property {string} feed - Feed name.
+ * @property {number} records - Number of new records delivered.
+ * @property {number} pages - Number of pages fetched.
+ * @property {string} cursor - Stored cursor after the run, or null if the site could not be resolved.
+ * @property {Error} [error] - Error that stopped the feed, if any.
+ */
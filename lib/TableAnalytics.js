@@ -0,0 +1,256 @@
+/**
+ * QSR Table Analytics
+ * Rebuilds each table's state timeline from TableEvent, TableHistory and Visit records,
+ * and reports turn and occupancy metrics per table, per station and per shift.
+ * @author Steve Ostopchuck
+ */
+
+/** Table state each TableEvent type moves the table to. Other event types (ItemsOrdered, CheckPaid...) happen while occupied. */
+const EVENT_STATES = {
+    TableOpened: 'occupied',
+    TableScanned: 'occupied',
+    ItemsOrdered: 'occupied',
+    CourseComplete: 'occupied',
+    CheckPrinted: 'occupied',
+    CheckPartialPayment: 'occupied',
+    CheckPaid: 'occupied',
+    TableDirtied: 'dirty',
+    TableCleared: 'available'
+};
+
+/** Visits seated within this many milliseconds before a turn starts are matched to it. */
+const SEATING_TOLERANCE = 5 * 60 * 1000;
+
+/**
+ * Rebuild the state timeline of every table over a time range.
+ * Consecutive transitions to the same state are merged, so the same change reported by both
+ * a TableEvent and a TableHistory record is only counted once.
+ * @param {Object} data - Source records.
+ * @param {TableEvent[]} [data.tableEvents] - Optional. Records from getAllTableEvents.
+ * @param {TableHistory[]} [data.tableHistory] - Optional. Records from getAllTableHistory.
+ * @param {Visit[]} [data.visits] - Optional. Records from getAllVisitUpdates, used for party sizes.
+ * @param {Object} range - Time range.
+ * @param {Date} range.start - Start of the range.
+ * @param {Date} range.end - End of the range.
+ * @returns {TableTimeline[]} - One TableTimeline per table, sorted by name.
+ */
+function buildTableTimelines(data, range) {
+    const start = range.start.getTime();
+    const end = range.end.getTime();
+    const tables = new Map();
+    const table = (name, seatCount) => {
+        if (!tables.has(name)) tables.set(name, { name, seatCount, station: undefined, transitions: [] });
+        const entry = tables.get(name);
+        if (seatCount) entry.seatCount = seatCount;
+        return entry;
+    };
+
+    for (const event of data.tableEvents || []) {
+        const state = EVENT_STATES[event.Type];
+        const snapshot = event.Content?.Table;
+        if (!state || !snapshot?.Name) continue;
+        const entry = table(snapshot.Name, snapshot.SeatCount);
+        if (event.Content.Station?.Name) entry.station = event.Content.Station.Name;
+        entry.transitions.push({
+            time: Date.parse(event.LastUpdate),
+            state,
+            shift: event.Content.Shift?.Name,
+            station: event.Content.Station?.Name
+        });
+    }
+    for (const history of data.tableHistory || []) {
+        if (!history.Name) continue;
+        const entry = table(history.Name, history.SeatCount);
+        if (history.CreatedTime) entry.transitions.push({ time: Date.parse(history.CreatedTime), state: 'occupied', shift: history.ShiftName });
+        if (history.DirtiedTime) entry.transitions.push({ time: Date.parse(history.DirtiedTime), state: 'dirty', shift: history.ShiftName });
+        if (history.CleanedTime) entry.transitions.push({ time: Date.parse(history.CleanedTime), state: 'available', shift: history.ShiftName });
+    }
+
+    const seatings = seatingsByTable(data.visits || []);
+    return [...tables.values()]
+        .sort((a, b) => a.name.localeCompare(b.name))
+        .map(entry => {
+            const transitions = entry.transitions
+                .filter(transition => !Number.isNaN(transition.time) && transition.time < end)
+                .sort((a, b) => a.time - b.time)
+                .filter((transition, i, list) => i === 0 || list[i - 1].state !== transition.state);
+            const segments = [];
+            transitions.forEach((transition, i) => {
+                const segmentEnd = Math.min(end, transitions[i + 1]?.time ?? end);
+                if (segmentEnd <= start) return;
+                segments.push({
+                    state: transition.state,
+                    start: new Date(Math.max(start, transition.time)),
+                    end: new Date(segmentEnd),
+                    startedInRange: transition.time >= start,
+                    shift: transition.shift,
+                    station: transition.station || entry.station
+                });
+            });
+            for (const segment of segments) {
+                if (segment.state !== 'occupied') continue;
+                const seating = (seatings.get(entry.name) || []).find(visit =>
+                    visit.time >= segment.start.getTime() - SEATING_TOLERANCE && visit.time < segment.end.getTime());
+                if (seating) segment.partySize = seating.size;
+            }
+            return { name: entry.name, seatCount: entry.seatCount, station: entry.station, segments };
+        });
+}
+
+/**
+ * Index the seated tables of visits by table name.
+ * @param {Visit[]} visits - Visits.
+ * @returns {Map<string, Object[]>} - Seatings ({ time, size }) per table name, sorted by time.
+ */
+function seatingsByTable(visits) {
+    const seatings = new Map();
+    for (const visit of visits) {
+        for (const seated of visit.SeatedTables || []) {
+            const time = Date.parse(seated.StartTime || visit.SeatedTime);
+            if (!seated.TableName || Number.isNaN(time)) continue;
+            if (!seatings.has(seated.TableName)) seatings.set(seated.TableName, []);
+            seatings.get(seated.TableName).push({ time, size: visit.Size });
+        }
+    }
+    for (const list of seatings.values()) list.sort((a, b) => a.time - b.time);
+    return seatings;
+}
+
+/**
+ * Compute turn metrics for a set of timeline segments.
+ * @param {Object[]} segments - Segments, each with its table's seatCount.
+ * @returns {Object} - Metrics.
+ */
+function metrics(segments) {
+    const minutes = segment => (segment.end - segment.start) / 60000;
+    const turns = segments.filter(segment => segment.state === 'occupied' && segment.startedInRange);
+    const cleanings = segments.filter(segment => segment.state === 'dirty' && segment.startedInRange && segment.closed);
+    const utilized = turns.filter(segment => segment.partySize && segment.seatCount);
+    const sum = (list, fn) => list.reduce((total, item) => total + fn(item), 0);
+    return {
+        turns: turns.length,
+        avgTurnMinutes: round(turns.length ? sum(turns, minutes) / turns.length : null),
+        avgDirtyToCleanMinutes: round(cleanings.length ? sum(cleanings, minutes) / cleanings.length : null),
+        occupiedMinutes: round(sum(segments.filter(segment => segment.state === 'occupied'), minutes)),
+        dirtyMinutes: round(sum(segments.filter(segment => segment.state === 'dirty'), minutes)),
+        idleMinutes: round(sum(segments.filter(segment => segment.state === 'available'), minutes)),
+        covers: sum(turns, segment => segment.partySize || 0),
+        seatUtilization: round(utilized.length ? sum(utilized, segment => segment.partySize / segment.seatCount) / utilized.length : null, 3)
+    };
+}
+
+/**
+ * Round a number, leaving null alone.
+ * @param {number|null} value - Value.
+ * @param {number} [digits] - Optional. Decimal places. Defaults to 1.
+ * @returns {number|null} - Rounded value.
+ */
+function round(value, digits = 1) {
+    if (value === null) return null;
+    const factor = Math.pow(10, digits);
+    return Math.round(value * factor) / factor;
+}
+
+/**
+ * Group segments and compute metrics per group.
+ * @param {Object[]} segments - Segments.
+ * @param {string} field - Segment field to group by.
+ * @param {string} label - Name of the group field in the result.
+ * @returns {Object[]} - Metrics per group.
+ */
+function groupMetrics(segments, field, label) {
+    const groups = new Map();
+    for (const segment of segments) {
+        const key = segment[field] ?? 'Unknown';
+        if (!groups.has(key)) groups.set(key, []);
+        groups.get(key).push(segment);
+    }
+    return [...groups.entries()]
+        .sort(([a], [b]) => String(a).localeCompare(String(b)))
+        .map(([key, list]) => ({ [label]: key, tables: new Set(list.map(segment => segment.table)).size, ...metrics(list) }));
+}
+
+/**
+ * Report table turn and occupancy metrics per table, per station and per shift.
+ * A turn is an occupied period that started within the range. Dirty-to-clean time only counts
+ * dirty periods that were cleaned within the range. Seat utilization is party Size / SeatCount,
+ * averaged over turns matched to a seated visit.
+ * @param {Object} data - Source records, see buildTableTimelines.
+ * @param {Object} range - Time range.
+ * @param {Date} range.start - Start of the range.
+ * @param {Date} range.end - End of the range.
+ * @returns {TableTurnReport} - TableTurnReport.
+ */
+function tableTurnReport(data, range) {
+    const timelines = buildTableTimelines(data, range);
+    const segments = timelines.flatMap(timeline => timeline.segments.map((segment, i) => ({
+        ...segment,
+        table: timeline.name,
+        seatCount: timeline.seatCount,
+        closed: i < timeline.segments.length - 1
+    })));
+    return {
+        start: range.start.toISOString(),
+        end: range.end.toISOString(),
+        totals: metrics(segments),
+        tables: timelines.map(timeline => ({
+            table: timeline.name,
+            seatCount: timeline.seatCount,
+            station: timeline.station,
+            ...metrics(segments.filter(segment => segment.table === timeline.name))
+        })),
+        stations: groupMetrics(segments, 'station', 'station'),
+        shifts: groupMetrics(segments, 'shift', 'shift'),
+        timelines
+    };
+}
+
+module.exports = {
+    EVENT_STATES,
+    buildTableTimelines,
+    tableTurnReport
+};
+
+/** Type Definitions */
+
+/**
+ * @typedef {Object} TableTimeline
+ * @property {string} name - Name of the table.
+ * @property {number} seatCount - Seat count of the table.
+ * @property {string} station - Last known station of the table.
+ * @property {TableSegment[]} segments - State periods of the table within the range, in order.
+ */
+
+/**
+ * @typedef {Object} TableSegment
+ * @property {string} state - occupied, dirty or available.
+ * @property {Date} start - Start of the period, clipped to the range.
+ * @property {Date} end - End of the period, clipped to the range.
+ * @property {boolean} startedInRange - False if the period started before the range.
+ * @property {string} [shift] - Shift at the start of the period.
+ * @property {string} [station] - Station of the table.
+ * @property {number} [partySize] - Size of the party seated, for occupied periods matched to a visit.
+ */
+
+/**
+ * @typedef {Object} TableTurnMetrics
+ * @property {number} turns - Number of turns (occupied periods started in the range).
+ * @property {number|null} avgTurnMinutes - Average length of a turn, in minutes.
+ * @property {number|null} avgDirtyToCleanMinutes - Average time from dirtied to cleaned, in minutes.
+ * @property {number} occupiedMinutes - Total occupied time, in minutes.
+ * @property {number} dirtyMinutes - Total dirty time, in minutes.
+ * @property {number} idleMinutes - Total time available (clean and empty), in minutes.
+ * @property {number} covers - Guests seated over all matched turns.
+ * @property {number|null} seatUtilization - Average party Size / SeatCount over matched turns, 0 to 1 (or above for overseated tables).
+ */
+
+/**
+ * @typedef {Object} TableTurnReport
+ * @property {string} start - Start of the range in ISO 8601 format.
+ * @property {string} end - End of the range in ISO 8601 format.
+ * @property {TableTurnMetrics} totals - Metrics for the whole site.
+ * @property {Object[]} tables - TableTurnMetrics per table, with table, seatCount and station.
+ * @property {Object[]} stations - TableTurnMetrics per station, with station and tables (count).
+ * @property {Object[]} shifts - TableTurnMetrics per shift, with shift and tables (count).
+ * @property {TableTimeline[]} timelines - The timelines the metrics were computed from.
+ */
@@ -0,0 +1,184 @@
+/**
+ * QSR Visit Watcher Class File
+ * @author Steve Ostopchuck
+ */
+const EventEmitter = require('events');
+
+/** Status specific events, emitted in addition to visit:statusChanged. */
+const STATUS_EVENTS = {
+    Seated: 'visit:seated',
+    Canceled: 'visit:canceled',
+    Completed: 'visit:completed'
+};
+
+/**
+ *  Watches the visits of one or more sites by polling getVisitUpdates and diffing successive polls.
+ *  Polling of multiple sites is staggered across the interval. Failed polls are retried with backoff
+ *  and never stop the watcher.
+ *
+ *  Events (each receives a VisitChangeEvent, and is also emitted as "event" for async iteration):
+ *   - "visit:created" - A visit was seen for the first time.
+ *   - "visit:statusChanged" - The Status of a visit changed, e.g. Waiting to Notified.
+ *   - "visit:seated", "visit:canceled", "visit:completed" - The Status changed to Seated, Canceled or Completed.
+ *  Other events:
+ *   - "poll:error" ({ siteUID, error }) - A poll failed. The site is polled again after a backoff.
+ *     siteUID is the site as given if it could not be resolved.
+ *   - "stop" - The watcher was stopped.
+ */
+class VisitWatcher extends EventEmitter {
+    'use strict'
+    #timers = new Map();
+    #visits = new Map();
+    #since;
+    #stopped = false;
+
+    /**
+     * Create and start a VisitWatcher.
+     * @param {QSR} qsr - QSR instance.
+     * @param {string|SiteRef|Array<string|SiteRef>} siteUIDs - Globally unique identifier(s) for the site(s) to watch, or SiteRefs.
+     * @param {Object} [options] - Optional.
+     * @param {number} [options.interval] - Optional. Milliseconds between polls of a site. Defaults to 15000.
+     * @param {string} [options.syncSource] - Optional. Ignore visit updates made by this syncSource.
+     * @param {Date} [options.since] - Optional. Start time of the first poll. Defaults to 12 hours ago.
+     * @param {boolean} [options.emitInitial] - Optional. If true, visits found by the first poll emit visit:created. Defaults to false.
+     * @param {number} [options.maxBackoff] - Optional. Longest wait between polls after repeated errors, in milliseconds. Defaults to 8 times the interval.
+     * @param {number} [options.retention] - Optional. Milliseconds a visit is remembered after its last update. Defaults to 24 hours.
+     */
+    constructor(qsr, siteUIDs, options = {}) {
+        super();
+        this.qsr = qsr;
+        this.siteUIDs = [].concat(siteUIDs);
+        this.interval = options.interval || 15000;
+        this.syncSource = options.syncSource;
+        this.emitInitial = Boolean(options.emitInitial);
+        this.maxBackoff = options.maxBackoff || this.interval * 8;
+        this.retention = options.retention || 24 * 60 * 60 * 1000;
+        this.cursors = {};
+        this.#since = options.since || new Date(Date.now() - 12 * 60 * 60 * 1000);
+        const stagger = this.interval / this.siteUIDs.length;
+        this.siteUIDs.forEach((site, i) => this.#schedule(site, Math.round(i * stagger), 0, true));
+    }
+
+    /**
+     * Stop polling every site.
+     */
+    stop() {
+        if (this.#stopped) return;
+        this.#stopped = true;
+        for (const timer of this.#timers.values()) clearTimeout(timer);
+        this.#timers.clear();
+        this.emit('stop');
+    }
+
+    /**
+     * Iterate the visit events as they happen, until the watcher is stopped.
+     * @example
+     * for await (const event of qsr.watchVisits(siteUID)) {
+     *     if (event.type === 'visit:seated') notifyHost(event.visit);
+     * }
+     * @returns {AsyncIterator<VisitChangeEvent>} - Async iterator of VisitChangeEvent.
+     */
+    [Symbol.asyncIterator]() {
+        const queue = [];
+        let pending = null;
+        let done = this.#stopped;
+        const onEvent = event => {
+            if (pending) {
+                pending({ value: event, done: false });
+                pending = null;
+            } else {
+                queue.push(event);
+            }
+        };
+        const finish = () => {
+            done = true;
+            this.off('event', onEvent);
+            this.off('stop', finish);
+            if (pending) pending({ value: undefined, done: true });
+            pending = null;
+        };
+        this.on('event', onEvent);
+        this.once('stop', finish);
+        return {
+            next: () => {
+                if (queue.length) return Promise.resolve({ value: queue.shift(), done: false });
+                if (done) return Promise.resolve({ value: undefined, done: true });
+                return new Promise(resolve => { pending = resolve; });
+            },
+            return: () => {
+                finish();
+                return Promise.resolve({ value: undefined, done: true });
+            },
+            [Symbol.asyncIterator]() {
+                return this;
+            }
+        };
+    }
+
+    #schedule(site, delay, failures, initial = false) {
+        if (this.#stopped) return;
+        this.#timers.set(site, setTimeout(async () => {
+            let nextFailures = 0;
+            let siteUID = site;
+            try {
+                // Cursors, visits and events are keyed by SiteUID, never by a SiteRef
+                siteUID = await this.qsr.resolveSiteUID(site);
+                await this.#poll(siteUID, initial);
+            } catch (error) {
+                nextFailures = failures + 1;
+                this.emit('poll:error', { siteUID, error });
+            }
+            const wait = nextFailures ? Math.min(this.maxBackoff, this.interval * Math.pow(2, nextFailures - 1)) : this.interval;
+            // A failed first poll must still seed silently
+            this.#schedule(site, wait, nextFailures, initial && nextFailures > 0);
+        }, delay));
+    }
+
+    async #poll(siteUID, initial) {
+        const now = Date.now();
+        let cursor = this.cursors[siteUID] || this.#since;
+        for await (const page of this.qsr.iterateVisitUpdates(siteUID, cursor, new Date(now), this.syncSource)) {
+            for (const visit of page.items) this.#diff(siteUID, visit, initial && !this.emitInitial, now);
+            cursor = page.cursor || cursor;
+        }
+        this.cursors[siteUID] = cursor;
+        for (const [key, entry] of this.#visits) {
+            if (now - entry.seen > this.retention) this.#visits.delete(key);
+        }
+    }
+
+    #diff(siteUID, visit, silent, now) {
+        const key = `${siteUID}/${visit.ID}`;
+        const previous = this.#visits.get(key);
+        this.#visits.set(key, { status: visit.Status, seen: now });
+        if (silent || this.#stopped) return;
+        if (!previous) {
+            this.#emitChange('visit:created', siteUID, visit, undefined);
+            if (STATUS_EVENTS[visit.Status]) this.#emitChange(STATUS_EVENTS[visit.Status], siteUID, visit, undefined);
+            return;
+        }
+        if (previous.status === visit.Status) return;
+        this.#emitChange('visit:statusChanged', siteUID, visit, previous.status);
+        if (STATUS_EVENTS[visit.Status]) this.#emitChange(STATUS_EVENTS[visit.Status], siteUID, visit, previous.status);
+    }
+
+    #emitChange(type, siteUID, visit, previousStatus) {
+        const event = { type, siteUID, visit, previousStatus, status: visit.Status };
+        this.emit(type, event);
+        this.emit('event', event);
+    }
+}
+
+module.exports = VisitWatcher;
+module.exports.VisitWatcher = VisitWatcher;
+
+/** Type Definitions */
+
+/**
+ * @typedef {Object} VisitChangeEvent
+ * @property {string} type - Event name, e.g. "visit:statusChanged".
+ * @property {string} siteUID - Globally unique identifier for the site of the visit.
+ * @property {Visit} visit - The visit as last returned by the API.
+ * @property {string} [previousStatus] - Status before the change. Undefined for new visits.
+ * @property {string} status - Current Status of the visit.
+ */
@@ -0,0 +1,291 @@
+/**
+ * QSR Waitlist Class File
+ * @author Steve Ostopchuck
+ */
+const { QSRConfigError, QSRNotFoundError } = require('./errors');
+
+/** Statuses of a party still on the waitlist. */
+const ACTIVE_STATUSES = ['NotYetArrived', 'Waiting', 'PartiallyArrived', 'Notified'];
+
+const GUID = /^\{?[0-9a-f]{8}-?[0-9a-f]{4}-?[0-9a-f]{4}-?[0-9a-f]{4}-?[0-9a-f]{12}\}?$/i;
+
+/**
+ *  The waitlist of a site, over the WebAhead, walk-in and waitlist status endpoints.
+ *  A party can be identified by its visit ID, confirmation number or confirmation number ID, and each call is
+ *  routed to the matching family of WebAhead methods. Every party is returned as a WaitlistEntry.
+ *
+ *  Identifiers:
+ *   - A GUID string, { visitID } or a WaitlistEntry - Visit ID, on this site.
+ *   - Any other string, or { confirmationNumber } - Confirmation number, e.g. "MG1042".
+ *   - A number, or { confirmationNumberId } - Confirmation number ID, e.g. 1042.
+ *
+ *  Confirmation numbers are not scoped to a site by the API, so parties found by them must belong to this
+ *  Waitlist's site, and updates, arrivals and cancellations look the party up before changing it.
+ */
+class Waitlist {
+    'use strict'
+
+    /**
+     * Create a Waitlist.
+     * @param {QSR} qsr - QSR instance.
+     * @param {string|SiteRef} siteUID - Globally unique identifier for a site, or a SiteRef.
+     */
+    constructor(qsr, siteUID) {
+        if (!siteUID) throw new QSRConfigError('QSR Error: Cannot create a Waitlist, siteUID missing.');
+        this.qsr = qsr;
+        this.siteUID = siteUID;
+    }
+
+    /**
+     * Add a party to the waitlist ahead of its arrival, as a WebAhead.
+     * @param {Object} info - WebAhead information, see QSR#addWebAhead.
+     * @returns {Promise<WaitlistEntry>} - The new party.
+     * @throws {QSRValidationError} - If info is invalid.
+     */
+    async join(info) {
+        return this.#entry(await this.qsr.addWebAhead(this.siteUID, info, true));
+    }
+
+    /**
+     * Add a party that has already arrived, as a walk-in.
+     * @param {Object} info - WalkIn information, see QSR#addWalkIn.
+     * @returns {Promise<WaitlistEntry>} - The new party.
+     * @throws {QSRValidationError} - If info is invalid.
+     */
+    async walkIn(info) {
+        return this.#entry(await this.qsr.addWalkIn(this.siteUID, info));
+    }
+
+    /**
+     * Get a party on the waitlist. By default, only active parties are found.
+     * @param {string|number|Object} party - Visit ID, confirmation number or confirmation number ID. See Waitlist.
+     * @param {Object} [options] - Optional.
+     * @param {boolean} [options.all] - Optional. If true, parties that are no longer active today are found too.
+     * @param {boolean} [options.expandGuest] - Optional. If true, the guest record is included. Visit IDs only.
+     * @param {boolean} [options.includeQuote] - Optional. If true, the most recent updated quote is included. Visit IDs only.
+     * @returns {Promise<WaitlistEntry>} - The party.
+     * @throws {QSRNotFoundError} - If no matching party is found on this site.
+     */
+    async get(party, options = {}) {
+        const route = toRoute(party);
+        let data;
+        if (route.visitID) {
+            data = await this.qsr.getWebAhead(this.siteUID, route.visitID, options.expandGuest ? 'guest' : undefined, options.includeQuote, options.all);
+        } else if (route.confirmationNumber) {
+            data = await this.qsr.getWebAheadByConfirmation(route.confirmationNumber, options.all);
+        } else {
+            data = await this.qsr.getWebAheadByConfirmationId(route.confirmationNumberId, options.all);
+        }
+        const record = pick(data, route);
+        if (!route.visitID) await this.#checkSite(record, route);
+        return this.#entry(record);
+    }
+
+    /**
+     * Update an active party.
+     * @param {string|number|Object} party - Visit ID, confirmation number or confirmation number ID. See Waitlist.
+     * @param {Object} info - WebAhead update information, see QSR#updateWebAhead.
+     * @returns {Promise<WaitlistEntry>} - The updated party.
+     * @throws {QSRValidationError} - If info is invalid.
+     * @throws {QSRNotFoundError} - If no matching party is found on this site.
+     * @throws {QSRGoneError} - If the party is no longer active.
+     */
+    async update(party, info) {
+        const route = toRoute(party);
+        if (!route.visitID) await this.get(route, { all: true });
+        let data;
+        if (route.visitID) data = await this.qsr.updateWebAhead(this.siteUID, route.visitID, info);
+        else if (route.confirmationNumber) data = await this.qsr.updateWebAheadByConfirmation(route.confirmationNumber, info);
+        else data = await this.qsr.updateWebAheadByConfirmationId(route.confirmationNumberId, info);
+        return this.#entry(data);
+    }
+
+    /**
+     * Mark an active party as arrived.
+     * @param {string|number|Object} party - Visit ID, confirmation number or confirmation number ID. See Waitlist.
+     * @returns {Promise<WaitlistEntry>} - The arrived party.
+     * @throws {QSRConflictError} - If the party has already arrived or been seated.
+     * @throws {QSRNotFoundError} - If no matching party is found on this site.
+     * @throws {QSRGoneError} - If the party is no longer active.
+     */
+    async arrive(party) {
+        const route = toRoute(party);
+        if (!route.visitID) await this.get(route, { all: true });
+        if (route.visitID) await this.qsr.arriveWebAhead(this.siteUID, route.visitID);
+        else if (route.confirmationNumber) await this.qsr.arriveWebAheadByConfirmation(route.confirmationNumber);
+        else await this.qsr.arriveWebAheadByConfirmationId(route.confirmationNumberId);
+        return this.get(route, { all: true });
+    }
+
+    /**
+     * Cancel an active party.
+     * @param {string|number|Object} party - Visit ID, confirmation number or confirmation number ID. See Waitlist.
+     * @param {Object} [options] - Optional.
+     * @param {boolean} [options.onlyIfNotArrived] - Optional. If true, a party that has already arrived is not canceled.
+     * @returns {Promise<WaitlistEntry>} - The canceled party.
+     * @throws {QSRConflictError} - If onlyIfNotArrived is set and the party has arrived.
+     * @throws {QSRNotFoundError} - If no matching party is found on this site.
+     * @throws {QSRGoneError} - If the party is no longer active.
+     */
+    async cancel(party, options = {}) {
+        const route = toRoute(party);
+        if (!route.visitID) await this.get(route, { all: true });
+        const checkStatus = Boolean(options.onlyIfNotArrived);
+        if (route.visitID) await this.qsr.cancelWebAhead(this.siteUID, route.visitID, checkStatus);
+        else if (route.confirmationNumber) await this.qsr.cancelWebAheadByConfirmation(route.confirmationNumber, checkStatus);
+        else await this.qsr.cancelWebAheadByConfirmationId(route.confirmationNumberId, checkStatus);
+        return this.get(route, { all: true });
+    }
+
+    /**
+     * Get the waitlist status and quotes of the site.
+     * @param {number|number[]} [partySize] - Optional. Party size, or party sizes to quote each of.
+     * @returns {Promise<WaitListStatus>} - WaitListStatus.
+     */
+    async status(partySize) {
+        if (Array.isArray(partySize)) return this.qsr.getWaitListStatusForPartySizes(this.siteUID, partySize);
+        return this.qsr.getWaitListStatus(this.siteUID, partySize);
+    }
+
+    /**
+     * Internal function to make sure a party found by confirmation number belongs to this Waitlist's site.
+     * Records without a SiteUID cannot be checked, and are accepted.
+     * @param {WebAhead} record - WebAhead.
+     * @param {Object} route - Identifier, see toRoute.
+     * @throws {QSRNotFoundError} - If the party is on another site.
+     */
+    async #checkSite(record, route) {
+        const siteUID = await this.qsr.resolveSiteUID(this.siteUID);
+        if (record.SiteUID && record.SiteUID.toLowerCase() !== siteUID.toLowerCase()) {
+            throw new QSRNotFoundError(`QSR Error: Party ${describe(route)} is not on site ${siteUID}.`, { siteUID });
+        }
+    }
+
+    /**
+     * Internal function to normalize a WebAhead or visit record.
+     * @param {WebAhead|Visit} record - WebAhead or visit record.
+     * @returns {WaitlistEntry} - WaitlistEntry.
+     */
+    #entry(record) {
+        return toWaitlistEntry(record, typeof this.siteUID === 'string' ? this.siteUID : undefined);
+    }
+}
+
+/**
+ * Work out how a party is identified.
+ * @param {string|number|Object} party - Visit ID, confirmation number or confirmation number ID, or a WaitlistEntry.
+ * @returns {Object} - One of { visitID }, { confirmationNumber } or { confirmationNumberId }.
+ * @throws {QSRConfigError} - If the party is not identified.
+ */
+function toRoute(party) {
+    if (typeof party === 'number' && Number.isInteger(party)) return { confirmationNumberId: party };
+    if (typeof party === 'string' && party) return GUID.test(party) ? { visitID: party } : { confirmationNumber: party };
+    if (party && typeof party === 'object') {
+        if (party.visitID) return { visitID: party.visitID };
+        if (party.confirmationNumber) return { confirmationNumber: party.confirmationNumber };
+        if (party.confirmationNumberId !== undefined && party.confirmationNumberId !== null) return { confirmationNumberId: party.confirmationNumberId };
+    }
+    throw new QSRConfigError('QSR Error: Party must be a visit ID, confirmation number or confirmation number ID.');
+}
+
+/**
+ * Describe a party identifier for error messages.
+ * @param {Object} route - Identifier, see toRoute.
+ * @returns {string} - Visit ID, confirmation number or confirmation number ID.
+ */
+function describe(route) {
+    return String(route.visitID ?? route.confirmationNumber ?? route.confirmationNumberId);
+}
+
+/**
+ * Pick the requested party when the API returns every WebAhead of the business day.
+ * @param {WebAhead|WebAhead[]} data - WebAhead, or WebAheads.
+ * @param {Object} route - Identifier, see toRoute.
+ * @returns {WebAhead} - WebAhead.
+ * @throws {QSRNotFoundError} - If no record matches the identifier.
+ */
+function pick(data, route) {
+    const record = !Array.isArray(data) ? data : data.find(candidate => (route.visitID && candidate.ID?.toLowerCase() === route.visitID.toLowerCase())
+        || (route.confirmationNumber && candidate.ConfirmationNumber === route.confirmationNumber)
+        || (route.confirmationNumberId !== undefined && candidate.ConfirmationNumberID === Number(route.confirmationNumberId)));
+    if (!record) throw new QSRNotFoundError(`QSR Error: Party ${describe(route)} not found.`);
+    return record;
+}
+
+/**
+ * Normalize a WebAhead or visit record into a WaitlistEntry.
+ * @param {WebAhead|Visit} record - WebAhead or visit record.
+ * @param {string} [siteUID] - Optional. SiteUID used when the record has none.
+ * @returns {WaitlistEntry} - WaitlistEntry.
+ */
+function toWaitlistEntry(record, siteUID) {
+    const guest = record.Guest;
+    return {
+        siteUID: record.SiteUID || siteUID || null,
+        visitID: record.ID,
+        confirmationNumber: record.ConfirmationNumber ?? null,
+        confirmationNumberId: record.ConfirmationNumberID ?? null,
+        type: record.Type ?? null,
+        status: record.Status,
+        active: ACTIVE_STATUSES.includes(record.Status),
+        partySize: record.Size,
+        placeInWaitList: record.PlaceInWaitList ?? null,
+        quote: record.Quote ? {
+            low: record.Quote.QuoteLow,
+            high: record.Quote.QuoteHigh,
+            text: record.Quote.ConsumerQuoteString
+        } : null,
+        updatedQuote: record.UpdatedQuote ? {
+            low: record.UpdatedQuote.QuoteLow,
+            high: record.UpdatedQuote.QuoteHigh,
+            text: record.UpdatedQuote.ConsumerQuoteString,
+            generatedAt: record.UpdatedQuote.GeneratedDateTime
+        } : null,
+        guestID: record.GuestID || guest?.ID || null,
+        guest: guest ? {
+            firstName: guest.FirstName,
+            lastName: guest.LastName,
+            phoneNumber: guest.PhoneNumbers?.[0]?.PhoneNumber ?? null,
+            email: guest.Email ?? null
+        } : null,
+        notificationType: record.NotificationType ?? null,
+        notes: record.Notes ?? null,
+        createdAt: record.CreationTime ?? null,
+        estimatedArrivalTime: record.EstimatedArrivalTime ?? null,
+        arrivalTime: record.ArrivalTime ?? null,
+        pagedTime: record.PagedTime ?? null,
+        record
+    };
+}
+
+module.exports = Waitlist;
+module.exports.Waitlist = Waitlist;
+module.exports.toWaitlistEntry = toWaitlistEntry;
+module.exports.ACTIVE_STATUSES = ACTIVE_STATUSES;
+
+/** Type Definitions */
+
+/**
+ * A party on a waitlist, with the same shape whichever endpoint returned it.
+ * @typedef {Object} WaitlistEntry
+ * @property {string} siteUID - Globally unique identifier for the site.
+ * @property {string} visitID - Globally unique identifier for the QSR visit record.
+ * @property {string} confirmationNumber - Confirmation number, or null.
+ * @property {number} confirmationNumberId - Integer identifier of the confirmation number, or null.
+ * @property {string} type - Visit type: CallAhead for WebAheads, WalkIn or Reservation.
+ * @property {string} status - Visit status, e.g. NotYetArrived, Waiting or Canceled.
+ * @property {boolean} active - True while the party is NotYetArrived, Waiting, PartiallyArrived or Notified.
+ * @property {number} partySize - Party size.
+ * @property {number} placeInWaitList - 1-based position in the wait list, or null if not known.
+ * @property {Object} quote - Quoted wait in minutes ({ low, high, text }), or null.
+ * @property {Object} updatedQuote - Most recent updated quote ({ low, high, text, generatedAt }), or null. Only with includeQuote.
+ * @property {string} guestID - Globally unique identifier for the guest record, or null.
+ * @property {Object} guest - Guest ({ firstName, lastName, phoneNumber, email }), or null if not included.
+ * @property {string} notificationType - None, Call, SMS or Pager, or null.
+ * @property {string} notes - Notes, or null.
+ * @property {string} createdAt - Creation time in ISO 8601 format.
+ * @property {string} estimatedArrivalTime - Estimated arrival time in ISO 8601 format, or null.
+ * @property {string} arrivalTime - Arrival time in ISO 8601 format, or null.
+ * @property {string} pagedTime - Paged time in ISO 8601 format, or null.
+ * @property {WebAhead|Visit} record - The record returned by the API.
+ */
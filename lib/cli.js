@@ -0,0 +1,291 @@
+/**
+ * QSR Command-Line Interface
+ * Implements the `qsr` command, wrapping common QSR methods as subcommands.
+ * @author Steve Ostopchuck
+ */
+const QSR = require('./QSR');
+const errors = require('./errors');
+const { EnvCredentialsProvider, FileCredentialsProvider } = require('./credentials');
+const { getPath, cellText, csvLine } = require('./export');
+
+/** Exit codes by error class. The first matching class wins, so subclasses come before QSRError. */
+const EXIT_CODES = [
+    [errors.QSRValidationError, 11],
+    [errors.QSRConfigError, 3],
+    [errors.QSRAuthError, 4],
+    [errors.QSRNotFoundError, 5],
+    [errors.QSRConflictError, 6],
+    [errors.QSRGoneError, 7],
+    [errors.QSRServerError, 8],
+    [errors.QSRRequestError, 9],
+    [errors.QSRCancelledError, 10],
+    [errors.QSRError, 1]
+];
+const EXIT_USAGE = 2;
+
+const VISIT_COLUMNS = ['ID', 'ConfirmationNumber', 'Type', 'Status', 'Size', 'Guest.FirstName', 'Guest.LastName', 'CreationTime', 'SeatedTime', 'CompletedTime'];
+const GUEST_COLUMNS = ['ID', 'FirstName', 'LastName', 'Email', 'PhoneNumbers.0.PhoneNumber', 'Loyalty.LoyaltyCardID', 'LastUpdate'];
+
+const USAGE = `Usage: qsr <command> [options]
+
+Commands:
+  sites                                   List the company's sites
+  site <siteUID>                          Show a site
+  visits --site <siteUID> [--from <time>] [--to <time>] [--sync-source <source>]
+                                          List visit updates. Defaults to the last 24 hours
+  visit <visitID> --site <siteUID>        Show a visit
+  reservation get <conf> --site <siteUID> Show a reservation by confirmation number
+  webahead get <conf> [--all]             Show a WebAhead by confirmation number
+  webahead cancel <conf> [--check-arrival]
+                                          Cancel a WebAhead
+  webahead arrive <conf>                  Mark a WebAhead as arrived
+  guest search [--email <email>] [--phone <number>] [--first-name <name>] [--last-name <name>]
+               [--loyalty-card <id>] [--postal-code <code>] [--page <n>] [--per-page <n>]
+                                          Search the guestbook
+
+Options:
+  -o, --output <format>    table (default), json or csv
+  --columns <a,b.c>        Columns for table and csv output, as dot paths into the records
+  --company <companyUID>   Company UID. Defaults to QSR_COMPANYUID, then the profile's company_uid
+  --profile <name>         Credentials profile. Defaults to QSR_PROFILE, then "default"
+  --credentials <file>     Credentials file. Defaults to QSR_CREDENTIALS_FILE, then ~/.qsr/credentials
+  --base-url <url>         API base URL. Defaults to QSR_BASEURL, then the profile's base_url
+  -h, --help               Show this help
+
+Credentials are read from QSR_ACCESSKEY and QSR_SECRETKEY unless a profile or credentials file is given,
+or those variables are not set.
+
+Exit codes:
+  0 success, 1 unexpected error, 2 usage error, 3 configuration error, 4 not authorized,
+  5 not found, 6 already arrived or seated, 7 WebAhead no longer active, 8 server error,
+  9 request failed, 10 cancelled, 11 invalid option values
+`;
+
+/** Flags that take no value. */
+const BOOLEAN_FLAGS = ['help', 'all', 'check-arrival'];
+const ALIASES = { o: 'output', h: 'help' };
+
+/** Thrown for invalid command lines. */
+class UsageError extends Error {}
+
+/**
+ * Parse command-line arguments into positionals and flags.
+ * @param {string[]} argv - Arguments, without the node and script paths.
+ * @returns {Object} - { positionals, flags }.
+ * @throws {UsageError} - If a flag is missing its value.
+ */
+function parseArgs(argv) {
+    const positionals = [];
+    const flags = {};
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--') {
+            positionals.push(...argv.slice(i + 1));
+            break;
+        }
+        const match = arg.match(/^--?([^=]+)(?:=(.*))?$/);
+        if (!match || arg === '-') {
+            positionals.push(arg);
+            continue;
+        }
+        const name = ALIASES[match[1]] || match[1];
+        if (match[2] !== undefined) {
+            flags[name] = match[2];
+        } else if (BOOLEAN_FLAGS.includes(name)) {
+            flags[name] = true;
+        } else {
+            if (i + 1 >= argv.length) throw new UsageError(`Missing value for --${name}.`);
+            flags[name] = argv[++i];
+        }
+    }
+    return { positionals, flags };
+}
+
+/**
+ * Format records.
+ * @param {Object|Object[]} data - A record or list of records.
+ * @param {string} format - table, json or csv.
+ * @param {string[]} [columns] - Optional. Columns, as dot paths. Defaults to the keys of the first record.
+ * @returns {string} - Formatted output, ending with a newline.
+ */
+function formatOutput(data, format, columns) {
+    if (format === 'json') return `${JSON.stringify(data, null, 2)}\n`;
+    if (data === undefined || data === null || typeof data !== 'object') return `${cellText(data)}\n`;
+    const records = Array.isArray(data) ? data : [data];
+    const keys = columns || Object.keys(records[0] || {});
+    const rows = records.map(record => keys.map(key => cellText(getPath(record, key))));
+    if (format === 'csv') {
+        return [keys, ...rows].map(csvLine).join('\n') + '\n';
+    }
+    // A single record reads better as key/value lines
+    if (!Array.isArray(data) && !columns) {
+        const width = Math.max(0, ...keys.map(key => key.length));
+        return keys.map((key, i) => `${key.padEnd(width)}  ${rows[0][i]}`).join('\n') + '\n';
+    }
+    const widths = keys.map((key, i) => Math.max(key.length, ...rows.map(row => row[i].length)));
+    const line = row => row.map((cell, i) => cell.padEnd(widths[i])).join('  ').trimEnd();
+    return [line(keys), line(widths.map(width => '-'.repeat(width))), ...rows.map(line)].join('\n') + '\n';
+}
+
+/**
+ * Parse a time option. Dates without a time are taken as local midnight.
+ * @param {string} value - ISO 8601 date or date-time.
+ * @param {string} name - Option name, for the error message.
+ * @returns {Date} - Date.
+ * @throws {UsageError} - If the value is not a valid date.
+ */
+function parseTime(value, name) {
+    const date = /^\d{4}-\d{2}-\d{2}$/.test(value) ? new Date(`${value}T00:00:00`) : new Date(value);
+    if (Number.isNaN(date.getTime())) throw new UsageError(`Invalid date for --${name}: ${value}`);
+    return date;
+}
+
+/**
+ * Get a required option.
+ * @param {Object} flags - Parsed flags.
+ * @param {string} name - Option name.
+ * @returns {string} - Value.
+ * @throws {UsageError} - If the option is missing.
+ */
+function required(flags, name) {
+    if (flags[name] === undefined || flags[name] === true) throw new UsageError(`Missing required option --${name}.`);
+    return flags[name];
+}
+
+/**
+ * Get a required positional argument.
+ * @param {string[]} args - Positional arguments of the command.
+ * @param {number} index - Index of the argument.
+ * @param {string} name - Argument name, for the error message.
+ * @returns {string} - Value.
+ * @throws {UsageError} - If the argument is missing.
+ */
+function argument(args, index, name) {
+    if (!args[index]) throw new UsageError(`Missing <${name}>.`);
+    return args[index];
+}
+
+/**
+ * Create the QSR client for the command line options and environment.
+ * @param {Object} flags - Parsed flags.
+ * @param {Object} env - Environment variables.
+ * @returns {Promise<QSR>} - QSR instance.
+ * @throws {QSRConfigError} - If the company or credentials cannot be found.
+ */
+async function createClient(flags, env) {
+    const useFile = flags.profile || flags.credentials || env.QSR_PROFILE || env.QSR_CREDENTIALS_FILE
+        || !env.QSR_ACCESSKEY || !env.QSR_SECRETKEY;
+    const provider = useFile
+        ? new FileCredentialsProvider({ filePath: flags.credentials || env.QSR_CREDENTIALS_FILE, profile: flags.profile || env.QSR_PROFILE })
+        : new EnvCredentialsProvider({ env });
+    const profile = await provider.getCredentials();
+    const companyUID = flags.company || env.QSR_COMPANYUID || profile.companyUID;
+    if (!companyUID) throw new errors.QSRConfigError('QSR Error: No company UID. Use --company, QSR_COMPANYUID or a profile with company_uid.');
+    return new QSR(companyUID, provider, { baseURL: flags['base-url'] || env.QSR_BASEURL || profile.baseURL });
+}
+
+/** Subcommands. Each returns { data, columns }. */
+const COMMANDS = {
+    async sites(qsr) {
+        return { data: await qsr.getCompanySites(), columns: ['SiteUID', 'Name', 'City', 'State', 'TimeZoneId'] };
+    },
+    async site(qsr, args) {
+        return { data: await qsr.getSite(argument(args, 0, 'siteUID')) };
+    },
+    async visits(qsr, args, flags) {
+        const to = flags.to ? parseTime(flags.to, 'to') : new Date();
+        const from = flags.from ? parseTime(flags.from, 'from') : new Date(to.getTime() - 24 * 60 * 60 * 1000);
+        const visits = await qsr.getAllVisitUpdates(required(flags, 'site'), from, to, flags['sync-source']);
+        return { data: visits, columns: VISIT_COLUMNS };
+    },
+    async visit(qsr, args, flags) {
+        return { data: await qsr.getVisit(required(flags, 'site'), argument(args, 0, 'visitID')) };
+    },
+    async reservation(qsr, args, flags) {
+        if (args[0] !== 'get') throw new UsageError('Usage: qsr reservation get <conf> --site <siteUID>');
+        return { data: await qsr.getReservationByConfirmation(required(flags, 'site'), argument(args, 1, 'conf')) };
+    },
+    async webahead(qsr, args, flags) {
+        const conf = () => argument(args, 1, 'conf');
+        switch (args[0]) {
+            case 'get':
+                return { data: await qsr.getWebAheadByConfirmation(conf(), flags.all === true) };
+            case 'cancel':
+                return { data: await qsr.cancelWebAheadByConfirmation(conf(), flags['check-arrival'] === true) };
+            case 'arrive':
+                return { data: await qsr.arriveWebAheadByConfirmation(conf()) };
+            default:
+                throw new UsageError('Usage: qsr webahead <get|cancel|arrive> <conf>');
+        }
+    },
+    async guest(qsr, args, flags) {
+        if (args[0] !== 'search') throw new UsageError('Usage: qsr guest search [--email <email>] [--phone <number>] ...');
+        const guests = await qsr.searchGuestbook({
+            email: flags.email,
+            mobilePhoneNumber: flags.phone,
+            firstName: flags['first-name'],
+            lastName: flags['last-name'],
+            loyaltyCardID: flags['loyalty-card'],
+            postalCode: flags['postal-code'],
+            pageNumber: flags.page,
+            guestsPerPage: flags['per-page']
+        });
+        return { data: guests, columns: GUEST_COLUMNS };
+    }
+};
+
+/**
+ * Get the exit code for an error.
+ * @param {Error} err - Error.
+ * @returns {number} - Exit code.
+ */
+function exitCode(err) {
+    if (err instanceof UsageError) return EXIT_USAGE;
+    const entry = EXIT_CODES.find(([type]) => err instanceof type);
+    return entry ? entry[1] : 1;
+}
+
+/**
+ * Run the CLI.
+ * @example
+ * process.exitCode = await run(process.argv.slice(2));
+ * @param {string[]} argv - Arguments, without the node and script paths.
+ * @param {Object} [io] - Optional.
+ * @param {Object} [io.stdout] - Optional. Writable for results. Defaults to process.stdout.
+ * @param {Object} [io.stderr] - Optional. Writable for errors. Defaults to process.stderr.
+ * @param {Object} [io.env] - Optional. Environment variables. Defaults to process.env.
+ * @returns {Promise<number>} - Exit code.
+ */
+async function run(argv, io = {}) {
+    const stdout = io.stdout || process.stdout;
+    const stderr = io.stderr || process.stderr;
+    const env = io.env || process.env;
+    try {
+        const { positionals, flags } = parseArgs(argv);
+        const [name, ...args] = positionals;
+        if (flags.help || !name) {
+            (flags.help ? stdout : stderr).write(USAGE);
+            return flags.help ? 0 : EXIT_USAGE;
+        }
+        const command = Object.prototype.hasOwnProperty.call(COMMANDS, name) && COMMANDS[name];
+        if (!command) throw new UsageError(`Unknown command "${name}". Run qsr --help for the list of commands.`);
+        const format = flags.output || 'table';
+        if (!['table', 'json', 'csv'].includes(format)) throw new UsageError(`Unknown output format "${format}". Use table, json or csv.`);
+
+        const qsr = await createClient(flags, env);
+        const result = await command(qsr, args, flags);
+        const columns = flags.columns ? flags.columns.split(',').map(column => column.trim()) : result.columns;
+        stdout.write(formatOutput(result.data, format, columns));
+        return 0;
+    } catch (err) {
+        stderr.write(`${err.message}\n`);
+        return exitCode(err);
+    }
+}
+
+module.exports = {
+    EXIT_CODES,
+    parseArgs,
+    formatOutput,
+    run
+};
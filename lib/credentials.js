@@ -0,0 +1,318 @@
+/**
+ * QSR Credential Provider Classes
+ * A credential provider supplies the API keys used to sign each request. Keys are cached and reloaded
+ * when they expire, so rotated keys are picked up on the next request without a restart.
+ * Any object with an async getCredentials({ forceRefresh }) method can be used in place of these classes.
+ * @author Steve Ostopchuck
+ */
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { QSRConfigError } = require('./errors');
+
+/** Accepted spellings of the fields of a credentials profile, once lower cased and stripped of "_" and "-". */
+const PROFILE_FIELDS = {
+    accesskey: 'accessKey',
+    qsraccesskey: 'accessKey',
+    secretkey: 'secretKey',
+    qsrsecretkey: 'secretKey',
+    companyuid: 'companyUID',
+    baseurl: 'baseURL'
+};
+
+/**
+ *  Base class of the credential providers. Caches the credentials returned by load() for ttl milliseconds,
+ *  or until their expiration, and shares a single load between concurrent callers.
+ */
+class CredentialsProvider {
+    'use strict'
+    #cached = null;
+    #expiresAt = 0;
+    #loading = null;
+
+    /**
+     * @param {Object} [options] - Optional.
+     * @param {number} [options.ttl] - Optional. Milliseconds the credentials are cached. Defaults to 300000.
+     */
+    constructor(options = {}) {
+        this.ttl = options.ttl ?? 5 * 60 * 1000;
+    }
+
+    /**
+     * Get the current credentials.
+     * @param {Object} [options] - Optional.
+     * @param {boolean} [options.forceRefresh] - Optional. If true, the cached credentials are reloaded. Defaults to false.
+     * @returns {Promise<Credentials>} - Credentials.
+     * @throws {QSRConfigError} - If the credentials cannot be loaded or are incomplete.
+     */
+    async getCredentials(options = {}) {
+        if (this.#cached && !options.forceRefresh && Date.now() < this.#expiresAt) return this.#cached;
+        if (!this.#loading) {
+            this.#loading = this.#load().finally(() => { this.#loading = null; });
+        }
+        return this.#loading;
+    }
+
+    /**
+     * Reload the credentials.
+     * @returns {Promise<Credentials>} - Credentials.
+     */
+    refresh() {
+        return this.getCredentials({ forceRefresh: true });
+    }
+
+    /**
+     * Load the credentials from their source. Implemented by each provider.
+     * @returns {Promise<Credentials>} - Credentials, optionally with an expiration.
+     */
+    async load() {
+        throw new QSRConfigError('QSR Error: Credentials provider does not implement load().');
+    }
+
+    async #load() {
+        let credentials;
+        try {
+            credentials = await this.load();
+        } catch (err) {
+            if (err instanceof QSRConfigError) throw err;
+            throw new QSRConfigError(`QSR Error: Could not load credentials: ${err.message}`, { cause: err });
+        }
+        checkCredentials(credentials, `QSR Error: Credentials from ${this.constructor.name} incomplete,`);
+        const expiration = credentials.expiration ? new Date(credentials.expiration).getTime() : Infinity;
+        this.#cached = credentials;
+        this.#expiresAt = Math.min(Date.now() + this.ttl, expiration);
+        return credentials;
+    }
+}
+
+/**
+ *  Provider of fixed API keys.
+ */
+class StaticCredentialsProvider extends CredentialsProvider {
+    'use strict'
+
+    /**
+     * @param {Credentials} credentials - API keys.
+     */
+    constructor(credentials) {
+        super({ ttl: Infinity });
+        checkCredentials(credentials);
+        this.credentials = { ...credentials };
+    }
+
+    async load() {
+        return this.credentials;
+    }
+}
+
+/**
+ *  Provider reading the API keys from environment variables. The variables are read again on every request by default.
+ */
+class EnvCredentialsProvider extends CredentialsProvider {
+    'use strict'
+
+    /**
+     * @param {Object} [options] - Optional.
+     * @param {string} [options.accessKeyVariable] - Optional. Name of the access key variable. Defaults to QSR_ACCESSKEY.
+     * @param {string} [options.secretKeyVariable] - Optional. Name of the secret key variable. Defaults to QSR_SECRETKEY.
+     * @param {Object} [options.env] - Optional. Variables to read. Defaults to process.env.
+     * @param {number} [options.ttl] - Optional. Milliseconds the keys are cached. Defaults to 0.
+     */
+    constructor(options = {}) {
+        super({ ttl: options.ttl ?? 0 });
+        this.accessKeyVariable = options.accessKeyVariable || 'QSR_ACCESSKEY';
+        this.secretKeyVariable = options.secretKeyVariable || 'QSR_SECRETKEY';
+        this.env = options.env || process.env;
+    }
+
+    /**
+     * Read the variables synchronously.
+     * @returns {Credentials} - Credentials, possibly incomplete.
+     */
+    read() {
+        return {
+            accessKey: this.env[this.accessKeyVariable],
+            secretKey: this.env[this.secretKeyVariable]
+        };
+    }
+
+    async load() {
+        return this.read();
+    }
+}
+
+/**
+ *  Provider reading a profile from a credentials file. The file is reloaded as soon as it changes.
+ *  JSON files hold one object per profile, e.g. { "default": { "accessKey": "...", "secretKey": "..." } },
+ *  or a single unnamed profile. INI files hold one section per profile:
+ *    [default]
+ *    access_key = ...
+ *    secret_key = ...
+ *    company_uid = ...
+ *  Profiles may also set companyUID and baseURL.
+ */
+class FileCredentialsProvider extends CredentialsProvider {
+    'use strict'
+    #modified = null;
+
+    /**
+     * @param {Object} [options] - Optional.
+     * @param {string} [options.filePath] - Optional. Path of the file. Defaults to environment variable QSR_CREDENTIALS_FILE, or ~/.qsr/credentials.
+     * @param {string} [options.profile] - Optional. Profile to read. Defaults to environment variable QSR_PROFILE, or "default".
+     * @param {number} [options.ttl] - Optional. Milliseconds the keys are cached when the file does not change. Defaults to forever.
+     */
+    constructor(options = {}) {
+        super({ ttl: options.ttl ?? Infinity });
+        this.filePath = options.filePath || process.env.QSR_CREDENTIALS_FILE || path.join(os.homedir(), '.qsr', 'credentials');
+        this.profile = options.profile || process.env.QSR_PROFILE || 'default';
+    }
+
+    async getCredentials(options = {}) {
+        let modified;
+        try {
+            modified = (await fs.promises.stat(this.filePath)).mtimeMs;
+        } catch (err) {
+            modified = null;
+        }
+        const changed = modified !== this.#modified;
+        this.#modified = modified;
+        return super.getCredentials({ ...options, forceRefresh: options.forceRefresh || changed });
+    }
+
+    async load() {
+        let contents;
+        try {
+            contents = await fs.promises.readFile(this.filePath, 'utf8');
+        } catch (err) {
+            throw new QSRConfigError(`QSR Error: Cannot read credentials file ${this.filePath}: ${err.message}`, { cause: err });
+        }
+        const profiles = parseCredentialsFile(contents, this.filePath);
+        const profile = profiles[this.profile];
+        if (!profile) throw new QSRConfigError(`QSR Error: Profile "${this.profile}" not found in ${this.filePath}.`);
+        return profile;
+    }
+}
+
+/**
+ *  Provider calling a function for the API keys, e.g. to read them from a secrets manager.
+ *  The function may return an expiration, in which case the keys are reloaded once it has passed.
+ */
+class CallbackCredentialsProvider extends CredentialsProvider {
+    'use strict'
+
+    /**
+     * @param {Function} callback - Returns Credentials, or a Promise of Credentials.
+     * @param {Object} [options] - Optional.
+     * @param {number} [options.ttl] - Optional. Milliseconds the keys are cached. Defaults to 300000.
+     */
+    constructor(callback, options = {}) {
+        super(options);
+        if (typeof callback !== 'function') throw new QSRConfigError('QSR Error: Credentials callback must be a function.');
+        this.callback = callback;
+    }
+
+    async load() {
+        return this.callback();
+    }
+}
+
+/**
+ * Check that credentials have both keys.
+ * @param {Credentials} credentials - Credentials.
+ * @param {string} [prefix] - Optional. Start of the error message.
+ * @throws {QSRConfigError} - If a key is missing.
+ */
+function checkCredentials(credentials, prefix = 'QSR Error: Cannot instantiate object,') {
+    if (!credentials?.accessKey) throw new QSRConfigError(`${prefix} apiKeys.accessKey missing.`);
+    if (!credentials.secretKey) throw new QSRConfigError(`${prefix} apiKeys.secretKey missing.`);
+}
+
+/**
+ * Normalize the field names of a profile.
+ * @param {Object} fields - Raw profile fields.
+ * @returns {Object} - Profile with accessKey, secretKey, companyUID and baseURL.
+ */
+function normalizeProfile(fields) {
+    const profile = {};
+    for (const [key, value] of Object.entries(fields)) {
+        const field = PROFILE_FIELDS[key.toLowerCase().replace(/[_-]/g, '')];
+        if (field) profile[field] = value;
+    }
+    return profile;
+}
+
+/**
+ * Parse a JSON or INI credentials file.
+ * @param {string} contents - File contents.
+ * @param {string} [filePath] - Optional. File path, used in error messages.
+ * @returns {Object} - Profiles by name.
+ * @throws {QSRConfigError} - If the file is not valid.
+ */
+function parseCredentialsFile(contents, filePath = 'credentials file') {
+    const profiles = {};
+    if (contents.trim().startsWith('{')) {
+        let data;
+        try {
+            data = JSON.parse(contents);
+        } catch (err) {
+            throw new QSRConfigError(`QSR Error: Invalid JSON in ${filePath}: ${err.message}`, { cause: err });
+        }
+        const single = normalizeProfile(data);
+        if (single.accessKey || single.secretKey) return { default: single };
+        for (const [name, fields] of Object.entries(data)) {
+            if (fields && typeof fields === 'object') profiles[name] = normalizeProfile(fields);
+        }
+        return profiles;
+    }
+    let section = null;
+    contents.split(/\r?\n/).forEach((raw, i) => {
+        const line = raw.trim();
+        if (!line || line.startsWith('#') || line.startsWith(';')) return;
+        const header = line.match(/^\[\s*(?:profile\s+)?([^\]]+?)\s*\]$/);
+        if (header) {
+            section = header[1];
+            profiles[section] = profiles[section] || {};
+            return;
+        }
+        const pair = line.match(/^([^=]+?)\s*=\s*(.*)$/);
+        if (!pair || !section) throw new QSRConfigError(`QSR Error: Invalid line ${i + 1} in ${filePath}.`);
+        Object.assign(profiles[section], normalizeProfile({ [pair[1]]: pair[2].replace(/^(["'])(.*)\1$/, '$2') }));
+    });
+    return profiles;
+}
+
+/**
+ * Get a credential provider for the apiKeys argument of the QSR constructor.
+ * @param {Credentials|CredentialsProvider|Function} [apiKeys] - Optional. API keys, a provider, or a function returning API keys. Defaults to the environment variables.
+ * @returns {CredentialsProvider} - CredentialsProvider.
+ * @throws {QSRConfigError} - If static or environment keys are missing.
+ */
+function toCredentialsProvider(apiKeys) {
+    if (typeof apiKeys?.getCredentials === 'function') return apiKeys;
+    if (typeof apiKeys === 'function') return new CallbackCredentialsProvider(apiKeys);
+    if (apiKeys) return new StaticCredentialsProvider(apiKeys);
+    const provider = new EnvCredentialsProvider();
+    checkCredentials(provider.read());
+    return provider;
+}
+
+module.exports = {
+    CredentialsProvider,
+    StaticCredentialsProvider,
+    EnvCredentialsProvider,
+    FileCredentialsProvider,
+    CallbackCredentialsProvider,
+    parseCredentialsFile,
+    toCredentialsProvider
+};
+
+/** Type Definitions */
+
+/**
+ * @typedef {Object} Credentials
+ * @property {string} accessKey - Access Key provided by QSR.
+ * @property {string} secretKey - Secret Key provided by QSR.
+ * @property {Date|string} [expiration] - Optional. Time after which the keys must be reloaded.
+ * @property {string} [companyUID] - Optional. Company UID, when read from a profile.
+ * @property {string} [baseURL] - Optional. API base URL, when read from a profile.
+ */
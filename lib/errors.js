@@ -0,0 +1,159 @@
+/**
+ * QSR Error Classes
+ * @author Steve Ostopchuck
+ */
+
+/**
+ * Base class for every error thrown by this package.
+ * Response errors carry the HTTP status, endpoint, siteUID, request ID and server response body
+ * so callers can branch with `instanceof` and log what they need.
+ */
+class QSRError extends Error {
+    /**
+     * @param {string} message - Error message.
+     * @param {Object} [details] - Optional. Error details.
+     * @param {number} [details.status] - HTTP status code of the response.
+     * @param {string} [details.endpoint] - Request method and path, e.g. "GET /Site/ABC/Visits".
+     * @param {string} [details.siteUID] - SiteUID the request was made for, if any.
+     * @param {string} [details.requestId] - Request ID returned by the server, if any.
+     * @param {*} [details.responseBody] - Body of the server response.
+     * @param {Error} [details.cause] - The underlying error.
+     */
+    constructor(message, details = {}) {
+        super(message);
+        this.name = this.constructor.name;
+        this.status = details.status;
+        this.endpoint = details.endpoint;
+        this.siteUID = details.siteUID;
+        this.requestId = details.requestId;
+        this.responseBody = details.responseBody;
+        if (details.cause) this.cause = details.cause;
+    }
+}
+
+/** The client was configured incorrectly, e.g. a missing companyUID or API key. */
+class QSRConfigError extends QSRError {}
+
+/**
+ * The options passed to a method failed validation, so no request was sent.
+ * Lists every problem found, not just the first.
+ */
+class QSRValidationError extends QSRError {
+    /**
+     * @param {string} message - Error message.
+     * @param {Object} [details] - Optional. Error details.
+     * @param {ValidationProblem[]} [details.problems] - Optional. Every problem found.
+     */
+    constructor(message, details = {}) {
+        super(message, details);
+        this.problems = details.problems || [];
+    }
+}
+
+/** The request failed with no usable response (network error, timeout) or an unmapped status code. */
+class QSRRequestError extends QSRError {}
+
+/** The request was cancelled by the caller, either while queued or in flight. */
+class QSRCancelledError extends QSRError {}
+
+/** 401 or 403: the API keys were rejected or lack access to the resource. */
+class QSRAuthError extends QSRError {}
+
+/** 404: the requested resource (site, visit, guest, team member...) was not found. */
+class QSRNotFoundError extends QSRError {}
+
+/** 405: the visit has already arrived or been seated. */
+class QSRConflictError extends QSRError {}
+
+/** 410: the WebAhead is no longer considered Active. */
+class QSRGoneError extends QSRError {}
+
+/** 5xx: the API server failed to process the request. */
+class QSRServerError extends QSRError {}
+
+const SITE_PATH = /\/site\/([^/?]+)/i;
+const NOT_SITE_UIDS = ['sites', 'webahead'];
+
+/**
+ * Get the SiteUID of a request path, e.g. /Site/{siteUID}/Visits.
+ * @param {string} [url] - Optional. Request path.
+ * @returns {string|undefined} - SiteUID, or undefined if the path is not site scoped.
+ */
+function siteUIDFromUrl(url = '') {
+    const siteMatch = url.match(SITE_PATH);
+    return siteMatch && !NOT_SITE_UIDS.includes(siteMatch[1].toLowerCase()) ? siteMatch[1] : undefined;
+}
+
+/**
+ * Build the details object for an axios error.
+ * @param {Object} err - The error thrown by axios.
+ * @param {Object} [requestConfig] - Optional. Config of the request, used when the error has none (e.g. cancellations).
+ * @returns {Object} - Error details.
+ */
+function errorDetails(err, requestConfig) {
+    const config = err.config || requestConfig || {};
+    const response = err.response || {};
+    const headers = response.headers || {};
+    const url = config.url || '';
+    return {
+        status: response.status,
+        endpoint: `${(config.method || 'GET').toUpperCase()} ${url}`,
+        siteUID: siteUIDFromUrl(url),
+        requestId: headers['x-request-id'] || headers['x-dinetime-request-id'] || headers['request-id'],
+        responseBody: response.data,
+        cause: err
+    };
+}
+
+/**
+ * Convert an axios error into the matching QSRError subclass.
+ * @param {Object} err - The error thrown by axios.
+ * @param {Object} [requestConfig] - Optional. Config of the request, used when the error has none (e.g. cancellations).
+ * @returns {QSRError} - The typed error.
+ */
+function fromAxiosError(err, requestConfig) {
+    if (err instanceof QSRError) return err;
+    const details = errorDetails(err, requestConfig);
+    if (err.__CANCEL__ || err.code === 'ERR_CANCELED') {
+        return new QSRCancelledError(`QSR Error: Request cancelled (${details.endpoint})`, details);
+    }
+    const serverMessage = details.responseBody?.Message || details.responseBody?.message;
+    const suffix = `(${details.endpoint}${details.status ? ` -> ${details.status}` : ''})${serverMessage ? `: ${serverMessage}` : ''}`;
+    switch (details.status) {
+        case 401:
+        case 403:
+            return new QSRAuthError(`QSR Error: Not authorized ${suffix}`, details);
+        case 404:
+            return new QSRNotFoundError(`QSR Error: Not found ${suffix}`, details);
+        case 405:
+            return new QSRConflictError(`QSR Error: The visit has already arrived or been seated ${suffix}`, details);
+        case 410:
+            return new QSRGoneError(`QSR Error: The WebAhead is no longer considered Active ${suffix}`, details);
+        default:
+            if (details.status >= 500) return new QSRServerError(`QSR Error: API server error ${suffix}`, details);
+            return new QSRRequestError(`QSR Error: ${details.status ? 'Request failed' : err.message} ${suffix}`, details);
+    }
+}
+
+module.exports = {
+    QSRError,
+    QSRConfigError,
+    QSRValidationError,
+    QSRRequestError,
+    QSRCancelledError,
+    QSRAuthError,
+    QSRNotFoundError,
+    QSRConflictError,
+    QSRGoneError,
+    QSRServerError,
+    fromAxiosError,
+    siteUIDFromUrl
+};
+
+/** Type Definitions */
+
+/**
+ * @typedef {Object} ValidationProblem
+ * @property {string} path - Option that failed validation, e.g. "partySize" or "mixes[1].type".
+ * @property {string} message - Description of the problem.
+ */
@@ -0,0 +1,300 @@
+/**
+ * QSR Export
+ * Flattens Visit, TableEvent, TableHistory, TeamMemberEvent and Guest records into columns
+ * and streams them to CSV or NDJSON, page by page, so large ranges never have to fit in memory.
+ * @author Steve Ostopchuck
+ */
+const fs = require('fs');
+const { once } = require('events');
+const { finished } = require('stream/promises');
+const { QSRConfigError, QSRError } = require('./errors');
+const { isLocalRange } = require('./timezone');
+
+/**
+ * Default columns per record type, in output order. A column is a dot path, or an ExportColumn.
+ * Paths with "[]" map over an array and join the values.
+ */
+const DEFAULT_COLUMNS = {
+    visits: [
+        'ID', 'SiteUID', 'ConfirmationNumber', 'Type', 'Status', 'Size', 'VisitSource', 'SyncSource',
+        'CreationTime', 'EstimatedArrivalTime', 'ArrivalTime', 'PagedTime', 'SeatedTime', 'CompletedTime', 'CanceledTime',
+        'Quote.QuoteLow', 'Quote.QuoteHigh', 'NotificationType', 'PagerID', 'ExternalID', 'SeatingAreaName',
+        'GuestID', 'Guest.FirstName', 'Guest.LastName', 'Guest.Email', 'Guest.PhoneNumbers[].PhoneNumber', 'Guest.Loyalty.LoyaltyCardID',
+        { name: 'PartyMix', path: 'PartyMix.Mixes[]', value: mix => `${mix.Type}:${mix.Count}` },
+        'SeatedTables[].TableName',
+        { name: 'CustomValues', path: 'CustomValues[]', value: custom => `${custom.Name}=${custom.Value}` },
+        'Notes', 'LastUpdate'
+    ],
+    tableEvents: [
+        'UID', 'Version', 'Category', 'Type', 'SyncSource', 'LastUpdate', 'ServerLastUpdate',
+        'Content.Table.Name', 'Content.Table.SeatCount', 'Content.Station.Name', 'Content.Shift.Name', 'Content.FloorPlan.Name',
+        'Content.TransactionNumber', 'Content.CheckAmount'
+    ],
+    tableHistory: [
+        'ID', 'Name', 'SeatCount', 'FloorPlanName', 'OperatingPeriodName', 'ShiftName',
+        'CreatedTime', 'DirtiedTime', 'CleanedTime', 'LastUpdate'
+    ],
+    teamMemberEvents: [
+        'UID', 'Version', 'Category', 'Type', 'SyncSource', 'LastUpdate',
+        'Content.TeamMember.UID', 'Content.TeamMember.FirstName', 'Content.TeamMember.LastName',
+        'Content.Shift.Name', 'Content.Station.Name'
+    ],
+    guests: [
+        'ID', 'FirstName', 'LastName', 'Email', 'PhoneNumbers[].PhoneNumber', 'Loyalty.LoyaltyCardID',
+        'IsAnonymous', 'IsSubscribedToEmailMarketing', 'IsSubscribedtoSmsMarketing', 'IsSubscribedToQsrMarketing',
+        'Addresses.0.Address', 'Addresses.0.City', 'Addresses.0.State', 'Addresses.0.Postal',
+        { name: 'CustomValues', path: 'CustomValues[]', value: custom => `${custom.Name}=${custom.Value}` },
+        'Notes', 'LastUpdate'
+    ]
+};
+
+/**
+ * Get a value by dot path, e.g. "Guest.LastName" or "PhoneNumbers.0.PhoneNumber".
+ * @param {Object} record - Record.
+ * @param {string} path - Dot path.
+ * @returns {*} - Value, or undefined.
+ */
+function getPath(record, path) {
+    if (!path) return record;
+    return path.split('.').reduce((value, key) => value === undefined || value === null ? undefined : value[key], record);
+}
+
+/**
+ * Format a value for a CSV or table cell. Objects are written as JSON.
+ * @param {*} value - Value.
+ * @returns {string} - Cell text.
+ */
+function cellText(value) {
+    if (value === undefined || value === null) return '';
+    if (typeof value === 'object') return JSON.stringify(value);
+    return String(value);
+}
+
+/**
+ * Format a CSV line, quoting fields when needed.
+ * @param {Array} values - Field values.
+ * @returns {string} - CSV line, without the line break.
+ */
+function csvLine(values) {
+    return values.map(value => {
+        const text = cellText(value);
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }).join(',');
+}
+
+/**
+ * Normalize a column definition.
+ * @param {string|ExportColumn} column - Dot path or ExportColumn.
+ * @returns {ExportColumn} - ExportColumn with name and path.
+ */
+function normalizeColumn(column) {
+    const spec = typeof column === 'string' ? { path: column } : { ...column };
+    if (!spec.name) spec.name = spec.path.replace(/\[\]/g, '');
+    return spec;
+}
+
+/**
+ * Create a flattener turning records into rows of the given columns.
+ * With explode, each element of that array becomes its own row. Columns under "<explode>[]." then
+ * read from the element, and the other columns repeat the parent record's values.
+ * @example
+ * const flattener = createFlattener({ type: 'visits', explode: 'SeatedTables', columns: ['ID', 'SeatedTables[].TableName'] });
+ * flattener.rows(visit); // [['V1', 'T4'], ['V1', 'T5']]
+ * @param {Object} [options] - Optional.
+ * @param {string} [options.type] - Optional. Record type for the default columns: visits, tableEvents, tableHistory, teamMemberEvents or guests.
+ * @param {Array<string|ExportColumn>} [options.columns] - Optional. Columns in output order. Defaults to the type's columns.
+ * @param {string} [options.explode] - Optional. Path of an array to explode into one row per element.
+ * @param {string} [options.separator] - Optional. Separator for joined array values. Defaults to "|".
+ * @returns {Object} - { columns: string[], rows(record): Array[] }.
+ */
+function createFlattener(options = {}) {
+    const columnSpecs = options.columns || DEFAULT_COLUMNS[options.type];
+    if (!columnSpecs) throw new QSRConfigError(`QSR Error: No columns given and no default columns for type "${options.type}".`);
+    const columns = columnSpecs.map(normalizeColumn);
+    const separator = options.separator ?? '|';
+    const explodePrefix = options.explode ? `${options.explode}[]` : null;
+
+    const valueOf = (column, record, element) => {
+        let path = column.path;
+        let source = record;
+        if (explodePrefix && (path === explodePrefix || path.startsWith(`${explodePrefix}.`))) {
+            if (element === undefined) return undefined;
+            source = element;
+            path = path.slice(explodePrefix.length + 1);
+            return column.value ? column.value(getPath(source, path), record) : getPath(source, path);
+        }
+        const arrayAt = path.indexOf('[]');
+        if (arrayAt === -1) return column.value ? column.value(getPath(source, path), record) : getPath(source, path);
+        const list = getPath(source, path.slice(0, arrayAt).replace(/\.$/, ''));
+        if (!Array.isArray(list)) return undefined;
+        const rest = path.slice(arrayAt + 2).replace(/^\./, '');
+        return list
+            .map(item => column.value ? column.value(rest ? getPath(item, rest) : item, record) : (rest ? getPath(item, rest) : item))
+            .filter(value => value !== undefined && value !== null && value !== '')
+            .map(cellText)
+            .join(column.separator ?? separator);
+    };
+
+    return {
+        columns: columns.map(column => column.name),
+        rows(record) {
+            if (!explodePrefix) return [columns.map(column => valueOf(column, record))];
+            const elements = getPath(record, options.explode);
+            if (!Array.isArray(elements) || !elements.length) return [columns.map(column => valueOf(column, record, undefined))];
+            return elements.map(element => columns.map(column => valueOf(column, record, element)));
+        }
+    };
+}
+
+/**
+ * Write a chunk, waiting for the stream to drain when its buffer is full.
+ * @param {Object} stream - Writable stream.
+ * @param {string} chunk - Chunk.
+ * @param {Object} state - Stream state. state.error is set by the stream's 'error' listener.
+ * @returns {Promise} - Resolves once the chunk can be followed by more.
+ */
+async function write(stream, chunk, state) {
+    if (state.error) throw state.error;
+    if (!stream.write(chunk)) await once(stream, 'drain');
+}
+
+/**
+ * Wrap an error of the export's output stream.
+ * @param {Error} err - Stream error.
+ * @param {string|Object} output - File path, or the stream.
+ * @returns {QSRError} - QSRError with err as its cause.
+ */
+function outputError(err, output) {
+    const target = typeof output === 'string' ? ` to ${output}` : '';
+    return new QSRError(`QSR Error: Could not write the export${target}: ${err.message}`, { cause: err });
+}
+
+/**
+ * Stream records to CSV or NDJSON.
+ * @example
+ * await writeRecords(qsr.iterateVisitUpdates(siteUID, start, end), { type: 'visits', format: 'csv', output: 'visits.csv' });
+ * @param {AsyncIterable|Iterable} records - Records, or pages of records ({ items }) as yielded by the iterate* methods.
+ * @param {Object} options - Options. Also takes the createFlattener options.
+ * @param {string|Object} options.output - File path, or a writable stream (left open).
+ * @param {string} [options.format] - Optional. csv or ndjson. Defaults to csv.
+ * @param {boolean} [options.header] - Optional. If false, the CSV header line is left out. Defaults to true.
+ * @param {boolean} [options.flatten] - Optional. If false, NDJSON lines are the records as returned by the API. Defaults to true.
+ * @returns {Promise<ExportSummary>} - ExportSummary.
+ * @throws {QSRError} - If the output cannot be written (bad path, disk full...), with the stream error as its cause.
+ */
+async function writeRecords(records, options) {
+    const format = options.format || 'csv';
+    if (!['csv', 'ndjson'].includes(format)) throw new QSRConfigError(`QSR Error: Unknown export format "${format}". Use csv or ndjson.`);
+    const flattener = createFlattener(options);
+    const ownsStream = typeof options.output === 'string';
+    const stream = ownsStream ? fs.createWriteStream(options.output) : options.output;
+    // Listen from the start: a stream error with no listener would be thrown as an uncaught exception
+    const state = { error: null };
+    const onError = err => { state.error = state.error || err; };
+    stream.on('error', onError);
+    const summary = { records: 0, rows: 0, columns: flattener.columns };
+    try {
+        if (format === 'csv' && options.header !== false) await write(stream, `${csvLine(flattener.columns)}\n`, state);
+        for await (const entry of records) {
+            const items = entry && Array.isArray(entry.items) ? entry.items : [entry];
+            for (const record of items) {
+                summary.records++;
+                if (format === 'ndjson' && options.flatten === false) {
+                    summary.rows++;
+                    await write(stream, `${JSON.stringify(record)}\n`, state);
+                    continue;
+                }
+                for (const row of flattener.rows(record)) {
+                    summary.rows++;
+                    if (format === 'csv') {
+                        await write(stream, `${csvLine(row)}\n`, state);
+                    } else {
+                        const line = {};
+                        flattener.columns.forEach((column, i) => { line[column] = row[i] ?? null; });
+                        await write(stream, `${JSON.stringify(line)}\n`, state);
+                    }
+                }
+            }
+        }
+    } catch (err) {
+        throw err === state.error ? outputError(err, options.output) : err;
+    } finally {
+        if (ownsStream) {
+            stream.end();
+            await finished(stream).catch(onError);
+        } else {
+            stream.off('error', onError);
+        }
+    }
+    if (state.error) throw outputError(state.error, options.output);
+    return summary;
+}
+
+/**
+ * Iterate the guestbook page by page.
+ * @param {QSR} qsr - QSR instance.
+ * @param {Object} [search] - Optional. searchGuestbook criteria.
+ * @param {number} [perPage] - Optional. Guests per page. Defaults to 100.
+ * @returns {AsyncGenerator<Page>} - Pages of Guest records.
+ */
+async function* guestPages(qsr, search = {}, perPage = 100) {
+    for (let pageNumber = 1; ; pageNumber++) {
+        const guests = await qsr.searchGuestbook({ ...search, guestsPerPage: perPage, pageNumber }) || [];
+        yield { items: guests, pageNumber, hasMore: guests.length === perPage };
+        if (guests.length < perPage) return;
+    }
+}
+
+/**
+ * Get the paged source of a record type.
+ * @param {QSR} qsr - QSR instance.
+ * @param {string} type - visits, tableEvents, tableHistory, teamMemberEvents or guests.
+ * @param {Object} options - Export options: siteUID, start (a Date or a LocalRange), end and syncSource, or search for guests.
+ * @returns {AsyncIterable<Page>} - Pages of records.
+ */
+function recordSource(qsr, type, options) {
+    if (type === 'guests') return guestPages(qsr, options.search, options.guestsPerPage);
+    if (!options.siteUID || !options.start || (!options.end && !isLocalRange(options.start))) {
+        throw new QSRConfigError(`QSR Error: Exporting ${type} requires siteUID, start and end.`);
+    }
+    switch (type) {
+        case 'visits':
+            return qsr.iterateVisitUpdates(options.siteUID, options.start, options.end, options.syncSource);
+        case 'tableEvents':
+            return qsr.iterateTableEvents(options.siteUID, options.start, options.end);
+        case 'tableHistory':
+            return qsr.iterateTableHistory(options.siteUID, options.start, options.end);
+        case 'teamMemberEvents':
+            return qsr.iterateTeamMemberEvents(options.siteUID, options.start, options.end);
+        default:
+            throw new QSRConfigError(`QSR Error: Unknown export type "${type}".`);
+    }
+}
+
+module.exports = {
+    DEFAULT_COLUMNS,
+    getPath,
+    cellText,
+    csvLine,
+    createFlattener,
+    writeRecords,
+    guestPages,
+    recordSource
+};
+
+/** Type Definitions */
+
+/**
+ * @typedef {Object} ExportColumn
+ * @property {string} path - Dot path of the value. "[]" maps over an array, e.g. "SeatedTables[].TableName".
+ * @property {string} [name] - Optional. Column name. Defaults to the path without "[]".
+ * @property {Function} [value] - Optional. Converts the value (each array element for "[]" paths) before it is written. Receives the value and the record.
+ * @property {string} [separator] - Optional. Separator for this column's joined values.
+ */
+
+/**
+ * @typedef {Object} ExportSummary
+ * @property {number} records - Number of records read.
+ * @property {number} rows - Number of rows (CSV lines or NDJSON lines) written, excluding the header.
+ * @property {string[]} columns - Column names, in output order.
+ */
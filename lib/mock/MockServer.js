@@ -0,0 +1,1085 @@
+/**
+ * QSR Mock Server Class File
+ * An in-process fake of the DineTime Enterprise API for offline development and tests.
+ * @author Steve Ostopchuck
+ */
+const http = require('http');
+const crypto = require('crypto');
+const { verifySignature } = require('../signer');
+const { createSeedData, confirmationNumber, uid } = require('./seed');
+
+const VISITS_PAGE_SIZE = 30;
+const EVENTS_PAGE_SIZE = 100;
+const ACTIVE_WEBAHEAD = ['NotYetArrived', 'Waiting', 'PartiallyArrived', 'Notified'];
+const ARRIVED = ['Waiting', 'PartiallySeated', 'Seated', 'AlmostFinished', 'Payment', 'Completed', 'CheckStarted'];
+
+/**
+ * Top-level body fields accepted by each write route, as documented by the DineTime API.
+ * Written out here rather than taken from the client's schemas, so a field name the client gets wrong is rejected.
+ */
+const SUBSCRIPTION_FIELDS = ['IsSubscribedToSmsMarketing', 'IsSubscribedToEmailMarketing', 'IsSubscribedToQsrMarketing'];
+const WEB_AHEAD_FIELDS = ['PartySize', 'PhoneNumberString', 'LastName', 'FirstName', 'Email', 'GuestID', 'EstimatedArrivalTime',
+    'ExpandGuest', 'Notes', 'NotificationType', ...SUBSCRIPTION_FIELDS];
+const GUEST_FIELDS = ['FirstName', 'LastName', 'Email', 'Notes', 'IsAnonymous', 'Loyalty', 'PhoneNumbers', 'Addresses', 'CustomValues',
+    ...SUBSCRIPTION_FIELDS];
+const BODY_FIELDS = {
+    tableEvent: ['ID', 'EventType', 'TableName', 'TimestampUtc', 'TransactionNumber', 'CheckAmount'],
+    reservation: ['PartySize', 'EstimatedArrivalTime', 'FirstName', 'LastName', 'Email', 'PhoneNumber', 'PhoneNumberString', 'GuestId',
+        'Notes', 'PagerId', 'SeatingAreaUID', 'NotificationType', ...SUBSCRIPTION_FIELDS],
+    reservationUpdate: ['PartySize', 'EstimatedArrivalTime', 'PhoneNumber', 'Notes', 'PagerId', 'NotificationType', 'FoodAllergies'],
+    externalReservation: ['PartySize', 'Size', 'EstimatedArrivalTime', 'CanceledTime', 'Guest', 'Notes', 'PartyMix', 'CustomValues', 'SyncSource'],
+    walkIn: ['PartySize', 'ArrivalTime', 'ExternalID', 'Guest', 'Notes'],
+    webAhead: WEB_AHEAD_FIELDS,
+    guest: GUEST_FIELDS,
+    proximity: ['SiteUID', 'VisitID', 'Timestamp', 'Source', 'Latitude', 'Longitude', 'Distance'],
+    partyMix: ['Mixes']
+};
+
+/**
+ *  Mock DineTime API server.
+ *  Serves the routes used by the QSR class from a seeded in-memory data model, with the API's paging
+ *  (30 visits or 100 events per page, MoreData/TimestampCutoff, partner site Token), dinetime-sv2-hmac-sha1
+ *  signature validation and injectable faults.
+ *  @example
+ *  const server = new MockServer();
+ *  const baseURL = await server.start();
+ *  const qsr = new QSR(server.companyUID, server.apiKeys, { baseURL });
+ *  const sites = await qsr.getCompanySites();
+ *  await server.stop();
+ */
+class MockServer {
+    'use strict'
+    #server = null;
+    #faults = [];
+    #routes;
+
+    /**
+     * Create a MockServer.
+     * @param {Object} [options] - Optional.
+     * @param {string} [options.companyUID] - Optional. Company UID. Defaults to "MOCKCOMPANY".
+     * @param {string} [options.accessKey] - Optional. Access key accepted by the server. Defaults to "mock-access-key".
+     * @param {string} [options.secretKey] - Optional. Secret key accepted by the server. Defaults to "mock-secret-key".
+     * @param {boolean} [options.validateSignature] - Optional. If false, requests are not authenticated. Defaults to true.
+     * @param {number} [options.clockSkew] - Optional. Accepted difference between x-dinetime-timestamp and the server clock, in milliseconds. Defaults to 300000.
+     * @param {boolean} [options.strictBodies] - Optional. If false, write requests with undocumented body fields are accepted instead of rejected with a 400. Defaults to true.
+     * @param {boolean} [options.inclusiveCursor] - Optional. If true, paged feeds include records stamped exactly at the start time, like a cursor that overlaps the previous page. Defaults to false.
+     * @param {Function} [options.clock] - Optional. Returns the server time in milliseconds. Defaults to Date.now.
+     * @param {MockData} [options.data] - Optional. Data model to serve. Defaults to createSeedData(options).
+     * @param {number} [options.seed] - Optional. Seed for the generated data.
+     * @param {Date} [options.now] - Optional. Generated activity covers the two days before this time.
+     */
+    constructor(options = {}) {
+        this.companyUID = options.companyUID || 'MOCKCOMPANY';
+        this.apiKeys = {
+            accessKey: options.accessKey || 'mock-access-key',
+            secretKey: options.secretKey || 'mock-secret-key'
+        };
+        this.validateSignature = options.validateSignature !== false;
+        this.clockSkew = options.clockSkew ?? 5 * 60 * 1000;
+        this.strictBodies = options.strictBodies !== false;
+        this.inclusiveCursor = Boolean(options.inclusiveCursor);
+        this.clock = options.clock || Date.now;
+        this.data = options.data || createSeedData({ ...options, companyUID: this.companyUID });
+        this.requests = [];
+        this.#routes = this.#buildRoutes();
+    }
+
+    /**
+     * Start listening on 127.0.0.1.
+     * @param {number} [port] - Optional. Port. Defaults to a random free port.
+     * @returns {Promise<string>} - Base URL of the server, for the QSR baseURL option.
+     */
+    start(port = 0) {
+        return new Promise((resolve, reject) => {
+            this.#server = http.createServer((req, res) => this.#handle(req, res));
+            this.#server.once('error', reject);
+            this.#server.listen(port, '127.0.0.1', () => {
+                this.url = `http://127.0.0.1:${this.#server.address().port}`;
+                resolve(this.url);
+            });
+        });
+    }
+
+    /**
+     * Stop the server.
+     * @returns {Promise} - Resolves once closed.
+     */
+    stop() {
+        return new Promise(resolve => {
+            if (!this.#server) return resolve();
+            this.#server.close(() => resolve());
+            this.#server.closeAllConnections?.();
+            this.#server = null;
+        });
+    }
+
+    /**
+     * Inject a fault. Matching requests fail instead of being served, until the fault has been used `times` times.
+     * @example
+     * server.injectFault({ path: /\/Visits$/, status: 503, headers: { 'Retry-After': '1' }, times: 2 });
+     * server.injectFault({ path: '/Site/', reset: true });
+     * @param {Object} fault - Fault.
+     * @param {string|RegExp} [fault.path] - Optional. Path prefix (case-insensitive) or pattern to match. Defaults to every path.
+     * @param {string} [fault.method] - Optional. HTTP method to match. Defaults to every method.
+     * @param {number} [fault.status] - Optional. Status to respond with. Defaults to 500.
+     * @param {*} [fault.body] - Optional. JSON body to respond with.
+     * @param {Object} [fault.headers] - Optional. Headers to respond with.
+     * @param {number} [fault.delay] - Optional. Milliseconds to wait before responding.
+     * @param {boolean} [fault.reset] - Optional. If true, the connection is destroyed without a response.
+     * @param {number} [fault.times] - Optional. Number of requests to fail. Defaults to 1, Infinity for every request.
+     * @returns {Object} - The fault. Its `hits` property counts the requests it failed.
+     */
+    injectFault(fault) {
+        const entry = { status: 500, times: 1, ...fault, hits: 0 };
+        this.#faults.push(entry);
+        return entry;
+    }
+
+    /**
+     * Remove every injected fault.
+     */
+    clearFaults() {
+        this.#faults = [];
+    }
+
+    /**
+     * Get the seeded data of a site.
+     * @param {string} siteUID - Globally unique identifier for a site.
+     * @returns {Object} - Site data: tables, teamMembers, teamMemberEvents, visits, tableEvents, tableHistory, webAheadEnabled.
+     */
+    site(siteUID) {
+        return this.data.siteData[siteUID];
+    }
+
+    async #handle(req, res) {
+        const chunks = [];
+        for await (const chunk of req) chunks.push(chunk);
+        const rawBody = Buffer.concat(chunks).toString();
+        const url = new URL(req.url, 'http://mock');
+        const request = {
+            method: req.method.toUpperCase(),
+            path: url.pathname,
+            query: url.searchParams,
+            headers: req.headers,
+            rawBody,
+            body: parseBody(rawBody, req.headers['content-type'])
+        };
+        this.requests.push({ method: request.method, path: request.path, query: Object.fromEntries(url.searchParams), body: request.body });
+
+        const fault = this.#faults.find(candidate => candidate.hits < candidate.times
+            && (!candidate.method || candidate.method.toUpperCase() === request.method)
+            && (!candidate.path || (candidate.path instanceof RegExp
+                ? candidate.path.test(request.path)
+                : request.path.toLowerCase().startsWith(candidate.path.toLowerCase()))));
+        if (fault) {
+            fault.hits++;
+            if (fault.delay) await new Promise(resolve => setTimeout(resolve, fault.delay));
+            if (fault.reset) return req.socket.destroy();
+            return send(res, fault.status, fault.body ?? { Message: 'Injected fault' }, fault.headers);
+        }
+
+        if (this.validateSignature) {
+            const result = await verifySignature({ method: req.method, url: req.url, headers: req.headers, body: rawBody }, {
+                ...this.apiKeys,
+                clockSkew: this.clockSkew,
+                now: this.clock()
+            });
+            if (!result.valid) return send(res, 401, { Message: result.reason });
+        }
+
+        for (const route of this.#routes) {
+            if (route.method !== request.method) continue;
+            const match = request.path.match(route.pattern);
+            if (!match) continue;
+            const unknown = this.strictBodies && route.fields ? unknownFields(request.body, route.fields) : [];
+            if (unknown.length) return send(res, 400, { Message: `Unknown field(s) in request body: ${unknown.join(', ')}.` });
+            try {
+                const result = route.handler({ ...request, params: match.slice(1).map(decodeURIComponent) });
+                return send(res, result.status || 200, result.body, result.headers);
+            } catch (err) {
+                const status = err instanceof NotFound ? 404 : err instanceof BadRequest ? 400 : 500;
+                return send(res, status, { Message: err.message });
+            }
+        }
+        return send(res, 404, { Message: `No route for ${request.method} ${request.path}` });
+    }
+
+    #buildRoutes() {
+        const S = '([^/]+)';
+        const routes = [];
+        const route = (method, path, handler, fields) => routes.push({ method, pattern: new RegExp(`^${path}/?$`, 'i'), handler: handler.bind(this), fields });
+
+        // Company
+        route('GET', `/Company/${S}/Sites`, this.#companySites);
+        route('GET', `/Companies/${S}/Brands`, this.#brands);
+        route('GET', `/Companies/${S}/Sites/CustomerSiteIdMap`, this.#customerSiteIdMap);
+
+        // Partner sites and multi-site WebAhead status
+        route('GET', '/Site/Sites', this.#partnerSites);
+        route('GET', '/Site/WebAhead/Status', this.#waitListStatusMultipleSites);
+
+        // Site
+        route('GET', `/Site/${S}`, this.#site);
+        route('GET', `/Site/${S}/operatingInfo`, this.#operatingInfo);
+        route('GET', `/Site/${S}/PrecalculatedQuotes`, this.#precalculatedQuotes);
+
+        // Team members
+        route('GET', `/Site/${S}/TeamMembers`, this.#teamMembers);
+        route('POST', `/Site/${S}/TeamMembers`, this.#addTeamMember);
+        route('GET', `/Site/${S}/TeamMembers/Events`, this.#teamMemberEvents);
+        route('PATCH', `/Site/${S}/TeamMembers/${S}`, this.#updateTeamMember);
+        route('DELETE', `/Site/${S}/TeamMembers/${S}`, this.#removeTeamMember);
+
+        // Tables
+        route('GET', `/Site/${S}/Tables`, this.#tables);
+        route('GET', `/Site/${S}/Tables/Status`, this.#tableStatus);
+        route('GET', `/Site/${S}/Tables/History`, this.#tableHistory);
+        route('GET', `/Site/${S}/Tables/Events`, this.#tableEvents);
+        route('POST', `/Site/${S}/Visit/TableEvent`, this.#addTableEvent, BODY_FIELDS.tableEvent);
+
+        // Reservations
+        route('GET', `/Site/${S}/reservations/availability`, this.#reservationAvailability);
+        route('GET', `/Site/${S}/reservations`, this.#reservationByConfirmation);
+        route('POST', `/Site/${S}/reservations`, this.#addReservation, BODY_FIELDS.reservation);
+        route('PATCH', `/Site/${S}/reservations/${S}`, this.#updateReservation, BODY_FIELDS.reservationUpdate);
+        route('DELETE', `/Site/${S}/reservations/${S}`, this.#removeReservation);
+        route('POST', `/Site/${S}/reservations/${S}/Arrive`, ctx => this.#arrive(ctx, this.#visitById(ctx), false));
+        route('PUT', `/Site/${S}/externalreservations/${S}`, this.#syncExternalReservation, BODY_FIELDS.externalReservation);
+
+        // Walk-ins and WebAheads
+        route('POST', `/Site/${S}/WalkIn`, this.#addWalkIn, BODY_FIELDS.walkIn);
+        route('POST', `/Site/${S}/WebAhead`, this.#addWebAhead, BODY_FIELDS.webAhead);
+        route('GET', `/Site/${S}/WebAhead/Status`, this.#waitListStatus);
+        route('GET', `/Site/${S}/WebAhead/StatusforPartySize`, this.#waitListStatusForPartySizes);
+        route('POST', `/Site/${S}/WebAhead/enable`, ctx => this.#setWebAhead(ctx, true));
+        route('POST', `/Site/${S}/WebAhead/disable`, ctx => this.#setWebAhead(ctx, false));
+        route('GET', `/Site/${S}/WebAhead/${S}`, ctx => this.#getWebAhead(ctx, this.#visitById(ctx)));
+        route('PATCH', `/Site/${S}/WebAhead/${S}`, ctx => this.#updateWebAhead(ctx, this.#visitById(ctx)), BODY_FIELDS.webAhead);
+        route('POST', `/Site/${S}/WebAhead/${S}/cancel`, ctx => this.#cancelWebAhead(ctx, this.#visitById(ctx)));
+        route('POST', `/Site/${S}/WebAhead/${S}/arrive`, ctx => this.#arrive(ctx, this.#visitById(ctx), true));
+        route('GET', '/WebAhead', ctx => this.#getWebAhead(ctx, this.#visitByConfirmationId(ctx)));
+        route('PATCH', '/WebAhead', ctx => this.#updateWebAhead(ctx, this.#visitByConfirmationId(ctx)), BODY_FIELDS.webAhead);
+        route('POST', '/WebAhead/Cancel', ctx => this.#cancelWebAhead(ctx, this.#visitByConfirmationId(ctx)));
+        route('POST', '/WebAhead/Arrive', ctx => this.#arrive(ctx, this.#visitByConfirmationId(ctx), true));
+        route('GET', `/WebAhead/${S}`, ctx => this.#getWebAhead(ctx, this.#visitByConfirmation(ctx.params[0])));
+        route('PATCH', `/WebAhead/${S}`, ctx => this.#updateWebAhead(ctx, this.#visitByConfirmation(ctx.params[0])), BODY_FIELDS.webAhead);
+        route('POST', `/WebAhead/${S}/cancel`, ctx => this.#cancelWebAhead(ctx, this.#visitByConfirmation(ctx.params[0])));
+        route('POST', `/WebAhead/${S}/arrive`, ctx => this.#arrive(ctx, this.#visitByConfirmation(ctx.params[0]), true));
+
+        // Guestbook
+        route('GET', `/company/${S}/GuestBook`, this.#searchGuestbook);
+        route('POST', `/company/${S}/GuestBook`, this.#addGuest, BODY_FIELDS.guest);
+        route('PATCH', `/company/${S}/GuestBook/${S}`, this.#updateGuest, BODY_FIELDS.guest);
+        route('DELETE', `/company/${S}/GuestBook/${S}`, this.#removeGuest);
+
+        // Visits
+        route('GET', `/Site/${S}/Visits`, this.#visitUpdates);
+        route('GET', `/Site/${S}/Visit`, this.#openVisit);
+        route('GET', `/Site/${S}/Visit/ExternalID/${S}`, this.#visitByExternalId);
+        route('GET', `/Site/${S}/Visit/${S}`, ctx => ({ body: this.#visitById(ctx) }));
+        route('POST', `/Site/${S}/Visit/${S}/Arrive`, ctx => this.#arrive(ctx, this.#visitById(ctx), false));
+        route('PATCH', `/Site/${S}/Visit/${S}/Proximity`, this.#updateProximity, BODY_FIELDS.proximity);
+        route('POST', `/Site/${S}/Visit/${S}/PartyMix`, this.#updatePartyMix, BODY_FIELDS.partyMix);
+
+        return routes;
+    }
+
+    /* Lookups. These throw a NotFound that #handle turns into a 404. */
+
+    #siteData(ctx) {
+        const site = this.data.siteData[ctx.params[0]];
+        if (!site) throw new NotFound('Site not found.');
+        return site;
+    }
+
+    #visitById(ctx) {
+        const visit = this.#siteData(ctx).visits.find(candidate => candidate.ID === ctx.params[1]);
+        if (!visit) throw new NotFound('Visit not found.');
+        return visit;
+    }
+
+    #visitByConfirmation(confirmation) {
+        const visit = this.#allVisits().find(candidate => candidate.ConfirmationNumber === confirmation);
+        if (!visit) throw new NotFound('Visit not found.');
+        return visit;
+    }
+
+    #visitByConfirmationId(ctx) {
+        const id = Number(query(ctx, 'confirmationNumberId'));
+        const visit = this.#allVisits().find(candidate => candidate.ConfirmationNumberID === id);
+        if (!visit) throw new NotFound('Visit not found.');
+        return visit;
+    }
+
+    #allVisits() {
+        return Object.values(this.data.siteData).flatMap(site => site.visits);
+    }
+
+    #now() {
+        return new Date(this.clock()).toISOString();
+    }
+
+    #touch(record) {
+        record.LastUpdate = this.#now();
+        if ('Version' in record) record.Version++;
+        // SyncSource is the source of the last update, which is the API unless set by an external sync
+        if ('SyncSource' in record) record.SyncSource = 'API';
+        return record;
+    }
+
+    /* Company */
+
+    #companySites(ctx) {
+        this.#checkCompany(ctx);
+        return { body: this.data.sites.filter(site => site.IsActive !== false) };
+    }
+
+    #brands(ctx) {
+        this.#checkCompany(ctx);
+        return { body: this.data.brands.map(brand => brand.BrandUID) };
+    }
+
+    #customerSiteIdMap(ctx) {
+        this.#checkCompany(ctx);
+        const onlyActive = /^true$/i.test(query(ctx, 'getOnlyActiveSites') || '');
+        return {
+            body: this.data.sites
+                .filter(site => !onlyActive || site.IsActive !== false)
+                .map(site => ({ SiteUID: site.SiteUID, CustomerSiteID: site.CustomerSiteID, IsActive: site.IsActive !== false }))
+        };
+    }
+
+    #checkCompany(ctx) {
+        if (ctx.params[0].toLowerCase() !== this.companyUID.toLowerCase()) throw new NotFound('Company not found.');
+    }
+
+    #partnerSites(ctx) {
+        const token = query(ctx, 'Token');
+        const index = token ? Number(Buffer.from(token, 'base64').toString()) : 0;
+        const site = this.data.partnerSites[index];
+        if (!site) throw new NotFound('Invalid token.');
+        const hasMore = index + 1 < this.data.partnerSites.length;
+        return {
+            body: {
+                PageData: JSON.stringify(site),
+                SiteUID: site.SiteUID,
+                ExternalSiteID: site.ExternalSiteID,
+                HasMore: hasMore,
+                Token: hasMore ? Buffer.from(String(index + 1)).toString('base64') : null
+            }
+        };
+    }
+
+    /* Site */
+
+    #site(ctx) {
+        this.#siteData(ctx);
+        return { body: this.data.sites.find(site => site.SiteUID === ctx.params[0]) };
+    }
+
+    #operatingInfo(ctx) {
+        this.#siteData(ctx);
+        const days = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+        return {
+            body: {
+                Days: days.map(day => ({
+                    ID: day,
+                    Schedule: [
+                        { Session: 'Lunch', StartTime: '11:00:00', Status: 'Open' },
+                        { Session: 'Dinner', StartTime: '16:00:00', Status: 'Open' },
+                        { Session: 'Closed', StartTime: '23:00:00', Status: 'Closed' }
+                    ]
+                })),
+                Sessions: [{ Session: 'Lunch' }, { Session: 'Dinner' }]
+            }
+        };
+    }
+
+    #precalculatedQuotes(ctx) {
+        this.#siteData(ctx);
+        const partySize = Number(query(ctx, 'PartySize'));
+        const quotes = Array.from({ length: 12 }, (_, i) => quoteFor(this.#waiting(ctx).length, i + 1))
+            .map((quote, i) => ({
+                partySize: i + 1,
+                quote: [{
+                    quoteLow: quote.QuoteLow,
+                    quoteHigh: quote.QuoteHigh,
+                    exactQuote: quote.QuoteLow + 5,
+                    siteQuoteString: quote.SiteQuoteString,
+                    consumerQuoteString: quote.ConsumerQuoteString,
+                    checkBackTime: 0,
+                    autoNoShowTime: 0,
+                    guestChitString: ''
+                }]
+            }));
+        return { body: { Quotes: partySize ? quotes.filter(quote => quote.partySize === partySize) : quotes } };
+    }
+
+    /* Team members */
+
+    #teamMembers(ctx) {
+        return { body: this.#siteData(ctx).teamMembers };
+    }
+
+    #addTeamMember(ctx) {
+        const site = this.#siteData(ctx);
+        const member = { ...ctx.body, UID: uid(ctx.params[0], 'member', site.teamMembers.length, this.clock()), IsActive: true, CreatedTime: this.#now() };
+        site.teamMembers.push(this.#touch(member));
+        return { body: site.teamMembers };
+    }
+
+    #updateTeamMember(ctx) {
+        const site = this.#siteData(ctx);
+        const member = site.teamMembers.find(candidate => candidate.UID === ctx.params[1]);
+        if (!member) throw new NotFound('Team member not found.');
+        Object.assign(member, ctx.body, { UID: member.UID });
+        this.#touch(member);
+        return { body: site.teamMembers };
+    }
+
+    #removeTeamMember(ctx) {
+        const site = this.#siteData(ctx);
+        const index = site.teamMembers.findIndex(candidate => candidate.UID === ctx.params[1]);
+        if (index === -1) throw new NotFound('Team member not found.');
+        site.teamMembers.splice(index, 1);
+        return { body: true };
+    }
+
+    #teamMemberEvents(ctx) {
+        const page = this.#page(this.#siteData(ctx).teamMemberEvents, ctx, 'startTime', 'endTime', EVENTS_PAGE_SIZE);
+        return { body: { Events: page.records, MoreData: page.moreData, TimeStampCutoff: page.cutoff } };
+    }
+
+    /* Tables */
+
+    #tables(ctx) {
+        return { body: this.#siteData(ctx).tables };
+    }
+
+    #tableStatus(ctx) {
+        const site = this.#siteData(ctx);
+        return {
+            body: site.tables.map(table => {
+                const history = site.tableHistory.filter(entry => entry.Name === table.Name).slice(-1)[0] || {};
+                const open = history.CreatedTime && !history.DirtiedTime;
+                const dirty = history.DirtiedTime && !history.CleanedTime;
+                return {
+                    ID: table.ID,
+                    Name: table.Name,
+                    SeatCount: table.SeatCount,
+                    MinimumSeatCount: table.MinimumSeatCount,
+                    MaximumSeatCount: table.MaximumSeatCount,
+                    IsActive: table.IsActive,
+                    SeatingAreaId: table.SeatingAreaId,
+                    Status: open ? 'Occupied' : dirty ? 'Dirty' : 'Available',
+                    IsDirty: Boolean(dirty),
+                    OpenedTime: history.CreatedTime || null,
+                    ClosedTime: history.DirtiedTime || null,
+                    DirtyTime: history.DirtiedTime || null,
+                    CleanedTime: history.CleanedTime || null,
+                    LastSeatedTime: history.CreatedTime || null,
+                    LastCompletedTime: history.DirtiedTime || null,
+                    LastAvailableTime: history.CleanedTime || null,
+                    LastUpdate: history.LastUpdate || null
+                };
+            })
+        };
+    }
+
+    #tableHistory(ctx) {
+        const page = this.#page(this.#siteData(ctx).tableHistory, ctx, 'startTime', 'endTime', EVENTS_PAGE_SIZE);
+        return { body: { History: page.records, HasMoreData: page.moreData, TimeStampCutoff: page.cutoff } };
+    }
+
+    #tableEvents(ctx) {
+        const page = this.#page(this.#siteData(ctx).tableEvents, ctx, 'startTime', 'endTime', EVENTS_PAGE_SIZE);
+        return { body: { Events: page.records, MoreData: page.moreData, TimeStampCutoff: page.cutoff } };
+    }
+
+    #addTableEvent(ctx) {
+        const site = this.#siteData(ctx);
+        const body = ctx.body || {};
+        const table = site.tables.find(candidate => candidate.Name === body.TableName);
+        if (!table) return { status: 400, body: { Message: `Unknown table ${body.TableName}.` } };
+        site.tableEvents.push({
+            UID: body.ID || uid(ctx.params[0], 'event', site.tableEvents.length, this.clock()),
+            Version: 1,
+            Category: 'Table',
+            Type: body.EventType,
+            SyncSource: 'API',
+            LastUpdate: this.#now(),
+            ServerLastUpdate: this.#now(),
+            Content: {
+                Table: { Name: table.Name, UID: table.ID, SeatCount: table.SeatCount },
+                Station: { Name: table.Station, UID: uid(ctx.params[0], 'station', table.Station) },
+                TransactionNumber: body.TransactionNumber,
+                CheckAmount: body.CheckAmount,
+                Timestamp: body.TimestampUtc
+            }
+        });
+        return { body: true };
+    }
+
+    /* Reservations */
+
+    #reservationAvailability(ctx) {
+        this.#siteData(ctx);
+        const date = new Date(query(ctx, 'date'));
+        const partySize = Number(query(ctx, 'partySize'));
+        if (Number.isNaN(date.getTime()) || !partySize) return { status: 400, body: { Message: 'date and partySize are required.' } };
+        const booked = new Set(this.#siteData(ctx).visits.filter(visit => visit.Type === 'Reservation' && visit.Status !== 'Canceled')
+            .map(visit => visit.EstimatedArrivalTime));
+        const days = [];
+        for (let d = 0; d < 2; d++) {
+            const day = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate() + d));
+            const sessions = [{ SessionName: 'Lunch', from: 16, to: 19 }, { SessionName: 'Dinner', from: 22, to: 27 }];
+            days.push({
+                Date: day.toISOString().slice(0, 10),
+                Sessions: sessions.map(session => ({
+                    SessionName: session.SessionName,
+                    SeatingAreas: ['Main', 'Patio'].map((area, a) => ({
+                        SeatingAreaName: area,
+                        SeatingAreaUID: uid(ctx.params[0], 'area', a),
+                        GuestMessage: area === 'Patio' ? 'Patio seating is weather permitting.' : '',
+                        MaxPartySize: area === 'Patio' ? 4 : 10,
+                        Times: Array.from({ length: (session.to - session.from) * 2 }, (_, i) => {
+                            const time = new Date(day.getTime() + (session.from * 60 + i * 30) * 60000).toISOString();
+                            return {
+                                Time: time,
+                                IsAvailable: !booked.has(time) && (area !== 'Patio' || partySize <= 4) && (i + a + d) % 5 !== 0,
+                                OnlineSuspended: (i + d) % 11 === 7
+                            };
+                        })
+                    }))
+                }))
+            });
+        }
+        return { body: days };
+    }
+
+    #reservationByConfirmation(ctx) {
+        const conf = query(ctx, 'conf');
+        const visit = this.#siteData(ctx).visits.find(candidate => candidate.ConfirmationNumber === conf && candidate.Type === 'Reservation');
+        if (!visit) throw new NotFound('Reservation not found.');
+        return { body: visit };
+    }
+
+    #addReservation(ctx) {
+        const body = ctx.body || {};
+        if (!body.EstimatedArrivalTime || !body.PartySize) return { status: 400, body: { Message: 'EstimatedArrivalTime and PartySize are required.' } };
+        const taken = this.#siteData(ctx).visits.some(visit => visit.Type === 'Reservation' && visit.Status !== 'Canceled'
+            && visit.EstimatedArrivalTime === new Date(body.EstimatedArrivalTime).toISOString() && visit.SeatingAreaID === body.SeatingAreaUID);
+        // The API does not document how it rejects a time that was just taken, this status is the mock's own choice
+        if (taken) return { status: 409, body: { Message: 'The requested time is no longer available.' } };
+        const visit = this.#createVisit(ctx, 'Reservation', 'NotYetArrived', {
+            Size: body.PartySize,
+            EstimatedArrivalTime: new Date(body.EstimatedArrivalTime).toISOString(),
+            Notes: body.Notes || '',
+            PagerID: body.PagerId || null,
+            NotificationType: body.NotificationType || 'None',
+            SeatingAreaID: body.SeatingAreaUID || null
+        }, body);
+        return { body: visit };
+    }
+
+    #updateReservation(ctx) {
+        const visit = this.#visitById(ctx);
+        const body = ctx.body || {};
+        if (body.EstimatedArrivalTime) visit.EstimatedArrivalTime = new Date(body.EstimatedArrivalTime).toISOString();
+        if (body.PartySize) visit.Size = body.PartySize;
+        for (const key of ['Notes', 'PagerId', 'PhoneNumber', 'NotificationType', 'FoodAllergies']) {
+            if (body[key] !== undefined) visit[key === 'PagerId' ? 'PagerID' : key] = body[key];
+        }
+        this.#touch(visit);
+        return { body: true };
+    }
+
+    #removeReservation(ctx) {
+        const visit = this.#visitById(ctx);
+        visit.Status = 'Canceled';
+        visit.CanceledTime = this.#now();
+        this.#touch(visit);
+        return { body: true };
+    }
+
+    #syncExternalReservation(ctx) {
+        const site = this.#siteData(ctx);
+        const body = ctx.body || {};
+        const externalId = ctx.params[1];
+        let visit = site.visits.find(candidate => candidate.ExternalID === externalId);
+        // The mock reinstates a canceled reservation that is synced again without a CanceledTime, like a new one
+        const reinstated = visit && visit.Status === 'Canceled' && !body.CanceledTime;
+        if (!visit || reinstated) {
+            if (!body.EstimatedArrivalTime || !(body.Size || body.PartySize) || !body.Guest) {
+                return { status: 400, body: { Message: 'EstimatedArrivalTime, Size and Guest are required for a new reservation.' } };
+            }
+            if (reinstated) {
+                visit.Status = 'NotYetArrived';
+                visit.CanceledTime = null;
+            } else {
+                visit = this.#createVisit(ctx, 'Reservation', 'NotYetArrived', { ExternalID: externalId }, body.Guest);
+            }
+        }
+        if (body.EstimatedArrivalTime) visit.EstimatedArrivalTime = new Date(body.EstimatedArrivalTime).toISOString();
+        if (body.Size || body.PartySize) visit.Size = body.Size || body.PartySize;
+        if (body.Notes !== undefined) visit.Notes = body.Notes;
+        if (body.CustomValues) visit.CustomValues = body.CustomValues;
+        if (body.PartyMix) visit.PartyMix = body.PartyMix;
+        if (body.CanceledTime) {
+            visit.Status = 'Canceled';
+            visit.CanceledTime = new Date(body.CanceledTime).toISOString();
+        }
+        this.#touch(visit);
+        visit.SyncSource = body.SyncSource || 'API';
+        return { body: true };
+    }
+
+    /* Walk-ins and WebAheads */
+
+    #addWalkIn(ctx) {
+        const body = ctx.body || {};
+        if (!body.PartySize) return { status: 400, body: { Message: 'PartySize is required.' } };
+        const guestInfo = typeof body.Guest === 'string' ? this.data.guests.find(guest => guest.ID === body.Guest
+            || guest.Loyalty?.LoyaltyCardID === body.Guest) : body.Guest;
+        const visit = this.#createVisit(ctx, 'WalkIn', 'Waiting', {
+            Size: body.PartySize,
+            ArrivalTime: body.ArrivalTime ? new Date(body.ArrivalTime).toISOString() : this.#now(),
+            ExternalID: body.ExternalID || null,
+            Notes: body.Notes || ''
+        }, guestInfo || {});
+        return { body: visit };
+    }
+
+    #addWebAhead(ctx) {
+        const site = this.#siteData(ctx);
+        const body = ctx.body || {};
+        if (!site.webAheadEnabled) return { status: 400, body: { Message: 'WebAhead is disabled for this site.' } };
+        if (!body.PartySize || !body.PhoneNumberString || (!body.LastName && !body.GuestID)) {
+            return { status: 400, body: { Message: 'PartySize, PhoneNumberString and LastName (or GuestID) are required.' } };
+        }
+        const visit = this.#createVisit(ctx, 'CallAhead', 'NotYetArrived', {
+            Size: body.PartySize,
+            EstimatedArrivalTime: body.EstimatedArrivalTime ? new Date(body.EstimatedArrivalTime).toISOString() : null,
+            Notes: body.Notes || '',
+            NotificationType: body.NotificationType || 'SMS',
+            VisitSource: 'WebAhead'
+        }, body);
+        return { body: this.#webAhead(ctx, visit, body.ExpandGuest) };
+    }
+
+    #waiting(ctx) {
+        return this.#siteData(ctx).visits.filter(visit => ACTIVE_WEBAHEAD.includes(visit.Status));
+    }
+
+    #waitListStatus(ctx) {
+        const site = this.#siteData(ctx);
+        const waiting = this.#waiting(ctx).length;
+        return {
+            body: {
+                SiteUID: ctx.params[0],
+                WebAheadStatus: site.webAheadEnabled ? 'Available' : 'Disabled',
+                NumberWaitingVisits: waiting,
+                Quote: quoteFor(waiting, Number(query(ctx, 'PartySize')) || 2)
+            }
+        };
+    }
+
+    #waitListStatusForPartySizes(ctx) {
+        const site = this.#siteData(ctx);
+        const waiting = this.#waiting(ctx).length;
+        const sizes = [...ctx.query.entries()].filter(([key]) => /^PartySize\d+$/i.test(key)).map(([, value]) => Number(value));
+        const status = site.webAheadEnabled ? 'Available' : 'Disabled';
+        return {
+            body: {
+                SiteUID: ctx.params[0],
+                WebAheadStatus: status,
+                NumberWaitingVisits: waiting,
+                Statuses: sizes.map(size => ({ PartySize: size, Quote: [quoteFor(waiting, size)], WebAheadStatus: status, WebAheadStatusText: status }))
+            }
+        };
+    }
+
+    #waitListStatusMultipleSites(ctx) {
+        const siteUIDs = [...ctx.query.entries()].filter(([key]) => /^SiteUID\d+$/i.test(key)).map(([, value]) => value);
+        const sizes = [...ctx.query.entries()].filter(([key]) => /^PartySize\d+$/i.test(key)).map(([, value]) => Number(value));
+        return {
+            body: {
+                WaitListStatusList: siteUIDs.filter(siteUID => this.data.siteData[siteUID]).map(siteUID => {
+                    const site = this.data.siteData[siteUID];
+                    const waiting = site.visits.filter(visit => ACTIVE_WEBAHEAD.includes(visit.Status)).length;
+                    const status = site.webAheadEnabled ? 'Available' : 'Disabled';
+                    return {
+                        SiteUID: siteUID,
+                        WebAheadStatus: status,
+                        NumberWaitingVisits: waiting,
+                        Statuses: sizes.map(size => ({ PartySize: size, Quote: [quoteFor(waiting, size)], WebAheadStatus: status, WebAheadStatusText: status }))
+                    };
+                })
+            }
+        };
+    }
+
+    #setWebAhead(ctx, enabled) {
+        this.#siteData(ctx).webAheadEnabled = enabled;
+        return { body: true };
+    }
+
+    #getWebAhead(ctx, visit) {
+        const all = /^true$/i.test(query(ctx, 'ignoreStatusForCurrentBusinessDay') || '');
+        if (!all && !ACTIVE_WEBAHEAD.includes(visit.Status)) throw new NotFound('No active WebAhead found.');
+        const webAhead = this.#webAhead(ctx, visit, /^guest$/i.test(query(ctx, 'expand') || ''));
+        if (/^true$/i.test(query(ctx, 'includeUpdatedQuote') || '')) webAhead.UpdatedQuote = { ...visit.Quote, GeneratedDateTime: this.#now() };
+        return { body: webAhead };
+    }
+
+    #updateWebAhead(ctx, visit) {
+        if (!ACTIVE_WEBAHEAD.includes(visit.Status)) return gone();
+        const body = ctx.body || {};
+        if (body.PartySize) visit.Size = body.PartySize;
+        if (body.EstimatedArrivalTime) visit.EstimatedArrivalTime = new Date(body.EstimatedArrivalTime).toISOString();
+        if (body.Notes !== undefined) visit.Notes = body.Notes;
+        if (body.NotificationType) visit.NotificationType = body.NotificationType;
+        const guest = visit.Guest;
+        if (guest) {
+            for (const key of ['FirstName', 'LastName', 'Email']) if (body[key] !== undefined) guest[key] = body[key];
+            if (body.PhoneNumberString) guest.PhoneNumbers = [phoneNumber(guest.ID, body.PhoneNumberString)];
+        }
+        this.#touch(visit);
+        return { body: this.#webAhead(ctx, visit, body.ExpandGuest) };
+    }
+
+    #cancelWebAhead(ctx, visit) {
+        if (!ACTIVE_WEBAHEAD.includes(visit.Status)) return gone();
+        const checkArrival = /^true$/i.test(query(ctx, 'checkVisitArrivalStatus') || '');
+        if (checkArrival && visit.Status !== 'NotYetArrived') return { status: 405, body: { Message: 'The visit has already arrived.' } };
+        visit.Status = 'Canceled';
+        visit.CanceledTime = this.#now();
+        this.#touch(visit);
+        return { body: true };
+    }
+
+    #arrive(ctx, visit, webAhead) {
+        if (ARRIVED.includes(visit.Status)) return { status: 405, body: { Message: 'The visit has already arrived or been seated.' } };
+        if (webAhead && !ACTIVE_WEBAHEAD.includes(visit.Status)) return gone();
+        if (!webAhead && visit.Status !== 'NotYetArrived' && visit.Status !== 'PartiallyArrived') {
+            return { status: 405, body: { Message: 'The visit has already arrived or been seated.' } };
+        }
+        visit.Status = 'Waiting';
+        visit.ArrivalTime = this.#now();
+        this.#touch(visit);
+        return { body: true };
+    }
+
+    #webAhead(ctx, visit, expandGuest) {
+        const waiting = this.#siteData({ params: [visit.SiteUID] }).visits
+            .filter(candidate => ACTIVE_WEBAHEAD.includes(candidate.Status))
+            .sort((a, b) => a.CreationTime.localeCompare(b.CreationTime));
+        const { Guest, ...webAhead } = visit;
+        if (expandGuest) webAhead.Guest = Guest;
+        webAhead.PlaceInWaitList = waiting.indexOf(visit) + 1 || null;
+        return webAhead;
+    }
+
+    /* Guestbook */
+
+    #searchGuestbook(ctx) {
+        this.#checkCompany(ctx);
+        const filters = {
+            GuestId: guest => guest.ID,
+            FirstName: guest => guest.FirstName,
+            LastName: guest => guest.LastName,
+            LoyaltyCardID: guest => guest.Loyalty?.LoyaltyCardID,
+            Email: guest => guest.Email,
+            City: guest => guest.Addresses?.[0]?.City,
+            State: guest => guest.Addresses?.[0]?.State,
+            PostalCode: guest => guest.Addresses?.[0]?.Postal,
+            MobilePhoneNumber: guest => guest.PhoneNumbers?.find(phone => phone.Type === 'Mobile')?.PhoneNumber
+        };
+        let guests = this.data.guests;
+        for (const [key, field] of Object.entries(filters)) {
+            const value = query(ctx, key);
+            if (value) guests = guests.filter(guest => String(field(guest) || '').toLowerCase() === value.toLowerCase());
+        }
+        guests = [...guests].sort((a, b) => (a.LastName || '').localeCompare(b.LastName || '') || a.ID.localeCompare(b.ID));
+        const perPage = Number(query(ctx, 'GuestsPerPage')) || 25;
+        const pageNumber = Number(query(ctx, 'PageNumber')) || 1;
+        return {
+            body: {
+                Guests: guests.slice((pageNumber - 1) * perPage, pageNumber * perPage),
+                TotalCount: guests.length,
+                PageNumber: pageNumber,
+                GuestsPerPage: perPage
+            }
+        };
+    }
+
+    #addGuest(ctx) {
+        this.#checkCompany(ctx);
+        const body = ctx.body || {};
+        if (!body.LastName) return { status: 400, body: { Message: 'LastName is required.' } };
+        const guest = { ...body, ID: uid(this.companyUID, 'guest', 'api', this.data.guests.length, this.clock()), LastUpdate: this.#now() };
+        this.data.guests.push(guest);
+        return { body: guest };
+    }
+
+    #updateGuest(ctx) {
+        this.#checkCompany(ctx);
+        const guest = this.data.guests.find(candidate => candidate.ID === ctx.params[1]);
+        if (!guest) throw new NotFound('Guest not found.');
+        Object.assign(guest, ctx.body || {}, { ID: guest.ID });
+        this.#touch(guest);
+        return { body: true };
+    }
+
+    #removeGuest(ctx) {
+        this.#checkCompany(ctx);
+        const index = this.data.guests.findIndex(candidate => candidate.ID === ctx.params[1]);
+        if (index === -1) throw new NotFound('Guest not found.');
+        this.data.guests.splice(index, 1);
+        return { body: true };
+    }
+
+    /* Visits */
+
+    #visitUpdates(ctx) {
+        let visits = this.#siteData(ctx).visits;
+        const syncSource = query(ctx, 'SyncSource');
+        if (syncSource) visits = visits.filter(visit => visit.SyncSource !== syncSource);
+        const page = this.#page(visits, ctx, 'start', 'stop', VISITS_PAGE_SIZE);
+        return { body: { Visits: page.records, MoreData: page.moreData, TimestampCutoff: page.cutoff } };
+    }
+
+    #openVisit(ctx) {
+        const open = this.#siteData(ctx).visits.filter(visit => !['Completed', 'Canceled', 'NoShow', 'WalkAway'].includes(visit.Status));
+        const loyaltyCard = query(ctx, 'LoyaltyCard');
+        const phone = query(ctx, 'PhoneNumber');
+        const pager = query(ctx, 'PagerID');
+        let visit;
+        if (loyaltyCard) visit = open.find(candidate => candidate.Guest?.Loyalty?.LoyaltyCardID === loyaltyCard);
+        else if (phone) visit = open.find(candidate => candidate.Guest?.PhoneNumbers?.some(number => digits(number.PhoneNumber) === digits(phone).slice(-10)));
+        else if (pager) visit = open.find(candidate => candidate.PagerID === pager);
+        else return { status: 400, body: { Message: 'LoyaltyCard, PhoneNumber or PagerID is required.' } };
+        if (!visit) throw new NotFound('Visit not found.');
+        return { body: visit };
+    }
+
+    #visitByExternalId(ctx) {
+        const visit = this.#siteData(ctx).visits.find(candidate => candidate.ExternalID === ctx.params[1]);
+        if (!visit) throw new NotFound('Visit not found.');
+        return { body: visit };
+    }
+
+    #updateProximity(ctx) {
+        const site = this.#siteData(ctx);
+        this.#visitById(ctx);
+        site.proximity.push({ VisitID: ctx.params[1], ...ctx.body });
+        return { body: true };
+    }
+
+    #updatePartyMix(ctx) {
+        const visit = this.#visitById(ctx);
+        let partyMix = ctx.body?.Mixes ? ctx.body : query(ctx, 'partyMix');
+        if (typeof partyMix === 'string') partyMix = JSON.parse(partyMix);
+        const mixes = partyMix?.Mixes || partyMix || [];
+        const total = [].concat(mixes).reduce((sum, mix) => sum + Number(mix.Count || 0), 0);
+        if (total !== visit.Size) return { status: 400, body: { Message: 'The total party mix count must equal the party size.' } };
+        visit.PartyMix = { Mixes: [].concat(mixes) };
+        this.#touch(visit);
+        return { body: { ...visit, Mixes: visit.PartyMix.Mixes } };
+    }
+
+    #createVisit(ctx, type, status, fields, guestInfo = {}) {
+        const site = this.#siteData(ctx);
+        const guest = this.#guestFor(guestInfo);
+        const id = this.data.nextConfirmationId++;
+        const now = this.#now();
+        const waiting = this.#waiting(ctx).length;
+        const visit = {
+            ID: uid(ctx.params[0], 'visit', 'api', site.visits.length, this.clock()),
+            IID: site.visits.length + 1,
+            SiteUID: ctx.params[0],
+            Type: type,
+            Status: status,
+            Size: 2,
+            ConfirmationNumber: confirmationNumber(id),
+            ConfirmationNumberID: id,
+            CreationTime: now,
+            EstimatedArrivalTime: null,
+            ArrivalTime: null,
+            PagedTime: null,
+            SeatedTime: null,
+            CompletedTime: null,
+            CanceledTime: null,
+            NotificationType: 'None',
+            PagerID: null,
+            Notes: '',
+            ExternalID: null,
+            GuestID: guest?.ID || null,
+            Guest: guest,
+            PartyMix: { Mixes: [] },
+            PreassignedTables: [],
+            SeatedTables: [],
+            CustomValues: [],
+            SeatingAreaID: null,
+            SeatingAreaName: null,
+            VisitSource: 'API',
+            SyncSource: 'API',
+            LastUpdate: now,
+            ...fields
+        };
+        visit.Quote = quoteFor(waiting, visit.Size);
+        site.visits.push(visit);
+        return visit;
+    }
+
+    #guestFor(info) {
+        const id = info.GuestID || info.GuestId || info.ID;
+        if (id) {
+            const existing = this.data.guests.find(guest => guest.ID === id);
+            if (existing) return existing;
+        }
+        if (!info.LastName && !info.FirstName) return null;
+        const guest = {
+            ID: uid(this.companyUID, 'guest', 'api', this.data.guests.length, this.clock()),
+            FirstName: info.FirstName || '',
+            LastName: info.LastName || '',
+            Email: info.Email || null,
+            IsAnonymous: false,
+            IsSubscribedToEmailMarketing: Boolean(info.IsSubscribedToEmailMarketing),
+            IsSubscribedToQsrMarketing: Boolean(info.IsSubscribedToQsrMarketing),
+            IsSubscribedtoSmsMarketing: Boolean(info.IsSubscribedToSmsMarketing),
+            Loyalty: null,
+            Notes: '',
+            NotificationType: 'SMS',
+            PhoneNumbers: info.PhoneNumberString || info.PhoneNumber ? [phoneNumber(null, info.PhoneNumberString || info.PhoneNumber)] : [],
+            Addresses: [],
+            CustomValues: [],
+            LastUpdate: this.#now()
+        };
+        this.data.guests.push(guest);
+        return guest;
+    }
+
+    /**
+     * Page records ordered by LastUpdate between the start and stop query parameters.
+     * @returns {Object} - { records, moreData, cutoff }.
+     */
+    #page(records, ctx, startParam, stopParam, pageSize) {
+        const start = Date.parse(query(ctx, startParam));
+        const stop = Date.parse(query(ctx, stopParam));
+        if (Number.isNaN(start) || Number.isNaN(stop)) throw new BadRequest(`${startParam} and ${stopParam} are required.`);
+        const matching = records
+            .filter(record => {
+                const time = Date.parse(record.LastUpdate);
+                return (this.inclusiveCursor ? time >= start : time > start) && time <= stop;
+            })
+            .sort((a, b) => Date.parse(a.LastUpdate) - Date.parse(b.LastUpdate));
+        const page = matching.slice(0, pageSize);
+        return {
+            records: page,
+            moreData: matching.length > pageSize,
+            cutoff: page.length ? page[page.length - 1].LastUpdate : new Date(start).toISOString()
+        };
+    }
+}
+
+/** Thrown by route handlers to respond with a 404. */
+class NotFound extends Error {}
+
+/** Thrown by route handlers to respond with a 400. */
+class BadRequest extends Error {}
+
+/**
+ * Get a query parameter, ignoring the case of its name.
+ * @param {Object} ctx - Request context.
+ * @param {string} name - Parameter name.
+ * @returns {string|null} - Value.
+ */
+function query(ctx, name) {
+    const lower = name.toLowerCase();
+    for (const [key, value] of ctx.query.entries()) if (key.toLowerCase() === lower) return value;
+    return null;
+}
+
+/**
+ * Parse a request body.
+ * @param {string} raw - Raw body.
+ * @param {string} [contentType] - Optional. Content-Type header.
+ * @returns {*} - Parsed body, or undefined if empty.
+ */
+function parseBody(raw, contentType = '') {
+    if (!raw) return undefined;
+    if (contentType.includes('application/x-www-form-urlencoded')) return Object.fromEntries(new URLSearchParams(raw));
+    try {
+        return JSON.parse(raw);
+    } catch (err) {
+        return raw;
+    }
+}
+
+/**
+ * Find the top-level body fields a route does not accept. Field names are case-sensitive.
+ * @param {*} body - Parsed body.
+ * @param {string[]} fields - Accepted fields.
+ * @returns {string[]} - Unknown fields. Empty for bodies that are not plain objects.
+ */
+function unknownFields(body, fields) {
+    if (!body || typeof body !== 'object' || Array.isArray(body)) return [];
+    return Object.keys(body).filter(key => !fields.includes(key));
+}
+
+/**
+ * Write a JSON response.
+ * @param {Object} res - Node response.
+ * @param {number} status - Status code.
+ * @param {*} body - JSON body.
+ * @param {Object} [headers] - Optional. Extra headers.
+ */
+function send(res, status, body, headers = {}) {
+    res.writeHead(status, { 'content-type': 'application/json', 'x-request-id': crypto.randomUUID?.() || String(Date.now()), ...headers });
+    res.end(body === undefined ? '' : JSON.stringify(body));
+}
+
+/**
+ * Response for a WebAhead that is no longer Active.
+ * @returns {Object} - 410 result.
+ */
+function gone() {
+    return { status: 410, body: { Message: 'The WebAhead is no longer considered Active.' } };
+}
+
+/**
+ * Quote for a party, based on the number of parties waiting.
+ * @param {number} waiting - Parties waiting.
+ * @param {number} partySize - Party size.
+ * @returns {Quote} - Quote.
+ */
+function quoteFor(waiting, partySize) {
+    const low = Math.min(90, waiting * 5 + (partySize > 4 ? 10 : 0));
+    const high = low + 10;
+    return { QuoteLow: low, QuoteHigh: high, SiteQuoteString: `${low}`, ConsumerQuoteString: `${low}-${high} min` };
+}
+
+/**
+ * Keep the digits of a phone number.
+ * @param {string} value - Phone number.
+ * @returns {string} - Digits.
+ */
+function digits(value = '') {
+    return String(value).replace(/\D/g, '');
+}
+
+/**
+ * Build a GuestPhoneNumber.
+ * @param {string} guestId - Guest ID.
+ * @param {string} value - Phone number, formatted or not.
+ * @returns {GuestPhoneNumber} - GuestPhoneNumber.
+ */
+function phoneNumber(guestId, value) {
+    const number = digits(value).slice(-10);
+    return { ID: `${guestId || 'new'}-P1`, PhoneNumber: number, PhoneNumberString: value, Type: 'Mobile', Sort: 0 };
+}
+
+module.exports = MockServer;
+module.exports.MockServer = MockServer;
+module.exports.createSeedData = createSeedData;
@@ -0,0 +1,367 @@
+/**
+ * QSR Mock Server Seed Data
+ * Generates a deterministic in-memory DineTime data model for the mock server.
+ * @author Steve Ostopchuck
+ */
+const crypto = require('crypto');
+
+const FIRST_NAMES = ['Ava', 'Ben', 'Carla', 'Dev', 'Elena', 'Frank', 'Grace', 'Hiro', 'Isla', 'Jon', 'Kara', 'Luis', 'Maya', 'Noah', 'Omar', 'Pia'];
+const LAST_NAMES = ['Adams', 'Baker', 'Chen', 'Diaz', 'Evans', 'Fischer', 'Garcia', 'Hughes', 'Ito', 'Jones', 'Khan', 'Lopez', 'Miller', 'Nguyen', 'Olsen', 'Patel'];
+const SITE_SPECS = [
+    { name: 'Downtown', customerSiteId: '0101', timeZoneId: 'America/New_York', city: 'Charlotte', state: 'NC' },
+    { name: 'Airport', customerSiteId: '0421', timeZoneId: 'America/Chicago', city: 'Dallas', state: 'TX' },
+    { name: 'Harbor', customerSiteId: '0777', timeZoneId: 'America/Los_Angeles', city: 'San Diego', state: 'CA', inactive: true }
+];
+const SHIFTS = [{ name: 'Lunch', from: 11, to: 16 }, { name: 'Dinner', from: 16, to: 23 }];
+
+/**
+ * Create a seeded pseudo random number generator (mulberry32).
+ * @param {number} seed - Seed.
+ * @returns {Function} - Returns a number in [0, 1) on each call.
+ */
+function random(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * Create a deterministic UID.
+ * @param {...*} parts - Parts the UID is derived from.
+ * @returns {string} - UID in GUID format.
+ */
+function uid(...parts) {
+    const hex = crypto.createHash('SHA1').update(parts.join('/')).digest('hex');
+    return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20, 32)}`.toUpperCase();
+}
+
+/**
+ * Generate the seed data.
+ * @param {Object} [options] - Optional.
+ * @param {string} [options.companyUID] - Optional. Company UID. Defaults to "MOCKCOMPANY".
+ * @param {number} [options.seed] - Optional. Random seed. Defaults to 1.
+ * @param {Date} [options.now] - Optional. Generated activity covers the two days before this time. Defaults to now.
+ * @param {number} [options.visitsPerSite] - Optional. Visits generated per site. Defaults to 80.
+ * @returns {MockData} - MockData.
+ */
+function createSeedData(options = {}) {
+    const companyUID = options.companyUID || 'MOCKCOMPANY';
+    const rand = random(options.seed || 1);
+    const now = (options.now || new Date()).getTime();
+    const pick = list => list[Math.floor(rand() * list.length)];
+    const int = (min, max) => min + Math.floor(rand() * (max - min + 1));
+    const iso = time => new Date(time).toISOString();
+    const brandUID = uid(companyUID, 'brand');
+
+    const data = {
+        companyUID,
+        brands: [{ BrandUID: brandUID, Name: 'Mock Grill' }],
+        sites: [],
+        siteData: {},
+        guests: [],
+        partnerSites: [],
+        nextConfirmationId: 1000
+    };
+
+    for (let g = 0; g < 40; g++) {
+        const first = pick(FIRST_NAMES);
+        const last = pick(LAST_NAMES);
+        const phone = `704555${String(1000 + g).padStart(4, '0')}`;
+        data.guests.push(guest(uid(companyUID, 'guest', g), first, last, phone, g, iso(now - int(1, 400) * 86400000)));
+    }
+    // Duplicate profiles, as created by walk-ins and imports
+    for (let g = 0; g < 6; g++) {
+        const original = data.guests[g * 3];
+        const copy = guest(uid(companyUID, 'guest-dup', g), original.FirstName, original.LastName,
+            g % 2 ? original.PhoneNumbers[0].PhoneNumber : `704555${9000 + g}`, 100 + g, iso(now - int(1, 30) * 86400000));
+        copy.Email = g % 2 ? null : original.Email;
+        copy.Loyalty = null;
+        data.guests.push(copy);
+    }
+
+    SITE_SPECS.forEach((spec, s) => {
+        const siteUID = uid(companyUID, 'site', s);
+        data.sites.push({
+            SiteUID: siteUID,
+            CustomerSiteID: spec.customerSiteId,
+            IID: s + 1,
+            CompanyUID: companyUID,
+            CreationTime: iso(now - 900 * 86400000),
+            Name: spec.name,
+            ContactNumber: `(704) 555-01${String(s).padStart(2, '0')}`,
+            Hours: '11am - 11pm',
+            Address: `${100 + s} Main St`,
+            City: spec.city,
+            County: '',
+            State: spec.state,
+            Postal: `2820${s}`,
+            Country: 'US',
+            TimeZoneId: spec.timeZoneId,
+            Latitude: 35.22 + s,
+            Longitude: -80.84 - s,
+            BrandUID: brandUID,
+            DisplayName: `Mock Grill ${spec.name}`,
+            PrimaryCuisine: 'American',
+            Cuisines: ['American'],
+            IsActive: !spec.inactive,
+            LastUpdate: iso(now - 86400000)
+        });
+        data.partnerSites.push({ SiteUID: siteUID, ExternalSiteID: `EXT-${spec.customerSiteId}` });
+
+        const tables = [];
+        for (let t = 0; t < 12; t++) {
+            const seats = [2, 2, 4, 4, 4, 6][t % 6];
+            tables.push({
+                ID: uid(siteUID, 'table', t),
+                Name: `${t < 8 ? 'T' : 'B'}${t + 1}`,
+                SeatCount: seats,
+                MinimumSeatCount: 1,
+                MaximumSeatCount: seats + 2,
+                IsActive: true,
+                SeatingAreaId: uid(siteUID, 'area', t < 8 ? 0 : 2),
+                SeatingAreaName: t < 8 ? 'Main' : 'Bar',
+                Station: `Station ${Math.floor(t / 4) + 1}`
+            });
+        }
+
+        const teamMembers = [];
+        for (let m = 0; m < 6; m++) {
+            teamMembers.push({
+                UID: uid(siteUID, 'member', m),
+                ServerID: m + 1,
+                CardId: `C${s}${m}`,
+                CreatedTime: iso(now - 200 * 86400000),
+                Email: `member${m}@mockgrill.test`,
+                ExternalId: `EMP-${s}${m}`,
+                FirstName: FIRST_NAMES[(m * 3 + s) % FIRST_NAMES.length],
+                LastName: LAST_NAMES[(m * 5 + s) % LAST_NAMES.length],
+                HomePhone: '',
+                MobilePhone: `704555${2000 + s * 10 + m}`,
+                Notes: '',
+                IsActive: true,
+                LastUpdate: iso(now - 200 * 86400000)
+            });
+        }
+
+        const site = {
+            tables,
+            teamMembers,
+            teamMemberEvents: [],
+            visits: [],
+            tableEvents: [],
+            tableHistory: [],
+            webAheadEnabled: !spec.inactive,
+            proximity: []
+        };
+        data.siteData[siteUID] = site;
+
+        const tableEvent = (type, table, time, shiftName, extra = {}) => {
+            site.tableEvents.push({
+                UID: uid(siteUID, 'event', site.tableEvents.length),
+                Version: 1,
+                Category: 'Table',
+                Type: type,
+                SyncSource: 'DineTime',
+                LastUpdate: iso(time),
+                ServerLastUpdate: iso(time),
+                Content: {
+                    FloorPlan: { Name: 'Default', UID: uid(siteUID, 'floorplan') },
+                    Shift: { Name: shiftName, UID: uid(siteUID, 'shift', shiftName) },
+                    Station: { Name: table.Station, UID: uid(siteUID, 'station', table.Station) },
+                    Table: { Name: table.Name, UID: table.ID, SeatCount: table.SeatCount, MaximumSeatCount: table.MaximumSeatCount, MiniumumSeatCount: 1 },
+                    ...extra
+                }
+            });
+        };
+
+        const tableFree = tables.map(() => 0);
+        const start = now - 2 * 86400000;
+        const visitCount = options.visitsPerSite || 80;
+        for (let v = 0; v < visitCount; v++) {
+            const created = start + Math.floor((v / visitCount) * 2 * 86400000 * 0.95) + int(0, 600) * 1000;
+            const hour = new Date(created).getUTCHours();
+            const shift = SHIFTS.find(candidate => hour >= candidate.from && hour < candidate.to) || SHIFTS[1];
+            const type = pick(['WalkIn', 'WalkIn', 'CallAhead', 'Reservation']);
+            const size = int(1, 8);
+            const quoteLow = int(0, 6) * 5;
+            const quoteHigh = quoteLow + 10;
+            const actualWait = Math.max(0, quoteLow + int(-8, 20)) * 60000;
+            const guestRecord = data.guests[int(0, data.guests.length - 1)];
+            // The latest few parties are still on the wait list
+            const outcome = v >= visitCount - 4 ? (type === 'WalkIn' ? 'Waiting' : 'NotYetArrived')
+                : pick(['Completed', 'Completed', 'Completed', 'Completed', 'Seated', 'Canceled', 'WalkAway', 'NoShow']);
+            const confirmationId = data.nextConfirmationId++;
+            const visit = {
+                ID: uid(siteUID, 'visit', v),
+                IID: v + 1,
+                SiteUID: siteUID,
+                Type: type,
+                Status: outcome,
+                Size: size,
+                ConfirmationNumber: confirmationNumber(confirmationId),
+                ConfirmationNumberID: confirmationId,
+                CreationTime: iso(created),
+                EstimatedArrivalTime: type === 'WalkIn' ? null : iso(created + 30 * 60000),
+                ArrivalTime: null,
+                PagedTime: null,
+                SeatedTime: null,
+                CompletedTime: null,
+                CanceledTime: null,
+                NotificationType: pick(['SMS', 'SMS', 'Pager', 'None']),
+                PagerID: type === 'WalkIn' ? String(int(1, 40)) : null,
+                Notes: '',
+                ExternalID: type === 'Reservation' && v % 3 === 0 ? `OT-${v}` : null,
+                GuestID: guestRecord.ID,
+                Guest: guestRecord,
+                Quote: { QuoteLow: quoteLow, QuoteHigh: quoteHigh, SiteQuoteString: `${quoteLow}`, ConsumerQuoteString: `${quoteLow}-${quoteHigh} min` },
+                PartyMix: { Mixes: [{ Type: 'Adult', Count: size }] },
+                PreassignedTables: [],
+                SeatedTables: [],
+                CustomValues: v % 5 === 0 ? [{ Name: 'Occasion', Value: 'Birthday' }] : [],
+                SeatingAreaID: uid(siteUID, 'area', 0),
+                SeatingAreaName: 'Main',
+                VisitSource: type === 'CallAhead' ? 'WebAhead' : 'Host',
+                SyncSource: 'DineTime',
+                LastUpdate: iso(created)
+            };
+            if (outcome !== 'NoShow' && outcome !== 'NotYetArrived') visit.ArrivalTime = iso(created + (type === 'WalkIn' ? 0 : 20 * 60000));
+            if (outcome === 'Completed' || outcome === 'Seated') {
+                const arrived = Date.parse(visit.ArrivalTime);
+                let tableIndex = tables.findIndex((table, i) => table.SeatCount >= size && tableFree[i] <= arrived + actualWait);
+                if (tableIndex === -1) tableIndex = tables.findIndex(table => table.SeatCount >= size);
+                if (tableIndex === -1) tableIndex = tables.length - 1;
+                const table = tables[tableIndex];
+                const seated = Math.max(arrived + actualWait, tableFree[tableIndex]);
+                const completed = seated + int(40, 90) * 60000;
+                const dirty = outcome === 'Completed' ? completed : null;
+                const cleaned = dirty && dirty + int(3, 15) * 60000 < now ? dirty + int(3, 15) * 60000 : null;
+                tableFree[tableIndex] = cleaned || completed;
+                visit.PagedTime = iso(seated - 60000);
+                visit.SeatedTime = iso(seated);
+                visit.SeatingAreaName = table.SeatingAreaName;
+                visit.SeatingAreaID = table.SeatingAreaId;
+                visit.SeatedTables = [{ TableID: table.ID, TableName: table.Name, StartTime: iso(seated), EndTime: dirty ? iso(dirty) : null, IsActive: !dirty, IsCurrent: !dirty }];
+                tableEvent('TableOpened', table, seated, shift.name);
+                tableEvent('ItemsOrdered', table, seated + 8 * 60000, shift.name);
+                if (dirty) {
+                    visit.CompletedTime = iso(dirty);
+                    tableEvent('CheckPaid', table, dirty - 5 * 60000, shift.name, { TransactionNumber: 5000 + v, CheckAmount: size * 23.5 });
+                    tableEvent('TableDirtied', table, dirty, shift.name);
+                    if (cleaned) tableEvent('TableCleared', table, cleaned, shift.name);
+                }
+                site.tableHistory.push({
+                    ID: table.ID,
+                    Name: table.Name,
+                    SeatCount: table.SeatCount,
+                    MaximumSeatCount: table.MaximumSeatCount,
+                    MiniumumSeatCount: 1,
+                    IsActive: true,
+                    FloorPlanName: 'Default',
+                    OperatingPeriodName: shift.name,
+                    ShiftName: shift.name,
+                    CreatedTime: iso(seated),
+                    DirtiedTime: dirty ? iso(dirty) : null,
+                    CleanedTime: cleaned ? iso(cleaned) : null,
+                    LastUpdate: iso(cleaned || dirty || seated)
+                });
+                visit.LastUpdate = iso(Math.min(now, dirty || seated));
+            } else if (outcome === 'Canceled' || outcome === 'WalkAway' || outcome === 'NoShow') {
+                const closed = created + int(10, 60) * 60000;
+                if (outcome === 'Canceled') visit.CanceledTime = iso(closed);
+                visit.LastUpdate = iso(Math.min(now, closed));
+            }
+            site.visits.push(visit);
+        }
+
+        teamMembers.forEach((member, m) => {
+            for (let d = 0; d < 2; d++) {
+                const clockIn = start + d * 86400000 + (10 + m) * 3600000;
+                ['ClockIn', 'ClockOut'].forEach((type, i) => {
+                    const time = clockIn + i * 8 * 3600000;
+                    if (time > now) return;
+                    site.teamMemberEvents.push({
+                        UID: uid(siteUID, 'member-event', m, d, i),
+                        Version: 1,
+                        Category: 'TeamMember',
+                        Type: type,
+                        SyncSource: 'DineTime',
+                        LastUpdate: iso(time),
+                        ServerLastUpdate: iso(time),
+                        Content: {
+                            FloorPlan: { Name: 'Default', UID: uid(siteUID, 'floorplan') },
+                            Shift: { Name: i ? 'Dinner' : 'Lunch', UID: uid(siteUID, 'shift', i ? 'Dinner' : 'Lunch') },
+                            Station: { Name: `Station ${(m % 3) + 1}`, UID: uid(siteUID, 'station', `Station ${(m % 3) + 1}`) },
+                            TeamMember: { UID: member.UID, Id: member.ServerID, FirstName: member.FirstName, LastName: member.LastName, SiteID: s + 1 }
+                        }
+                    });
+                });
+            }
+        });
+    });
+
+    return data;
+}
+
+/**
+ * Build a guest record.
+ * @param {string} id - Guest ID.
+ * @param {string} first - First name.
+ * @param {string} last - Last name.
+ * @param {string} phone - Mobile phone number, 10 digits.
+ * @param {number} n - Sequence number, used to vary the optional fields.
+ * @param {string} lastUpdate - LastUpdate in ISO 8601 format.
+ * @returns {Guest} - Guest.
+ */
+function guest(id, first, last, phone, n, lastUpdate) {
+    return {
+        ID: id,
+        FirstName: first,
+        LastName: last,
+        Email: `${first}.${last}${n}@example.test`.toLowerCase(),
+        IsAnonymous: false,
+        IsSubscribedToEmailMarketing: n % 2 === 0,
+        IsSubscribedToQsrMarketing: false,
+        IsSubscribedtoSmsMarketing: n % 3 === 0,
+        Loyalty: n % 4 === 0 ? { LoyaltyCardID: `LC${10000 + n}` } : null,
+        Notes: '',
+        NotificationType: 'SMS',
+        PhoneNumbers: [{ ID: `${id}-P1`, PhoneNumber: phone, PhoneNumberString: `(${phone.slice(0, 3)}) ${phone.slice(3, 6)}-${phone.slice(6)}`, Type: 'Mobile', Sort: 0 }],
+        Addresses: n % 3 === 0 ? [{ Address: `${n} Oak Ave`, Address2: '', City: 'Charlotte', County: '', Postal: '28202', State: 'NC', Country: 'US', Sort: 0 }] : [],
+        CustomValues: n % 5 === 0 ? [{ Name: 'Favorite', Value: 'Booth' }] : [],
+        LastUpdate: lastUpdate
+    };
+}
+
+/**
+ * Format a confirmation number from its integer ID.
+ * @param {number} id - ConfirmationNumberID.
+ * @returns {string} - Confirmation number, e.g. "MG1000".
+ */
+function confirmationNumber(id) {
+    return `MG${id}`;
+}
+
+module.exports = {
+    createSeedData,
+    confirmationNumber,
+    uid
+};
+
+/** Type Definitions */
+
+/**
+ * In-memory data model of the mock server. Safe to inspect and modify from tests.
+ * @typedef {Object} MockData
+ * @property {string} companyUID - Company UID.
+ * @property {Object[]} brands - Brands.
+ * @property {Site[]} sites - Sites (with an extra IsActive flag).
+ * @property {Object} siteData - Per SiteUID: tables, teamMembers, teamMemberEvents, visits, tableEvents, tableHistory, webAheadEnabled.
+ * @property {Guest[]} guests - Company guestbook.
+ * @property {Object[]} partnerSites - Sites associated with the partner API key.
+ * @property {number} nextConfirmationId - Next ConfirmationNumberID.
+ */
@@ -0,0 +1,110 @@
+/**
+ * QSR Reservation Source Classes
+ * A reservation source supplies the reservations of an external reservation platform to ReservationSync, and
+ * optionally receives the status changes made on the QSR side.
+ * Any object with an async fetch() method (and optionally applyStatusChange(change)) can be used in place of these classes.
+ * @author Steve Ostopchuck
+ */
+const fs = require('fs');
+const axios = require('axios');
+const { QSRConfigError } = require('./errors');
+const { getPath } = require('./export');
+
+/**
+ *  Base class of the reservation sources.
+ */
+class ReservationSource {
+    'use strict'
+
+    /**
+     * Get the reservations of the external platform. Implemented by each source.
+     * @returns {Promise<Object[]>} - External reservation records, in the platform's own shape.
+     */
+    async fetch() {
+        throw new QSRConfigError('QSR Error: Reservation source does not implement fetch().');
+    }
+}
+
+/**
+ *  Source reading reservations from a JSON document, fetched from an http(s) URL or read from a file.
+ */
+class JsonFeedSource extends ReservationSource {
+    'use strict'
+
+    /**
+     * @param {string} location - http(s) URL or file path of the JSON document.
+     * @param {Object} [options] - Optional.
+     * @param {string} [options.path] - Optional. Dot path of the reservations array in the document, e.g. "data.reservations". Defaults to the document itself.
+     * @param {Object} [options.axiosConfig] - Optional. axios config for URLs, e.g. headers and timeout.
+     * @param {Function} [options.applyStatusChange] - Optional. Async function called with each ReservationStatusChange from QSR.
+     */
+    constructor(location, options = {}) {
+        super();
+        if (!location) throw new QSRConfigError('QSR Error: JsonFeedSource requires a URL or file path.');
+        this.location = location;
+        this.path = options.path;
+        this.axiosConfig = options.axiosConfig || {};
+        if (options.applyStatusChange) this.applyStatusChange = options.applyStatusChange;
+    }
+
+    async fetch() {
+        let document;
+        if (/^https?:\/\//i.test(this.location)) {
+            document = (await axios.get(this.location, { ...this.axiosConfig, responseType: 'json' })).data;
+        } else {
+            try {
+                document = JSON.parse(await fs.promises.readFile(this.location, 'utf8'));
+            } catch (err) {
+                throw new QSRConfigError(`QSR Error: Cannot read reservation feed ${this.location}: ${err.message}`, { cause: err });
+            }
+        }
+        const reservations = getPath(document, this.path);
+        if (!Array.isArray(reservations)) {
+            throw new QSRConfigError(`QSR Error: Reservation feed ${this.location} has no array${this.path ? ` at "${this.path}"` : ''}.`);
+        }
+        return reservations;
+    }
+}
+
+/**
+ *  Source calling a function for the reservations.
+ */
+class CallbackReservationSource extends ReservationSource {
+    'use strict'
+
+    /**
+     * @param {Function} callback - Returns the external reservation records, or a Promise of them.
+     * @param {Object} [options] - Optional.
+     * @param {Function} [options.applyStatusChange] - Optional. Async function called with each ReservationStatusChange from QSR.
+     */
+    constructor(callback, options = {}) {
+        super();
+        if (typeof callback !== 'function') throw new QSRConfigError('QSR Error: Reservation source callback must be a function.');
+        this.callback = callback;
+        if (options.applyStatusChange) this.applyStatusChange = options.applyStatusChange;
+    }
+
+    async fetch() {
+        return this.callback();
+    }
+}
+
+/**
+ * Get a reservation source for the source option of ReservationSync.
+ * @param {ReservationSource|Function|string} source - A source, a function returning reservations, or a JSON feed URL or file path.
+ * @returns {ReservationSource} - ReservationSource.
+ * @throws {QSRConfigError} - If the source is missing.
+ */
+function toReservationSource(source) {
+    if (typeof source?.fetch === 'function') return source;
+    if (typeof source === 'function') return new CallbackReservationSource(source);
+    if (typeof source === 'string') return new JsonFeedSource(source);
+    throw new QSRConfigError('QSR Error: ReservationSync requires a source: an object with fetch(), a function, or a JSON feed URL or path.');
+}
+
+module.exports = {
+    ReservationSource,
+    JsonFeedSource,
+    CallbackReservationSource,
+    toReservationSource
+};
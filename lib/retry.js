@@ -0,0 +1,122 @@
+/**
+ * QSR Retry Policy
+ * @author Steve Ostopchuck
+ */
+
+const { QSRCancelledError } = require('./errors');
+
+/**
+ * Retry policy used when a request fails.
+ * @typedef {Object} RetryPolicy
+ * @property {number} maxAttempts - Total number of attempts, including the first. 1 disables retries.
+ * @property {number} baseDelay - Delay before the first retry, in milliseconds.
+ * @property {number} maxDelay - Upper bound of the backoff delay, in milliseconds.
+ * @property {number} factor - Multiplier applied to the delay after each attempt.
+ * @property {boolean} jitter - If true, a random delay between 0 and the backoff delay is used ("full jitter").
+ * @property {number} maxRetryAfter - Longest Retry-After, in milliseconds, that will be waited out. Longer values fail immediately.
+ * @property {number[]} statuses - HTTP statuses that are retried.
+ * @property {string[]} errorCodes - Network error codes (err.code) that are retried.
+ * @property {string[]} methods - HTTP methods retried without a per-call opt in.
+ */
+
+/** @type {RetryPolicy} */
+const DEFAULT_RETRY_POLICY = Object.freeze({
+    maxAttempts: 3,
+    baseDelay: 250,
+    maxDelay: 10000,
+    factor: 2,
+    jitter: true,
+    maxRetryAfter: 60000,
+    statuses: Object.freeze([408, 429, 500, 502, 503, 504]),
+    errorCodes: Object.freeze(['ECONNRESET', 'ECONNREFUSED', 'ECONNABORTED', 'ETIMEDOUT', 'EPIPE', 'EAI_AGAIN']),
+    methods: Object.freeze(['GET', 'HEAD', 'OPTIONS', 'PUT', 'DELETE'])
+});
+
+/**
+ * Build a complete retry policy from user options.
+ * @param {Object|boolean} [policy] - Optional. Partial RetryPolicy. false disables retries.
+ * @returns {RetryPolicy} - RetryPolicy.
+ */
+function normalizeRetryPolicy(policy) {
+    if (policy === false) return { ...DEFAULT_RETRY_POLICY, maxAttempts: 1 };
+    if (!policy || policy === true) return { ...DEFAULT_RETRY_POLICY };
+    return { ...DEFAULT_RETRY_POLICY, ...policy };
+}
+
+/**
+ * Parse a Retry-After header into milliseconds.
+ * @param {string} [value] - Header value, either delay-seconds or an HTTP date.
+ * @returns {number|undefined} - Delay in milliseconds, or undefined if absent or unparseable.
+ */
+function parseRetryAfter(value) {
+    if (value === undefined || value === null || value === '') return undefined;
+    const seconds = Number(value);
+    if (!Number.isNaN(seconds)) return Math.max(0, seconds * 1000);
+    const date = Date.parse(value);
+    if (Number.isNaN(date)) return undefined;
+    return Math.max(0, date - Date.now());
+}
+
+/**
+ * Determine whether a failed request may be attempted again.
+ * @param {RetryPolicy} policy - RetryPolicy.
+ * @param {Object} err - The error thrown by axios.
+ * @param {string} method - HTTP method of the request.
+ * @param {boolean} [allowAnyMethod] - Optional. If true, non-idempotent methods are retried too.
+ * @returns {boolean} - True if the request should be retried.
+ */
+function isRetryable(policy, err, method = 'GET', allowAnyMethod = false) {
+    if (!allowAnyMethod && !policy.methods.includes(method.toUpperCase())) return false;
+    if (err.response) return policy.statuses.includes(err.response.status);
+    return policy.errorCodes.includes(err.code);
+}
+
+/**
+ * Get the delay before the next attempt.
+ * Retry-After is honored on 429 and 503 responses, otherwise exponential backoff is used.
+ * @param {RetryPolicy} policy - RetryPolicy.
+ * @param {number} attempt - 1-based number of the attempt that just failed.
+ * @param {Object} err - The error thrown by axios.
+ * @returns {number} - Delay in milliseconds, or -1 if the server asked for a longer wait than policy.maxRetryAfter.
+ */
+function retryDelay(policy, attempt, err) {
+    const status = err.response?.status;
+    if (status === 429 || status === 503) {
+        const retryAfter = parseRetryAfter(err.response.headers?.['retry-after']);
+        if (retryAfter !== undefined) return retryAfter > policy.maxRetryAfter ? -1 : retryAfter;
+    }
+    const backoff = Math.min(policy.maxDelay, policy.baseDelay * Math.pow(policy.factor, attempt - 1));
+    return policy.jitter ? Math.floor(Math.random() * backoff) : backoff;
+}
+
+/**
+ * Wait for the specified time.
+ * @param {number} ms - Milliseconds to wait.
+ * @param {AbortSignal} [signal] - Optional. Stops the wait early when aborted.
+ * @returns {Promise} - Resolves after the wait.
+ * @throws {QSRCancelledError} - If the signal is aborted before or during the wait.
+ */
+function sleep(ms, signal) {
+    return new Promise((resolve, reject) => {
+        const cancelled = () => new QSRCancelledError('QSR Error: Request cancelled while waiting to retry.');
+        if (signal?.aborted) return reject(cancelled());
+        const onAbort = () => {
+            clearTimeout(timer);
+            reject(cancelled());
+        };
+        const timer = setTimeout(() => {
+            signal?.removeEventListener('abort', onAbort);
+            resolve();
+        }, ms);
+        signal?.addEventListener('abort', onAbort, { once: true });
+    });
+}
+
+module.exports = {
+    DEFAULT_RETRY_POLICY,
+    normalizeRetryPolicy,
+    parseRetryAfter,
+    isRetryable,
+    retryDelay,
+    sleep
+};
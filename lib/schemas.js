@@ -0,0 +1,355 @@
+/**
+ * QSR Request Schemas
+ * Declarative descriptions of the payloads sent by the QSR methods. A schema both validates the options passed
+ * to a method and maps them to the API's field names, so every problem is reported at once before anything is sent,
+ * and false, 0 and empty strings are sent like any other value.
+ * @author Steve Ostopchuck
+ */
+const { QSRValidationError } = require('./errors');
+
+const NOTIFICATION_TYPES = ['None', 'Call', 'SMS', 'Pager'];
+const TABLE_EVENT_TYPES = ['CheckPaid', 'TableScanned', 'CheckPartialPayment', 'CourseComplete', 'CheckPrinted', 'ItemsOrdered', 'TableOpened', 'TableCleared', 'TableDirtied'];
+const PARTY_MIX_TYPES = ['Adult', 'Child', 'Infant', 'Senior'];
+
+const PHONE = /^\+?[\d\s().-]+$/;
+const EMAIL = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+/** Checks of each field type. Each returns a problem message, or nothing if the value is valid. */
+const TYPE_CHECKS = {
+    string: value => typeof value === 'string' ? null : 'must be a string',
+    integer: value => Number.isInteger(value) ? null : 'must be an integer',
+    number: value => typeof value === 'number' && Number.isFinite(value) ? null : 'must be a number',
+    boolean: value => typeof value === 'boolean' ? null : 'must be true or false',
+    date: value => (value instanceof Date ? !Number.isNaN(value.getTime()) : typeof value === 'string' && !Number.isNaN(Date.parse(value)))
+        ? null : 'must be a Date or an ISO 8601 string',
+    phone: value => {
+        if (typeof value !== 'string' || !PHONE.test(value)) return 'must be a phone number, e.g. +12223334444 or (222) 333-4444';
+        const digits = value.replace(/\D/g, '').length;
+        return digits >= 7 && digits <= 15 ? null : 'must have 7 to 15 digits';
+    },
+    email: value => typeof value === 'string' && EMAIL.test(value) ? null : 'must be an email address',
+    object: value => typeof value === 'object' && value !== null && !Array.isArray(value) ? null : 'must be an object',
+    array: value => Array.isArray(value) ? null : 'must be an array'
+};
+
+/**
+ * Define a schema.
+ * @example
+ * const PROXIMITY = defineSchema('proximity', {
+ *     source: { key: 'Source', type: 'string' },
+ *     latitude: { key: 'Latitude', type: 'number', min: -90, max: 90 }
+ * });
+ * @param {string} name - Name used in error messages, e.g. "WebAhead".
+ * @param {Object<string, FieldSpec>} fields - Field specs, keyed by option name.
+ * @param {Object} [options] - Optional.
+ * @param {string[][]} [options.requireOne] - Optional. Groups of options of which at least one must be set.
+ * @returns {Schema} - Schema.
+ */
+function defineSchema(name, fields, options = {}) {
+    return Object.freeze({ name, fields, requireOne: options.requireOne || [] });
+}
+
+/**
+ * Validate a value against a field spec.
+ * @param {FieldSpec} spec - Field spec.
+ * @param {*} value - Value, neither undefined nor null.
+ * @param {string} path - Path of the value, for problems.
+ * @param {ValidationProblem[]} problems - Problems found so far, appended to.
+ */
+function checkField(spec, value, path, problems) {
+    const types = [].concat(spec.type || []);
+    if (types.length) {
+        const messages = types.map(type => TYPE_CHECKS[type](value));
+        if (!messages.includes(null)) {
+            problems.push({ path, message: messages.join(', or ') });
+            return;
+        }
+    }
+    if (spec.values && !spec.values.includes(value)) problems.push({ path, message: `must be one of ${spec.values.join(', ')}` });
+    if (spec.min !== undefined && value < spec.min) problems.push({ path, message: `must be at least ${spec.min}` });
+    if (spec.max !== undefined && value > spec.max) problems.push({ path, message: `must be at most ${spec.max}` });
+    if (spec.fields && TYPE_CHECKS.object(value) === null) checkObject(spec.fields, value, path, problems);
+    if (spec.items && Array.isArray(value)) {
+        value.forEach((item, i) => {
+            if (item === undefined || item === null) problems.push({ path: `${path}[${i}]`, message: 'is empty' });
+            else checkField(spec.items, item, `${path}[${i}]`, problems);
+        });
+    }
+}
+
+/**
+ * Validate the options of an object against field specs, reporting missing and unknown options.
+ * @param {Object<string, FieldSpec>} fields - Field specs.
+ * @param {Object} input - Options.
+ * @param {string} prefix - Path of the object, for problems.
+ * @param {ValidationProblem[]} problems - Problems found so far, appended to.
+ */
+function checkObject(fields, input, prefix, problems) {
+    const at = name => prefix ? `${prefix}.${name}` : name;
+    for (const [name, spec] of Object.entries(fields)) {
+        const value = input[name];
+        if (value === undefined || value === null) {
+            if (spec.required) problems.push({ path: at(name), message: 'is required' });
+        } else {
+            checkField(spec, value, at(name), problems);
+        }
+    }
+    for (const name of Object.keys(input)) {
+        if (fields[name] || input[name] === undefined) continue;
+        const suggestion = closest(name, Object.keys(fields));
+        problems.push({ path: at(name), message: suggestion ? `is not a known option, did you mean ${suggestion}?` : 'is not a known option' });
+    }
+}
+
+/**
+ * Find the known option a misspelled option was most likely meant to be.
+ * @param {string} name - Unknown option.
+ * @param {string[]} known - Known options.
+ * @returns {string|undefined} - Closest known option within two edits, ignoring case.
+ */
+function closest(name, known) {
+    let best;
+    let bestDistance = 3;
+    for (const candidate of known) {
+        const distance = editDistance(name.toLowerCase(), candidate.toLowerCase());
+        if (distance < bestDistance) {
+            best = candidate;
+            bestDistance = distance;
+        }
+    }
+    return best;
+}
+
+/**
+ * Levenshtein distance between two strings.
+ * @param {string} a - First string.
+ * @param {string} b - Second string.
+ * @returns {number} - Number of single character edits.
+ */
+function editDistance(a, b) {
+    let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        for (let j = 1; j <= b.length; j++) {
+            current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+        }
+        previous = current;
+    }
+    return previous[b.length];
+}
+
+/**
+ * Validate options against a schema.
+ * @param {Schema} schema - Schema.
+ * @param {Object} [input] - Optional. Options passed to the method.
+ * @returns {ValidationProblem[]} - Every problem found, empty if the options are valid.
+ */
+function validate(schema, input = {}) {
+    const problems = [];
+    if (TYPE_CHECKS.object(input) !== null) return [{ path: '', message: `${schema.name} options must be an object` }];
+    checkObject(schema.fields, input, '', problems);
+    for (const group of schema.requireOne) {
+        if (group.every(name => input[name] === undefined || input[name] === null)) {
+            problems.push({ path: group.join(' or '), message: 'is required' });
+        }
+    }
+    return problems;
+}
+
+/**
+ * Map valid options to the API's field names. Dates are sent as ISO 8601 strings.
+ * @param {Object<string, FieldSpec>} fields - Field specs.
+ * @param {Object} input - Options.
+ * @returns {Object} - Payload.
+ */
+function mapObject(fields, input) {
+    const payload = {};
+    for (const [name, spec] of Object.entries(fields)) {
+        const value = input[name];
+        if (value !== undefined && value !== null) payload[spec.key || name] = mapValue(spec, value);
+    }
+    return payload;
+}
+
+/**
+ * Map a valid value to its API form.
+ * @param {FieldSpec} spec - Field spec.
+ * @param {*} value - Value.
+ * @returns {*} - API value.
+ */
+function mapValue(spec, value) {
+    if (value instanceof Date) return value.toISOString();
+    if (spec.fields && TYPE_CHECKS.object(value) === null) return mapObject(spec.fields, value);
+    if (spec.items && Array.isArray(value)) return value.map(item => mapValue(spec.items, item));
+    return value;
+}
+
+/**
+ * Validate options against a schema and build the request payload.
+ * @example
+ * buildPayload(SCHEMAS.guestUpdate, { isSubedToSms: false });
+ * // { IsSubscribedToSmsMarketing: false }
+ * @param {Schema} schema - Schema.
+ * @param {Object} [input] - Optional. Options passed to the method.
+ * @returns {Object} - Payload with the API's field names.
+ * @throws {QSRValidationError} - If the options are invalid, listing every problem.
+ */
+function buildPayload(schema, input = {}) {
+    const problems = validate(schema, input);
+    if (problems.length) {
+        const list = problems.map(problem => `${problem.path} ${problem.message}`.trim()).join('; ');
+        throw new QSRValidationError(`QSR Error: Invalid ${schema.name}: ${list}.`, { problems });
+    }
+    return mapObject(schema.fields, input);
+}
+
+const PARTY_SIZE = { key: 'PartySize', type: 'integer', min: 1 };
+const NOTIFICATION_TYPE = { key: 'NotificationType', type: 'string', values: NOTIFICATION_TYPES };
+const MARKETING = {
+    isSubedToSms: { key: 'IsSubscribedToSmsMarketing', type: 'boolean' },
+    isSubedToEmail: { key: 'IsSubscribedToEmailMarketing', type: 'boolean' },
+    isSubedToQsr: { key: 'IsSubscribedToQsrMarketing', type: 'boolean' }
+};
+const WEB_AHEAD_FIELDS = {
+    partySize: PARTY_SIZE,
+    phoneNumberString: { key: 'PhoneNumberString', type: 'phone' },
+    lastName: { key: 'LastName', type: 'string' },
+    firstName: { key: 'FirstName', type: 'string' },
+    email: { key: 'Email', type: 'email' },
+    guestID: { key: 'GuestID', type: 'string' },
+    estimatedArrivalTime: { key: 'EstimatedArrivalTime', type: 'date' },
+    expandGuest: { key: 'ExpandGuest', type: 'boolean' },
+    notes: { key: 'Notes', type: 'string' },
+    notificationType: NOTIFICATION_TYPE,
+    ...MARKETING
+};
+const GUEST_FIELDS = {
+    lastName: { key: 'LastName', type: 'string' },
+    firstName: { key: 'FirstName', type: 'string' },
+    email: { key: 'Email', type: 'email' },
+    notes: { key: 'Notes', type: 'string' },
+    isAnon: { key: 'IsAnonymous', type: 'boolean' },
+    ...MARKETING,
+    loyalty: { key: 'Loyalty', type: 'object' },
+    phoneNumbers: { key: 'PhoneNumbers', type: 'array', items: { type: 'object' } },
+    addresses: { key: 'Addresses', type: 'array', items: { type: 'object' } },
+    customValues: { key: 'CustomValues', type: 'array', items: { type: 'object' } }
+};
+
+/** Schemas of the request payloads, by name. */
+const SCHEMAS = {
+    tableEvent: defineSchema('table event', {
+        eventType: { key: 'EventType', type: 'string', values: TABLE_EVENT_TYPES, required: true },
+        tableName: { key: 'TableName', type: 'string', required: true },
+        timestampUtc: { key: 'TimestampUtc', type: 'date', required: true },
+        transactionNumber: { key: 'TransactionNumber', type: ['number', 'string'] },
+        checkAmount: { key: 'CheckAmount', type: 'number' },
+        id: { key: 'ID', type: 'string' }
+    }),
+    reservation: defineSchema('reservation', {
+        arrivalTime: { key: 'EstimatedArrivalTime', type: 'date', required: true },
+        partySize: { ...PARTY_SIZE, required: true },
+        email: { key: 'Email', type: 'email' },
+        firstName: { key: 'FirstName', type: 'string' },
+        lastName: { key: 'LastName', type: 'string' },
+        guestId: { key: 'GuestId', type: 'string' },
+        subedToSms: { key: 'IsSubscribedToSmsMarketing', type: 'boolean' },
+        subedToEmail: { key: 'IsSubscribedToEmailMarketing', type: 'boolean' },
+        subedToQsr: { key: 'IsSubscribedToQsrMarketing', type: 'boolean' },
+        notes: { key: 'Notes', type: 'string' },
+        pagerId: { key: 'PagerId', type: 'string' },
+        phoneNumber: { key: 'PhoneNumber', type: 'phone' },
+        phoneNumberString: { key: 'PhoneNumberString', type: 'phone' },
+        seatingAreaUID: { key: 'SeatingAreaUID', type: 'string' },
+        notificationType: NOTIFICATION_TYPE
+    }),
+    reservationUpdate: defineSchema('reservation update', {
+        arrivalTime: { key: 'EstimatedArrivalTime', type: 'date' },
+        partySize: PARTY_SIZE,
+        notes: { key: 'Notes', type: 'string' },
+        pagerId: { key: 'PagerId', type: 'string' },
+        phoneNumber: { key: 'PhoneNumber', type: 'phone' },
+        notificationType: NOTIFICATION_TYPE,
+        foodAllergies: { key: 'FoodAllergies', type: 'string' }
+    }),
+    externalReservation: defineSchema('external reservation', {
+        arrivalTime: { key: 'EstimatedArrivalTime', type: 'date' },
+        partySize: PARTY_SIZE,
+        guest: { key: 'Guest', type: 'object' },
+        size: { key: 'Size', type: 'integer', min: 1 },
+        canceledTime: { key: 'CanceledTime', type: 'date' },
+        customValues: { key: 'CustomValues', type: 'array', items: { type: 'object' } },
+        notes: { key: 'Notes', type: 'string' },
+        partyMix: { key: 'PartyMix', type: 'object' },
+        syncSource: { key: 'SyncSource', type: 'string' }
+    }),
+    walkIn: defineSchema('walk-in', {
+        partySize: { ...PARTY_SIZE, required: true },
+        arrivalTime: { key: 'ArrivalTime', type: 'date' },
+        externalId: { key: 'ExternalID', type: 'string' },
+        guest: { key: 'Guest', type: ['object', 'string'] },
+        notes: { key: 'Notes', type: 'string' }
+    }),
+    webAhead: defineSchema('WebAhead', {
+        ...WEB_AHEAD_FIELDS,
+        partySize: { ...PARTY_SIZE, required: true },
+        phoneNumberString: { ...WEB_AHEAD_FIELDS.phoneNumberString, required: true }
+    }, { requireOne: [['lastName', 'guestID']] }),
+    webAheadUpdate: defineSchema('WebAhead update', WEB_AHEAD_FIELDS),
+    guest: defineSchema('guest', {
+        ...GUEST_FIELDS,
+        lastName: { ...GUEST_FIELDS.lastName, required: true }
+    }),
+    guestUpdate: defineSchema('guest update', GUEST_FIELDS),
+    proximity: defineSchema('proximity', {
+        source: { key: 'Source', type: 'string' },
+        latitude: { key: 'Latitude', type: 'number', min: -90, max: 90 },
+        longitude: { key: 'Longitude', type: 'number', min: -180, max: 180 },
+        distance: { key: 'Distance', type: 'number' }
+    }),
+    partyMix: defineSchema('party mix', {
+        mixes: {
+            key: 'Mixes',
+            type: 'array',
+            required: true,
+            items: {
+                type: 'object',
+                fields: {
+                    type: { key: 'Type', type: 'string', values: PARTY_MIX_TYPES, required: true },
+                    count: { key: 'Count', type: 'integer', min: 0, required: true }
+                }
+            }
+        }
+    })
+};
+
+module.exports = {
+    NOTIFICATION_TYPES,
+    TABLE_EVENT_TYPES,
+    PARTY_MIX_TYPES,
+    SCHEMAS,
+    defineSchema,
+    validate,
+    buildPayload
+};
+
+/** Type Definitions */
+
+/**
+ * @typedef {Object} Schema
+ * @property {string} name - Name used in error messages.
+ * @property {Object<string, FieldSpec>} fields - Field specs, keyed by option name.
+ * @property {string[][]} requireOne - Groups of options of which at least one must be set.
+ */
+
+/**
+ * @typedef {Object} FieldSpec
+ * @property {string} [key] - Optional. API field name. Defaults to the option name.
+ * @property {string|string[]} [type] - Optional. string, integer, number, boolean, date, phone, email, object or array, or a list of accepted types.
+ * @property {boolean} [required] - Optional. If true, the option must be set.
+ * @property {Array} [values] - Optional. Accepted values.
+ * @property {number} [min] - Optional. Minimum value.
+ * @property {number} [max] - Optional. Maximum value.
+ * @property {Object<string, FieldSpec>} [fields] - Optional. Field specs of an object value, mapped recursively.
+ * @property {FieldSpec} [items] - Optional. Field spec of each item of an array value.
+ */
@@ -0,0 +1,186 @@
+/**
+ * QSR Request Signer
+ * Signs requests with, and verifies, the dinetime-sv2-hmac-sha1 signature scheme:
+ *  1. Canonical request: METHOD&encodeURIComponent(path)&sortedQueryString&hex(SHA256(body))
+ *  2. String to sign: HMAC-SHA1&timestamp&accessKey&hex(SHA256(canonicalRequest))
+ *  3. Signature: hex(HMAC-SHA1(secretKey, stringToSign))
+ * The body hash covers the exact bytes sent: JSON bodies are hashed as JSON.stringify output, form bodies
+ * as their URL-encoded string.
+ *
+ * Test vector:
+ *  method "POST", url "/Site/ABC123/WalkIn", params { SyncSource: "POS" }, body { PartySize: 2, Notes: "Booth" },
+ *  timestamp "2024-01-02T03:04:05.000Z", accessKey "AK", secretKey "SK" gives
+ *  Authorization "dinetime-sv2-hmac-sha1 Algorithm=SHA256&Credentials=AK&Signature=09e0e5f1fa7b09c2cf4e312bd9effdf0028d2c88".
+ * @author Steve Ostopchuck
+ */
+const crypto = require('crypto');
+
+const SIGNATURE_VERSION = 'dinetime-sv2-hmac-sha1';
+const FORM_CONTENT_TYPE = 'application/x-www-form-urlencoded';
+const JSON_CONTENT_TYPE = 'application/json';
+
+/**
+ * Serialize a request body the way it will be sent, so the signature covers the bytes on the wire.
+ * @param {*} data - Body. Strings and Buffers are used as is, URLSearchParams are form encoded, other objects are JSON encoded.
+ * @param {string} [contentType] - Optional. Content-Type of the request. Objects are form encoded when it is application/x-www-form-urlencoded.
+ * @returns {Object} - { body, contentType }. body is '' and contentType undefined when there is no body.
+ */
+function serializeBody(data, contentType) {
+    if (data === undefined || data === null || data === '') return { body: '', contentType };
+    if (Buffer.isBuffer(data)) return { body: data.toString(), contentType };
+    if (typeof data === 'string') return { body: data, contentType };
+    if (data instanceof URLSearchParams) return { body: data.toString(), contentType: contentType || FORM_CONTENT_TYPE };
+    if (contentType && contentType.toLowerCase().startsWith(FORM_CONTENT_TYPE)) {
+        return { body: new URLSearchParams(data).toString(), contentType };
+    }
+    return { body: JSON.stringify(data), contentType: contentType || JSON_CONTENT_TYPE };
+}
+
+/**
+ * Build the sorted canonical query string. Undefined and null values are left out and Dates are
+ * sent in ISO 8601 format, as axios does when building the URL.
+ * @param {Object|URLSearchParams|string} [params] - Optional. Query parameters.
+ * @returns {string} - Sorted query string.
+ */
+function canonicalQuery(params) {
+    let query;
+    if (!params || typeof params === 'string' || params instanceof URLSearchParams) {
+        query = new URLSearchParams(params || '');
+    } else {
+        query = new URLSearchParams();
+        for (const [key, value] of Object.entries(params)) {
+            if (value === undefined || value === null) continue;
+            query.append(key, value instanceof Date ? value.toISOString() : value);
+        }
+    }
+    query.sort();
+    return query.toString();
+}
+
+/**
+ * Compute the signature of a request.
+ * @param {Object} request - Request.
+ * @param {string} request.method - HTTP method.
+ * @param {string} request.path - Request path, e.g. /Site/ABC123/Visits.
+ * @param {Object|URLSearchParams|string} [request.params] - Optional. Query parameters.
+ * @param {string} request.body - Serialized body.
+ * @param {string} request.timestamp - Timestamp in ISO 8601 format.
+ * @param {string} accessKey - Access key.
+ * @param {string} secretKey - Secret key.
+ * @returns {string} - Hex signature.
+ */
+function computeSignature(request, accessKey, secretKey) {
+    const bodyHexHash = crypto.createHash('SHA256').update(request.body).digest('hex');
+    const canonicalRequest = `${request.method.toUpperCase()}&${encodeURIComponent(request.path)}&${canonicalQuery(request.params)}&${bodyHexHash}`;
+    const crHexHash = crypto.createHash('SHA256').update(canonicalRequest).digest('hex');
+    const stringToSign = `HMAC-SHA1&${request.timestamp}&${accessKey}&${crHexHash}`;
+    return crypto.createHmac('SHA1', secretKey).update(stringToSign).digest('hex');
+}
+
+/**
+ * Split a URL into its path and query parameters.
+ * @param {string} url - Path or absolute URL, with or without a query string.
+ * @param {Object|URLSearchParams|string} [params] - Optional. Additional query parameters.
+ * @returns {Object} - { path, params }.
+ */
+function splitUrl(url, params) {
+    const parsed = new URL(url, 'http://localhost');
+    if (![...parsed.searchParams.keys()].length) return { path: parsed.pathname, params };
+    const query = new URLSearchParams(canonicalQuery(params));
+    for (const [key, value] of parsed.searchParams) query.append(key, value);
+    return { path: parsed.pathname, params: query };
+}
+
+/**
+ * Sign a request.
+ * @example
+ * const headers = sign({ method: 'GET', url: '/Site/ABC123/Visits', params: { start, stop }, accessKey, secretKey });
+ * @param {Object} request - Request to sign.
+ * @param {string} [request.method] - Optional. HTTP method. Defaults to GET.
+ * @param {string} request.url - Request path (or URL), as received by the server, e.g. /Site/ABC123/Visits.
+ * @param {Object|URLSearchParams|string} [request.params] - Optional. Query parameters.
+ * @param {*} [request.body] - Optional. Request body, see serializeBody. Send the serialized body returned by serializeBody so the hash matches.
+ * @param {string} [request.contentType] - Optional. Content-Type of the body.
+ * @param {Date|string} [request.timestamp] - Optional. Time of the request. Defaults to now.
+ * @param {string} request.accessKey - Access key provided by QSR.
+ * @param {string} request.secretKey - Secret key provided by QSR.
+ * @returns {Object} - Headers to add to the request: Authorization, x-dinetime-timestamp and x-dinetime-signature-version.
+ */
+function sign(request) {
+    const timestamp = request.timestamp instanceof Date ? request.timestamp.toISOString() : (request.timestamp || new Date().toISOString());
+    const { path, params } = splitUrl(request.url, request.params);
+    const { body } = serializeBody(request.body, request.contentType);
+    const signature = computeSignature({ method: request.method || 'GET', path, params, body, timestamp }, request.accessKey, request.secretKey);
+    return {
+        Authorization: `${SIGNATURE_VERSION} Algorithm=SHA256&Credentials=${request.accessKey}&Signature=${signature}`,
+        'x-dinetime-timestamp': timestamp,
+        'x-dinetime-signature-version': SIGNATURE_VERSION
+    };
+}
+
+/**
+ * Verify the signature of a received request, e.g. a DineTime-style callback or a request to a proxy.
+ * Use the raw body whenever possible. A parsed object body is re-serialized according to its Content-Type,
+ * which only matches if the sender serialized it the same way.
+ * @example
+ * const result = await verifySignature({ method: req.method, url: req.url, headers: req.headers, body: rawBody }, {
+ *     getSecret: accessKey => secrets[accessKey]
+ * });
+ * if (!result.valid) return res.status(401).send(result.reason);
+ * @param {Object} req - Received request, such as a Node IncomingMessage with a body.
+ * @param {string} req.method - HTTP method.
+ * @param {string} req.url - Request path with its query string.
+ * @param {Object} req.headers - Request headers, with lower case names.
+ * @param {string|Buffer|Object} [req.body] - Optional. Raw body. Defaults to req.rawBody.
+ * @param {Object} options - Verification options.
+ * @param {string} [options.secretKey] - Optional. Secret key. Required if getSecret is not provided.
+ * @param {string} [options.accessKey] - Optional. Only accept this access key.
+ * @param {Function} [options.getSecret] - Optional. Returns the secret key (or a Promise of it) for an access key, or undefined if the key is unknown.
+ * @param {number} [options.clockSkew] - Optional. Accepted difference between the request timestamp and now, in milliseconds. Defaults to 300000.
+ * @param {Date|number} [options.now] - Optional. Current time. Defaults to now.
+ * @returns {Promise<SignatureVerification>} - SignatureVerification.
+ */
+async function verifySignature(req, options = {}) {
+    const headers = req.headers || {};
+    const header = name => {
+        const value = headers[name] ?? headers[Object.keys(headers).find(key => key.toLowerCase() === name)];
+        return Array.isArray(value) ? value[0] : value;
+    };
+    const match = (header('authorization') || '').match(/^dinetime-sv2-hmac-sha1 Algorithm=SHA256&Credentials=([^&]*)&Signature=([0-9a-f]+)$/i);
+    const timestamp = header('x-dinetime-timestamp');
+    if (!match || !timestamp) return { valid: false, reason: 'Missing or malformed signature.' };
+    const accessKey = match[1];
+    if (options.accessKey && options.accessKey !== accessKey) return { valid: false, accessKey, reason: 'Unknown access key.' };
+    const secretKey = options.getSecret ? await options.getSecret(accessKey) : options.secretKey;
+    if (!secretKey) return { valid: false, accessKey, reason: 'Unknown access key.' };
+
+    const time = Date.parse(timestamp);
+    const now = options.now instanceof Date ? options.now.getTime() : (options.now ?? Date.now());
+    if (Number.isNaN(time) || Math.abs(now - time) > (options.clockSkew ?? 5 * 60 * 1000)) {
+        return { valid: false, accessKey, timestamp, reason: 'Request timestamp outside of the allowed clock skew.' };
+    }
+
+    const { path, params } = splitUrl(req.url);
+    const { body } = serializeBody(req.body ?? req.rawBody, header('content-type'));
+    const expected = computeSignature({ method: req.method, path, params, body, timestamp }, accessKey, secretKey);
+    const valid = expected.length === match[2].length
+        && crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(match[2].toLowerCase()));
+    return valid ? { valid, accessKey, timestamp } : { valid, accessKey, timestamp, reason: 'Invalid signature.' };
+}
+
+module.exports = {
+    SIGNATURE_VERSION,
+    serializeBody,
+    sign,
+    verifySignature
+};
+
+/** Type Definitions */
+
+/**
+ * @typedef {Object} SignatureVerification
+ * @property {boolean} valid - True if the signature is valid and the timestamp within the allowed clock skew.
+ * @property {string} [accessKey] - Access key the request was signed with.
+ * @property {string} [timestamp] - Timestamp of the request.
+ * @property {string} [reason] - Why the request was rejected.
+ */
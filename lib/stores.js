@@ -0,0 +1,208 @@
+/**
+ * QSR Key-Value Store Classes
+ * Durable state (sync cursors, outboxes...) and cached responses are kept in a store. Any object with async get,
+ * set, delete and keys methods can be used in place of these classes, e.g. an adapter for a database table or Redis.
+ * @author Steve Ostopchuck
+ */
+const fs = require('fs');
+const path = require('path');
+
+/**
+ *  Store keeping values in memory. State is lost when the process exits.
+ */
+class MemoryStore {
+    'use strict'
+    #data = new Map();
+
+    /**
+     * Get a value.
+     * @param {string} key - Key.
+     * @returns {Promise<*>} - The value, or undefined.
+     */
+    async get(key) {
+        const value = this.#data.get(key);
+        return value === undefined ? undefined : JSON.parse(value);
+    }
+
+    /**
+     * Set a value. Values are copied as JSON.
+     * @param {string} key - Key.
+     * @param {*} value - JSON serializable value.
+     */
+    async set(key, value) {
+        this.#data.set(key, JSON.stringify(value));
+    }
+
+    /**
+     * Delete a value.
+     * @param {string} key - Key.
+     */
+    async delete(key) {
+        this.#data.delete(key);
+    }
+
+    /**
+     * List the stored keys.
+     * @param {string} [prefix] - Optional. Only keys starting with prefix.
+     * @returns {Promise<string[]>} - Keys.
+     */
+    async keys(prefix = '') {
+        return [...this.#data.keys()].filter(key => key.startsWith(prefix));
+    }
+}
+
+/**
+ *  Store keeping a bounded number of values in memory. Once full, setting a new key evicts the least recently used one.
+ */
+class LruStore {
+    'use strict'
+    #data = new Map();
+
+    /**
+     * Create an LruStore.
+     * @param {Object} [options] - Optional.
+     * @param {number} [options.maxEntries] - Optional. Number of values kept. Defaults to 1000.
+     */
+    constructor(options = {}) {
+        this.maxEntries = options.maxEntries || 1000;
+    }
+
+    /**
+     * Get a value, marking it as recently used.
+     * @param {string} key - Key.
+     * @returns {Promise<*>} - The value, or undefined.
+     */
+    async get(key) {
+        const value = this.#data.get(key);
+        if (value === undefined) return undefined;
+        // Map keeps insertion order, so re-inserting moves the key to the most recently used end
+        this.#data.delete(key);
+        this.#data.set(key, value);
+        return JSON.parse(value);
+    }
+
+    /**
+     * Set a value, evicting the least recently used value if the store is full. Values are copied as JSON.
+     * @param {string} key - Key.
+     * @param {*} value - JSON serializable value.
+     */
+    async set(key, value) {
+        this.#data.delete(key);
+        this.#data.set(key, JSON.stringify(value));
+        while (this.#data.size > this.maxEntries) this.#data.delete(this.#data.keys().next().value);
+    }
+
+    /**
+     * Delete a value.
+     * @param {string} key - Key.
+     */
+    async delete(key) {
+        this.#data.delete(key);
+    }
+
+    /**
+     * List the stored keys, least recently used first.
+     * @param {string} [prefix] - Optional. Only keys starting with prefix.
+     * @returns {Promise<string[]>} - Keys.
+     */
+    async keys(prefix = '') {
+        return [...this.#data.keys()].filter(key => key.startsWith(prefix));
+    }
+}
+
+/**
+ *  Store keeping values in a JSON file.
+ *  Every write replaces the file atomically (write to a temporary file, then rename),
+ *  so a crash never leaves a half-written file behind.
+ */
+class JsonFileStore {
+    'use strict'
+    #data = null;
+    #loading = null;
+    #writing = Promise.resolve();
+
+    /**
+     * Create a JsonFileStore.
+     * @param {string} filePath - Path of the JSON file. Created on first write.
+     */
+    constructor(filePath) {
+        this.filePath = path.resolve(filePath);
+    }
+
+    /**
+     * Get a value.
+     * @param {string} key - Key.
+     * @returns {Promise<*>} - The value, or undefined.
+     */
+    async get(key) {
+        const data = await this.#load();
+        return data[key] === undefined ? undefined : JSON.parse(JSON.stringify(data[key]));
+    }
+
+    /**
+     * Set a value and write the file.
+     * @param {string} key - Key.
+     * @param {*} value - JSON serializable value.
+     */
+    async set(key, value) {
+        const data = await this.#load();
+        data[key] = JSON.parse(JSON.stringify(value));
+        await this.#save();
+    }
+
+    /**
+     * Delete a value and write the file.
+     * @param {string} key - Key.
+     */
+    async delete(key) {
+        const data = await this.#load();
+        delete data[key];
+        await this.#save();
+    }
+
+    /**
+     * List the stored keys.
+     * @param {string} [prefix] - Optional. Only keys starting with prefix.
+     * @returns {Promise<string[]>} - Keys.
+     */
+    async keys(prefix = '') {
+        const data = await this.#load();
+        return Object.keys(data).filter(key => key.startsWith(prefix));
+    }
+
+    #load() {
+        // Concurrent first calls share one read, or the later read would replace values set in between
+        this.#loading ??= this.#read().catch(err => {
+            this.#loading = null;
+            throw err;
+        });
+        return this.#loading;
+    }
+
+    async #read() {
+        try {
+            this.#data = JSON.parse(await fs.promises.readFile(this.filePath, 'utf8'));
+        } catch (err) {
+            if (err.code !== 'ENOENT') throw err;
+            this.#data = {};
+        }
+        return this.#data;
+    }
+
+    #save() {
+        const contents = JSON.stringify(this.#data, null, 2);
+        this.#writing = this.#writing.catch(() => {}).then(async () => {
+            const tmpPath = `${this.filePath}.${process.pid}.tmp`;
+            await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+            await fs.promises.writeFile(tmpPath, contents);
+            await fs.promises.rename(tmpPath, this.filePath);
+        });
+        return this.#writing;
+    }
+}
+
+module.exports = {
+    MemoryStore,
+    LruStore,
+    JsonFileStore
+};
@@ -0,0 +1,285 @@
+/**
+ * QSR Time Zone Helpers
+ * Converts between site-local wall clock times and UTC with Intl, so business dates and local times
+ * resolve correctly in any site's Olson time zone, across daylight saving time transitions.
+ * @author Steve Ostopchuck
+ */
+const { QSRConfigError } = require('./errors');
+
+const DATE = /^(\d{4})-(\d{2})-(\d{2})$/;
+const TIME = /^(\d{1,2}):(\d{2})(?::(\d{2})(?:\.(\d{1,3}))?)?$/;
+const LOCAL_DATE_TIME = /^(\d{4}-\d{2}-\d{2})[T ](\d{1,2}:\d{2}(?::\d{2}(?:\.\d{1,3})?)?)$/;
+const UTC_TIMESTAMP = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(?::\d{2}(?:\.\d+)?)?(?:Z|[+-]00:?00)$/;
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+const formatters = new Map();
+
+/**
+ * Get a cached formatter for a time zone.
+ * @param {string} timeZone - Olson time zone, e.g. America/New_York.
+ * @returns {Intl.DateTimeFormat} - Formatter.
+ * @throws {QSRConfigError} - If the time zone is not valid.
+ */
+function formatter(timeZone) {
+    if (!formatters.has(timeZone)) {
+        try {
+            formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+                timeZone,
+                hourCycle: 'h23',
+                year: 'numeric',
+                month: '2-digit',
+                day: '2-digit',
+                hour: '2-digit',
+                minute: '2-digit',
+                second: '2-digit'
+            }));
+        } catch (err) {
+            throw new QSRConfigError(`QSR Error: Invalid time zone "${timeZone}".`, { cause: err });
+        }
+    }
+    return formatters.get(timeZone);
+}
+
+/**
+ * Get the wall clock date and time of an instant in a time zone.
+ * @param {Date|number} date - Instant.
+ * @param {string} timeZone - Olson time zone.
+ * @returns {Object} - { year, month, day, hour, minute, second }, month is 1-based.
+ */
+function localParts(date, timeZone) {
+    const parts = {};
+    for (const part of formatter(timeZone).formatToParts(date)) {
+        if (part.type !== 'literal') parts[part.type] = Number(part.value);
+    }
+    return { year: parts.year, month: parts.month, day: parts.day, hour: parts.hour, minute: parts.minute, second: parts.second };
+}
+
+/**
+ * Get the UTC offset of a time zone at an instant.
+ * @param {Date|number} date - Instant.
+ * @param {string} timeZone - Olson time zone.
+ * @returns {number} - Offset in milliseconds, e.g. -14400000 for EDT.
+ */
+function timeZoneOffset(date, timeZone) {
+    const time = typeof date === 'number' ? date : date.getTime();
+    const parts = localParts(time, timeZone);
+    const wallClock = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+    return wallClock - (time - (((time % 1000) + 1000) % 1000));
+}
+
+/**
+ * Convert a wall clock time in a time zone to an instant.
+ * Times skipped by a daylight saving transition are moved forward by the length of the gap (02:30 becomes 03:30),
+ * and times repeated by one resolve to their first occurrence.
+ * @param {Object} wallClock - Wall clock time.
+ * @param {number} wallClock.year - Year.
+ * @param {number} wallClock.month - Month, 1-based.
+ * @param {number} wallClock.day - Day of the month.
+ * @param {number} [wallClock.hour] - Optional. Hour, 0-23.
+ * @param {number} [wallClock.minute] - Optional. Minute.
+ * @param {number} [wallClock.second] - Optional. Second.
+ * @param {number} [wallClock.millisecond] - Optional. Millisecond.
+ * @param {string} timeZone - Olson time zone.
+ * @returns {Date} - Instant.
+ */
+function zonedTimeToUtc(wallClock, timeZone) {
+    const asUtc = Date.UTC(wallClock.year, wallClock.month - 1, wallClock.day,
+        wallClock.hour || 0, wallClock.minute || 0, wallClock.second || 0, wallClock.millisecond || 0);
+    // Offsets in effect around the wall clock time; there are two near a transition
+    const before = timeZoneOffset(asUtc - DAY / 2, timeZone);
+    const after = timeZoneOffset(asUtc + DAY / 2, timeZone);
+    const valid = [...new Set([before, after])]
+        .map(offset => asUtc - offset)
+        .filter(time => timeZoneOffset(time, timeZone) === asUtc - time);
+    if (valid.length) return new Date(Math.min(...valid));
+    return new Date(asUtc - before);
+}
+
+/**
+ * Format an instant as ISO 8601 in a time zone, with its UTC offset, e.g. 2026-10-18T17:00:00.000-04:00.
+ * @param {Date|number|string} date - Instant.
+ * @param {string} timeZone - Olson time zone.
+ * @returns {string} - ISO 8601 string.
+ */
+function toZonedISOString(date, timeZone) {
+    const time = new Date(date).getTime();
+    const offset = timeZoneOffset(time, timeZone);
+    const local = new Date(time + offset).toISOString().slice(0, -1);
+    const minutes = Math.abs(offset) / 60000;
+    const sign = offset < 0 ? '-' : '+';
+    return `${local}${sign}${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+}
+
+/**
+ * Get the current date at a time zone.
+ * @param {string} timeZone - Olson time zone.
+ * @param {Date} [now] - Optional. Current time. Defaults to now.
+ * @returns {string} - Date as YYYY-MM-DD.
+ */
+function localDate(timeZone, now = new Date()) {
+    const parts = localParts(now, timeZone);
+    return `${parts.year}-${String(parts.month).padStart(2, '0')}-${String(parts.day).padStart(2, '0')}`;
+}
+
+/**
+ * Add days to a YYYY-MM-DD date.
+ * @param {string} date - Date.
+ * @param {number} days - Days to add.
+ * @returns {string} - Date as YYYY-MM-DD.
+ */
+function addDays(date, days) {
+    const [, year, month, day] = date.match(DATE);
+    return new Date(Date.UTC(Number(year), Number(month) - 1, Number(day) + days)).toISOString().slice(0, 10);
+}
+
+/**
+ * Parse a business date: YYYY-MM-DD, "today" or "yesterday" at the site.
+ * @param {string} value - Business date.
+ * @param {string} timeZone - Olson time zone.
+ * @param {Date} now - Current time.
+ * @returns {string} - Date as YYYY-MM-DD.
+ * @throws {QSRConfigError} - If the value is not a date.
+ */
+function parseDate(value, timeZone, now) {
+    if (value === 'today') return localDate(timeZone, now);
+    if (value === 'yesterday') return addDays(localDate(timeZone, now), -1);
+    if (typeof value !== 'string' || !DATE.test(value)) throw new QSRConfigError(`QSR Error: Invalid business date "${value}", expected YYYY-MM-DD.`);
+    return value;
+}
+
+/**
+ * Convert a local date and time of day to an instant.
+ * @param {string} date - Date as YYYY-MM-DD.
+ * @param {string} time - Time of day as HH:mm, HH:mm:ss or HH:mm:ss.SSS.
+ * @param {string} timeZone - Olson time zone.
+ * @returns {Date} - Instant.
+ * @throws {QSRConfigError} - If the time is not valid.
+ */
+function localTime(date, time, timeZone) {
+    const match = time.match(TIME);
+    if (!match || Number(match[1]) > 23 || Number(match[2]) > 59) throw new QSRConfigError(`QSR Error: Invalid time of day "${time}", expected HH:mm.`);
+    const [, year, month, day] = date.match(DATE).map(Number);
+    return zonedTimeToUtc({
+        year,
+        month,
+        day,
+        hour: Number(match[1]),
+        minute: Number(match[2]),
+        second: Number(match[3] || 0),
+        millisecond: Number((match[4] || '0').padEnd(3, '0'))
+    }, timeZone);
+}
+
+/**
+ * Check if a value is a time of day.
+ * @param {*} value - Value.
+ * @returns {boolean} - True for HH:mm strings.
+ */
+function isTimeOfDay(value) {
+    return typeof value === 'string' && TIME.test(value);
+}
+
+/**
+ * Get the seconds since midnight of a time of day.
+ * @param {string} time - Time of day as HH:mm, HH:mm:ss or HH:mm:ss.SSS.
+ * @returns {number} - Seconds.
+ */
+function seconds(time) {
+    const [, hour, minute, second = 0, millisecond = '0'] = time.match(TIME);
+    return Number(hour) * 3600 + Number(minute) * 60 + Number(second) + Number(millisecond.padEnd(3, '0')) / 1000;
+}
+
+/**
+ * Check if a value is a local range (LocalRange) rather than a Date or timestamp.
+ * @param {*} value - Value.
+ * @returns {boolean} - True for LocalRange objects.
+ */
+function isLocalRange(value) {
+    return Boolean(value) && typeof value === 'object' && !(value instanceof Date)
+        && ['businessDate', 'date', 'from', 'to'].some(key => value[key] !== undefined);
+}
+
+/**
+ * Resolve a local range to UTC instants.
+ * With only a business date, the range covers the whole business day, from dayStart to dayStart the next day,
+ * so it is 23 or 25 hours long on daylight saving transition days. With from and to, times of day are taken on
+ * the business date (today by default), and a to time earlier than from falls on the next day.
+ * from and to may also be local date-times (YYYY-MM-DDTHH:mm), or Dates and timestamps with an offset.
+ * @example
+ * resolveRange({ businessDate: '2026-10-18' }, 'America/New_York');
+ * // { start: 2026-10-18T04:00:00.000Z, end: 2026-10-19T04:00:00.000Z }
+ * resolveRange({ from: '17:00', to: '22:00' }, 'America/Chicago'); // today 17:00 to 22:00 in Chicago
+ * @param {LocalRange} range - LocalRange.
+ * @param {string} timeZone - Olson time zone of the site.
+ * @param {Date} [now] - Optional. Current time, for "today", "yesterday" and an open-ended range. Defaults to now.
+ * @returns {Object} - { start: Date, end: Date }.
+ * @throws {QSRConfigError} - If the range is not valid.
+ */
+function resolveRange(range, timeZone, now = new Date()) {
+    const date = parseDate(range.businessDate || range.date || 'today', timeZone, now);
+    const point = (value, day) => {
+        if (value instanceof Date) return value;
+        if (typeof value !== 'string') throw new QSRConfigError(`QSR Error: Invalid range time "${value}".`);
+        if (TIME.test(value)) return localTime(day, value, timeZone);
+        const local = value.match(LOCAL_DATE_TIME);
+        if (local) return localTime(local[1], local[2], timeZone);
+        if (DATE.test(value)) return localTime(value, range.dayStart || '00:00', timeZone);
+        const absolute = new Date(value);
+        if (Number.isNaN(absolute.getTime())) throw new QSRConfigError(`QSR Error: Invalid range time "${value}".`);
+        return absolute;
+    };
+
+    if (range.from === undefined && range.to === undefined) {
+        const dayStart = range.dayStart || '00:00';
+        return { start: localTime(date, dayStart, timeZone), end: localTime(addDays(date, 1), dayStart, timeZone) };
+    }
+    const start = range.from === undefined ? localTime(date, range.dayStart || '00:00', timeZone) : point(range.from, date);
+    let end = range.to === undefined ? now : point(range.to, date);
+    if (isTimeOfDay(range.to) && (isTimeOfDay(range.from) ? seconds(range.to) <= seconds(range.from) : end <= start)) {
+        end = point(range.to, addDays(date, 1));
+    }
+    if (end < start) throw new QSRConfigError('QSR Error: Invalid range, "to" is before "from".');
+    return { start, end };
+}
+
+/**
+ * Convert the UTC timestamps of a value (recursively) to ISO 8601 strings in a time zone.
+ * Only strings that are explicitly UTC (ending in Z or +00:00) are converted.
+ * @param {*} value - API response data.
+ * @param {string} timeZone - Olson time zone.
+ * @param {string[]} [skip] - Optional. Property names to leave unchanged, such as page cursors.
+ * @returns {*} - A copy of the value with converted timestamps.
+ */
+function convertTimestamps(value, timeZone, skip = []) {
+    if (typeof value === 'string') return UTC_TIMESTAMP.test(value) ? toZonedISOString(value, timeZone) : value;
+    if (Array.isArray(value)) return value.map(item => convertTimestamps(item, timeZone, skip));
+    if (!value || typeof value !== 'object') return value;
+    const result = {};
+    for (const [key, item] of Object.entries(value)) {
+        result[key] = skip.includes(key) ? item : convertTimestamps(item, timeZone, skip);
+    }
+    return result;
+}
+
+module.exports = {
+    timeZoneOffset,
+    zonedTimeToUtc,
+    toZonedISOString,
+    localDate,
+    isLocalRange,
+    resolveRange,
+    convertTimestamps
+};
+
+/** Type Definitions */
+
+/**
+ * A range of site-local time, resolved with the site's TimeZoneId.
+ * @typedef {Object} LocalRange
+ * @property {string} [businessDate] - Optional. YYYY-MM-DD, "today" or "yesterday" at the site. Defaults to today.
+ * @property {string|Date} [from] - Optional. Start: a time of day (HH:mm) on the business date, a local date-time (YYYY-MM-DDTHH:mm), or an instant.
+ * @property {string|Date} [to] - Optional. End, in the same forms. Defaults to now when from is set.
+ * @property {string} [dayStart] - Optional. Time of day the business day starts, e.g. "04:00". Defaults to "00:00".
+ * @property {string} [timeZone] - Optional. Olson time zone to use instead of the site's.
+ */
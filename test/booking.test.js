@@ -0,0 +1,82 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { QSRRequestError } = require('..');
+const { startMock } = require('./helpers');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+/** Bookable slots of the Airport site for a party of 6, over the next few days. */
+async function airportSlots(booking) {
+    const start = new Date();
+    start.setUTCHours(0, 0, 0, 0);
+    return booking.search({ customerSiteId: '0421' }, { start, end: new Date(start.getTime() + 3 * DAY - 1), partySize: 6 });
+}
+
+test('ReservationBooking alternatives', async t => {
+    const { server, qsr, stop } = await startMock({ client: { retry: false } });
+    t.after(stop);
+    const booking = qsr.booking({ maxDistanceKm: 500, maxAlternatives: 50 });
+    const [slot] = await airportSlots(booking);
+    const request = { siteUID: slot.siteUID, time: slot.time, partySize: 6 };
+    const nearby = (await booking.alternatives(request)).find(alternative => alternative.distanceKm > 0).siteUID;
+
+    await t.test('skip a site whose availability cannot be read, and report it', async () => {
+        const fault = server.injectFault({ path: `/Site/${nearby}/reservations/availability`, status: 500, times: Infinity });
+        const events = [];
+        booking.on('alternativesError', event => events.push(event));
+        const alternatives = await booking.alternatives(request);
+        assert.ok(fault.hits > 0);
+        assert.ok(alternatives.length > 0);
+        assert.ok(alternatives.every(alternative => alternative.siteUID !== nearby));
+        assert.deepStrictEqual(events.map(event => event.siteUID), [nearby]);
+        assert.strictEqual(events[0].error.status, 500);
+
+        await booking.book(slot, { lastName: 'Smith' });
+        const conflict = (await booking.book(slot, { lastName: 'Jones' })).conflict;
+        assert.strictEqual(conflict.reason, 'unavailable');
+        assert.ok(conflict.alternatives.length > 0);
+        assert.deepStrictEqual(conflict.skippedSites.map(skipped => skipped.siteUID), [nearby]);
+        server.clearFaults();
+    });
+});
+
+test('ReservationBooking#book after a failed booking request', async t => {
+    const { server, qsr, stop } = await startMock({ client: { retry: false } });
+    t.after(stop);
+    const booking = qsr.booking({ nearbySites: 0 });
+    const slots = await airportSlots(booking);
+
+    await t.test('returns a taken conflict, whatever the status, when the slot was booked in the meantime', async () => {
+        const slot = slots[1];
+        const availability = qsr.getReservationAvailability;
+        qsr.getReservationAvailability = async (...args) => {
+            const days = await availability.apply(qsr, args);
+            delete qsr.getReservationAvailability;
+            await qsr.addReservation(slot.siteUID, { arrivalTime: slot.time, partySize: 6, seatingAreaUID: slot.seatingAreaUID });
+            server.injectFault({ method: 'POST', path: `/Site/${slot.siteUID}/reservations`, status: 400 });
+            return days;
+        };
+        const result = await booking.book(slot, { lastName: 'Smith' });
+        assert.strictEqual(result.status, 'conflict');
+        assert.strictEqual(result.conflict.reason, 'taken');
+        assert.strictEqual(result.conflict.error.status, 400);
+    });
+
+    await t.test('throws the error when the slot is still bookable', async () => {
+        const slot = slots[2];
+        server.injectFault({ method: 'POST', path: `/Site/${slot.siteUID}/reservations`, status: 400 });
+        await assert.rejects(booking.book(slot, { lastName: 'Smith' }), error => error instanceof QSRRequestError && error.status === 400);
+    });
+
+    await t.test('throws the error when the slot cannot be checked again', async () => {
+        const slot = slots[2];
+        server.injectFault({ method: 'POST', path: `/Site/${slot.siteUID}/reservations`, status: 400 });
+        const availability = qsr.getReservationAvailability;
+        qsr.getReservationAvailability = async (...args) => {
+            qsr.getReservationAvailability = async () => { throw new Error('offline'); };
+            return availability.apply(qsr, args);
+        };
+        await assert.rejects(booking.book(slot, { lastName: 'Smith' }), error => error instanceof QSRRequestError && error.status === 400);
+        delete qsr.getReservationAvailability;
+    });
+});
@@ -0,0 +1,124 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { QSR, QSRConfigError, ResponseCache } = require('..');
+const { startMock } = require('./helpers');
+
+/** Count the requests of the server to a path ending. */
+function count(server, ending) {
+    return server.requests.filter(request => request.method === 'GET' && request.path.endsWith(ending)).length;
+}
+
+/** Wait some milliseconds. */
+function wait(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+test('ResponseCache', async t => {
+    const { server, qsr: client, baseURL, stop } = await startMock({ client: { retry: false } });
+    t.after(stop);
+    const [siteUID, otherSiteUID] = server.data.sites.map(site => site.SiteUID);
+
+    /** A client of the mock with a cache. */
+    function cached(cache) {
+        return new QSR(server.companyUID, server.apiKeys, { baseURL, retry: false, cache });
+    }
+
+    await t.test('is off by default', async () => {
+        const before = count(server, '/Tables');
+        await client.getTables(siteUID);
+        await client.getTables(siteUID);
+        assert.strictEqual(count(server, '/Tables') - before, 2);
+    });
+
+    await t.test('serves a response until its TTL expires', async () => {
+        const qsr = cached({ ttl: { getTables: 100 } });
+        const before = count(server, '/Tables');
+        const tables = await qsr.getTables(siteUID);
+        assert.deepStrictEqual(await qsr.getTables(siteUID), tables);
+        assert.strictEqual(count(server, '/Tables') - before, 1);
+        await qsr.getTables(otherSiteUID);
+        assert.strictEqual(count(server, '/Tables') - before, 2);
+        await wait(120);
+        await qsr.getTables(siteUID);
+        assert.strictEqual(count(server, '/Tables') - before, 3);
+        assert.deepStrictEqual(pick(qsr.cache.stats(), ['hits', 'misses']), { hits: 1, misses: 3 });
+    });
+
+    await t.test('requests again, and stores the response, with cache: false', async () => {
+        const qsr = cached(true);
+        const before = count(server, '/Tables');
+        await qsr.getTables(siteUID);
+        await qsr.withOptions({ cache: false }).getTables(siteUID);
+        await qsr.getTables(siteUID);
+        assert.strictEqual(count(server, '/Tables') - before, 2);
+    });
+
+    await t.test('returns a stale response while a single request refreshes it', async () => {
+        const qsr = cached({ ttl: { getTables: 50 }, staleWhileRevalidate: { getTables: 60000 } });
+        const table = server.site(siteUID).tables[0];
+        const name = table.Name;
+        const before = count(server, '/Tables');
+        await qsr.getTables(siteUID);
+        table.Name = 'Renamed';
+        await wait(60);
+
+        const stale = await Promise.all([qsr.getTables(siteUID), qsr.getTables(siteUID)]);
+        assert.ok(stale.every(tables => tables[0].Name === name));
+        assert.strictEqual(qsr.cache.stats().staleHits, 2);
+        assert.strictEqual(qsr.cache.stats().revalidations, 1);
+        while (qsr.cache.stats().revalidating) await wait(5);
+        assert.strictEqual((await qsr.getTables(siteUID))[0].Name, 'Renamed');
+        assert.strictEqual(count(server, '/Tables') - before, 2);
+        table.Name = name;
+    });
+
+    await t.test('keeps the stale response when the refresh fails', async () => {
+        const qsr = cached({ ttl: { getTables: 20 }, staleWhileRevalidate: { getTables: 60000 } });
+        const tables = await qsr.getTables(siteUID);
+        await wait(30);
+        server.injectFault({ path: /\/Tables$/, status: 500 });
+        const errors = [];
+        qsr.cache.on('revalidateError', ({ method, error }) => errors.push([method, error.status]));
+        assert.deepStrictEqual(await qsr.getTables(siteUID), tables);
+        while (qsr.cache.stats().revalidating) await wait(5);
+        assert.deepStrictEqual(errors, [['getTables', 500]]);
+        assert.deepStrictEqual(await qsr.getTables(siteUID), tables);
+    });
+
+    await t.test('drops the waitlist status of a site after enableWebAhead', async () => {
+        const qsr = cached(true);
+        await qsr.getWaitListStatus(siteUID, 2);
+        await qsr.getWaitListStatus(otherSiteUID, 2);
+        await qsr.getTables(siteUID);
+        const before = { status: count(server, '/WebAhead/Status'), tables: count(server, '/Tables') };
+
+        await qsr.enableWebAhead(siteUID);
+        await qsr.getWaitListStatus(siteUID, 2);
+        await qsr.getWaitListStatus(otherSiteUID, 2);
+        await qsr.getTables(siteUID);
+        assert.strictEqual(count(server, '/WebAhead/Status') - before.status, 1);
+        assert.strictEqual(count(server, '/Tables') - before.tables, 0);
+        assert.strictEqual(qsr.cache.stats().invalidated, 1);
+    });
+
+    await t.test('can be shared between clients and invalidated by filter', async () => {
+        const cache = new ResponseCache();
+        const [first, second] = [cached(cache), cached(cache)];
+        const before = count(server, '/Tables');
+        await first.getTables(siteUID);
+        await second.getTables(siteUID);
+        assert.strictEqual(count(server, '/Tables') - before, 1);
+        assert.strictEqual(await second.invalidateCache({ siteUID, method: 'getTables' }), 1);
+        await first.getTables(siteUID);
+        assert.strictEqual(count(server, '/Tables') - before, 2);
+    });
+
+    await t.test('rejects TTLs of methods that cannot be cached', () => {
+        assert.throws(() => new ResponseCache({ ttl: { addWalkIn: 1000 } }), QSRConfigError);
+    });
+});
+
+/** Pick some properties of an object. */
+function pick(object, keys) {
+    return Object.fromEntries(keys.map(key => [key, object[key]]));
+}
@@ -0,0 +1,66 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { QSRValidationError, QSRConfigError } = require('..');
+const { run, EXIT_CODES } = require('../lib/cli');
+const { startMock } = require('./helpers');
+
+const EXIT_USAGE = 2;
+
+/** Run the CLI, capturing its output. */
+async function cli(argv, env) {
+    const output = { stdout: '', stderr: '' };
+    const io = {
+        stdout: { write: text => { output.stdout += text; } },
+        stderr: { write: text => { output.stderr += text; } },
+        env
+    };
+    return { code: await run(argv, io), ...output };
+}
+
+/** Exit code EXIT_CODES gives an error, as run does for anything but usage errors. */
+function exitCodeOf(err) {
+    return EXIT_CODES.find(([type]) => err instanceof type)[1];
+}
+
+test('qsr command', async t => {
+    const { server, baseURL, siteUID, stop } = await startMock();
+    t.after(stop);
+    const env = {
+        QSR_ACCESSKEY: server.apiKeys.accessKey,
+        QSR_SECRETKEY: server.apiKeys.secretKey,
+        QSR_COMPANYUID: server.companyUID,
+        QSR_BASEURL: baseURL
+    };
+
+    await t.test('prints sites as JSON', async () => {
+        const { code, stdout } = await cli(['sites', '-o', 'json'], env);
+        assert.strictEqual(code, 0);
+        assert.ok(JSON.parse(stdout).some(site => site.SiteUID === siteUID));
+    });
+
+    await t.test('exits with the usage code for invalid command lines', async () => {
+        for (const argv of [['bogus'], ['sites', '-o', 'xml'], ['visits'], ['visits', '--site']]) {
+            assert.strictEqual((await cli(argv, env)).code, EXIT_USAGE, argv.join(' '));
+        }
+    });
+
+    await t.test('exits with the not found code for unknown records', async () => {
+        const { code, stderr } = await cli(['webahead', 'get', 'ZZ9999'], env);
+        assert.strictEqual(code, 5);
+        assert.match(stderr, /QSR Error/);
+    });
+
+    await t.test('exits with the configuration code without a company', async () => {
+        const { code } = await cli(['sites'], { ...env, QSR_COMPANYUID: '' });
+        assert.strictEqual(code, exitCodeOf(new QSRConfigError('')));
+    });
+});
+
+test('EXIT_CODES gives validation errors their own code', () => {
+    const validation = exitCodeOf(new QSRValidationError('QSR Error: Invalid walkIn: PartySize is required.'));
+    assert.strictEqual(validation, 11);
+    assert.notStrictEqual(validation, EXIT_USAGE);
+    const codes = EXIT_CODES.map(([, code]) => code);
+    assert.strictEqual(new Set(codes).size, codes.length);
+    assert.ok(!codes.includes(EXIT_USAGE));
+});
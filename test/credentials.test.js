@@ -0,0 +1,48 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { QSR, QSRAuthError } = require('..');
+const { startMock } = require('./helpers');
+
+/**
+ * A plain-object provider, with no refresh method, that hands out stale keys until it is forced to refresh.
+ */
+function rotatingProvider(staleKeys, freshKeys) {
+    let current = staleKeys;
+    return {
+        calls: [],
+        async getCredentials(options = {}) {
+            this.calls.push(options);
+            if (options.forceRefresh) current = freshKeys;
+            return current;
+        }
+    };
+}
+
+test('refreshOnAuthError', async t => {
+    const { server, baseURL, stop } = await startMock();
+    t.after(stop);
+    const stale = { accessKey: server.apiKeys.accessKey, secretKey: 'rotated-out' };
+
+    await t.test('forces a plain-object provider to refresh after a 401 and retries once', async () => {
+        const provider = rotatingProvider(stale, server.apiKeys);
+        const qsr = new QSR(server.companyUID, provider, { baseURL, refreshOnAuthError: true, retry: false });
+        const before = server.requests.length;
+        assert.ok((await qsr.getCompanySites()).length > 0);
+        assert.strictEqual(provider.calls.filter(options => options.forceRefresh).length, 1);
+        assert.strictEqual(server.requests.length - before, 2);
+    });
+
+    await t.test('gives up with QSRAuthError when the refreshed keys are rejected too', async () => {
+        const provider = rotatingProvider(stale, stale);
+        const qsr = new QSR(server.companyUID, provider, { baseURL, refreshOnAuthError: true, retry: false });
+        await assert.rejects(qsr.getCompanySites(), QSRAuthError);
+        assert.strictEqual(provider.calls.filter(options => options.forceRefresh).length, 1);
+    });
+
+    await t.test('does not refresh without refreshOnAuthError', async () => {
+        const provider = rotatingProvider(stale, server.apiKeys);
+        const qsr = new QSR(server.companyUID, provider, { baseURL, retry: false });
+        await assert.rejects(qsr.getCompanySites(), QSRAuthError);
+        assert.ok(provider.calls.every(options => !options.forceRefresh));
+    });
+});
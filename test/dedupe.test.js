@@ -0,0 +1,67 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { GuestbookDedupe } = require('..');
+const { startMock } = require('./helpers');
+
+/** A guest record with the fields matchKeys reads. */
+function guest(id, { card, phone, email } = {}) {
+    return {
+        ID: id,
+        FirstName: 'Ana',
+        LastName: 'Lopez',
+        Email: email || null,
+        PhoneNumbers: phone ? [{ PhoneNumber: phone, Type: 'Mobile' }] : [],
+        Loyalty: card ? { LoyaltyCardID: card } : null,
+        LastUpdate: '2026-10-01T00:00:00.000Z'
+    };
+}
+
+/** Group IDs, sorted, for comparisons. */
+function ids(groups) {
+    return groups.map(group => group.map(member => member.ID).sort()).sort();
+}
+
+test('GuestbookDedupe#findDuplicates', async t => {
+    const dedupe = new GuestbookDedupe({});
+
+    await t.test('never chains guests with different loyalty cards through a guest without one', () => {
+        // A (card X1) shares a phone with B (no card), who shares an email with C (card Y2)
+        const a = guest('A', { card: 'X1', phone: '2125550142' });
+        const b = guest('B', { phone: '(212) 555-0142', email: 'ana@example.com' });
+        const c = guest('C', { card: 'Y2', email: 'Ana@Example.com' });
+        for (const guests of [[a, b, c], [c, b, a], [b, a, c]]) {
+            const { groups } = dedupe.findDuplicates(guests);
+            assert.strictEqual(groups.length, 1);
+            const [group] = ids(groups);
+            assert.strictEqual(group.length, 2);
+            assert.ok(group.includes('B'));
+            assert.ok(!(group.includes('A') && group.includes('C')), group.join());
+        }
+    });
+
+    await t.test('still groups a chain when at most one card is involved', () => {
+        const guests = [
+            guest('A', { card: 'X1', phone: '2125550142' }),
+            guest('B', { phone: '2125550142', email: 'ana@example.com' }),
+            guest('C', { email: 'ana@example.com' }),
+            guest('D', { card: 'x1' })
+        ];
+        assert.deepStrictEqual(ids(dedupe.findDuplicates(guests).groups), [['A', 'B', 'C', 'D']]);
+    });
+
+    await t.test('never groups guests with different cards that share a phone', () => {
+        const guests = [guest('A', { card: 'X1', phone: '2125550142' }), guest('B', { card: 'Y2', phone: '2125550142' })];
+        assert.deepStrictEqual(dedupe.findDuplicates(guests).groups, []);
+    });
+});
+
+test('GuestbookDedupe#plan finds the seeded duplicates', async t => {
+    const { qsr, stop } = await startMock();
+    t.after(stop);
+    const plan = await qsr.createGuestbookDedupe().plan();
+    assert.ok(plan.clusters.length > 0);
+    for (const cluster of plan.clusters) {
+        const cards = new Set(cluster.guests.map(member => member.Loyalty?.LoyaltyCardID?.toUpperCase()).filter(Boolean));
+        assert.ok(cards.size <= 1, cluster.survivorId);
+    }
+});
@@ -0,0 +1,60 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { PassThrough, Writable } = require('stream');
+const { QSRError, writeRecords } = require('..');
+const { startMock } = require('./helpers');
+
+const HOUR = 60 * 60 * 1000;
+
+test('QSR#exportRecords', async t => {
+    const { server, qsr, siteUID, stop } = await startMock();
+    t.after(stop);
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'qsr-export-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    const end = new Date();
+    const start = new Date(end.getTime() - 3 * 24 * HOUR);
+    const visits = server.site(siteUID).visits;
+
+    await t.test('writes every visit of the range to a CSV file, one row each', async () => {
+        const output = path.join(dir, 'visits.csv');
+        const summary = await qsr.exportRecords('visits', { siteUID, start, end, output });
+        const lines = fs.readFileSync(output, 'utf8').trim().split('\n');
+        assert.strictEqual(summary.records, visits.length);
+        assert.strictEqual(summary.rows, visits.length);
+        assert.strictEqual(lines.length, visits.length + 1);
+        assert.strictEqual(lines[0], summary.columns.join(','));
+    });
+
+    await t.test('writes NDJSON to a stream and leaves it open', async () => {
+        const output = new PassThrough();
+        let text = '';
+        output.on('data', chunk => { text += chunk; });
+        await qsr.exportRecords('visits', { siteUID, start, end, output, format: 'ndjson', columns: ['ID', 'Guest.LastName'] });
+        const lines = text.trim().split('\n').map(line => JSON.parse(line));
+        assert.strictEqual(lines.length, visits.length);
+        assert.deepStrictEqual(Object.keys(lines[0]), ['ID', 'Guest.LastName']);
+        assert.ok(output.writable);
+    });
+
+    await t.test('rejects with a QSRError when the file cannot be created', async () => {
+        const output = path.join(dir, 'missing', 'visits.csv');
+        await assert.rejects(qsr.exportRecords('visits', { siteUID, start, end, output }), error => {
+            return error instanceof QSRError && error.cause.code === 'ENOENT' && error.message.includes(output);
+        });
+    });
+});
+
+test('writeRecords rejects with a QSRError when the stream fails mid-export', async () => {
+    const failure = new Error('disk full');
+    const output = new Writable({
+        highWaterMark: 1,
+        write(chunk, encoding, callback) { callback(failure); }
+    });
+    const records = Array.from({ length: 5 }, (_, i) => ({ ID: i }));
+    await assert.rejects(writeRecords(records, { output, columns: ['ID'] }), error => {
+        return error instanceof QSRError && error.cause === failure;
+    });
+});
@@ -0,0 +1,32 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const QSR = require('..');
+
+const declarations = fs.readFileSync(path.join(__dirname, '..', 'index.d.ts'), 'utf8');
+
+/**
+ * Get the block of a top-level declaration, from its opening line to the closing brace at column 0.
+ */
+function block(opening) {
+    const start = declarations.indexOf(opening);
+    assert.notStrictEqual(start, -1, `${opening} not found in index.d.ts`);
+    return declarations.slice(start, declarations.indexOf('\n}', start));
+}
+
+/** Names of the members of a block declared at the given indent, matching a pattern for what follows the name. */
+function names(text, pattern) {
+    return [...new Set([...text.matchAll(pattern)].map(match => match[1]))].sort();
+}
+
+test('index.d.ts declares every runtime export, and nothing else', () => {
+    const declared = names(block('declare namespace QSR {'), /^ {4}(?:class|function|const|let) ([A-Za-z_$][\w$]*)/gm);
+    assert.deepStrictEqual(declared, Object.keys(QSR).sort());
+});
+
+test('index.d.ts declares every QSR method, and nothing else', () => {
+    const declared = names(block('declare class QSR {'), /^ {4}([A-Za-z_$][\w$]*)\s*[(<]/gm).filter(name => name !== 'constructor');
+    const methods = Object.getOwnPropertyNames(QSR.prototype).filter(name => name !== 'constructor').sort();
+    assert.deepStrictEqual(declared, methods);
+});
@@ -0,0 +1,75 @@
+/**
+ * Test helpers: a QSR client connected to a fresh MockServer.
+ */
+const crypto = require('crypto');
+const { QSR, MockServer } = require('..');
+
+/**
+ * Start a MockServer and create a client for it.
+ * @param {Object} [options] - Optional.
+ * @param {Object} [options.server] - Optional. MockServer options. Defaults to { seed: 7 }.
+ * @param {Object} [options.client] - Optional. QSR options, merged over { baseURL }.
+ * @returns {Promise<Object>} - { server, qsr, baseURL, siteUID (first seeded site), stop }.
+ */
+async function startMock(options = {}) {
+    const server = new MockServer({ seed: 7, ...options.server });
+    const baseURL = await server.start();
+    const qsr = new QSR(server.companyUID, server.apiKeys, { baseURL, ...options.client });
+    return {
+        server,
+        qsr,
+        baseURL,
+        siteUID: server.data.sites[0].SiteUID,
+        stop: () => server.stop()
+    };
+}
+
+/**
+ * Get the requests the server received since a given count.
+ * @param {MockServer} server - MockServer.
+ * @param {number} [since] - Optional. Number of requests to skip. Defaults to 0.
+ * @returns {Object[]} - { method, path, query, body } of each request.
+ */
+function requestsSince(server, since = 0) {
+    return server.requests.slice(since);
+}
+
+/**
+ * Add a visit to a site of the mock's data model, as if it was created at the site, without a request.
+ * @param {MockServer} server - MockServer.
+ * @param {string} siteUID - Globally unique identifier for a site.
+ * @param {Object} [fields] - Optional. Fields of the visit, over a copy of the site's last visit.
+ * @returns {Object} - The visit.
+ */
+function addVisit(server, siteUID, fields = {}) {
+    const visits = server.site(siteUID).visits;
+    const now = new Date().toISOString();
+    const visit = {
+        ...visits[visits.length - 1],
+        ID: crypto.randomUUID().toUpperCase(),
+        IID: visits.length + 1,
+        Status: 'NotYetArrived',
+        ExternalID: null,
+        CreationTime: now,
+        ArrivalTime: null,
+        SeatedTime: null,
+        CompletedTime: null,
+        CanceledTime: null,
+        LastUpdate: now,
+        ...fields
+    };
+    visits.push(visit);
+    return visit;
+}
+
+/**
+ * Change a visit of the mock's data model, stamping it as updated now.
+ * @param {Object} visit - Visit returned by addVisit or found in server.site(siteUID).visits.
+ * @param {Object} fields - Fields to change.
+ * @returns {Object} - The visit.
+ */
+function updateVisit(visit, fields) {
+    return Object.assign(visit, fields, { LastUpdate: new Date().toISOString() });
+}
+
+module.exports = { startMock, requestsSince, addVisit, updateVisit };
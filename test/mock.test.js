@@ -0,0 +1,108 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { QSR, MockServer, QSRAuthError, QSRServerError, sign } = require('..');
+const { startMock } = require('./helpers');
+
+const HOUR = 60 * 60 * 1000;
+
+test('MockServer', async t => {
+    const { server, qsr, baseURL, siteUID, stop } = await startMock({ client: { retry: { baseDelay: 1 } } });
+    t.after(stop);
+    const now = new Date();
+    const start = new Date(now.getTime() - 3 * 24 * HOUR);
+
+    await t.test('serves the company sites', async () => {
+        const sites = await qsr.getCompanySites();
+        assert.deepStrictEqual(sites.map(site => site.SiteUID), server.data.sites.filter(site => site.IsActive !== false).map(site => site.SiteUID));
+    });
+
+    await t.test('pages visits 30 at a time with MoreData and TimestampCutoff', async () => {
+        const pages = [];
+        for await (const page of qsr.iterateVisitUpdates(siteUID, start, now)) pages.push(page);
+        assert.ok(pages.length > 1);
+        assert.ok(pages.slice(0, -1).every(page => page.items.length === 30 && page.hasMore));
+        assert.strictEqual(pages.at(-1).hasMore, false);
+        const ids = pages.flatMap(page => page.items.map(visit => visit.ID));
+        assert.strictEqual(new Set(ids).size, server.site(siteUID).visits.length);
+    });
+
+    await t.test('pages table events 100 at a time', async () => {
+        const pages = [];
+        for await (const page of qsr.iterateTableEvents(siteUID, start, now)) pages.push(page);
+        assert.ok(pages.slice(0, -1).every(page => page.items.length === 100));
+        const times = pages.flatMap(page => page.items).map(event => Date.parse(event.LastUpdate));
+        assert.ok(times.every((time, i) => i === 0 || time >= times[i - 1]));
+    });
+
+    await t.test('pages partner sites by Token', async () => {
+        const sites = await qsr.getAllPartnerSites();
+        assert.strictEqual(sites.length, server.data.partnerSites.length);
+        assert.ok(server.requests.some(request => request.path === '/Site/Sites' && request.query.Token));
+    });
+
+    await t.test('rejects requests signed with the wrong secret key', async () => {
+        const client = new QSR(server.companyUID, { accessKey: server.apiKeys.accessKey, secretKey: 'wrong' }, { baseURL, retry: false });
+        await assert.rejects(client.getCompanySites(), error => error instanceof QSRAuthError && error.status === 401);
+    });
+
+    await t.test('fails matching requests with injected faults', async () => {
+        const fault = server.injectFault({ path: /\/Tables$/, status: 503, headers: { 'Retry-After': '0' }, times: 2 });
+        assert.ok(Array.isArray(await qsr.getTables(siteUID)));
+        assert.strictEqual(fault.hits, 2);
+        server.injectFault({ path: /\/Tables$/, status: 500, times: Infinity });
+        await assert.rejects(qsr.getTables(siteUID), QSRServerError);
+        server.clearFaults();
+    });
+});
+
+test('MockServer accepts unsigned requests when validateSignature is false', async t => {
+    const server = new MockServer({ seed: 7, validateSignature: false });
+    const baseURL = await server.start();
+    t.after(() => server.stop());
+    const qsr = new QSR(server.companyUID, { accessKey: 'any', secretKey: 'any' }, { baseURL });
+    assert.ok((await qsr.getCompanySites()).length > 0);
+});
+
+test('MockServer rejects undocumented body fields', async t => {
+    const { server, qsr, siteUID, stop } = await startMock();
+    t.after(stop);
+
+    /** Send a signed request straight to the mock, bypassing the client's schemas. */
+    async function post(path, body, target = server) {
+        const headers = sign({ method: 'POST', url: path, body, ...target.apiKeys });
+        const response = await fetch(`${target.url}${path}`, {
+            method: 'POST',
+            headers: { ...headers, 'content-type': 'application/json' },
+            body: JSON.stringify(body)
+        });
+        return { status: response.status, body: await response.json() };
+    }
+
+    await t.test('accepts the table events the client sends', async () => {
+        const [table] = await qsr.getTables(siteUID);
+        const posted = await qsr.addTableEvent(siteUID, { eventType: 'TableOpened', tableName: table.Name, timestampUtc: new Date() });
+        assert.strictEqual(posted, true);
+        assert.deepStrictEqual(Object.keys(server.requests.at(-1).body).sort(), ['EventType', 'TableName', 'TimestampUtc']);
+    });
+
+    await t.test('rejects a table event with Timestamp instead of TimestampUtc', async () => {
+        const [table] = await qsr.getTables(siteUID);
+        const response = await post(`/Site/${siteUID}/Visit/TableEvent`, { EventType: 'TableOpened', TableName: table.Name, Timestamp: new Date().toISOString() });
+        assert.strictEqual(response.status, 400);
+        assert.match(response.body.Message, /Timestamp\b/);
+    });
+
+    await t.test('rejects unknown walk-in fields', async () => {
+        const response = await post(`/Site/${siteUID}/WalkIn`, { PartySize: 2, partySize: 2, Seating: 'Patio' });
+        assert.strictEqual(response.status, 400);
+        assert.strictEqual(response.body.Message, 'Unknown field(s) in request body: partySize, Seating.');
+    });
+
+    await t.test('accepts them with strictBodies false', async () => {
+        const lenient = new MockServer({ seed: 7, strictBodies: false });
+        await lenient.start();
+        t.after(() => lenient.stop());
+        const response = await post(`/Site/${siteUID}/WalkIn`, { PartySize: 2, Seating: 'Patio' }, lenient);
+        assert.strictEqual(response.status, 200);
+    });
+});
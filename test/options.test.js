@@ -0,0 +1,46 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { QSRCancelledError, QSRServerError } = require('..');
+const { startMock, requestsSince } = require('./helpers');
+
+const HOUR = 60 * 60 * 1000;
+
+test('QSR#withOptions applies to the pages of iterate* methods', async t => {
+    const { server, qsr, siteUID, stop } = await startMock({ client: { retry: { baseDelay: 1, jitter: false } } });
+    t.after(stop);
+    const end = new Date();
+    const start = new Date(end.getTime() - 24 * HOUR);
+    await qsr.getCompanySites();
+
+    await t.test('retry: false', async () => {
+        const since = server.requests.length;
+        server.injectFault({ path: /\/Visits$/, status: 503, times: 1 });
+        const pages = qsr.withOptions({ retry: false }).iterateVisitUpdates(siteUID, start, end);
+        await assert.rejects(pages.next(), QSRServerError);
+        assert.strictEqual(requestsSince(server, since).length, 1);
+        server.clearFaults();
+    });
+
+    await t.test('an aborted signal', async () => {
+        const since = server.requests.length;
+        const controller = new AbortController();
+        const pages = qsr.withOptions({ signal: controller.signal }).iterateTableEvents(siteUID, start, end);
+        assert.strictEqual((await pages.next()).done, false);
+        controller.abort();
+        await assert.rejects(pages.next(), QSRCancelledError);
+        assert.strictEqual(requestsSince(server, since).length, 1);
+    });
+
+    await t.test('for await, and not the other calls of the client', async () => {
+        server.injectFault({ path: /\/Visits$/, status: 503, times: 1 });
+        const view = qsr.withOptions({ retry: false });
+        await assert.rejects(async () => {
+            for await (const page of view.iterateVisitUpdates(siteUID, start, end)) assert.ok(page);
+        }, QSRServerError);
+        server.injectFault({ path: /\/Visits$/, status: 503, times: 1 });
+        const pages = [];
+        for await (const page of qsr.iterateVisitUpdates(siteUID, start, end)) pages.push(page);
+        assert.ok(pages.length > 0);
+        server.clearFaults();
+    });
+});
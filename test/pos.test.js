@@ -0,0 +1,161 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { matchTableName } = require('..');
+const { startMock, requestsSince } = require('./helpers');
+
+const TABLES = ['T1', 'T2', 'T3', 'T4', 'T5', 'T6', 'T7', 'T8', 'B9', 'B10', 'B11', 'B12'];
+
+/** Wait until a given time. */
+function until(time) {
+    return new Promise(resolve => setTimeout(resolve, Date.parse(time) - Date.now() + 5));
+}
+
+/** The table events posted since a given request count, as "TransactionNumber:EventType:TableName". */
+function posted(server, since) {
+    return requestsSince(server, since)
+        .filter(request => request.method === 'POST' && request.path.endsWith('/Visit/TableEvent'))
+        .map(request => `${request.body.TransactionNumber}:${request.body.EventType}:${request.body.TableName}`);
+}
+
+test('matchTableName', async t => {
+    await t.test('matches exactly, ignoring case, punctuation and leading zeros', () => {
+        for (const posTable of ['T7', 't-07', 't 007']) {
+            const match = matchTableName(posTable, TABLES);
+            assert.strictEqual(match.tableName, 'T7', posTable);
+            assert.strictEqual(match.source, 'exact');
+        }
+    });
+
+    await t.test('matches a bare or "Table" number, or the same initial and number, fuzzily', () => {
+        assert.deepStrictEqual(pick(matchTableName('12', TABLES)), ['B12', 'fuzzy', 0.9]);
+        assert.deepStrictEqual(pick(matchTableName('Table 07', TABLES)), ['T7', 'fuzzy', 0.9]);
+        assert.deepStrictEqual(pick(matchTableName('Bar 10', TABLES)), ['B10', 'fuzzy', 0.85]);
+    });
+
+    await t.test('does not match other numbers, ties or names below the threshold', () => {
+        assert.strictEqual(matchTableName('T13', TABLES).tableName, null);
+        assert.strictEqual(matchTableName('7', ['T7', 'B7']).tableName, null);
+        const match = matchTableName('Patio 4', TABLES);
+        assert.strictEqual(match.tableName, null);
+        assert.strictEqual(match.suggestions[0].tableName, 'T4');
+        assert.strictEqual(matchTableName('Bar 10', TABLES, 0.9).tableName, null);
+    });
+
+    /** Table name, source and score of a match. */
+    function pick(match) {
+        return [match.tableName, match.source, match.score];
+    }
+});
+
+test('PosBridge', async t => {
+    const { server, qsr, stop } = await startMock({ client: { retry: false } });
+    t.after(stop);
+    const siteUID = { customerSiteId: '0101' };
+
+    await t.test('posts each event once, in the order recorded', async () => {
+        const bridge = qsr.createPosBridge({ siteUID, autoFlush: false });
+        const mapped = [];
+        bridge.on('tableMapped', event => mapped.push(event));
+        const time = Date.now() - 60000;
+        await bridge.record({ type: 'checkOpened', table: 'Table 07', transactionNumber: 100, time: new Date(time) });
+        await bridge.record({ type: 'courseFired', table: 'Table 07', transactionNumber: 100, sequence: 1, time: new Date(time + 1000) });
+        await bridge.record({ type: 'courseFired', table: 'Table 07', transactionNumber: 100, sequence: 2, time: new Date(time + 2000) });
+        await bridge.record({ type: 'checkOpened', table: 'Bar 10', transactionNumber: 101 });
+        await bridge.record({ type: 'checkPaid', table: 'Table 07', transactionNumber: 100, amount: 86.5, time: new Date(time + 3000) });
+        assert.strictEqual((await bridge.record({ type: 'checkClosed', table: 'Table 07', transactionNumber: 100 })).status, 'duplicate');
+        assert.strictEqual((await bridge.record({ type: 'courseFired', table: 'Table 07', transactionNumber: 100, sequence: 2 })).status, 'duplicate');
+
+        const since = server.requests.length;
+        const summary = await bridge.flush();
+        assert.strictEqual(summary.sent, 5);
+        assert.deepStrictEqual(posted(server, since), [
+            '100:TableOpened:T7', '100:ItemsOrdered:T7', '100:ItemsOrdered:T7', '101:TableOpened:B10', '100:CheckPaid:T7'
+        ]);
+        assert.deepStrictEqual(mapped.map(event => [event.posTable, event.tableName]), [['Table 07', 'T7'], ['Bar 10', 'B10']]);
+        assert.strictEqual((await bridge.record({ type: 'checkOpened', table: 'Table 07', transactionNumber: 100 })).status, 'duplicate');
+        assert.strictEqual((await bridge.flush()).sent, 0);
+    });
+
+    await t.test('retries a failed event with backoff, keeping the order', async () => {
+        const bridge = qsr.createPosBridge({ siteUID, autoFlush: false, retry: { baseDelay: 50 } });
+        const retries = [];
+        bridge.on('retry', ({ entry, delay }) => retries.push([entry.attempts, delay]));
+        await bridge.record({ type: 'checkOpened', table: 'T1', transactionNumber: 200 });
+        await bridge.record({ type: 'checkPaid', table: 'T1', transactionNumber: 200 });
+        server.injectFault({ method: 'POST', path: /\/Visit\/TableEvent$/, status: 503, times: 2 });
+
+        const since = server.requests.length;
+        let summary = await bridge.flush();
+        assert.deepStrictEqual([summary.sent, summary.pending], [0, 2]);
+        await until(summary.nextAttemptAt);
+        summary = await bridge.flush();
+        assert.deepStrictEqual([summary.sent, summary.pending], [0, 2]);
+        await until(summary.nextAttemptAt);
+        summary = await bridge.flush();
+        assert.strictEqual(summary.sent, 2);
+        assert.deepStrictEqual(retries, [[1, 50], [2, 100]]);
+        assert.deepStrictEqual(posted(server, since).slice(-2), ['200:TableOpened:T1', '200:CheckPaid:T1']);
+    });
+
+    await t.test('moves rejected events to the dead letters, and requeues them', async () => {
+        const bridge = qsr.createPosBridge({ siteUID, autoFlush: false });
+        const dead = [];
+        bridge.on('deadLetter', ({ entry, error }) => dead.push([entry.posTable, error.status]));
+        await bridge.record({ type: 'checkOpened', table: 'T2', transactionNumber: 300 });
+        await bridge.record({ type: 'checkOpened', table: 'T3', transactionNumber: 301 });
+        server.injectFault({ method: 'POST', path: /\/Visit\/TableEvent$/, status: 400 });
+
+        const summary = await bridge.flush();
+        assert.deepStrictEqual([summary.dead, summary.sent], [1, 1]);
+        assert.deepStrictEqual(dead, [['T2', 400]]);
+        const [letter] = await bridge.deadLetters();
+        assert.deepStrictEqual([letter.posTable, letter.attempts, letter.lastError.status], ['T2', 1, 400]);
+        assert.strictEqual((await bridge.report()).dead, 1);
+
+        assert.strictEqual(await bridge.requeueDeadLetters(), 1);
+        assert.strictEqual((await bridge.flush()).sent, 1);
+        assert.deepStrictEqual(await bridge.deadLetters(), []);
+    });
+
+    await t.test('parks the events of unmapped tables, reports them, and posts them once mapped', async () => {
+        const bridge = qsr.createPosBridge({ siteUID, autoFlush: false });
+        const unmapped = [];
+        bridge.on('unmappedTable', event => unmapped.push(event.posTable));
+        await bridge.record({ type: 'checkOpened', table: 'Patio 4', transactionNumber: 400 });
+        await bridge.record({ type: 'checkPaid', table: 'Patio 4', transactionNumber: 400 });
+        await bridge.record({ type: 'checkOpened', table: 'T5', transactionNumber: 401 });
+
+        const summary = await bridge.flush();
+        assert.deepStrictEqual([summary.unmapped, summary.sent], [2, 1]);
+        assert.deepStrictEqual(unmapped, ['Patio 4']);
+        const [table] = await bridge.unmappedTables();
+        assert.deepStrictEqual([table.posTable, table.events, table.suggestions[0].tableName], ['Patio 4', 2, 'T4']);
+        assert.strictEqual((await bridge.report()).unmapped, 2);
+
+        const since = server.requests.length;
+        assert.strictEqual(await bridge.mapTable('Patio 4', 'T4'), 2);
+        assert.strictEqual((await bridge.flush()).sent, 2);
+        assert.deepStrictEqual(posted(server, since), ['400:TableOpened:T4', '400:CheckPaid:T4']);
+        assert.deepStrictEqual(await bridge.unmappedTables(), []);
+    });
+
+    await t.test('does not park an event whose table is mapped while it is being matched', async () => {
+        const bridge = qsr.createPosBridge({ siteUID, autoFlush: false });
+        await bridge.record({ type: 'checkOpened', table: 'Patio 6', transactionNumber: 500 });
+        const getTables = qsr.getTables;
+        let loaded;
+        const loading = new Promise(resolve => { loaded = resolve; });
+        qsr.getTables = async (...args) => {
+            delete qsr.getTables;
+            loaded();
+            await new Promise(resolve => setTimeout(resolve, 20));
+            return getTables.apply(qsr, args);
+        };
+        const flushed = bridge.flush();
+        await loading;
+        assert.strictEqual(await bridge.mapTable('Patio 6', 'T6'), 0);
+        const summary = await flushed;
+        assert.deepStrictEqual([summary.sent, summary.unmapped], [1, 0]);
+        assert.deepStrictEqual(await bridge.unmappedTables(), []);
+    });
+});
@@ -0,0 +1,90 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { RateLimiter, QSRCancelledError } = require('..');
+const { endpointFamily } = require('../lib/RateLimiter');
+const { startMock } = require('./helpers');
+
+test('RateLimiter', async t => {
+    await t.test('starts a burst at once, then refills tokens at the rate', async () => {
+        const limiter = new RateLimiter({ requestsPerSecond: 20, burst: 2 });
+        const started = Date.now();
+        const times = [];
+        await Promise.all(Array.from({ length: 4 }, () => limiter.schedule(async () => times.push(Date.now() - started))));
+        assert.ok(times[1] < 40);
+        assert.ok(times[2] >= 40 && times[3] >= 90, times.join(','));
+        assert.strictEqual(limiter.stats().completed, 4);
+    });
+
+    await t.test('caps the requests in flight and starts the queued ones in order', async () => {
+        const limiter = new RateLimiter({ maxConcurrent: 2 });
+        const order = [];
+        let inFlight = 0;
+        let maxInFlight = 0;
+        const task = id => limiter.schedule(async () => {
+            maxInFlight = Math.max(maxInFlight, ++inFlight);
+            order.push(id);
+            await new Promise(resolve => setTimeout(resolve, 10));
+            inFlight--;
+        });
+        const run = Promise.all([1, 2, 3, 4, 5].map(task));
+        assert.deepStrictEqual(limiter.stats().queued, 3);
+        await run;
+        assert.strictEqual(maxInFlight, 2);
+        assert.deepStrictEqual(order, [1, 2, 3, 4, 5]);
+    });
+
+    await t.test('removes aborted and cancelled requests from the queue', async () => {
+        const limiter = new RateLimiter({ maxConcurrent: 1 });
+        const release = await limiter.acquire();
+        const controller = new AbortController();
+        const aborted = limiter.acquire({ signal: controller.signal });
+        const cancelled = limiter.acquire();
+        controller.abort();
+        await assert.rejects(aborted, QSRCancelledError);
+        assert.strictEqual(limiter.cancelQueued(), 1);
+        await assert.rejects(cancelled, QSRCancelledError);
+        assert.deepStrictEqual([limiter.stats().queued, limiter.stats().cancelled], [0, 2]);
+        release();
+        release();
+        assert.strictEqual(limiter.stats().inFlight, 0);
+    });
+
+    await t.test('tells endpoint families apart by path', () => {
+        assert.strictEqual(endpointFamily('/Site/ABC/Visits'), 'Visits');
+        assert.strictEqual(endpointFamily('/site/ABC/externalreservations/1'), 'Visits');
+        assert.strictEqual(endpointFamily('/Site/ABC/Tables/Events'), 'Tables');
+        assert.strictEqual(endpointFamily('/Site/ABC/WebAhead/Status'), 'WebAhead');
+        assert.strictEqual(endpointFamily('/Company/ABC/GuestBook'), 'GuestBook');
+        assert.strictEqual(endpointFamily('/Site/Sites'), undefined);
+    });
+});
+
+test('QSR rate limits', async t => {
+    const { server, qsr, siteUID, stop } = await startMock({
+        client: { retry: false, rateLimit: { maxConcurrent: 4, families: { Tables: { maxConcurrent: 1 } } } }
+    });
+    t.after(stop);
+
+    await t.test('limit an endpoint family apart from the others', async () => {
+        server.injectFault({ path: /\/Tables$/, status: 200, body: [], delay: 200, times: Infinity });
+        const tables = Promise.all([qsr.getTables(siteUID), qsr.getTables(siteUID)]);
+        await new Promise(resolve => setTimeout(resolve, 10));
+        assert.ok((await qsr.getCompanySites()).length > 0);
+        const stats = qsr.rateLimitStats();
+        assert.deepStrictEqual([stats.families.Tables.inFlight, stats.families.Tables.queued], [1, 1]);
+        await tables;
+        assert.strictEqual(qsr.rateLimitStats().families.Tables.completed, 2);
+        server.clearFaults();
+    });
+
+    await t.test('cancel queued requests', async () => {
+        server.injectFault({ path: /\/Tables$/, status: 200, body: [], delay: 200, times: Infinity });
+        const first = qsr.getTables(siteUID);
+        const queued = qsr.getTables(siteUID);
+        await new Promise(resolve => setTimeout(resolve, 5));
+        assert.strictEqual(qsr.cancelQueued(), 1);
+        await assert.rejects(queued, QSRCancelledError);
+        await first;
+        server.clearFaults();
+    });
+});
@@ -0,0 +1,27 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { startMock } = require('./helpers');
+
+const HOUR = 60 * 60 * 1000;
+
+test('getTableTurnReport', async t => {
+    const { server, qsr, siteUID, stop } = await startMock();
+    t.after(stop);
+
+    await t.test('ends the range now when endTime is omitted', async () => {
+        const before = Date.now();
+        const report = await qsr.getTableTurnReport(siteUID, new Date(before - 24 * HOUR));
+        const end = Date.parse(report.end);
+        assert.ok(end >= before && end <= Date.now());
+        assert.ok(report.tables.length > 0);
+        const feeds = server.requests.filter(request => /\/(Tables\/Events|Tables\/History|Visits)$/.test(request.path));
+        assert.ok(feeds.length >= 3);
+        assert.ok(feeds.every(request => request.query.endTime || request.query.stop));
+    });
+
+    await t.test('uses the endTime given', async () => {
+        const end = new Date(Date.now() - HOUR);
+        const report = await qsr.getTableTurnReport(siteUID, new Date(end.getTime() - 24 * HOUR), end);
+        assert.strictEqual(report.end, end.toISOString());
+    });
+});
@@ -0,0 +1,121 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { startMock, requestsSince } = require('./helpers');
+
+const HOUR = 60 * 60 * 1000;
+
+/** A source reservation for tomorrow. */
+function record(id, fields = {}) {
+    return {
+        id,
+        startsAt: new Date(Date.now() + 24 * HOUR).toISOString(),
+        covers: 4,
+        guest: { FirstName: 'Ada', LastName: `Guest ${id}` },
+        ...fields
+    };
+}
+
+/** Create a sync whose source returns the given (mutable) list of records. */
+function createSync(qsr, siteUID, records, options = {}) {
+    return qsr.createReservationSync({
+        siteUID,
+        syncSource: 'ExampleBook',
+        source: () => records.slice(),
+        map: { externalId: 'id', arrivalTime: 'startsAt', partySize: 'covers', guest: 'guest', canceled: 'isCancelled' },
+        ...options
+    });
+}
+
+test('ReservationSync#push', async t => {
+    const { server, qsr, siteUID, stop } = await startMock({ client: { retry: false } });
+    t.after(stop);
+    const visit = externalId => server.site(siteUID).visits.find(candidate => candidate.ExternalID === externalId);
+
+    await t.test('creates new reservations, then sends only changed ones', async () => {
+        const records = [record('r1'), record('r2')];
+        const sync = createSync(qsr, siteUID, records);
+        assert.strictEqual((await sync.push()).created, 2);
+        assert.strictEqual(visit('r1').Status, 'NotYetArrived');
+
+        records[1] = { ...records[1], covers: 6 };
+        const since = server.requests.length;
+        const summary = await sync.push();
+        assert.strictEqual(summary.unchanged, 1);
+        assert.strictEqual(summary.updated, 1);
+        assert.deepStrictEqual(requestsSince(server, since).map(request => request.method), ['PUT']);
+        assert.strictEqual(visit('r2').Size, 6);
+    });
+
+    await t.test('cancels a missing reservation, and creates it again when it comes back unchanged', async () => {
+        const records = [record('m1'), record('m2')];
+        const sync = createSync(qsr, siteUID, records);
+        await sync.push();
+
+        records.pop();
+        assert.strictEqual((await sync.push()).canceled, 1);
+        assert.strictEqual(visit('m2').Status, 'Canceled');
+        assert.strictEqual((await sync.push()).canceled, 0);
+
+        records.push(record('m2', { startsAt: records[0].startsAt }));
+        const since = server.requests.length;
+        const summary = await sync.push();
+        assert.strictEqual(summary.created, 1);
+        assert.strictEqual(summary.unchanged, 1);
+        const [request] = requestsSince(server, since);
+        assert.ok(request.body.Guest && request.body.EstimatedArrivalTime && !request.body.CanceledTime);
+        assert.strictEqual(visit('m2').Status, 'NotYetArrived');
+        assert.strictEqual((await sync.push()).unchanged, 2);
+    });
+
+    await t.test('creates a reservation again when it is reinstated at the source', async () => {
+        const records = [record('c1')];
+        const sync = createSync(qsr, siteUID, records);
+        await sync.push();
+
+        records[0] = { ...records[0], isCancelled: true };
+        assert.strictEqual((await sync.push()).canceled, 1);
+        assert.strictEqual(visit('c1').Status, 'Canceled');
+
+        records[0] = { ...records[0], isCancelled: false };
+        const since = server.requests.length;
+        const summary = await sync.push();
+        assert.strictEqual(summary.created, 1);
+        assert.strictEqual(summary.updated, 0);
+        assert.ok(!requestsSince(server, since)[0].body.CanceledTime);
+        assert.strictEqual(visit('c1').Status, 'NotYetArrived');
+    });
+
+    await t.test('reports a record without an externalId and pushes the others', async () => {
+        const sync = createSync(qsr, siteUID, [record(null), record('e1')], { cancelMissing: false });
+        const errors = [];
+        sync.on('pushError', error => errors.push(error));
+        const summary = await sync.push();
+        assert.strictEqual(summary.created, 1);
+        assert.strictEqual(summary.failed.length, 1);
+        assert.strictEqual(errors.length, 1);
+    });
+});
+
+test('ReservationSync#pull', async t => {
+    const { server, qsr, siteUID, stop } = await startMock({ client: { retry: false } });
+    t.after(stop);
+
+    await t.test('passes QSR status changes to the source, but not its own pushes', async () => {
+        const changes = [];
+        const sync = qsr.createReservationSync({
+            siteUID,
+            syncSource: 'ExampleBook',
+            source: { fetch: async () => [record('p1'), record('p2')], applyStatusChange: async change => changes.push(change) },
+            map: { externalId: 'id', arrivalTime: 'startsAt', partySize: 'covers', guest: 'guest' },
+            since: new Date(Date.now() - HOUR)
+        });
+        await sync.push();
+        assert.strictEqual((await sync.pull()).changes, 0);
+
+        const visit = server.site(siteUID).visits.find(candidate => candidate.ExternalID === 'p2');
+        await qsr.removeReservation(siteUID, visit.ID);
+        const summary = await sync.pull();
+        assert.strictEqual(summary.changes, 1);
+        assert.deepStrictEqual(changes.map(change => [change.externalId, change.previousStatus, change.status]), [['p2', 'NotYetArrived', 'Canceled']]);
+    });
+});
@@ -0,0 +1,38 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { QSRCancelledError } = require('..');
+const { sleep } = require('../lib/retry');
+const { startMock } = require('./helpers');
+
+test('sleep resolves after the wait', async () => {
+    const started = Date.now();
+    await sleep(20, new AbortController().signal);
+    assert.ok(Date.now() - started >= 15);
+});
+
+test('sleep rejects with QSRCancelledError when the signal aborts', async () => {
+    const controller = new AbortController();
+    const started = Date.now();
+    setTimeout(() => controller.abort(), 10);
+    await assert.rejects(sleep(10000, controller.signal), QSRCancelledError);
+    assert.ok(Date.now() - started < 1000);
+});
+
+test('sleep rejects at once when the signal is already aborted', async () => {
+    const controller = new AbortController();
+    controller.abort();
+    await assert.rejects(sleep(10000, controller.signal), QSRCancelledError);
+});
+
+test('aborting a call stops its retry backoff', async t => {
+    const { server, qsr, siteUID, stop } = await startMock({ client: { retry: { baseDelay: 10000, maxDelay: 10000, jitter: false } } });
+    t.after(stop);
+    server.injectFault({ path: /\/Tables$/, status: 503, times: Infinity });
+    const controller = new AbortController();
+    const started = Date.now();
+    const call = qsr.withOptions({ signal: controller.signal }).getTables(siteUID);
+    setTimeout(() => controller.abort(), 50);
+    await assert.rejects(call, QSRCancelledError);
+    assert.ok(Date.now() - started < 5000);
+    assert.strictEqual(server.requests.filter(request => request.path.endsWith('/Tables')).length, 1);
+});
@@ -0,0 +1,103 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { QSRNotFoundError } = require('..');
+const { startMock } = require('./helpers');
+
+/**
+ * Call a client method and return its result with the one request it sent.
+ */
+async function sent(server, call) {
+    const since = server.requests.length;
+    const result = await call();
+    const requests = server.requests.slice(since);
+    assert.strictEqual(requests.length, 1, requests.map(request => `${request.method} ${request.path}`).join(', '));
+    return { result, request: requests[0] };
+}
+
+test('open visit lookups', async t => {
+    const { server, qsr, siteUID, stop } = await startMock();
+    t.after(stop);
+    const guest = server.data.guests.find(candidate => candidate.Loyalty?.LoyaltyCardID && candidate.PhoneNumbers?.length);
+    const visit = await qsr.addWalkIn(siteUID, { partySize: 2, guest: guest.Loyalty.LoyaltyCardID });
+    server.site(siteUID).visits.find(candidate => candidate.ID === visit.ID).PagerID = 'P-42';
+
+    await t.test('getVisitByLoyaltyCard sends LoyaltyCard', async () => {
+        const { result, request } = await sent(server, () => qsr.getVisitByLoyaltyCard(siteUID, guest.Loyalty.LoyaltyCardID, 'open'));
+        assert.strictEqual(request.method, 'GET');
+        assert.strictEqual(request.path, `/Site/${siteUID}/Visit`);
+        assert.deepStrictEqual(request.query, { LoyaltyCard: guest.Loyalty.LoyaltyCardID, status: 'open' });
+        assert.strictEqual(result.ID, visit.ID);
+    });
+
+    await t.test('getVisitByPhone sends PhoneNumber and CountryCode', async () => {
+        const phone = guest.PhoneNumbers[0].PhoneNumber;
+        const { result, request } = await sent(server, () => qsr.getVisitByPhone(siteUID, phone, 'US'));
+        assert.strictEqual(request.method, 'GET');
+        assert.strictEqual(request.path, `/Site/${siteUID}/Visit`);
+        assert.deepStrictEqual(request.query, { PhoneNumber: phone, CountryCode: 'US' });
+        assert.strictEqual(result.ID, visit.ID);
+    });
+
+    await t.test('getVisitByPager sends PagerID', async () => {
+        const { result, request } = await sent(server, () => qsr.getVisitByPager(siteUID, 'P-42', 'open'));
+        assert.strictEqual(request.method, 'GET');
+        assert.strictEqual(request.path, `/Site/${siteUID}/Visit`);
+        assert.deepStrictEqual(request.query, { PagerID: 'P-42', status: 'open' });
+        assert.strictEqual(result.ID, visit.ID);
+    });
+
+    await t.test('throws QSRNotFoundError without an open visit', async () => {
+        await assert.rejects(qsr.getVisitByPager(siteUID, 'P-0'), QSRNotFoundError);
+    });
+});
+
+test('walk-ins and WebAheads', async t => {
+    const { server, qsr, siteUID, stop } = await startMock();
+    t.after(stop);
+
+    await t.test('addWalkIn posts to /WalkIn', async () => {
+        const { result, request } = await sent(server, () => qsr.addWalkIn(siteUID, { partySize: 3, notes: 'Booth' }));
+        assert.strictEqual(request.method, 'POST');
+        assert.strictEqual(request.path, `/Site/${siteUID}/WalkIn`);
+        assert.deepStrictEqual(request.body, { PartySize: 3, Notes: 'Booth' });
+        assert.strictEqual(result.Type, 'WalkIn');
+        assert.strictEqual(result.Size, 3);
+    });
+
+    await t.test('addWebAhead posts to /WebAhead', async () => {
+        const info = { partySize: 4, phoneNumberString: '(212) 555-0142', lastName: 'Rivera' };
+        const { result, request } = await sent(server, () => qsr.addWebAhead(siteUID, info, true));
+        assert.strictEqual(request.method, 'POST');
+        assert.strictEqual(request.path, `/Site/${siteUID}/WebAhead`);
+        assert.deepStrictEqual(request.body, { PartySize: 4, PhoneNumberString: '(212) 555-0142', LastName: 'Rivera' });
+        assert.ok(result.ConfirmationNumber);
+        const created = server.site(siteUID).visits.find(visit => visit.ConfirmationNumber === result.ConfirmationNumber);
+        assert.strictEqual(created.Type, 'CallAhead');
+    });
+
+    await t.test('addWebAhead returns true unless returnWebAhead is set', async () => {
+        const { result } = await sent(server, () => qsr.addWebAhead(siteUID, { partySize: 2, phoneNumberString: '2125550143', lastName: 'Chen' }));
+        assert.strictEqual(result, true);
+    });
+});
+
+test('wait list status', async t => {
+    const { server, qsr, siteUID, stop } = await startMock();
+    t.after(stop);
+
+    await t.test('getWaitListStatus sends the whole PartySize', async () => {
+        const { result, request } = await sent(server, () => qsr.getWaitListStatus(siteUID, 4.6));
+        assert.strictEqual(request.method, 'GET');
+        assert.strictEqual(request.path, `/Site/${siteUID}/WebAhead/Status`);
+        assert.deepStrictEqual(request.query, { PartySize: '4' });
+        assert.ok(result);
+    });
+
+    await t.test('getWaitListStatusForPartySizes numbers each PartySize', async () => {
+        const { result, request } = await sent(server, () => qsr.getWaitListStatusForPartySizes(siteUID, [2, 4, 6.5]));
+        assert.strictEqual(request.method, 'GET');
+        assert.strictEqual(request.path, `/Site/${siteUID}/WebAhead/StatusforPartySize`);
+        assert.deepStrictEqual(request.query, { PartySize1: '2', PartySize2: '4', PartySize3: '6' });
+        assert.ok(result);
+    });
+});
@@ -0,0 +1,152 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const { sign, serializeBody, verifySignature } = require('..');
+
+const KEYS = { accessKey: 'AK', secretKey: 'SK' };
+const TIMESTAMP = '2024-01-02T03:04:05.000Z';
+const NOW = Date.parse(TIMESTAMP);
+const SIGNATURE = /Signature=([0-9a-f]+)$/;
+
+/** Independent implementation of the scheme, straight from its description. */
+function expectedSignature(method, path, query, body) {
+    const sha256 = value => crypto.createHash('SHA256').update(value).digest('hex');
+    const canonicalRequest = `${method}&${encodeURIComponent(path)}&${query}&${sha256(body)}`;
+    const stringToSign = `HMAC-SHA1&${TIMESTAMP}&AK&${sha256(canonicalRequest)}`;
+    return crypto.createHmac('SHA1', 'SK').update(stringToSign).digest('hex');
+}
+
+/** Turn signed headers into a received request. */
+function received(method, url, headers, body, contentType) {
+    return { method, url, body, headers: { ...lowerCase(headers), ...(contentType && { 'content-type': contentType }) } };
+}
+
+function lowerCase(headers) {
+    return Object.fromEntries(Object.entries(headers).map(([name, value]) => [name.toLowerCase(), value]));
+}
+
+test('sign', async t => {
+    await t.test('matches the GET test vector', () => {
+        const headers = sign({
+            url: '/Site/ABC123/Visits',
+            params: { stop: '2024-01-02T00:00:00.000Z', start: new Date('2024-01-01T00:00:00.000Z') },
+            timestamp: TIMESTAMP,
+            ...KEYS
+        });
+        assert.strictEqual(headers.Authorization.match(SIGNATURE)[1], 'fccad251ec0a09795e6e6425b5b5807afd9282f9');
+        assert.strictEqual(headers['x-dinetime-timestamp'], TIMESTAMP);
+        assert.strictEqual(headers['x-dinetime-signature-version'], 'dinetime-sv2-hmac-sha1');
+    });
+
+    await t.test('matches the JSON body test vector', () => {
+        const headers = sign({
+            method: 'POST',
+            url: '/Site/ABC123/WalkIn',
+            params: { SyncSource: 'POS' },
+            body: { PartySize: 2, Notes: 'Booth' },
+            timestamp: TIMESTAMP,
+            ...KEYS
+        });
+        assert.strictEqual(headers.Authorization,
+            'dinetime-sv2-hmac-sha1 Algorithm=SHA256&Credentials=AK&Signature=09e0e5f1fa7b09c2cf4e312bd9effdf0028d2c88');
+    });
+
+    await t.test('signs a query string in the URL like separate params', () => {
+        const inUrl = sign({ method: 'POST', url: '/Site/ABC123/WalkIn?SyncSource=POS', body: { PartySize: 2, Notes: 'Booth' }, timestamp: TIMESTAMP, ...KEYS });
+        assert.strictEqual(inUrl.Authorization.match(SIGNATURE)[1], '09e0e5f1fa7b09c2cf4e312bd9effdf0028d2c88');
+    });
+
+    await t.test('hashes form-encoded bodies as their URL-encoded string', () => {
+        const contentType = 'application/x-www-form-urlencoded';
+        const { body } = serializeBody({ PartySize: 2, Notes: 'Booth & bar' }, contentType);
+        assert.strictEqual(body, 'PartySize=2&Notes=Booth+%26+bar');
+        const headers = sign({ method: 'POST', url: '/Site/ABC123/WalkIn', body: { PartySize: 2, Notes: 'Booth & bar' }, contentType, timestamp: TIMESTAMP, ...KEYS });
+        assert.strictEqual(headers.Authorization.match(SIGNATURE)[1], expectedSignature('POST', '/Site/ABC123/WalkIn', '', body));
+        const json = sign({ method: 'POST', url: '/Site/ABC123/WalkIn', body: { PartySize: 2, Notes: 'Booth & bar' }, timestamp: TIMESTAMP, ...KEYS });
+        assert.notStrictEqual(json.Authorization, headers.Authorization);
+    });
+
+    await t.test('hashes URLSearchParams bodies as form encoded', () => {
+        const params = new URLSearchParams({ PartySize: '4' });
+        const headers = sign({ method: 'PUT', url: '/Site/ABC123/Visit/1', body: params, timestamp: TIMESTAMP, ...KEYS });
+        assert.strictEqual(headers.Authorization.match(SIGNATURE)[1], expectedSignature('PUT', '/Site/ABC123/Visit/1', '', 'PartySize=4'));
+    });
+});
+
+test('verifySignature', async t => {
+    const options = { secretKey: 'SK', now: NOW };
+    const json = { method: 'POST', url: '/Site/ABC123/WalkIn?SyncSource=POS', body: '{"PartySize":2,"Notes":"Booth"}' };
+    const jsonHeaders = sign({ ...json, timestamp: TIMESTAMP, ...KEYS });
+
+    await t.test('accepts a JSON body, raw or parsed', async () => {
+        const raw = await verifySignature(received(json.method, json.url, jsonHeaders, json.body, 'application/json'), options);
+        assert.deepStrictEqual(raw, { valid: true, accessKey: 'AK', timestamp: TIMESTAMP });
+        const parsed = await verifySignature(received(json.method, json.url, jsonHeaders, JSON.parse(json.body), 'application/json'), options);
+        assert.strictEqual(parsed.valid, true);
+    });
+
+    await t.test('accepts a form-encoded body, raw or parsed', async () => {
+        const contentType = 'application/x-www-form-urlencoded';
+        const body = { PartySize: '2', Notes: 'Booth & bar' };
+        const headers = sign({ method: 'POST', url: '/Site/ABC123/WalkIn', body, contentType, timestamp: TIMESTAMP, ...KEYS });
+        const raw = await verifySignature(received('POST', '/Site/ABC123/WalkIn', headers, 'PartySize=2&Notes=Booth+%26+bar', contentType), options);
+        assert.strictEqual(raw.valid, true);
+        const parsed = await verifySignature(received('POST', '/Site/ABC123/WalkIn', headers, body, contentType), options);
+        assert.strictEqual(parsed.valid, true);
+    });
+
+    await t.test('accepts keys from getSecret', async () => {
+        const result = await verifySignature(received(json.method, json.url, jsonHeaders, json.body), { getSecret: async key => ({ AK: 'SK' })[key], now: NOW });
+        assert.strictEqual(result.valid, true);
+    });
+
+    await t.test('rejects tampered signatures', async () => {
+        const signature = jsonHeaders.Authorization.match(SIGNATURE)[1];
+        const flipped = signature.slice(0, -1) + (signature.endsWith('0') ? '1' : '0');
+        const tampered = { ...jsonHeaders, Authorization: jsonHeaders.Authorization.replace(signature, flipped) };
+        const result = await verifySignature(received(json.method, json.url, tampered, json.body), options);
+        assert.deepStrictEqual(result, { valid: false, accessKey: 'AK', timestamp: TIMESTAMP, reason: 'Invalid signature.' });
+        const truncated = { ...jsonHeaders, Authorization: jsonHeaders.Authorization.replace(signature, signature.slice(0, 20)) };
+        assert.strictEqual((await verifySignature(received(json.method, json.url, truncated, json.body), options)).valid, false);
+    });
+
+    await t.test('rejects tampered requests', async () => {
+        const cases = [
+            received(json.method, json.url, jsonHeaders, '{"PartySize":3,"Notes":"Booth"}'),
+            received(json.method, '/Site/ABC123/WalkIn?SyncSource=Other', jsonHeaders, json.body),
+            received('PUT', json.url, jsonHeaders, json.body),
+            received(json.method, json.url, { ...jsonHeaders, 'x-dinetime-timestamp': '2024-01-02T03:04:06.000Z' }, json.body)
+        ];
+        for (const req of cases) assert.strictEqual((await verifySignature(req, options)).reason, 'Invalid signature.');
+        const otherKey = await verifySignature(received(json.method, json.url, jsonHeaders, json.body), { secretKey: 'other', now: NOW });
+        assert.strictEqual(otherKey.valid, false);
+    });
+
+    await t.test('rejects missing or malformed signatures and unknown keys', async () => {
+        const missing = await verifySignature(received(json.method, json.url, {}, json.body), options);
+        assert.strictEqual(missing.reason, 'Missing or malformed signature.');
+        const unknown = await verifySignature(received(json.method, json.url, jsonHeaders, json.body), { getSecret: () => undefined, now: NOW });
+        assert.strictEqual(unknown.reason, 'Unknown access key.');
+        const wrongKey = await verifySignature(received(json.method, json.url, jsonHeaders, json.body), { ...options, accessKey: 'OTHER' });
+        assert.strictEqual(wrongKey.reason, 'Unknown access key.');
+    });
+
+    await t.test('accepts timestamps just inside the clock skew', async () => {
+        const req = received(json.method, json.url, jsonHeaders, json.body);
+        const skew = 5 * 60 * 1000;
+        assert.strictEqual((await verifySignature(req, { secretKey: 'SK', now: NOW + skew })).valid, true);
+        assert.strictEqual((await verifySignature(req, { secretKey: 'SK', now: NOW - skew })).valid, true);
+        assert.strictEqual((await verifySignature(req, { secretKey: 'SK', now: new Date(NOW + 1000), clockSkew: 1000 })).valid, true);
+    });
+
+    await t.test('rejects timestamps just outside the clock skew', async () => {
+        const req = received(json.method, json.url, jsonHeaders, json.body);
+        const reason = 'Request timestamp outside of the allowed clock skew.';
+        const skew = 5 * 60 * 1000;
+        assert.strictEqual((await verifySignature(req, { secretKey: 'SK', now: NOW + skew + 1 })).reason, reason);
+        assert.strictEqual((await verifySignature(req, { secretKey: 'SK', now: NOW - skew - 1 })).reason, reason);
+        assert.strictEqual((await verifySignature(req, { secretKey: 'SK', now: NOW + 1001, clockSkew: 1000 })).reason, reason);
+        const unparsable = received(json.method, json.url, { ...jsonHeaders, 'x-dinetime-timestamp': 'yesterday' }, json.body);
+        assert.strictEqual((await verifySignature(unparsable, options)).reason, reason);
+    });
+});
@@ -0,0 +1,64 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { once } = require('events');
+const { QSRNotFoundError, MemoryStore } = require('..');
+const { startMock } = require('./helpers');
+
+const HOUR = 60 * 60 * 1000;
+
+test('site references', async t => {
+    const { server, qsr, stop } = await startMock({ client: { retry: false } });
+    t.after(() => qsr.sites.stop());
+    t.after(stop);
+    const [downtown, airport, harbor] = server.data.sites.map(site => site.SiteUID);
+
+    await t.test('resolve to SiteUIDs, and unknown or inactive sites are rejected before any request', async () => {
+        assert.strictEqual(await qsr.resolveSiteUID({ name: 'airport' }), airport);
+        assert.strictEqual(await qsr.resolveSiteUID(downtown), downtown);
+        const since = server.requests.length;
+        await assert.rejects(qsr.getTables({ name: 'Nowhere' }), QSRNotFoundError);
+        await assert.rejects(qsr.getTables({ name: 'Harbor' }), QSRNotFoundError);
+        assert.ok(server.requests.slice(since).every(request => !request.path.includes('/Tables')));
+        assert.strictEqual(await qsr.sites.resolve({ siteUID: harbor }, { allowInactive: true }), harbor);
+    });
+
+    await t.test('key sync cursors and records by SiteUID', async () => {
+        const store = new MemoryStore();
+        const sync = qsr.createSync({ sites: [{ name: 'Downtown' }, { name: 'Airport' }], feeds: ['visits'], store, since: new Date(Date.now() - 3 * 24 * HOUR) });
+        const sites = new Set();
+        sync.on('records', ({ siteUID }) => sites.add(siteUID));
+        const summaries = await sync.run();
+        assert.deepStrictEqual(summaries.map(summary => summary.siteUID), [downtown, airport]);
+        assert.deepStrictEqual([...sites].sort(), [downtown, airport].sort());
+        assert.deepStrictEqual((await store.keys()).sort(), [sync.stateKey(downtown, 'visits'), sync.stateKey(airport, 'visits')].sort());
+        await sync.reset({ name: 'Airport' }, 'visits');
+        assert.deepStrictEqual(await store.keys(), [sync.stateKey(downtown, 'visits')]);
+    });
+
+    await t.test('report a site that cannot be resolved as a failed feed', async () => {
+        const sync = qsr.createSync({ sites: [{ name: 'Nowhere' }], feeds: ['visits'] });
+        const errors = [];
+        sync.on('feedError', failure => errors.push(failure));
+        const [summary] = await sync.run();
+        assert.ok(summary.error instanceof QSRNotFoundError);
+        assert.deepStrictEqual(errors[0].siteUID, { name: 'Nowhere' });
+    });
+
+    await t.test('key watched visits and events by SiteUID', async () => {
+        const watcher = qsr.watchVisits([{ name: 'Downtown' }, { name: 'Airport' }], { interval: 20 });
+        t.after(() => watcher.stop());
+        while (Object.keys(watcher.cursors).length < 2) await new Promise(resolve => setTimeout(resolve, 10));
+        assert.deepStrictEqual(Object.keys(watcher.cursors).sort(), [downtown, airport].sort());
+
+        await qsr.syncExternalReservation({ name: 'Airport' }, 'ref1', {
+            arrivalTime: new Date(Date.now() + 24 * HOUR).toISOString(),
+            partySize: 2,
+            size: 2,
+            guest: { FirstName: 'Ada', LastName: 'Lovelace' }
+        });
+        const [event] = await once(watcher, 'visit:created');
+        watcher.stop();
+        assert.strictEqual(event.siteUID, airport);
+        assert.strictEqual(event.visit.ExternalID, 'ref1');
+    });
+});
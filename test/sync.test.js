@@ -0,0 +1,96 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { JsonFileStore } = require('..');
+const { startMock, addVisit } = require('./helpers');
+
+const HOUR = 60 * 60 * 1000;
+
+/** A temporary directory, removed after the test. */
+function tempDir(t) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'qsr-sync-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    return dir;
+}
+
+test('JsonFileStore', async t => {
+    const dir = tempDir(t);
+
+    await t.test('keeps every value set while the file is first read', async () => {
+        const filePath = path.join(dir, 'concurrent.json');
+        fs.writeFileSync(filePath, JSON.stringify({ existing: 1 }));
+        const store = new JsonFileStore(filePath);
+        await Promise.all(['a', 'b', 'c', 'd'].map((key, i) => store.set(key, i)));
+        assert.deepStrictEqual((await store.keys()).sort(), ['a', 'b', 'c', 'd', 'existing']);
+        assert.deepStrictEqual(JSON.parse(fs.readFileSync(filePath, 'utf8')), { existing: 1, a: 0, b: 1, c: 2, d: 3 });
+    });
+
+    await t.test('creates the file on first write and reads it back in a new instance', async () => {
+        const filePath = path.join(dir, 'nested', 'store.json');
+        const store = new JsonFileStore(filePath);
+        assert.strictEqual(await store.get('missing'), undefined);
+        await store.set('sync/a', { cursor: 'x' });
+        await store.set('sync/b', { cursor: 'y' });
+        await store.delete('sync/b');
+        const reopened = new JsonFileStore(filePath);
+        assert.deepStrictEqual(await reopened.get('sync/a'), { cursor: 'x' });
+        assert.deepStrictEqual(await reopened.keys('sync/'), ['sync/a']);
+    });
+
+    await t.test('returns copies, not the stored values', async () => {
+        const store = new JsonFileStore(path.join(dir, 'copies.json'));
+        const value = { list: [1] };
+        await store.set('key', value);
+        value.list.push(2);
+        (await store.get('key')).list.push(3);
+        assert.deepStrictEqual(await store.get('key'), { list: [1] });
+    });
+});
+
+test('SyncEngine', async t => {
+    const { server, qsr, stop } = await startMock({ client: { retry: false } });
+    t.after(stop);
+    const filePath = path.join(tempDir(t), 'sync.json');
+    const sites = server.data.sites.slice(0, 2).map(site => site.SiteUID);
+    const since = new Date(Date.now() - 3 * 24 * HOUR);
+
+    await t.test('delivers every record once, then only what changed', async () => {
+        const sync = qsr.createSync({ sites, store: new JsonFileStore(filePath), since, concurrency: 3 });
+        const delivered = new Map();
+        sync.on('records', ({ siteUID, feed, records }) => {
+            for (const record of records) delivered.set(`${siteUID}/${feed}/${record.ID || record.UID}`, record);
+        });
+        const summaries = await sync.run();
+        assert.strictEqual(summaries.length, 6);
+        assert.ok(summaries.every(summary => !summary.error));
+        for (const siteUID of sites) {
+            const visits = [...delivered.keys()].filter(key => key.startsWith(`${siteUID}/visits/`));
+            assert.strictEqual(visits.length, server.site(siteUID).visits.length);
+        }
+        assert.ok((await sync.run()).every(summary => summary.records === 0));
+    });
+
+    await t.test('resumes from the stored cursors in a new engine', async () => {
+        const stored = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+        assert.strictEqual(Object.keys(stored).length, 6);
+        const sync = qsr.createSync({ sites, store: new JsonFileStore(filePath), since });
+        addVisit(server, sites[0], { Type: 'WalkIn', Status: 'Waiting' });
+        const summaries = await sync.run();
+        const visits = summaries.find(summary => summary.siteUID === sites[0] && summary.feed === 'visits');
+        assert.strictEqual(visits.records, 1);
+        assert.ok(summaries.every(summary => summary === visits || summary.records === 0));
+    });
+
+    await t.test('reports a failing feed and syncs the others', async () => {
+        const sync = qsr.createSync({ sites: sites.slice(0, 1), since });
+        const errors = [];
+        sync.on('feedError', ({ feed, error }) => errors.push([feed, error.status]));
+        server.injectFault({ path: /\/Tables\/Events$/, status: 500, times: Infinity });
+        const summaries = await sync.run();
+        server.clearFaults();
+        assert.deepStrictEqual(errors, [['tableEvents', 500]]);
+        assert.ok(summaries.find(summary => summary.feed === 'visits').records > 0);
+    });
+});
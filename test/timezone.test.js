@@ -0,0 +1,86 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { QSRConfigError, resolveRange, zonedTimeToUtc, toZonedISOString, timeZoneOffset } = require('..');
+const { startMock, requestsSince } = require('./helpers');
+
+const HOUR = 60 * 60 * 1000;
+const NEW_YORK = 'America/New_York';
+
+/** A resolved range as ISO 8601 strings. */
+function iso({ start, end }) {
+    return [start.toISOString(), end.toISOString()];
+}
+
+test('resolveRange', async t => {
+    await t.test('covers a business day from midnight to midnight at the site', () => {
+        assert.deepStrictEqual(iso(resolveRange({ businessDate: '2026-10-18' }, NEW_YORK)), ['2026-10-18T04:00:00.000Z', '2026-10-19T04:00:00.000Z']);
+        assert.deepStrictEqual(iso(resolveRange({ businessDate: '2026-01-15', dayStart: '04:00' }, 'America/Chicago')), ['2026-01-15T10:00:00.000Z', '2026-01-16T10:00:00.000Z']);
+    });
+
+    await t.test('is 23 or 25 hours long on daylight saving transition days', () => {
+        const length = businessDate => {
+            const { start, end } = resolveRange({ businessDate }, NEW_YORK);
+            return (end - start) / HOUR;
+        };
+        assert.strictEqual(length('2026-03-08'), 23);
+        assert.strictEqual(length('2026-11-01'), 25);
+        assert.strictEqual(length('2026-11-02'), 24);
+    });
+
+    await t.test('takes times of day on the business date, wrapping a to time past midnight', () => {
+        const now = new Date('2026-10-18T16:00:00Z');
+        assert.deepStrictEqual(iso(resolveRange({ from: '17:00', to: '22:00' }, NEW_YORK, now)), ['2026-10-18T21:00:00.000Z', '2026-10-19T02:00:00.000Z']);
+        assert.deepStrictEqual(iso(resolveRange({ businessDate: 'yesterday', from: '22:00', to: '02:00' }, NEW_YORK, now)), ['2026-10-18T02:00:00.000Z', '2026-10-18T06:00:00.000Z']);
+        assert.deepStrictEqual(iso(resolveRange({ from: '2026-10-18T09:30' }, NEW_YORK, now)), ['2026-10-18T13:30:00.000Z', '2026-10-18T16:00:00.000Z']);
+    });
+
+    await t.test('rejects invalid ranges, dates, times and time zones', () => {
+        assert.throws(() => resolveRange({ from: '2026-10-18T12:00:00Z', to: '2026-10-18T11:00:00Z' }, NEW_YORK), QSRConfigError);
+        assert.throws(() => resolveRange({ businessDate: '10/18/2026' }, NEW_YORK), QSRConfigError);
+        assert.throws(() => resolveRange({ from: '25:00' }, NEW_YORK), QSRConfigError);
+        assert.throws(() => resolveRange({ businessDate: '2026-10-18' }, 'America/Nowhere'), QSRConfigError);
+    });
+});
+
+test('zoned times', async t => {
+    await t.test('move times skipped by a transition forward, and resolve repeated times to their first occurrence', () => {
+        assert.strictEqual(zonedTimeToUtc({ year: 2026, month: 3, day: 8, hour: 2, minute: 30 }, NEW_YORK).toISOString(), '2026-03-08T07:30:00.000Z');
+        assert.strictEqual(zonedTimeToUtc({ year: 2026, month: 11, day: 1, hour: 1, minute: 30 }, NEW_YORK).toISOString(), '2026-11-01T05:30:00.000Z');
+    });
+
+    await t.test('format instants with the offset of the time zone', () => {
+        assert.strictEqual(toZonedISOString('2026-10-18T21:00:00Z', NEW_YORK), '2026-10-18T17:00:00.000-04:00');
+        assert.strictEqual(toZonedISOString(new Date('2026-12-01T21:00:00Z'), NEW_YORK), '2026-12-01T16:00:00.000-05:00');
+        assert.strictEqual(timeZoneOffset(new Date('2026-07-01T00:00:00Z'), 'America/Los_Angeles'), -7 * HOUR);
+    });
+});
+
+test('site local ranges and times', async t => {
+    const { server, qsr, siteUID, stop } = await startMock({ client: { retry: false } });
+    t.after(stop);
+
+    /** The query of the visit requests sent since a given request count. */
+    function visitQueries(since) {
+        return requestsSince(server, since).filter(request => request.path.endsWith('/Visits')).map(request => [request.query.start, request.query.stop]);
+    }
+
+    await t.test('resolve a LocalRange in the time zone of the site', async () => {
+        const since = server.requests.length;
+        await qsr.getAllVisitUpdates(siteUID, { businessDate: '2026-11-01' });
+        await qsr.getAllVisitUpdates(siteUID, { businessDate: '2026-11-01', timeZone: 'America/Los_Angeles' });
+        assert.deepStrictEqual(visitQueries(since), [
+            ['2026-11-01T04:00:00.000Z', '2026-11-02T05:00:00.000Z'],
+            ['2026-11-01T07:00:00.000Z', '2026-11-02T08:00:00.000Z']
+        ]);
+    });
+
+    await t.test('return timestamps in the time zone of the site with siteLocalTimes', async () => {
+        const [start, stop] = [new Date(Date.now() - 3 * 24 * HOUR), new Date()];
+        const [utc] = await qsr.getAllVisitUpdates(siteUID, start, stop);
+        const [local] = await qsr.withOptions({ siteLocalTimes: true }).getAllVisitUpdates(siteUID, start, stop);
+        assert.strictEqual(local.ID, utc.ID);
+        assert.match(utc.CreationTime, /Z$/);
+        assert.match(local.CreationTime, /[+-]0[45]:00$/);
+        assert.strictEqual(Date.parse(local.CreationTime), Date.parse(utc.CreationTime));
+    });
+});
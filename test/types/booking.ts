@@ -0,0 +1,14 @@
+/** Type test for reservation booking. See index.ts. */
+import QSR = require('../..');
+
+async function booking(qsr: QSR) {
+    const booking = qsr.booking({ maxDistanceKm: 100 });
+    const [slot] = await booking.search({ customerSiteId: '0421' }, { start: new Date(), partySize: 4 });
+    const result = await booking.book(slot, { lastName: 'S' });
+    if (result.status === 'booked') result.visit.ID.trim();
+    else result.conflict.alternatives.map(alternative => alternative.distanceKm);
+    const uid: string = await qsr.resolveSiteUID({ name: 'Airport' });
+    return uid;
+}
+
+export { booking };
@@ -0,0 +1,18 @@
+/** Type test for the guestbook dedupe. See index.ts. */
+import QSR = require('../..');
+
+async function guestbookDedupe(qsr: QSR) {
+    const dedupe = qsr.createGuestbookDedupe({ search: { city: 'Charlotte' }, undoStore: new QSR.JsonFileStore('undo.json'), chooseSurvivor: guests => guests[0] });
+    const plan = await dedupe.plan({ file: 'plan.json' });
+    const signal: QSR.DuplicateSignal = plan.clusters[0].signals[0];
+    await dedupe.apply(plan, { dryRun: true });
+    const run = await dedupe.apply('plan.json');
+    const undone = await dedupe.undo(run.runId);
+    const guestId: string = undone.restored[0].newGuestId;
+    const merged = QSR.mergeGuests(plan.clusters[0].guests[0], []);
+    const email: string | undefined = merged.update.email;
+    new QSR.GuestbookDedupe(qsr);
+    return [signal, guestId, email];
+}
+
+export { guestbookDedupe };
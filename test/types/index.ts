@@ -0,0 +1,89 @@
+/**
+ * Type test for index.d.ts, with the later features in their own files next to this one. Compiled with
+ * `npm run test:types`, never run: each function exercises part of the public API, and every `@ts-expect-error` line
+ * must fail to compile.
+ */
+import QSR = require('../..');
+import { MockServer, QSRValidationError, QSRError, JsonFileStore, SCHEMAS, buildPayload, resolveRange, sign, verifySignature } from '../..';
+
+async function client(qsr: QSR) {
+    new QSR('company', { accessKey: 'a', secretKey: 'b' }, { retry: { maxAttempts: 2 }, rateLimit: { requestsPerSecond: 5, families: { Visits: { maxConcurrent: 1 } } } });
+    new QSR.QSR('company', () => ({ accessKey: 'a', secretKey: 'b' }), { refreshOnAuthError: true });
+    new QSR('company', { getCredentials: async () => ({ accessKey: 'a', secretKey: 'b' }) });
+
+    const sites = await qsr.getCompanySites();
+    const siteUID: string = sites[0].SiteUID;
+    const timeZone: string = await qsr.getSiteTimeZone(siteUID);
+    const visits = await qsr.getAllVisitUpdates(siteUID, { businessDate: 'yesterday' });
+    const status: QSR.VisitStatus = visits[0].Status;
+    // @ts-expect-error not a visit status
+    const notStatus: QSR.VisitStatus = 'Sat';
+    for await (const page of qsr.iterateTableEvents(siteUID, new Date(0), new Date())) {
+        const type: QSR.EventType = page.items[0].Type;
+        page.cursor.toUpperCase();
+    }
+    const open: QSR.Visit = await qsr.getVisitByLoyaltyCard(siteUID, 'L1', 'open');
+    await qsr.getVisitByPhone(siteUID, '2125550142', 'US');
+    await qsr.getVisitByPager(siteUID, 'P1');
+    const stats: number = qsr.rateLimitStats().global.queued;
+    return [timeZone, status, notStatus, open, stats];
+}
+
+async function writes(qsr: QSR, siteUID: string) {
+    await qsr.addWalkIn(siteUID, { partySize: 2, notes: 'Booth' });
+    const added: boolean = await qsr.addWebAhead(siteUID, { partySize: 2, phoneNumberString: '555-123-4567', lastName: 'X' });
+    // @ts-expect-error lastName or guestID is required
+    await qsr.addWebAhead(siteUID, { partySize: 2, phoneNumberString: '555-123-4567' });
+    await qsr.addTableEvent(siteUID, { eventType: 'TableOpened', tableName: 'T1', timestampUtc: new Date() });
+    // @ts-expect-error unknown event type
+    await qsr.addTableEvent(siteUID, { eventType: 'Nope', tableName: 'T1', timestampUtc: new Date() });
+    const all: QSR.WebAhead[] = await qsr.getWebAhead(siteUID, 'v', undefined, undefined, true);
+    const one: QSR.WebAhead = await qsr.getWebAhead(siteUID, 'v');
+    await qsr.updatePartyMix(siteUID, 'v', [{ type: 'Adult', count: 2 }]);
+    try {
+        buildPayload(SCHEMAS.guest, {});
+    } catch (err) {
+        if (err instanceof QSRValidationError) err.problems.map(problem => problem.path);
+        if (err instanceof QSRError) err.status?.toFixed();
+    }
+    return [added, all, one];
+}
+
+async function withOptions(qsr: QSR, siteUID: string) {
+    const controller = new AbortController();
+    await qsr.withOptions({ retry: true, signal: controller.signal }).getTables(siteUID);
+    const report = await qsr.withOptions({ siteLocalTimes: true }).getTableTurnReport(siteUID, { businessDate: 'today', dayStart: '04:00' });
+    await qsr.getTableTurnReport(siteUID, new Date(0));
+    report.totals.avgTurnMinutes?.toFixed();
+    await qsr.getQuoteAccuracyReport(siteUID, new Date(0), new Date(), { tolerance: 5 });
+    const { start, end } = resolveRange({ businessDate: '2026-10-18' }, 'America/New_York');
+    return [start, end];
+}
+
+async function watchAndSync(qsr: QSR, siteUID: string) {
+    const watcher = qsr.watchVisits(siteUID, { interval: 1000 });
+    watcher.on('visit:statusChanged', ({ previousStatus, status }) => [previousStatus, status]);
+    watcher.on('poll:error', ({ error }) => error.message);
+    for await (const change of watcher) {
+        change.visit.ID.trim();
+        break;
+    }
+    const sync = qsr.createSync({ sites: [siteUID], store: new JsonFileStore('sync.json'), feeds: ['visits'] });
+    sync.on('records', ({ records }) => records.length);
+    await sync.run();
+    await qsr.exportRecords('visits', { output: process.stdout, siteUID, start: { businessDate: 'yesterday' }, format: 'ndjson' });
+}
+
+async function mockAndSigner() {
+    const server = new MockServer({ seed: 3, strictBodies: false });
+    const baseURL: string = await server.start();
+    const qsr = new QSR(server.companyUID, server.apiKeys, { baseURL });
+    const fault = server.injectFault({ path: /\/Visits$/, status: 503, times: 2 });
+    server.requests.map(request => request.query.startTime);
+    const headers = sign({ method: 'POST', url: '/Site/ABC/WalkIn', body: { PartySize: 2 }, ...server.apiKeys });
+    const result = await verifySignature({ method: 'POST', url: '/Site/ABC/WalkIn', headers: { authorization: headers.Authorization } }, { secretKey: 'k', clockSkew: 1000 });
+    await server.stop();
+    return [qsr, fault.hits, result.valid];
+}
+
+export { client, writes, withOptions, watchAndSync, mockAndSigner };
@@ -0,0 +1,16 @@
+/** Type test for the POS bridge. See index.ts. */
+import QSR = require('../..');
+
+async function posBridge(qsr: QSR) {
+    const bridge = qsr.createPosBridge({ siteUID: { customerSiteId: '0101' }, tableMap: { 'BAR 01': 'B9' }, eventTypes: { voided: 'TableCleared' } });
+    const recorded = await bridge.record({ type: 'checkPaid', table: 12, transactionNumber: 'A1', amount: 3 });
+    const status: 'queued' | 'duplicate' = recorded.status;
+    bridge.on('unmappedTable', ({ posTable, suggestions }) => suggestions[0].score);
+    const sent: number = (await bridge.flush()).sent + (await bridge.report()).unmappedTables.length;
+    QSR.matchTableName('T1', ['T1']);
+    const type: QSR.EventType = QSR.POS_EVENT_TYPES.checkClosed;
+    new QSR.PosBridge(qsr, { siteUID: 's' }).stop();
+    return [status, sent, type];
+}
+
+export { posBridge };
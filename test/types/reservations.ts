@@ -0,0 +1,21 @@
+/** Type test for the reservation sync. See index.ts. */
+import QSR = require('../..');
+
+async function reservationSync(qsr: QSR) {
+    const sync = qsr.createReservationSync({
+        siteUID: { customerSiteId: '0101' },
+        syncSource: 'X',
+        source: new QSR.JsonFeedSource('feed.json', { path: 'a' }),
+        map: { externalId: 'id', partySize: (reservation: any) => reservation.n }
+    });
+    sync.on('statusChange', change => { const status: QSR.VisitStatus = change.status; });
+    const result = await sync.run();
+    const changes: number = result.push.created + result.pull.changes;
+    const report = await sync.reconcile();
+    const type: QSR.ReconciliationMismatchType = report.mismatches[0].type;
+    new QSR.ReservationSync(qsr, { siteUID: 's', syncSource: 'y', source: async () => [] });
+    new QSR.CallbackReservationSource(() => [], { applyStatusChange: change => {} });
+    return [changes, type];
+}
+
+export { reservationSync };
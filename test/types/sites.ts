@@ -0,0 +1,21 @@
+/** Type test for the site registry. See index.ts. */
+import QSR = require('../..');
+
+async function siteRegistry(qsr: QSR) {
+    const uid: string = await qsr.sites.resolve({ customerSiteId: '0421' });
+    await qsr.getTables({ customerSiteId: '0421' });
+    await qsr.getSite({ name: 'Uptown' });
+    await qsr.getWaitListStatusMultipleSites([uid, { customerSiteId: '0422' }], [2]);
+    const entries: QSR.SiteEntry[] = qsr.sites.list();
+    entries[0].isActive.valueOf();
+    qsr.sites.on('refreshError', ({ error }) => error.message);
+    qsr.watchVisits([uid, { name: 'Uptown' }]).on('poll:error', ({ error }) => error.message);
+    await qsr.createSync({ sites: [{ customerSiteId: '0421' }] }).reset({ name: 'Uptown' }, 'visits');
+    new QSR('company', undefined, { siteRegistry: { refreshInterval: 0 } });
+    // @ts-expect-error unknown SiteRef key
+    await qsr.getTables({ storeNumber: '0421' });
+    qsr.sites.stop();
+    await new QSR.SiteRegistry(qsr).ready();
+}
+
+export { siteRegistry };
@@ -0,0 +1,17 @@
+/** Type test for the Waitlist facade. See index.ts. */
+import QSR = require('../..');
+
+async function waitlist(qsr: QSR) {
+    const list = qsr.waitlist({ customerSiteId: '0421' });
+    const entry: QSR.WaitlistEntry = await list.join({ partySize: 2, lastName: 'S', phoneNumberString: '1' });
+    await list.arrive(entry.confirmationNumberId ?? 0);
+    await list.cancel(entry, { onlyIfNotArrived: true });
+    await list.update('MG1', { partySize: 3 });
+    (await list.status([2, 4])).WebAheadStatus;
+    // @ts-expect-error a boolean is not a party identifier
+    await list.get(true);
+    const webAhead: QSR.WebAhead = await qsr.addWebAhead({ customerSiteId: '0421' }, { partySize: 2, phoneNumberString: '555-123-4567', guestID: 'g' }, true);
+    return webAhead;
+}
+
+export { waitlist };
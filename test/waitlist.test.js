@@ -0,0 +1,81 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { Waitlist, QSRNotFoundError } = require('..');
+const { startMock } = require('./helpers');
+
+/** A QSR stand-in whose WebAhead lookups return the given data. */
+function stubClient(data) {
+    const calls = [];
+    const lookup = name => async (...args) => {
+        calls.push([name, ...args]);
+        return data;
+    };
+    return {
+        calls,
+        resolveSiteUID: async site => site,
+        getWebAhead: lookup('getWebAhead'),
+        getWebAheadByConfirmation: lookup('getWebAheadByConfirmation'),
+        getWebAheadByConfirmationId: lookup('getWebAheadByConfirmationId')
+    };
+}
+
+test('Waitlist#get picks the requested party', async t => {
+    const records = [
+        { ID: 'a1', SiteUID: 'SITE', ConfirmationNumber: 'MG1', ConfirmationNumberID: 1, Status: 'Waiting', Size: 2 },
+        { ID: 'b2', SiteUID: 'SITE', ConfirmationNumber: 'MG2', ConfirmationNumberID: 2, Status: 'Seated', Size: 4 }
+    ];
+
+    await t.test('from every WebAhead of the business day', async () => {
+        const waitlist = new Waitlist(stubClient(records), 'SITE');
+        assert.strictEqual((await waitlist.get('MG2', { all: true })).visitID, 'b2');
+        assert.strictEqual((await waitlist.get(2, { all: true })).visitID, 'b2');
+    });
+
+    await t.test('throws QSRNotFoundError when no record matches', async () => {
+        const waitlist = new Waitlist(stubClient(records), 'SITE');
+        await assert.rejects(waitlist.get('MG3', { all: true }), QSRNotFoundError);
+        await assert.rejects(waitlist.get(3, { all: true }), QSRNotFoundError);
+    });
+
+    await t.test('throws QSRNotFoundError for an empty list', async () => {
+        const waitlist = new Waitlist(stubClient([]), 'SITE');
+        await assert.rejects(waitlist.get('MG1', { all: true }), QSRNotFoundError);
+    });
+
+    await t.test('rejects a party found by confirmation number on another site', async () => {
+        const waitlist = new Waitlist(stubClient(records), 'OTHER');
+        await assert.rejects(waitlist.get('MG1', { all: true }), error => error instanceof QSRNotFoundError && error.siteUID === 'OTHER');
+        await assert.rejects(waitlist.get(1, { all: true }), QSRNotFoundError);
+    });
+});
+
+test('Waitlist by confirmation number only changes parties of its own site', async t => {
+    const { server, qsr, stop } = await startMock();
+    t.after(stop);
+    const [downtown, airport] = server.data.sites.map(site => site.SiteUID);
+    const party = await qsr.waitlist(downtown).join({ partySize: 2, lastName: 'Rivera', phoneNumberString: '2125550142' });
+    const elsewhere = qsr.waitlist(airport);
+
+    await t.test('get', async () => {
+        await assert.rejects(elsewhere.get(party.confirmationNumber), QSRNotFoundError);
+        await assert.rejects(elsewhere.get(party.confirmationNumberId), QSRNotFoundError);
+        assert.strictEqual((await qsr.waitlist(downtown).get(party.confirmationNumber)).visitID, party.visitID);
+    });
+
+    await t.test('update, arrive and cancel', async () => {
+        const writes = () => server.requests.filter(request => request.method !== 'GET').length;
+        const before = writes();
+        await assert.rejects(elsewhere.update(party.confirmationNumber, { partySize: 6 }), QSRNotFoundError);
+        await assert.rejects(elsewhere.arrive(party.confirmationNumberId), QSRNotFoundError);
+        await assert.rejects(elsewhere.cancel(party.confirmationNumber), QSRNotFoundError);
+        assert.strictEqual(writes(), before);
+        const visit = server.site(downtown).visits.find(candidate => candidate.ID === party.visitID);
+        assert.strictEqual(visit.Status, 'NotYetArrived');
+        assert.strictEqual(visit.Size, 2);
+    });
+
+    await t.test('the owning site can still cancel', async () => {
+        const canceled = await qsr.waitlist(downtown).cancel(party.confirmationNumber);
+        assert.strictEqual(canceled.active, false);
+    });
+});
@@ -0,0 +1,65 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { once } = require('events');
+const { startMock, addVisit, updateVisit } = require('./helpers');
+
+const HOUR = 60 * 60 * 1000;
+
+test('VisitWatcher', { timeout: 20000 }, async t => {
+    const { server, qsr, siteUID, stop } = await startMock({ client: { retry: false } });
+    t.after(stop);
+
+    await t.test('seeds silently, then emits created, status and typed events', async () => {
+        const watcher = qsr.watchVisits(siteUID, { interval: 20 });
+        t.after(() => watcher.stop());
+        const created = [];
+        watcher.on('visit:created', event => created.push(event));
+        await new Promise(resolve => setTimeout(resolve, 100));
+        assert.deepStrictEqual(created, []);
+
+        const visit = addVisit(server, siteUID, { ExternalID: 'w1' });
+        const [event] = await once(watcher, 'visit:created');
+        assert.strictEqual(event.siteUID, siteUID);
+        assert.strictEqual(event.visit.ExternalID, 'w1');
+        assert.strictEqual(event.status, 'NotYetArrived');
+
+        updateVisit(visit, { Status: 'Canceled', CanceledTime: new Date().toISOString() });
+        const [[changed], [canceled]] = await Promise.all([once(watcher, 'visit:statusChanged'), once(watcher, 'visit:canceled')]);
+        assert.strictEqual(changed.previousStatus, 'NotYetArrived');
+        assert.strictEqual(changed.status, 'Canceled');
+        assert.strictEqual(canceled.visit.ID, visit.ID);
+        watcher.stop();
+    });
+
+    await t.test('emits the visits of the first poll with emitInitial', async () => {
+        const watcher = qsr.watchVisits(siteUID, { interval: 1000, emitInitial: true, since: new Date(Date.now() - 3 * 24 * HOUR) });
+        t.after(() => watcher.stop());
+        const created = new Set();
+        watcher.on('visit:created', event => created.add(event.visit.ID));
+        await once(watcher, 'visit:created');
+        await new Promise(resolve => setImmediate(resolve));
+        watcher.stop();
+        assert.ok(created.size > 1);
+    });
+
+    await t.test('keeps polling after errors, and iterates events until stopped', async () => {
+        const airport = server.data.sites[1].SiteUID;
+        server.injectFault({ path: `/Site/${airport}/Visits`, status: 500, times: 2 });
+        const watcher = qsr.watchVisits(airport, { interval: 20, maxBackoff: 40 });
+        t.after(() => watcher.stop());
+        const errors = [];
+        watcher.on('poll:error', ({ error }) => errors.push(error.status));
+        while (errors.length < 2) await new Promise(resolve => setTimeout(resolve, 10));
+        // Let the first successful poll seed the watcher
+        await new Promise(resolve => setTimeout(resolve, 200));
+
+        addVisit(server, airport, { ExternalID: 'w2' });
+        const types = [];
+        for await (const event of watcher) {
+            types.push(event.type);
+            if (event.visit.ExternalID === 'w2') watcher.stop();
+        }
+        assert.deepStrictEqual(errors, [500, 500]);
+        assert.deepStrictEqual(types, ['visit:created']);
+    });
+});